@@ -154,6 +154,25 @@ class RedisClient {
     }
   }
 
+  /**
+   * Set a value only if the key does not exist yet (atomic SET NX)
+   * @param {string} key - Cache key
+   * @param {any} value - Value to store
+   * @param {number} ttl - Time to live in seconds (default: 300)
+   * @returns {Promise<boolean|null>} true if stored, false if the key exists, null if Redis is unavailable
+   */
+  async setIfAbsent(key, value, ttl = 300) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      const result = await this.client.set(key, JSON.stringify(value), 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis SETNX error:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Delete a key from cache
    * @param {string} key - Cache key
@@ -269,6 +288,7 @@ export const getRedisClient = () => redisClient.getClient();
 export const isRedisAvailable = () => redisClient.isAvailable();
 export const redisGet = (key) => redisClient.get(key);
 export const redisSet = (key, value, ttl) => redisClient.set(key, value, ttl);
+export const redisSetIfAbsent = (key, value, ttl) => redisClient.setIfAbsent(key, value, ttl);
 export const redisDel = (key) => redisClient.del(key);
 export const redisDelPattern = (pattern) => redisClient.delPattern(pattern);
 export const redisFlush = () => redisClient.flush();
@@ -70,9 +70,10 @@ export const SECURITY_CONFIG = {
       'Accept',
       'Origin',
       'X-API-Key',
-      'X-Client-Version'
+      'X-Client-Version',
+      'Idempotency-Key'
     ],
-    exposedHeaders: ['Content-Disposition', 'X-Total-Count'],
+    exposedHeaders: ['Content-Disposition', 'X-Total-Count', 'Idempotent-Replayed'],
     maxAge: 86400
   },
 
@@ -14,9 +14,15 @@ export const createAccountProduct = async (req, res) => {
       monthlyFee,
       interestRate,
       interestFrequency,
+      dayCountConvention,
       features,
       eligibility,
       depositLimits,
+      feePolicy,
+      channelLimits,
+      termSettings,
+      dormancySettings,
+      closureSettings,
       displayOrder
     } = req.body;
 
@@ -53,9 +59,15 @@ export const createAccountProduct = async (req, res) => {
       monthlyFee: monthlyFee || 0,
       interestRate: interestRate || 0,
       interestFrequency: interestFrequency || 'monthly',
+      dayCountConvention: dayCountConvention || 'actual/365',
       features: features || [],
       eligibility: eligibility || {},
       depositLimits: depositLimits || {},
+      feePolicy: feePolicy || {},
+      channelLimits: channelLimits || {},
+      termSettings: termSettings || {},
+      dormancySettings: dormancySettings || {},
+      closureSettings: closureSettings || {},
       displayOrder: displayOrder || 0,
       createdBy
     });
@@ -0,0 +1,160 @@
+import ApprovalRule from '../models/approvalRuleModel.js';
+import ApprovalService from '../services/approvalService.js';
+import { PostingError } from '../services/accountPostingService.js';
+import { transactionDetailsDTO } from '../dtos/transactionDTO.js';
+
+const RULE_FIELDS = ['transactionType', 'role', 'productId', 'threshold', 'description', 'isActive'];
+
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return fields;
+};
+
+// List approval rules
+export const getApprovalRules = async (req, res) => {
+  try {
+    const rules = await ApprovalRule.find()
+      .populate('productId', 'productCode productName')
+      .sort({ transactionType: 1, threshold: 1 })
+      .lean();
+
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error fetching approval rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch approval rules', error: error.message });
+  }
+};
+
+// Create an approval threshold
+export const createApprovalRule = async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+    if (!fields.transactionType || fields.threshold === undefined || fields.threshold === null) {
+      return res.status(400).json({ success: false, message: 'Transaction type and threshold are required' });
+    }
+
+    const rule = await ApprovalRule.create({ ...fields, createdBy: req.user._id });
+    res.status(201).json({ success: true, message: 'Approval rule created successfully', data: rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A rule already exists for this transaction type, role and product' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating approval rule:', error);
+    res.status(500).json({ success: false, message: 'Failed to create approval rule', error: error.message });
+  }
+};
+
+// Update an approval threshold
+export const updateApprovalRule = async (req, res) => {
+  try {
+    const rule = await ApprovalRule.findByIdAndUpdate(
+      req.params.id,
+      pickRuleFields(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Approval rule not found' });
+    }
+
+    res.json({ success: true, message: 'Approval rule updated successfully', data: rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A rule already exists for this transaction type, role and product' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error updating approval rule:', error);
+    res.status(500).json({ success: false, message: 'Failed to update approval rule', error: error.message });
+  }
+};
+
+// Delete an approval threshold
+export const deleteApprovalRule = async (req, res) => {
+  try {
+    const rule = await ApprovalRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Approval rule not found' });
+    }
+
+    res.json({ success: true, message: 'Approval rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting approval rule:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete approval rule', error: error.message });
+  }
+};
+
+// Manager queue of transactions waiting for approval
+export const getPendingApprovals = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const queue = await ApprovalService.getQueue({ page, limit });
+    res.json({ success: true, data: queue });
+  } catch (error) {
+    console.error('Error fetching pending approvals:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch pending approvals', error: error.message });
+  }
+};
+
+// Approve and post a pending transaction
+export const approveTransaction = async (req, res) => {
+  try {
+    const { note } = req.body;
+    const { transaction, credit } = await ApprovalService.approve(req.params.id, {
+      approvedBy: req.user._id,
+      note
+    });
+
+    await ApprovalService.audit('transaction_approved', transaction, req.user._id, { note, creditTransactionId: credit?.transactionId });
+
+    res.json({
+      success: true,
+      message: 'Transaction approved and posted',
+      data: {
+        transaction: transactionDetailsDTO(transaction),
+        credit: credit ? transactionDetailsDTO(credit) : undefined
+      }
+    });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error approving transaction:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve transaction', error: error.message });
+  }
+};
+
+// Reject a pending transaction and release its hold
+export const rejectTransaction = async (req, res) => {
+  try {
+    const { note } = req.body;
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'A note is required to reject a transaction' });
+    }
+
+    const transaction = await ApprovalService.reject(req.params.id, {
+      rejectedBy: req.user._id,
+      note
+    });
+
+    await ApprovalService.audit('transaction_rejected', transaction, req.user._id, { note });
+
+    res.json({ success: true, message: 'Transaction rejected', data: transactionDetailsDTO(transaction) });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error rejecting transaction:', error);
+    res.status(500).json({ success: false, message: 'Failed to reject transaction', error: error.message });
+  }
+};
@@ -0,0 +1,159 @@
+import BulkDepositService, { batchToCsv } from '../services/bulkDepositService.js';
+import DepositBatch from '../models/depositBatchModel.js';
+import { PostingError } from '../services/accountPostingService.js';
+import { logActivity } from '../utils/logActivity.js';
+
+const handleError = (res, error, message) => {
+  if (error instanceof PostingError) {
+    return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+  console.error(`Error: ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const audit = async (req, action, batch, details) => {
+  try {
+    await logActivity({ userId: req.user._id?.toString(), action, entityType: 'deposit_batch', entityId: batch._id, details });
+  } catch (logError) {
+    console.error(`Failed to log ${action}:`, logError.message);
+  }
+};
+
+const requestAudit = (req) => ({
+  deviceId: req.headers['x-device-id'] || 'unknown',
+  ipAddress: (req.ip || req.connection?.remoteAddress || 'unknown').toString(),
+  userAgent: req.headers['user-agent'] || ''
+});
+
+// Deposit batches, newest first, without their rows (?status=)
+export const getDepositBatches = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [batches, total] = await Promise.all([
+      DepositBatch.find(filter)
+        .select('-rows')
+        .populate('uploadedBy', 'firstName lastName')
+        .populate('postedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DepositBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: batches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch deposit batches');
+  }
+};
+
+// Validate uploaded rows into a draft batch for preview
+export const uploadDepositBatch = async (req, res) => {
+  try {
+    const batch = await BulkDepositService.createBatch(req.body, req.user._id);
+    await audit(req, 'deposit_batch_uploaded', batch, {
+      batchId: batch.batchId,
+      fileName: batch.fileName,
+      rowCount: batch.rowCount,
+      validCount: batch.validCount,
+      totalAmount: batch.totalAmount
+    });
+    res.status(201).json({
+      success: true,
+      message: `${batch.validCount} of ${batch.rowCount} rows are ready to post`,
+      data: batch
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to validate deposit batch');
+  }
+};
+
+// One batch with all its rows
+export const getDepositBatch = async (req, res) => {
+  try {
+    const batch = await BulkDepositService.findBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Deposit batch not found' });
+    }
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch deposit batch');
+  }
+};
+
+// Post the valid rows of a draft batch
+export const postDepositBatch = async (req, res) => {
+  try {
+    const batch = await BulkDepositService.postBatch(req.params.id, req.user._id, requestAudit(req));
+    await audit(req, 'deposit_batch_posted', batch, {
+      batchId: batch.batchId,
+      postedCount: batch.postedCount,
+      postedAmount: batch.postedAmount,
+      failedCount: batch.failedCount
+    });
+    res.json({
+      success: true,
+      message: batch.failedCount > 0
+        ? `${batch.postedCount} rows posted, ${batch.failedCount} failed`
+        : `${batch.postedCount} rows posted`,
+      data: batch
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to post deposit batch');
+  }
+};
+
+// Reverse all posted rows of a batch, or only those in body.rowNumbers
+export const rollbackDepositBatch = async (req, res) => {
+  try {
+    const { batch, reversed, failures } = await BulkDepositService.rollbackBatch(req.params.id, req.body, req.user._id, requestAudit(req));
+    await audit(req, 'deposit_batch_rolled_back', batch, {
+      batchId: batch.batchId,
+      rowNumbers: reversed,
+      reasonCode: req.body.reasonCode,
+      reason: req.body.reason,
+      failures
+    });
+    res.json({
+      success: true,
+      message: failures.length > 0
+        ? `${reversed.length} rows reversed, ${failures.length} could not be reversed`
+        : `${reversed.length} rows reversed`,
+      data: { batch, reversed, failures }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to roll back deposit batch');
+  }
+};
+
+// Drop a draft without posting it
+export const discardDepositBatch = async (req, res) => {
+  try {
+    const batch = await BulkDepositService.discardBatch(req.params.id);
+    await audit(req, 'deposit_batch_discarded', batch, { batchId: batch.batchId });
+    res.json({ success: true, message: 'Deposit batch discarded', data: batch });
+  } catch (error) {
+    handleError(res, error, 'Failed to discard deposit batch');
+  }
+};
+
+// Result file: every row with its status, transaction ID and issues
+export const downloadDepositBatchResult = async (req, res) => {
+  try {
+    const batch = await BulkDepositService.findBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Deposit batch not found' });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="deposit-batch-${batch.batchId}.csv"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(batchToCsv(batch));
+  } catch (error) {
+    handleError(res, error, 'Failed to build deposit batch result');
+  }
+};
@@ -2,18 +2,23 @@ import Customer from '../models/customerModel.js';
 import DeviceVerification from '../models/deviceVerificationModel.js';
 import InAppNotification from '../models/inAppNotificationModel.js';
 import User from '../models/userModel.js';
-import jwt from 'jsonwebtoken';
 import validator from 'validator';
 import { logActivity } from '../utils/logActivity.js';
 import { generateCustomId } from '../utils/generateCustomId.js';
 import crypto from 'crypto';
+import CustomerTokenService, { CustomerTokenError } from '../services/customerTokenService.js';
+import CustomerPasswordService, { CustomerPasswordError, RESET_CODE_EXPIRES_MINUTES } from '../services/customerPasswordService.js';
 
-// Create JWT token
-const createToken = (customerId) => {
-  return jwt.sign({ customerId, type: 'customer' }, process.env.JWT_SECRET, {
-    // Short-lived token to satisfy session expiry on inactivity/close
-    expiresIn: process.env.CUSTOMER_JWT_EXPIRES_IN || '30m'
-  });
+// Access token without a refresh token, for a newly registered customer whose
+// device is not verified yet; login issues the rotating pair
+const createToken = (customerId) => CustomerTokenService.createAccessToken(customerId);
+
+const handleAuthError = (res, error, message) => {
+  if (error instanceof CustomerTokenError || error instanceof CustomerPasswordError) {
+    return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
 };
 
 // Helper function to get an admin user for notifications
@@ -457,6 +462,15 @@ export const loginCustomer = async (req, res) => {
       });
     }
 
+    // Legacy password hashes retired without being upgraded need a reset first
+    if (customer.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'Your password must be reset before you can log in. Use Forgot password or contact your branch.'
+      });
+    }
+
     // Compare password
     const isPasswordValid = await customer.comparePassword(password);
     if (!isPasswordValid) {
@@ -502,13 +516,19 @@ export const loginCustomer = async (req, res) => {
       }
     });
 
-    // Generate token
-    const token = createToken(customer._id);
+    // Short-lived access token plus a refresh token bound to this device
+    const { token, refreshToken, expiresIn, refreshExpiresAt } = await CustomerTokenService.issue(customer._id, deviceId, {
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
 
     res.status(200).json({
       success: true,
       message: 'Login successful!',
       token,
+      refreshToken,
+      expiresIn,
+      refreshExpiresAt,
       customer: {
         id: customer._id,
         customerCode: customer.customerCode,
@@ -528,6 +548,116 @@ export const loginCustomer = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token and refresh token
+export const refreshCustomerToken = async (req, res) => {
+  try {
+    const deviceId = req.headers['x-device-id'];
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID is required. Please provide header x-device-id.'
+      });
+    }
+
+    const { token, refreshToken, expiresIn, refreshExpiresAt } = await CustomerTokenService.rotate(req.body.refreshToken, deviceId, {
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ success: true, token, refreshToken, expiresIn, refreshExpiresAt });
+  } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_REUSED' || error.code === 'REFRESH_TOKEN_DEVICE_MISMATCH') {
+      console.warn(`⚠️ Customer refresh token family revoked (${error.code})`);
+    }
+    handleAuthError(res, error, 'Failed to refresh session');
+  }
+};
+
+// Log out: revoke the refresh token family so neither token works any more
+export const logoutCustomer = async (req, res) => {
+  try {
+    const revoked = await CustomerTokenService.revokeByRefreshToken(req.body.refreshToken);
+    if (revoked) {
+      await logActivity({
+        userId: revoked.customerId,
+        action: 'customer_logged_out',
+        entityType: 'customer',
+        entityId: revoked.customerId,
+        details: { ipAddress: req.ip || req.connection?.remoteAddress }
+      });
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    handleAuthError(res, error, 'Logout failed');
+  }
+};
+
+// Forgot password: send a reset code to the email address or phone number given.
+// The answer is the same whether or not an account matches.
+export const forgotCustomerPassword = async (req, res) => {
+  try {
+    const deviceId = req.headers['x-device-id'];
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID is required. Please provide header x-device-id.'
+      });
+    }
+
+    const result = await CustomerPasswordService.requestReset({
+      identifier: req.body.identifier,
+      deviceId,
+      ipAddress: req.ip || req.connection?.remoteAddress
+    });
+    if (result.customerId) {
+      await logActivity({
+        userId: result.customerId,
+        action: result.sent ? 'customer_password_reset_requested' : 'customer_password_reset_refused',
+        entityType: 'customer',
+        entityId: result.customerId,
+        details: { channel: result.channel, reason: result.reason, deviceId }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If the details match an account, we have sent a reset code. Codes only work on a verified device.',
+      expiresInMinutes: RESET_CODE_EXPIRES_MINUTES
+    });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to send reset code');
+  }
+};
+
+// Set a new password with the reset code, from the verified device that asked for it
+export const resetForgottenPassword = async (req, res) => {
+  try {
+    const deviceId = req.headers['x-device-id'];
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID is required. Please provide header x-device-id.'
+      });
+    }
+
+    const { identifier, code, newPassword } = req.body;
+    const customer = await CustomerPasswordService.resetWithCode({ identifier, code, newPassword, deviceId });
+
+    await logActivity({
+      userId: customer._id,
+      action: 'customer_password_reset_self_service',
+      entityType: 'customer',
+      entityId: customer._id,
+      details: { deviceId, ipAddress: req.ip || req.connection?.remoteAddress }
+    });
+
+    res.json({ success: true, message: 'Your password has been changed. Please log in with your new password.' });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to reset password');
+  }
+};
+
 // Get current customer info (for token verification)
 export const getCurrentCustomer = async (req, res) => {
   try {
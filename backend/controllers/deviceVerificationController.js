@@ -1,5 +1,6 @@
 import DeviceVerification from '../models/deviceVerificationModel.js';
 import Customer from '../models/customerModel.js';
+import CustomerTokenService from '../services/customerTokenService.js';
 import { 
   deviceVerificationSummaryDTO,
   deviceVerificationDetailsDTO,
@@ -130,6 +131,7 @@ export const verifyDevice = async (req, res) => {
       
       case 'suspend':
         deviceVerification.suspendDevice(reason, adminId);
+        await CustomerTokenService.revokeForDevice(deviceVerification.customerId._id, deviceVerification.deviceId, 'device_suspended');
         break;
       
       case 'revert':
@@ -157,6 +159,7 @@ export const verifyDevice = async (req, res) => {
         await Customer.findByIdAndUpdate(deviceVerification.customerId._id, { 
           deviceVerified: false 
         });
+        await CustomerTokenService.revokeForDevice(deviceVerification.customerId._id, deviceVerification.deviceId, 'device_revoked');
         break;
       
       default:
@@ -399,6 +402,9 @@ export const suspendDevice = async (req, res) => {
     deviceVerification.suspendDevice(reason, adminId);
     await deviceVerification.save();
 
+    // Sign the device out: its refresh tokens and the access tokens issued with them stop working
+    await CustomerTokenService.revokeForDevice(deviceVerification.customerId, deviceVerification.deviceId, 'device_suspended');
+
     res.json({
       success: true,
       message: 'Device suspended successfully',
@@ -490,11 +496,15 @@ export const revokeCustomerDeviceVerification = async (req, res) => {
       deviceVerified: false 
     });
 
+    // Sign the customer out everywhere
+    const revokedTokens = await CustomerTokenService.revokeForCustomer(customerId, 'device_revoked');
+
     res.json({
       success: true,
       message: `Successfully revoked ${deviceVerifications.length} device verification(s) for customer`,
       data: {
         revokedCount: deviceVerifications.length,
+        revokedTokens,
         customerId
       }
     });
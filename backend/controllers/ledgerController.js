@@ -0,0 +1,96 @@
+import ChartOfAccounts from '../models/chartOfAccountsModel.js';
+import LedgerService from '../services/ledgerService.js';
+import InterestService from '../services/interestService.js';
+import DefaultChartOfAccountsService from '../services/defaultChartOfAccountsService.js';
+
+const CHART_TEMPLATES = ['ndfsp', 'ndfi', 'basic'];
+
+// Parse an optional YYYY-MM-DD query value; null when absent, undefined when invalid
+const parseDate = (value) => {
+  if (!value) return null;
+  try {
+    return InterestService.toBusinessDate(value);
+  } catch {
+    return undefined;
+  }
+};
+
+// List the chart of accounts
+export const getChartOfAccounts = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.accountType) query.accountType = req.query.accountType;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const accounts = await ChartOfAccounts.find(query).sort({ accountCode: 1 }).lean();
+    res.json({ success: true, data: accounts });
+  } catch (error) {
+    console.error('Error fetching chart of accounts:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch chart of accounts', error: error.message });
+  }
+};
+
+// Seed the chart of accounts from a template (only while it is empty)
+export const seedChartOfAccounts = async (req, res) => {
+  try {
+    const template = req.body.template || 'ndfsp';
+    if (!CHART_TEMPLATES.includes(template)) {
+      return res.status(400).json({ success: false, message: `Template must be one of ${CHART_TEMPLATES.join(', ')}` });
+    }
+    if (await ChartOfAccounts.estimatedDocumentCount() > 0) {
+      return res.status(409).json({ success: false, message: 'Chart of accounts already exists' });
+    }
+
+    const result = await DefaultChartOfAccountsService.createDefaultChartOfAccounts(
+      req.body.clientName || 'default',
+      template,
+      req.user._id
+    );
+    res.status(201).json({ success: true, message: 'Chart of accounts created successfully', data: result });
+  } catch (error) {
+    console.error('Error seeding chart of accounts:', error);
+    res.status(500).json({ success: false, message: 'Failed to create chart of accounts', error: error.message });
+  }
+};
+
+// Journal entries, newest first
+export const getJournal = async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, message: 'Dates must be in YYYY-MM-DD format' });
+    }
+
+    const result = await LedgerService.getJournal({
+      from,
+      // Include the whole of the last day
+      to: to && new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1),
+      accountCode: req.query.accountCode,
+      referenceType: req.query.referenceType,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+    });
+
+    res.json({ success: true, data: result.entries, pagination: result.pagination });
+  } catch (error) {
+    console.error('Error fetching journal:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch journal', error: error.message });
+  }
+};
+
+// Trial balance as at the end of a business date (default today)
+export const getTrialBalance = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? parseDate(req.query.asOf) : InterestService.toBusinessDate(new Date());
+    if (!asOf) {
+      return res.status(400).json({ success: false, message: 'asOf must be a date in YYYY-MM-DD format' });
+    }
+
+    const trialBalance = await LedgerService.getTrialBalance(asOf);
+    res.json({ success: true, data: trialBalance });
+  } catch (error) {
+    console.error('Error building trial balance:', error);
+    res.status(500).json({ success: false, message: 'Failed to build trial balance', error: error.message });
+  }
+};
@@ -0,0 +1,109 @@
+import User from '../models/userModel.js';
+import MfaService, { MfaError } from '../services/mfaService.js';
+import { logActivity } from '../utils/logActivity.js';
+
+const handleError = (res, error, message) => {
+  if (error instanceof MfaError) {
+    return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+  console.error(`Error: ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const audit = async (req, action, userId, details) => {
+  try {
+    await logActivity({ userId: req.user._id?.toString(), action, entityType: 'user', entityId: userId, details });
+  } catch (logError) {
+    console.error(`Failed to log ${action}:`, logError.message);
+  }
+};
+
+// Own MFA status: enabled, required by policy, backup codes left
+export const getMfaStatus = async (req, res) => {
+  try {
+    res.json({ success: true, data: await MfaService.getStatus(req.user) });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch two-factor status');
+  }
+};
+
+// Start enrolling an authenticator app: returns the QR code and the secret for manual entry
+export const startMfaSetup = async (req, res) => {
+  try {
+    const enrollment = await MfaService.startEnrollment(req.user);
+    res.json({ success: true, data: enrollment });
+  } catch (error) {
+    handleError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+// Confirm enrolment with a code from the app; returns the backup codes once
+export const confirmMfaSetup = async (req, res) => {
+  try {
+    const backupCodes = await MfaService.confirmEnrollment(req.user, req.body.code);
+    await audit(req, 'user_mfa_enabled', req.user._id, { method: 'totp' });
+    res.json({ success: true, message: 'Two-factor authentication is on', data: { backupCodes } });
+  } catch (error) {
+    handleError(res, error, 'Failed to confirm two-factor setup');
+  }
+};
+
+// Replace the backup codes (needs a current code)
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const backupCodes = await MfaService.regenerateBackupCodes(req.user, req.body.code);
+    await audit(req, 'user_mfa_backup_codes_regenerated', req.user._id);
+    res.json({ success: true, message: 'New backup codes generated', data: { backupCodes } });
+  } catch (error) {
+    handleError(res, error, 'Failed to generate backup codes');
+  }
+};
+
+// Turn MFA off (needs a current code; refused when policy requires it)
+export const disableMfa = async (req, res) => {
+  try {
+    await MfaService.disable(req.user, req.body.code);
+    await audit(req, 'user_mfa_disabled', req.user._id);
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+  } catch (error) {
+    handleError(res, error, 'Failed to turn off two-factor authentication');
+  }
+};
+
+// Admin: who must use MFA
+export const getMfaPolicy = async (req, res) => {
+  try {
+    res.json({ success: true, data: await MfaService.getPolicy() });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch two-factor policy');
+  }
+};
+
+// Admin: change who must use MFA ({ requireTwoFactor, mfaRequiredRoles })
+export const updateMfaPolicy = async (req, res) => {
+  try {
+    const policy = await MfaService.updatePolicy(req.body, req.user._id);
+    await audit(req, 'mfa_policy_updated', req.user._id, policy);
+    res.json({ success: true, message: 'Two-factor policy updated', data: policy });
+  } catch (error) {
+    handleError(res, error, 'Failed to update two-factor policy');
+  }
+};
+
+// Admin: clear a staff member's MFA, e.g. after a lost phone
+export const resetUserMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('fullName email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const cleared = await MfaService.reset(user._id);
+    await audit(req, 'user_mfa_reset', user._id, { email: user.email, cleared });
+    res.json({
+      success: true,
+      message: cleared ? `Two-factor authentication reset for ${user.fullName}` : `${user.fullName} had no two-factor setup`
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to reset two-factor authentication');
+  }
+};
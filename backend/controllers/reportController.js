@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import ReconciliationReport from '../models/reconciliationReportModel.js';
+import ReconciliationService from '../services/reconciliationService.js';
+import { PostingError } from '../services/accountPostingService.js';
+import { logActivity } from '../utils/logActivity.js';
+
+// Reconciliation runs, newest first, without the break details
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = req.query.status ? { status: req.query.status } : {};
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(query)
+        .select('-breaks')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReconciliationReport.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reconciliation reports', error: error.message });
+  }
+};
+
+// One run with its breaks; `latest` returns the most recent run
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id !== 'latest' && !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid report ID' });
+    }
+
+    const report = id === 'latest'
+      ? await ReconciliationReport.findOne().sort({ startedAt: -1 }).lean()
+      : await ReconciliationReport.findById(id).lean();
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Reconciliation report not found' });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reconciliation report', error: error.message });
+  }
+};
+
+// Run the reconciliation now instead of waiting for the nightly job
+export const runReconciliation = async (req, res) => {
+  try {
+    const report = await ReconciliationService.run({
+      date: new Date(),
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    try {
+      await logActivity({
+        userId: req.user._id?.toString(),
+        action: 'reconciliation_run',
+        entityType: 'audit_trail',
+        entityId: report._id,
+        details: { status: report.status, breakCount: report.breakCount }
+      });
+    } catch (logError) {
+      console.error('Failed to log reconciliation run:', logError.message);
+    }
+
+    res.status(201).json({ success: true, message: 'Reconciliation completed', data: report });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ success: false, message: 'Failed to run reconciliation', error: error.message });
+  }
+};
@@ -2,6 +2,19 @@ import SavingsAccount from '../models/savingsAccountModel.js';
 import Customer from '../models/customerModel.js';
 import Transaction from '../models/transactionModel.js';
 import AccountProduct from '../models/accountProductModel.js';
+import Branch from '../models/branchModel.js';
+import InterestAccrual from '../models/interestAccrualModel.js';
+import InterestService from '../services/interestService.js';
+import FeeService from '../services/feeService.js';
+import TransactionLimitService from '../services/transactionLimitService.js';
+import TermDepositService from '../services/termDepositService.js';
+import StatementService, { statementToCsv } from '../services/statementService.js';
+import HoldService from '../services/holdService.js';
+import DormancyService from '../services/dormancyService.js';
+import AccountClosureService from '../services/accountClosureService.js';
+import { logActivity } from '../utils/logActivity.js';
+import { roundMoney } from '../utils/money.js';
+import { PostingError } from '../services/accountPostingService.js';
 import { 
   savingsAccountSummaryDTO, 
   savingsAccountDetailsDTO, 
@@ -15,7 +28,7 @@ import { transactionSummaryDTO } from '../dtos/transactionDTO.js';
 // Create a new savings account
 export const createSavingsAccount = async (req, res) => {
   try {
-    const { customerId, productId, accountType = 'regular', minimumBalance, interestRate } = req.body;
+    const { customerId, productId, accountType = 'regular', minimumBalance, interestRate, termDeposit, branchCode } = req.body;
     const createdBy = req.user._id;
 
     // Resolve customer identifier (supports ObjectId, customerCode, or "Full Name (CODE)")
@@ -88,18 +101,44 @@ export const createSavingsAccount = async (req, res) => {
       }
     }
 
+    // Account numbers are issued per branch; without one the default branch from settings is used
+    if (branchCode) {
+      const branch = await Branch.findOne({ code: String(branchCode).toUpperCase(), isActive: true });
+      if (!branch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Branch not found or inactive'
+        });
+      }
+    }
+
     // Use product settings or provided values
     const finalMinimumBalance = minimumBalance !== undefined ? minimumBalance : (product?.minimumBalance || 0);
     const finalInterestRate = interestRate !== undefined ? interestRate : (product?.interestRate || 0);
 
+    // Fixed accounts are term deposits: tenor and maturity are fixed at opening
+    let terms;
+    if (accountType === 'fixed') {
+      try {
+        terms = await TermDepositService.buildTerms(product, termDeposit, resolvedCustomerId);
+      } catch (error) {
+        if (error instanceof PostingError) {
+          return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        throw error;
+      }
+    }
+
     // Create new savings account
     const savingsAccount = new SavingsAccount({
       customerId: resolvedCustomerId,
       productId: productId || null,
       productCode: product?.productCode || '',
+      branchCode: branchCode || undefined,
       accountType,
       minimumBalance: finalMinimumBalance,
       interestRate: finalInterestRate,
+      termDeposit: terms,
       isVerified: true, // Accounts created via admin panel are verified by default
       createdBy
     });
@@ -259,6 +298,36 @@ export const updateSavingsAccount = async (req, res) => {
       });
     }
 
+    // Term deposits only change type through breakTerm/resolveMatured, which apply the lock and penalty
+    if (accountType && accountType !== account.accountType &&
+        (account.termDeposit?.status || accountType === 'fixed' || account.accountType === 'fixed')) {
+      return res.status(409).json({
+        success: false,
+        code: 'TERM_DEPOSIT_TYPE_LOCKED',
+        message: 'Term deposit account types cannot be changed here; open a term deposit or break the term instead'
+      });
+    }
+
+    // Dormancy is set by the dormancy run and lifted by /reactivate, which re-checks KYC
+    const dormancyStatuses = ['dormant', 'unclaimed'];
+    if (status && status !== account.status &&
+        (dormancyStatuses.includes(status) || dormancyStatuses.includes(account.status))) {
+      return res.status(409).json({
+        success: false,
+        code: 'STATUS_CHANGE_NOT_ALLOWED',
+        message: 'Dormant and unclaimed accounts can only be reactivated through the reactivation endpoint'
+      });
+    }
+
+    // Closing checks blockers, settles interest and the balance and issues a certificate; closed is final
+    if (status && status !== account.status && (status === 'closed' || account.status === 'closed')) {
+      return res.status(409).json({
+        success: false,
+        code: 'STATUS_CHANGE_NOT_ALLOWED',
+        message: 'Accounts can only be closed through the closure endpoint, and closed accounts cannot be reopened'
+      });
+    }
+
     // Update fields
     if (accountType) account.accountType = accountType;
     if (minimumBalance !== undefined) account.minimumBalance = minimumBalance;
@@ -457,7 +526,480 @@ export const getCustomerAccountSummary = async (req, res) => {
   }
 };
 
-// Delete savings account (allowed only when balance is zero)
+// Get daily interest accrual history for an account
+export const getInterestAccruals = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 31;
+
+    const account = await SavingsAccount.findById(id);
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Savings account not found' });
+    }
+
+    const filter = { accountId: id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [accruals, total, pending] = await Promise.all([
+      InterestAccrual.find(filter)
+        .sort({ accrualDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      InterestAccrual.countDocuments(filter),
+      InterestAccrual.getPendingInterest(id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        accruals,
+        pendingInterest: roundMoney(pending.total),
+        pendingDays: pending.days,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching interest accruals:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch interest accruals', error: error.message });
+  }
+};
+
+// Run interest accrual (and capitalisation on period ends) for a past business date
+export const runInterest = async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'Business date is required' });
+    }
+
+    let report;
+    try {
+      report = await InterestService.runForDate(date, { processedBy: req.user._id });
+    } catch (error) {
+      if (/business (date|day)/.test(error.message)) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `Interest run completed for ${report.date}`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error running interest:', error);
+    res.status(500).json({ success: false, message: 'Failed to run interest', error: error.message });
+  }
+};
+
+// Charge monthly maintenance fees for accounts billed on a past business date
+export const runFees = async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'Business date is required' });
+    }
+
+    let report;
+    try {
+      report = await FeeService.runForDate(date, { processedBy: req.user._id });
+    } catch (error) {
+      if (/business (date|day)/.test(error.message)) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `Fee run completed for ${report.date}`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error running fees:', error);
+    res.status(500).json({ success: false, message: 'Failed to run fees', error: error.message });
+  }
+};
+
+// Get charged/waived/skipped accounts for a billing period
+export const getFeeReport = async (req, res) => {
+  try {
+    const period = req.query.period || new Date().toISOString().slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+      return res.status(400).json({ success: false, message: 'Period must be in YYYY-MM format' });
+    }
+
+    const report = await FeeService.getPeriodReport(period);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error fetching fee report:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch fee report', error: error.message });
+  }
+};
+
+// Get deposit/withdrawal limits and today's usage for a channel (staff)
+export const getTransactionLimits = async (req, res) => {
+  try {
+    const channel = req.query.channel || 'teller';
+    if (!['teller', 'customer'].includes(channel)) {
+      return res.status(400).json({ success: false, message: 'Channel must be teller or customer' });
+    }
+
+    const account = await SavingsAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Savings account not found' });
+    }
+
+    const status = await TransactionLimitService.getLimitStatus(account, channel);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Error fetching transaction limits:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transaction limits', error: error.message });
+  }
+};
+
+// Get limits for one of the authenticated customer's own accounts
+export const getMyTransactionLimits = async (req, res) => {
+  try {
+    const account = await SavingsAccount.findOne({ _id: req.params.id, customerId: req.customer.customerId });
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Savings account not found' });
+    }
+
+    const status = await TransactionLimitService.getLimitStatus(account, 'customer');
+    return res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Error fetching my transaction limits:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch transaction limits' });
+  }
+};
+
+// Build a statement for ?from=&to= (YYYY-MM-DD) and send it as ?format=pdf (default) or csv
+const sendStatement = async (res, accountId, query) => {
+  const format = (query.format || 'pdf').toLowerCase();
+  if (!['pdf', 'csv'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'Statement format must be pdf or csv' });
+  }
+
+  let statement;
+  try {
+    statement = await StatementService.buildStatement(accountId, query);
+  } catch (error) {
+    if (/statement|business date/i.test(error.message)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+  if (!statement) {
+    return res.status(404).json({ success: false, message: 'Savings account not found' });
+  }
+
+  const filename = `statement-${statement.account.accountNumber}-${statement.period.from}-${statement.period.to}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return res.send(statementToCsv(statement));
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  return res.send(await StatementService.renderPdf(statement));
+};
+
+// Download an account statement
+export const getAccountStatement = async (req, res) => {
+  try {
+    return await sendStatement(res, req.params.id, req.query);
+  } catch (error) {
+    console.error('Error generating account statement:', error);
+    return res.status(500).json({ success: false, message: 'Failed to generate statement' });
+  }
+};
+
+// Download a statement for one of the customer's own accounts
+export const getMyAccountStatement = async (req, res) => {
+  try {
+    const owned = await SavingsAccount.exists({ _id: req.params.id, customerId: req.customer.customerId });
+    if (!owned) {
+      return res.status(404).json({ success: false, message: 'Savings account not found' });
+    }
+    return await sendStatement(res, req.params.id, req.query);
+  } catch (error) {
+    console.error('Error generating my account statement:', error);
+    return res.status(500).json({ success: false, message: 'Failed to generate statement' });
+  }
+};
+
+// List term deposits maturing soon or waiting for a staff decision
+export const getTermDeposits = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const filter = { accountType: 'fixed' };
+
+    if (req.query.status === 'awaiting_action') {
+      filter['termDeposit.status'] = 'awaiting_action';
+    } else {
+      filter['termDeposit.status'] = 'active';
+      filter['termDeposit.maturityDate'] = { $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+    }
+
+    const accounts = await SavingsAccount.find(filter)
+      .populate('customerId', 'customerCode personalInfo.fullName contact.phone')
+      .sort({ 'termDeposit.maturityDate': 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: accounts.map(account => ({
+        id: account._id,
+        accountNumber: account.accountNumber,
+        balance: account.balance,
+        customer: account.customerId ? {
+          id: account.customerId._id,
+          customerCode: account.customerId.customerCode,
+          fullName: account.customerId.personalInfo?.fullName
+        } : null,
+        termDeposit: account.termDeposit
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching term deposits:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch term deposits', error: error.message });
+  }
+};
+
+// Process term deposit maturities for a past business date (safe to repeat)
+export const runMaturities = async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'Business date is required' });
+    }
+
+    let report;
+    try {
+      report = await TermDepositService.processMaturities(date, { processedBy: req.user._id });
+    } catch (error) {
+      if (/business (date|day)/.test(error.message)) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
+    res.json({ success: true, message: `Maturity run completed for ${report.date}`, data: report });
+  } catch (error) {
+    console.error('Error running maturities:', error);
+    res.status(500).json({ success: false, message: 'Failed to run maturities', error: error.message });
+  }
+};
+
+// Run the dormancy engine for a past business date (safe to repeat)
+export const runDormancy = async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'Business date is required' });
+    }
+
+    let report;
+    try {
+      report = await DormancyService.runForDate(date);
+    } catch (error) {
+      if (/business (date|day)/.test(error.message)) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
+    res.json({ success: true, message: `Dormancy run completed for ${report.date}`, data: report });
+  } catch (error) {
+    console.error('Error running dormancy:', error);
+    res.status(500).json({ success: false, message: 'Failed to run dormancy', error: error.message });
+  }
+};
+
+// List dormant and unclaimed accounts with their balances
+export const getDormancyReport = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['dormant', 'unclaimed'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be dormant or unclaimed' });
+    }
+
+    const report = await DormancyService.getReport({ status });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error fetching dormancy report:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch dormancy report', error: error.message });
+  }
+};
+
+// Reactivate a dormant or unclaimed account after re-confirming the holder's KYC
+export const reactivateSavingsAccount = async (req, res) => {
+  try {
+    const { note, kyc } = req.body;
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'A note is required to reactivate an account' });
+    }
+
+    const { account, previousStatus } = await DormancyService.reactivate(req.params.id, {
+      reactivatedBy: req.user._id,
+      note,
+      kyc
+    });
+
+    try {
+      await logActivity({
+        userId: req.user._id?.toString(),
+        action: 'account_reactivated',
+        entityType: 'savings_account',
+        entityId: account._id,
+        details: { previousStatus, documentType: kyc.documentType, note }
+      });
+    } catch (logError) {
+      console.error('Failed to log account reactivation:', logError.message);
+    }
+
+    res.json({ success: true, message: 'Account reactivated successfully', data: savingsAccountDetailsDTO(account) });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error reactivating savings account:', error);
+    res.status(500).json({ success: false, message: 'Failed to reactivate account', error: error.message });
+  }
+};
+
+// Break a term deposit before maturity, applying the product penalty
+export const earlyWithdrawTermDeposit = async (req, res) => {
+  try {
+    const { payoutMethod = 'transfer', reason } = req.body;
+    if (!['transfer', 'cash'].includes(payoutMethod)) {
+      return res.status(400).json({ success: false, message: 'Payout method must be transfer or cash' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required for early withdrawal' });
+    }
+
+    const result = await TermDepositService.breakTerm(req.params.id, {
+      payoutMethod,
+      reason,
+      processedBy: req.user._id
+    });
+
+    res.json({ success: true, message: 'Term deposit withdrawn early', data: result });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error breaking term deposit:', error);
+    res.status(500).json({ success: false, message: 'Failed to process early withdrawal', error: error.message });
+  }
+};
+
+// Roll over or pay out a matured term deposit flagged for staff action
+export const resolveMaturedTermDeposit = async (req, res) => {
+  try {
+    const { action, payoutMethod = 'transfer' } = req.body;
+
+    const result = await TermDepositService.resolveMatured(req.params.id, {
+      action,
+      payoutMethod,
+      processedBy: req.user._id
+    });
+
+    res.json({ success: true, message: 'Maturity action applied', data: result });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error resolving matured term deposit:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply maturity action', error: error.message });
+  }
+};
+
+// Settlement preview for closing an account today, with anything that blocks closure
+export const getClosureQuote = async (req, res) => {
+  try {
+    const quote = await AccountClosureService.getQuote(req.params.id);
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error building closure quote:', error);
+    res.status(500).json({ success: false, message: 'Failed to calculate closure settlement', error: error.message });
+  }
+};
+
+// Close an account with final settlement: interest to date, closure fees and payout
+export const closeSavingsAccount = async (req, res) => {
+  try {
+    const { reason, note, payoutMethod = 'cash', payoutAccountId } = req.body;
+
+    const { account, settlement } = await AccountClosureService.closeAccount(req.params.id, {
+      reason,
+      note,
+      payoutMethod,
+      payoutAccountId,
+      closedBy: req.user._id
+    });
+
+    try {
+      await logActivity({
+        userId: req.user._id?.toString(),
+        action: 'account_closed',
+        entityType: 'savings_account',
+        entityId: account._id,
+        details: { reason, note, ...settlement }
+      });
+    } catch (logError) {
+      console.error('Failed to log account closure:', logError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Account closed successfully',
+      data: { account: savingsAccountDetailsDTO(account), settlement }
+    });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error closing savings account:', error);
+    res.status(500).json({ success: false, message: 'Failed to close account', error: error.message });
+  }
+};
+
+// Download the closure certificate of a closed account
+export const getClosureCertificate = async (req, res) => {
+  try {
+    const certificate = await AccountClosureService.renderCertificate(req.params.id);
+    if (!certificate) {
+      return res.status(404).json({ success: false, message: 'Savings account not found' });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="closure-certificate-${certificate.certificateNumber}.pdf"`);
+    res.setHeader('Content-Type', 'application/pdf');
+    return res.send(certificate.pdf);
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error generating closure certificate:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate closure certificate' });
+  }
+};
+
+// Delete a savings account opened in error; accounts with any transactions must be closed instead
 export const deleteSavingsAccount = async (req, res) => {
   try {
     const { id } = req.params;
@@ -471,6 +1013,14 @@ export const deleteSavingsAccount = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cannot delete an account with non-zero balance' });
     }
 
+    if (await Transaction.exists({ accountId: account._id })) {
+      return res.status(409).json({
+        success: false,
+        code: 'ACCOUNT_HAS_HISTORY',
+        message: 'Accounts with transactions cannot be deleted; close the account instead'
+      });
+    }
+
     await SavingsAccount.findByIdAndDelete(id);
     return res.json({ success: true, message: 'Savings account deleted successfully' });
   } catch (error) {
@@ -504,6 +1054,10 @@ export const createCustomerSavingsAccount = async (req, res) => {
       }
     }
 
+    if (accountType === 'fixed' || product?.accountType === 'fixed') {
+      return res.status(400).json({ success: false, message: 'Term deposits are opened by branch staff' });
+    }
+
     const savingsAccount = new SavingsAccount({
       customerId: customer._id,
       productId: productId || null,
@@ -539,3 +1093,108 @@ export const getMySavingsAccounts = async (req, res) => {
     return res.status(500).json({ success: false, message: 'Failed to fetch savings accounts' });
   }
 };
+
+// 'pending_approval' holds are placed by ApprovalService only
+const HOLD_REASON_CODES = ['court_order', 'collateral', 'fraud_investigation', 'other'];
+
+// List holds on an account (?status=active|released|expired)
+export const getAccountHolds = async (req, res) => {
+  try {
+    const account = await SavingsAccount.findById(req.params.id).select('balance heldAmount');
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Savings account not found' });
+    }
+
+    const holds = await HoldService.getHolds(account._id, { status: req.query.status });
+    res.json({
+      success: true,
+      data: {
+        balance: account.balance,
+        heldAmount: account.heldAmount || 0,
+        availableBalance: account.availableBalance,
+        holds
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching account holds:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch holds', error: error.message });
+  }
+};
+
+// Freeze part of an account balance
+export const createAccountHold = async (req, res) => {
+  try {
+    const { amount, reasonCode, description, reference, expiresAt } = req.body;
+    if (!HOLD_REASON_CODES.includes(reasonCode)) {
+      return res.status(400).json({ success: false, message: `Reason code must be one of ${HOLD_REASON_CODES.join(', ')}` });
+    }
+    if (!description) {
+      return res.status(400).json({ success: false, message: 'A description is required for a hold' });
+    }
+
+    const hold = await HoldService.placeHold(req.params.id, {
+      amount,
+      reasonCode,
+      description,
+      reference,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    try {
+      await logActivity({
+        userId: req.user._id?.toString(),
+        action: 'account_hold_placed',
+        entityType: 'savings_account',
+        entityId: hold.accountId,
+        details: { holdId: hold._id, amount: hold.amount, reasonCode, reference }
+      });
+    } catch (logError) {
+      console.error('Failed to log hold placement:', logError.message);
+    }
+
+    res.status(201).json({ success: true, message: 'Hold placed successfully', data: hold });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error placing account hold:', error);
+    res.status(500).json({ success: false, message: 'Failed to place hold', error: error.message });
+  }
+};
+
+// Release an active hold before its expiry
+export const releaseAccountHold = async (req, res) => {
+  try {
+    const { note } = req.body;
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'A note is required to release a hold' });
+    }
+
+    const hold = await HoldService.releaseHold(req.params.holdId, {
+      accountId: req.params.id,
+      releasedBy: req.user._id,
+      note
+    });
+
+    try {
+      await logActivity({
+        userId: req.user._id?.toString(),
+        action: 'account_hold_released',
+        entityType: 'savings_account',
+        entityId: hold.accountId,
+        details: { holdId: hold._id, amount: hold.amount, note }
+      });
+    } catch (logError) {
+      console.error('Failed to log hold release:', logError.message);
+    }
+
+    res.json({ success: true, message: 'Hold released successfully', data: hold });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Error releasing account hold:', error);
+    res.status(500).json({ success: false, message: 'Failed to release hold', error: error.message });
+  }
+};
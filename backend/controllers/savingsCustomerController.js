@@ -9,9 +9,10 @@ import {
   customerListDTO,
   customerStatsDTO
 } from '../dtos/customerDTO.js';
-import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import { logActivity } from '../utils/logActivity.js';
+import CustomerPasswordService from '../services/customerPasswordService.js';
+import CustomerTokenService from '../services/customerTokenService.js';
 import { generateCustomId } from '../utils/generateCustomId.js';
 
 // Customer registration
@@ -132,6 +133,14 @@ export const loginCustomer = async (req, res) => {
       });
     }
 
+    if (customer.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'Your password must be reset before you can log in. Use Forgot password or contact your branch.'
+      });
+    }
+
     // Check password
     const isPasswordValid = await customer.comparePassword(password);
     if (!isPasswordValid) {
@@ -434,6 +443,25 @@ export const getCustomerStats = async (req, res) => {
   }
 };
 
+// How many customers are still on the legacy password hash (?inactiveDays=)
+export const getPasswordSchemeReport = async (req, res) => {
+  try {
+    const inactiveDays = parseInt(req.query.inactiveDays) || undefined;
+    const report = await CustomerPasswordService.schemeReport({ inactiveDays });
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building password scheme report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build password scheme report',
+      error: error.message
+    });
+  }
+};
+
 // Reset customer password (admin)
 export const resetCustomerPassword = async (req, res) => {
   try {
@@ -448,11 +476,21 @@ export const resetCustomerPassword = async (req, res) => {
       });
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 12);
-    customer.password = hashedPassword;
+    if (!newPassword || newPassword.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 8 characters'
+      });
+    }
+
+    // Hashed by the model, which also clears a forced reset
+    customer.password = newPassword;
     await customer.save();
 
+    // Sign the customer out everywhere and tell them the password changed
+    await CustomerTokenService.revokeForCustomer(customer._id, 'password_changed');
+    await CustomerPasswordService.notifyPasswordChanged(customer);
+
     // Log activity
     await logActivity({
       userId: req.user.id,
@@ -0,0 +1,124 @@
+import User from '../models/userModel.js';
+import SessionService, { SessionError } from '../services/sessionService.js';
+import { logActivity } from '../utils/logActivity.js';
+
+const handleError = (res, error, message) => {
+  if (error instanceof SessionError) {
+    return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+  console.error(`Error: ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const audit = async (req, action, userId, details) => {
+  try {
+    await logActivity({ userId: req.user._id?.toString(), action, entityType: 'user', entityId: userId, details });
+  } catch (logError) {
+    console.error(`Failed to log ${action}:`, logError.message);
+  }
+};
+
+const requestIp = (req) => req.ip || req.connection?.remoteAddress;
+
+// Own active sessions, with the one making the request marked as current
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listForUser(req.user._id, { currentSessionId: req.sessionId });
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch sessions');
+  }
+};
+
+// Sign out one of your other devices
+export const terminateMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (sessionId === req.sessionId) {
+      return res.status(400).json({ success: false, message: 'Use Logout to end the session you are using' });
+    }
+    await SessionService.terminate(req.user._id, sessionId, 'user_terminated', requestIp(req));
+    await audit(req, 'user_session_terminated', req.user._id, { sessionId });
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    handleError(res, error, 'Failed to sign out session');
+  }
+};
+
+// Sign out every device except this one
+export const terminateOtherSessions = async (req, res) => {
+  try {
+    const ended = await SessionService.terminateAll(req.user._id, {
+      exceptSessionId: req.sessionId,
+      reason: 'user_terminated',
+      ipAddress: requestIp(req)
+    });
+    await audit(req, 'user_sessions_terminated', req.user._id, { ended, keptSessionId: req.sessionId });
+    res.json({ success: true, message: `${ended} other session${ended === 1 ? '' : 's'} signed out`, data: { ended } });
+  } catch (error) {
+    handleError(res, error, 'Failed to sign out other sessions');
+  }
+};
+
+// Admin: a staff member's sessions, including recently ended ones
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('fullName email role');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const sessions = await SessionService.listForUser(user._id, {
+      currentSessionId: req.sessionId,
+      includeEnded: true
+    });
+    res.json({ success: true, data: { user, sessions } });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch user sessions');
+  }
+};
+
+// Admin: end one session ({ sessionId }) or all of a staff member's sessions
+export const terminateUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('fullName email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { sessionId } = req.body;
+    let ended = 1;
+    if (sessionId) {
+      await SessionService.terminate(user._id, sessionId, 'admin_terminated', requestIp(req));
+    } else {
+      ended = await SessionService.terminateAll(user._id, { reason: 'admin_terminated', ipAddress: requestIp(req) });
+    }
+    await audit(req, 'user_sessions_terminated_by_admin', user._id, { email: user.email, sessionId, ended });
+    res.json({
+      success: true,
+      message: `${ended} session${ended === 1 ? '' : 's'} ended for ${user.fullName}`,
+      data: { ended }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to end user sessions');
+  }
+};
+
+// Admin: idle timeout and concurrent-session limit
+export const getSessionPolicy = async (req, res) => {
+  try {
+    res.json({ success: true, data: await SessionService.getPolicy() });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch session policy');
+  }
+};
+
+// Admin: change the idle timeout ({ idleTimeoutMinutes }) or the limit ({ maxConcurrentSessions })
+export const updateSessionPolicy = async (req, res) => {
+  try {
+    const policy = await SessionService.updatePolicy(req.body, req.user._id);
+    await audit(req, 'session_policy_updated', req.user._id, policy);
+    res.json({ success: true, message: 'Session policy updated', data: policy });
+  } catch (error) {
+    handleError(res, error, 'Failed to update session policy');
+  }
+};
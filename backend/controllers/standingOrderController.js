@@ -0,0 +1,154 @@
+import StandingOrderService from '../services/standingOrderService.js';
+import { PostingError } from '../services/accountPostingService.js';
+import { logActivity } from '../utils/logActivity.js';
+
+const handleError = (res, error, message) => {
+  if (error instanceof PostingError) {
+    return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+  console.error(`Error: ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const audit = async (req, action, order, details) => {
+  try {
+    await logActivity({ userId: req.user._id?.toString(), action, entityType: 'standing_order', entityId: order._id, details });
+  } catch (logError) {
+    console.error(`Failed to log ${action}:`, logError.message);
+  }
+};
+
+const STATUS_MESSAGES = {
+  pause: 'Standing order paused',
+  resume: 'Standing order resumed',
+  cancel: 'Standing order cancelled'
+};
+
+// Standing orders, filtered by ?accountId= (either side), ?customerId=, ?status= and ?type=
+export const getStandingOrders = async (req, res) => {
+  try {
+    const { accountId, customerId, status, type } = req.query;
+    const orders = await StandingOrderService.list({ accountId, customerId, status, type });
+    res.json({ success: true, data: orders });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch standing orders');
+  }
+};
+
+// Set up a standing order for a customer
+export const createStandingOrder = async (req, res) => {
+  try {
+    const order = await StandingOrderService.create(req.body, { createdBy: req.user._id, channel: 'staff' });
+    await audit(req, 'standing_order_created', order, {
+      reference: order.reference,
+      type: order.type,
+      amount: order.amount,
+      frequency: order.frequency
+    });
+    res.status(201).json({ success: true, message: 'Standing order created', data: order });
+  } catch (error) {
+    handleError(res, error, 'Failed to create standing order');
+  }
+};
+
+// A standing order with its installment history
+export const getStandingOrder = async (req, res) => {
+  try {
+    const result = await StandingOrderService.getWithInstallments(req.params.id, { limit: parseInt(req.query.limit) || 50 });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Standing order not found' });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch standing order');
+  }
+};
+
+const changeStatus = (action) => async (req, res) => {
+  try {
+    const order = await StandingOrderService.changeStatus(req.params.id, action, {
+      userId: req.user._id,
+      reason: req.body?.reason
+    });
+    await audit(req, `standing_order_${action === 'cancel' ? 'cancelled' : `${action}d`}`, order, {
+      reference: order.reference,
+      reason: req.body?.reason
+    });
+    res.json({ success: true, message: STATUS_MESSAGES[action], data: order });
+  } catch (error) {
+    handleError(res, error, `Failed to ${action} standing order`);
+  }
+};
+
+export const pauseStandingOrder = changeStatus('pause');
+export const resumeStandingOrder = changeStatus('resume');
+export const cancelStandingOrder = changeStatus('cancel');
+
+// Run the standing order job for a business date (safe to repeat)
+export const runStandingOrders = async (req, res) => {
+  try {
+    const report = await StandingOrderService.runForDate(req.body.date || new Date(), { processedBy: req.user._id });
+    res.json({ success: true, message: 'Standing order run completed', data: report });
+  } catch (error) {
+    if (error.message === 'Invalid business date') {
+      return res.status(400).json({ success: false, message: 'Invalid date' });
+    }
+    handleError(res, error, 'Failed to run standing orders');
+  }
+};
+
+// Customer: own standing orders
+export const getMyStandingOrders = async (req, res) => {
+  try {
+    const orders = await StandingOrderService.list({
+      customerId: req.customer.customerId,
+      status: req.query.status,
+      type: req.query.type
+    });
+    res.json({ success: true, data: orders });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch standing orders');
+  }
+};
+
+// Customer: set up a standing order from (or, for recurring deposits, into) one of their accounts
+export const createMyStandingOrder = async (req, res) => {
+  try {
+    const order = await StandingOrderService.create(req.body, { customerId: req.customer.customerId, channel: 'customer' });
+    res.status(201).json({ success: true, message: 'Standing order created', data: order });
+  } catch (error) {
+    handleError(res, error, 'Failed to create standing order');
+  }
+};
+
+// Customer: one of their standing orders with its installments
+export const getMyStandingOrder = async (req, res) => {
+  try {
+    const result = await StandingOrderService.getWithInstallments(req.params.id, {
+      customerId: req.customer.customerId,
+      limit: parseInt(req.query.limit) || 50
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Standing order not found' });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch standing order');
+  }
+};
+
+const changeMyStatus = (action) => async (req, res) => {
+  try {
+    const order = await StandingOrderService.changeStatus(req.params.id, action, {
+      customerId: req.customer.customerId,
+      reason: req.body?.reason
+    });
+    res.json({ success: true, message: STATUS_MESSAGES[action], data: order });
+  } catch (error) {
+    handleError(res, error, `Failed to ${action} standing order`);
+  }
+};
+
+export const pauseMyStandingOrder = changeMyStatus('pause');
+export const resumeMyStandingOrder = changeMyStatus('resume');
+export const cancelMyStandingOrder = changeMyStatus('cancel');
@@ -0,0 +1,207 @@
+import TellerSession from '../models/tellerSessionModel.js';
+import Vault from '../models/vaultModel.js';
+import CashMovement from '../models/cashMovementModel.js';
+import BusinessDay from '../models/businessDayModel.js';
+import TellerService from '../services/tellerService.js';
+import InterestService from '../services/interestService.js';
+import { PostingError } from '../services/accountPostingService.js';
+import { tellerSessionDTO } from '../dtos/tellerSessionDTO.js';
+import { logActivity } from '../utils/logActivity.js';
+
+// Roles that supervise drawers: they see running totals and can close any drawer
+const SUPERVISOR_ROLES = ['admin', 'manager', 'branch-manager'];
+
+const isSupervisor = (user) => SUPERVISOR_ROLES.includes(user?.role);
+
+const handleError = (res, error, message) => {
+  if (error instanceof PostingError) {
+    return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+  console.error(`Error: ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const audit = async (req, action, entityType, entityId, details) => {
+  try {
+    await logActivity({ userId: req.user._id?.toString(), action, entityType, entityId, details });
+  } catch (logError) {
+    console.error(`Failed to log ${action}:`, logError.message);
+  }
+};
+
+// Open the current user's drawer for today
+export const openDrawer = async (req, res) => {
+  try {
+    const { openingFloat, branchCode } = req.body;
+    const drawer = await TellerService.openDrawer({
+      tellerId: req.user._id,
+      branchCode,
+      openingFloat,
+      openedBy: req.user._id
+    });
+
+    await audit(req, 'teller_drawer_opened', 'teller_session', drawer._id, { branchCode: drawer.branchCode, openingFloat: drawer.openingFloat });
+
+    res.status(201).json({ success: true, message: 'Cash drawer opened', data: tellerSessionDTO(drawer, { blind: true }) });
+  } catch (error) {
+    handleError(res, error, 'Failed to open cash drawer');
+  }
+};
+
+// The current user's open drawer, without running totals for tellers (blind count)
+export const getMyDrawer = async (req, res) => {
+  try {
+    const drawer = await TellerSession.findOne({ teller: req.user._id, status: 'open' }).lean();
+    res.json({
+      success: true,
+      data: drawer ? tellerSessionDTO(drawer, { blind: !isSupervisor(req.user) }) : null
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch cash drawer');
+  }
+};
+
+// Close a drawer with the blind count; tellers can only close their own
+export const closeDrawer = async (req, res) => {
+  try {
+    const { countedCash, note } = req.body;
+    const drawer = await TellerService.closeDrawer(req.params.id, {
+      countedCash,
+      note,
+      closedBy: req.user._id,
+      ownerOnly: !isSupervisor(req.user)
+    });
+
+    await audit(req, 'teller_drawer_closed', 'teller_session', drawer._id, {
+      countedCash: drawer.countedCash,
+      expectedCash: drawer.expectedCash,
+      variance: drawer.variance,
+      varianceType: drawer.varianceType
+    });
+
+    res.json({ success: true, message: 'Cash drawer closed', data: tellerSessionDTO(drawer) });
+  } catch (error) {
+    handleError(res, error, 'Failed to close cash drawer');
+  }
+};
+
+// Drawers for a branch and date (supervisors)
+export const getDrawers = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.branchCode) query.branchCode = String(req.query.branchCode).toUpperCase();
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.date) {
+      try {
+        query.businessDate = InterestService.toBusinessDate(req.query.date);
+      } catch {
+        return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format' });
+      }
+    }
+
+    const drawers = await TellerSession.find(query)
+      .populate('teller', 'fullName email')
+      .sort({ businessDate: -1, openedAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({ success: true, data: drawers.map(drawer => tellerSessionDTO(drawer)) });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch cash drawers');
+  }
+};
+
+// Move cash between the vault and drawers
+export const transferCash = async (req, res) => {
+  try {
+    const { from, to, amount, note } = req.body;
+    const movement = await TellerService.transferCash({ from, to, amount, note, performedBy: req.user._id });
+
+    await audit(req, 'teller_cash_transferred', 'teller_session', movement.toSession || movement.fromSession, {
+      type: movement.type,
+      amount: movement.amount,
+      branchCode: movement.branchCode
+    });
+
+    res.status(201).json({ success: true, message: 'Cash transferred', data: movement });
+  } catch (error) {
+    handleError(res, error, 'Failed to transfer cash');
+  }
+};
+
+// Vault balance and today's cash movements
+export const getVault = async (req, res) => {
+  try {
+    const branchCode = await TellerService.resolveBranchCode(req.params.branchCode);
+    const [vault, movements] = await Promise.all([
+      Vault.findOne({ branchCode }).lean(),
+      CashMovement.find({ branchCode, businessDate: TellerService.today() })
+        .populate('performedBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .lean()
+    ]);
+
+    res.json({ success: true, data: { branchCode, balance: vault?.balance || 0, movements } });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch vault');
+  }
+};
+
+// Cash delivered to or collected from a vault
+export const adjustVault = async (req, res) => {
+  try {
+    const { direction, amount, note } = req.body;
+    const { vault, movement } = await TellerService.adjustVault({
+      branchCode: req.params.branchCode,
+      direction,
+      amount,
+      note,
+      performedBy: req.user._id
+    });
+
+    await audit(req, 'vault_cash_adjusted', 'branch', null, { branchCode: vault.branchCode, type: movement.type, amount: movement.amount, note });
+
+    res.status(201).json({ success: true, message: 'Vault updated', data: { branchCode: vault.branchCode, balance: vault.balance, movement } });
+  } catch (error) {
+    handleError(res, error, 'Failed to update vault');
+  }
+};
+
+// End-of-day close of a branch
+export const closeBusinessDay = async (req, res) => {
+  try {
+    const { branchCode, date, note } = req.body;
+    const day = await TellerService.closeBusinessDay({ branchCode, date, note, closedBy: req.user._id });
+
+    await audit(req, 'business_day_closed', 'branch', null, {
+      branchCode: day.branchCode,
+      businessDate: day.businessDate,
+      summary: day.summary
+    });
+
+    res.status(201).json({ success: true, message: 'Business day closed', data: day });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, code: 'BUSINESS_DATE_CLOSED', message: 'Business date is already closed' });
+    }
+    handleError(res, error, 'Failed to close business day');
+  }
+};
+
+// Closed business days, newest first
+export const getBusinessDays = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.branchCode) query.branchCode = String(req.query.branchCode).toUpperCase();
+
+    const days = await BusinessDay.find(query)
+      .populate('closedBy', 'fullName')
+      .sort({ businessDate: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 30, 200))
+      .lean();
+
+    res.json({ success: true, data: days });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch business days');
+  }
+};
@@ -1,4 +1,4 @@
-import Transaction from '../models/transactionModel.js';
+import Transaction, { getTransactionDirection } from '../models/transactionModel.js';
 import SavingsAccount from '../models/savingsAccountModel.js';
 import Customer from '../models/customerModel.js';
 import { 
@@ -10,11 +10,18 @@ import {
   dailyTransactionReportDTO,
   transactionHistoryDTO
 } from '../dtos/transactionDTO.js';
+import AccountPostingService, { PostingError } from '../services/accountPostingService.js';
+import TransactionLimitService from '../services/transactionLimitService.js';
+import ApprovalService from '../services/approvalService.js';
+import TellerService, { isCashPosting } from '../services/tellerService.js';
+import { logActivity } from '../utils/logActivity.js';
+
+const REVERSAL_REASON_CODES = Transaction.schema.path('reasonCode').enumValues;
 
 // Process deposit transaction
 export const processDeposit = async (req, res) => {
   try {
-    const { accountId, amount, description, reference } = req.body;
+    const { accountId, amount, description, reference, channel } = req.body;
     const processedBy = req.user._id;
     const deviceId = req.headers['x-device-id'] || 'unknown';
     const ipAddress = (req.ip || req.connection?.remoteAddress || 'unknown').toString();
@@ -29,61 +36,71 @@ export const processDeposit = async (req, res) => {
       });
     }
 
-    // Find savings account
-    const account = await SavingsAccount.findById(accountId);
-    if (!account) {
-      return res.status(404).json({
-        success: false,
-        message: 'Savings account not found'
-      });
-    }
+    const { account, transaction, pendingApproval } = await AccountPostingService.runInTransaction(async (session) => {
+      // Find savings account
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
 
-    // Check if deposit is allowed
-    const canDeposit = account.canDeposit(amountNumber);
-    if (!canDeposit.allowed) {
-      return res.status(400).json({
-        success: false,
-        message: canDeposit.reason
-      });
-    }
+      // Check if deposit is allowed
+      const canDeposit = account.canDeposit(amountNumber);
+      if (!canDeposit.allowed) {
+        throw new PostingError(canDeposit.reason);
+      }
+      await TransactionLimitService.assertWithinLimits(account, { kind: 'deposit', amount: amountNumber, channel: 'teller' }, session);
 
-    // Get customer
-    const customer = await Customer.findById(account.customerId);
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer not found'
-      });
-    }
+      // Get customer
+      const customer = await Customer.findById(account.customerId).session(session);
+      if (!customer) {
+        throw new PostingError('Customer not found', 404);
+      }
+
+      // Cash goes through the teller's open drawer; back-office postings have no drawer
+      const drawer = isCashPosting(req.user.role, channel)
+        ? await TellerService.requireOpenDrawer(processedBy, session)
+        : null;
+
+      const entry = {
+        type: 'deposit',
+        amount: amountNumber,
+        description: description || 'Deposit transaction',
+        reference,
+        processedBy,
+        tellerSessionId: drawer?._id,
+        deviceId,
+        ipAddress,
+        userAgent
+      };
+
+      // Large or sensitive amounts wait for a second user (maker-checker)
+      const rule = await ApprovalService.findRule(account, { type: 'deposit', role: req.user.role, amount: amountNumber }, session);
+      if (rule) {
+        const transaction = await ApprovalService.createPending(account, entry, { rule }, session);
+        return { account, transaction, pendingApproval: true };
+      }
+
+      const transaction = await AccountPostingService.postEntry(account, entry, session);
 
-    // Update account balance
-    const balanceBefore = Number(account.balance) || 0;
-    account.balance = balanceBefore + amountNumber;
-    account.lastTransactionDate = new Date();
-    await account.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      accountId,
-      customerId: account.customerId,
-      type: 'deposit',
-      amount: amountNumber,
-      balanceBefore: balanceBefore,
-      balanceAfter: Number(account.balance),
-      description: description || 'Deposit transaction',
-      reference,
-      processedBy,
-      deviceId,
-      ipAddress,
-      userAgent,
-      status: 'completed'
-    });
-
-    await transaction.save();
+      return { account, transaction };
+    });
 
     // Populate the saved transaction to ensure all fields are accessible
     await transaction.populate('customerId', 'personalInfo.fullName customerCode');
 
+    if (pendingApproval) {
+      await ApprovalService.audit('transaction_approval_requested', transaction, processedBy);
+      return res.status(202).json({
+        success: true,
+        message: 'Deposit submitted for approval',
+        data: {
+          transaction: transactionDetailsDTO(transaction),
+          pendingApproval: true,
+          newBalance: account.balance
+        }
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Deposit processed successfully',
@@ -93,6 +110,13 @@ export const processDeposit = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('Error processing deposit:', error);
     console.error('Error stack:', error.stack);
     if (error.errors) {
@@ -110,75 +134,86 @@ export const processDeposit = async (req, res) => {
 // Process withdrawal transaction
 export const processWithdrawal = async (req, res) => {
   try {
-    const { accountId, amount, description, reference } = req.body;
+    const { accountId, amount, description, reference, channel } = req.body;
     const processedBy = req.user._id;
     const deviceId = req.headers['x-device-id'] || 'unknown';
-    const ipAddress = req.ip || req.connection.remoteAddress;
+    const ipAddress = (req.ip || req.connection?.remoteAddress || 'unknown').toString();
     const userAgent = req.headers['user-agent'] || '';
 
     // Validate amount
-    if (!amount || amount <= 0) {
+    const amountNumber = Number(amount);
+    if (!amountNumber || Number.isNaN(amountNumber) || amountNumber <= 0) {
       return res.status(400).json({
         success: false,
         message: 'Invalid withdrawal amount'
       });
     }
 
-    // Find savings account
-    const account = await SavingsAccount.findById(accountId);
-    if (!account) {
-      return res.status(404).json({
-        success: false,
-        message: 'Savings account not found'
-      });
-    }
+    const { account, transaction, pendingApproval } = await AccountPostingService.runInTransaction(async (session) => {
+      // Find savings account
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
 
-    // Check if withdrawal is allowed
-    const canWithdraw = account.canWithdraw(amount);
-    if (!canWithdraw.allowed) {
-      return res.status(400).json({
-        success: false,
-        message: canWithdraw.reason
-      });
-    }
+      // Check if withdrawal is allowed
+      const canWithdraw = account.canWithdraw(amountNumber);
+      if (!canWithdraw.allowed) {
+        throw new PostingError(canWithdraw.reason);
+      }
+      await TransactionLimitService.assertWithinLimits(account, { kind: 'withdrawal', amount: amountNumber, channel: 'teller' }, session);
 
-    // Get customer
-    const customer = await Customer.findById(account.customerId);
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer not found'
-      });
-    }
+      // Get customer
+      const customer = await Customer.findById(account.customerId).session(session);
+      if (!customer) {
+        throw new PostingError('Customer not found', 404);
+      }
 
-    // Update account balance
-    const balanceBefore = Number(account.balance) || 0;
-    account.balance = balanceBefore - Number(amount);
-    account.lastTransactionDate = new Date();
-    await account.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      accountId,
-      customerId: account.customerId,
-      type: 'withdrawal',
-      amount: Number(amount),
-      balanceBefore: balanceBefore,
-      balanceAfter: Number(account.balance),
-      description: description || 'Withdrawal transaction',
-      reference,
-      processedBy,
-      deviceId,
-      ipAddress,
-      userAgent,
-      status: 'completed'
-    });
-
-    await transaction.save();
+      // Cash goes through the teller's open drawer; back-office postings have no drawer
+      const drawer = isCashPosting(req.user.role, channel)
+        ? await TellerService.requireOpenDrawer(processedBy, session)
+        : null;
+
+      const entry = {
+        type: 'withdrawal',
+        amount: amountNumber,
+        description: description || 'Withdrawal transaction',
+        reference,
+        processedBy,
+        tellerSessionId: drawer?._id,
+        deviceId,
+        ipAddress,
+        userAgent
+      };
+
+      // Large or sensitive amounts wait for a second user (maker-checker)
+      const rule = await ApprovalService.findRule(account, { type: 'withdrawal', role: req.user.role, amount: amountNumber }, session);
+      if (rule) {
+        const transaction = await ApprovalService.createPending(account, entry, { rule }, session);
+        return { account, transaction, pendingApproval: true };
+      }
+
+      const transaction = await AccountPostingService.postEntry(account, entry, session);
+
+      return { account, transaction };
+    });
 
     // Populate the saved transaction to ensure all fields are accessible
     await transaction.populate('customerId', 'personalInfo.fullName customerCode');
 
+    if (pendingApproval) {
+      await ApprovalService.audit('transaction_approval_requested', transaction, processedBy);
+      return res.status(202).json({
+        success: true,
+        message: 'Withdrawal submitted for approval',
+        data: {
+          transaction: transactionDetailsDTO(transaction),
+          pendingApproval: true,
+          newBalance: account.balance
+        }
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Withdrawal processed successfully',
@@ -188,6 +223,13 @@ export const processWithdrawal = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('Error processing withdrawal:', error);
     console.error('Error stack:', error.stack);
     if (error.errors) {
@@ -215,41 +257,35 @@ export const customerDeposit = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid deposit amount' });
     }
 
-    const account = await SavingsAccount.findById(accountId);
-    if (!account) {
-      return res.status(404).json({ success: false, message: 'Savings account not found' });
-    }
-    // Ensure account belongs to current customer
-    if (String(account.customerId) !== String(req.customer.customerId)) {
-      return res.status(403).json({ success: false, message: 'You can only transact on your own account' });
-    }
-
-    const canDeposit = account.canDeposit(amountNumber);
-    if (!canDeposit.allowed) {
-      return res.status(400).json({ success: false, message: canDeposit.reason });
-    }
+    const { account, transaction } = await AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
+      // Ensure account belongs to current customer
+      if (String(account.customerId) !== String(req.customer.customerId)) {
+        throw new PostingError('You can only transact on your own account', 403);
+      }
 
-    const balanceBefore = Number(account.balance) || 0;
-    account.balance = balanceBefore + amountNumber;
-    account.lastTransactionDate = new Date();
-    await account.save();
-
-    const transaction = new Transaction({
-      accountId,
-      customerId: account.customerId,
-      type: 'deposit',
-      amount: amountNumber,
-      balanceBefore,
-      balanceAfter: Number(account.balance),
-      description: description || 'Deposit transaction',
-      reference,
-      // processedBy not set for customer-initiated transactions
-      deviceId,
-      ipAddress,
-      userAgent,
-      status: 'completed'
-    });
-    await transaction.save();
+      const canDeposit = account.canDeposit(amountNumber);
+      if (!canDeposit.allowed) {
+        throw new PostingError(canDeposit.reason);
+      }
+      await TransactionLimitService.assertWithinLimits(account, { kind: 'deposit', amount: amountNumber, channel: 'customer' }, session);
+
+      const transaction = await AccountPostingService.postEntry(account, {
+        type: 'deposit',
+        amount: amountNumber,
+        description: description || 'Deposit transaction',
+        reference,
+        // processedBy not set for customer-initiated transactions
+        deviceId,
+        ipAddress,
+        userAgent
+      }, session);
+
+      return { account, transaction };
+    });
     await transaction.populate('customerId', 'personalInfo.fullName customerCode');
 
     return res.status(201).json({
@@ -258,6 +294,9 @@ export const customerDeposit = async (req, res) => {
       data: { transaction: transactionDetailsDTO(transaction), newBalance: account.balance }
     });
   } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
     console.error('Customer deposit error:', error);
     return res.status(500).json({ success: false, message: error.message || 'Failed to process deposit' });
   }
@@ -276,41 +315,35 @@ export const customerWithdrawal = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid withdrawal amount' });
     }
 
-    const account = await SavingsAccount.findById(accountId);
-    if (!account) {
-      return res.status(404).json({ success: false, message: 'Savings account not found' });
-    }
-    if (String(account.customerId) !== String(req.customer.customerId)) {
-      return res.status(403).json({ success: false, message: 'You can only transact on your own account' });
-    }
-
-    // For customer-initiated withdrawals, skip account verification check (device is already verified)
-    const canWithdraw = account.canWithdraw(amountNumber, true);
-    if (!canWithdraw.allowed) {
-      return res.status(400).json({ success: false, message: canWithdraw.reason });
-    }
+    const { account, transaction } = await AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
+      if (String(account.customerId) !== String(req.customer.customerId)) {
+        throw new PostingError('You can only transact on your own account', 403);
+      }
 
-    const balanceBefore = Number(account.balance) || 0;
-    account.balance = balanceBefore - amountNumber;
-    account.lastTransactionDate = new Date();
-    await account.save();
-
-    const transaction = new Transaction({
-      accountId,
-      customerId: account.customerId,
-      type: 'withdrawal',
-      amount: amountNumber,
-      balanceBefore,
-      balanceAfter: Number(account.balance),
-      description: description || 'Withdrawal transaction',
-      reference,
-      // processedBy not set for customer-initiated transactions
-      deviceId,
-      ipAddress,
-      userAgent,
-      status: 'completed'
-    });
-    await transaction.save();
+      // For customer-initiated withdrawals, skip account verification check (device is already verified)
+      const canWithdraw = account.canWithdraw(amountNumber, true);
+      if (!canWithdraw.allowed) {
+        throw new PostingError(canWithdraw.reason);
+      }
+      await TransactionLimitService.assertWithinLimits(account, { kind: 'withdrawal', amount: amountNumber, channel: 'customer' }, session);
+
+      const transaction = await AccountPostingService.postEntry(account, {
+        type: 'withdrawal',
+        amount: amountNumber,
+        description: description || 'Withdrawal transaction',
+        reference,
+        // processedBy not set for customer-initiated transactions
+        deviceId,
+        ipAddress,
+        userAgent
+      }, session);
+
+      return { account, transaction };
+    });
     await transaction.populate('customerId', 'personalInfo.fullName customerCode');
 
     return res.status(201).json({
@@ -319,11 +352,189 @@ export const customerWithdrawal = async (req, res) => {
       data: { transaction: transactionDetailsDTO(transaction), newBalance: account.balance }
     });
   } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
     console.error('Customer withdrawal error:', error);
     return res.status(500).json({ success: false, message: error.message || 'Failed to process withdrawal' });
   }
 };
 
+// Resolve the credit side of a transfer by id or account number
+const findTransferDestination = async ({ toAccountId, toAccountNumber }, session) => {
+  if (toAccountId) {
+    return SavingsAccount.findById(toAccountId).session(session);
+  }
+  if (toAccountNumber) {
+    return SavingsAccount.findOne({ accountNumber: String(toAccountNumber).trim() }).session(session);
+  }
+  return null;
+};
+
+// Process account-to-account transfer (staff)
+export const processTransfer = async (req, res) => {
+  try {
+    const { fromAccountId, toAccountId, toAccountNumber, amount, description, reference } = req.body;
+    const processedBy = req.user._id;
+    const deviceId = req.headers['x-device-id'] || 'unknown';
+    const ipAddress = (req.ip || req.connection?.remoteAddress || 'unknown').toString();
+    const userAgent = req.headers['user-agent'] || '';
+
+    const amountNumber = Number(amount);
+    if (!amountNumber || Number.isNaN(amountNumber) || amountNumber <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid transfer amount'
+      });
+    }
+
+    const result = await AccountPostingService.runInTransaction(async (session) => {
+      const fromAccount = await SavingsAccount.findById(fromAccountId).session(session);
+      if (!fromAccount) {
+        throw new PostingError('Source account not found', 404);
+      }
+
+      const toAccount = await findTransferDestination({ toAccountId, toAccountNumber }, session);
+      if (!toAccount) {
+        throw new PostingError('Destination account not found', 404);
+      }
+
+      await TransactionLimitService.assertWithinLimits(fromAccount, { kind: 'withdrawal', amount: amountNumber, channel: 'teller' }, session);
+      await TransactionLimitService.assertWithinLimits(toAccount, { kind: 'deposit', amount: amountNumber, channel: 'teller' }, session);
+
+      const entry = {
+        amount: amountNumber,
+        description,
+        reference,
+        processedBy,
+        deviceId,
+        ipAddress,
+        userAgent
+      };
+
+      // Large or sensitive amounts wait for a second user (maker-checker)
+      const rule = await ApprovalService.findRule(fromAccount, { type: 'transfer', role: req.user.role, amount: amountNumber }, session);
+      if (rule) {
+        if (String(fromAccount._id) === String(toAccount._id)) {
+          throw new PostingError('Cannot transfer to the same account');
+        }
+        const canWithdraw = fromAccount.canWithdraw(amountNumber);
+        if (!canWithdraw.allowed) {
+          throw new PostingError(canWithdraw.reason);
+        }
+        const pending = await ApprovalService.createPending(fromAccount, { ...entry, type: 'transfer' }, { rule, counterparty: toAccount }, session);
+        return { pending, fromAccount, toAccount };
+      }
+
+      const transfer = await AccountPostingService.postTransfer(fromAccount, toAccount, entry, session);
+
+      return { ...transfer, fromAccount, toAccount };
+    });
+
+    if (result.pending) {
+      await ApprovalService.audit('transaction_approval_requested', result.pending, processedBy);
+      return res.status(202).json({
+        success: true,
+        message: 'Transfer submitted for approval',
+        data: {
+          transferReference: result.pending.transferReference,
+          debit: transactionDetailsDTO(result.pending),
+          pendingApproval: true,
+          fromBalance: result.fromAccount.balance
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer processed successfully',
+      data: {
+        transferReference: result.transferReference,
+        debit: transactionDetailsDTO(result.debit),
+        credit: transactionDetailsDTO(result.credit),
+        fromBalance: result.fromAccount.balance,
+        toBalance: result.toAccount.balance
+      }
+    });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Error processing transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process transfer',
+      error: error.message
+    });
+  }
+};
+
+// Customer-initiated transfer from own account to any active account
+export const customerTransfer = async (req, res) => {
+  try {
+    const { fromAccountId, toAccountId, toAccountNumber, amount, description, reference } = req.body;
+    const deviceId = req.headers['x-device-id'] || 'unknown';
+    const ipAddress = (req.ip || req.connection?.remoteAddress || 'unknown').toString();
+    const userAgent = req.headers['user-agent'] || '';
+
+    const amountNumber = Number(amount);
+    if (!amountNumber || Number.isNaN(amountNumber) || amountNumber <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid transfer amount' });
+    }
+
+    const result = await AccountPostingService.runInTransaction(async (session) => {
+      const fromAccount = await SavingsAccount.findById(fromAccountId).session(session);
+      if (!fromAccount) {
+        throw new PostingError('Source account not found', 404);
+      }
+      if (String(fromAccount.customerId) !== String(req.customer.customerId)) {
+        throw new PostingError('You can only transfer from your own account', 403);
+      }
+
+      const toAccount = await findTransferDestination({ toAccountId, toAccountNumber }, session);
+      if (!toAccount) {
+        throw new PostingError('Destination account not found', 404);
+      }
+
+      await TransactionLimitService.assertWithinLimits(fromAccount, { kind: 'withdrawal', amount: amountNumber, channel: 'customer' }, session);
+      await TransactionLimitService.assertWithinLimits(toAccount, { kind: 'deposit', amount: amountNumber, channel: 'customer' }, session);
+
+      // Device is already verified for customer-initiated debits
+      const transfer = await AccountPostingService.postTransfer(fromAccount, toAccount, {
+        amount: amountNumber,
+        description,
+        reference,
+        deviceId,
+        ipAddress,
+        userAgent
+      }, session, { skipVerification: true });
+
+      return { ...transfer, fromAccount };
+    });
+
+    // Only the customer's own leg is returned; the credit leg belongs to the recipient
+    return res.status(201).json({
+      success: true,
+      message: 'Transfer processed successfully',
+      data: {
+        transferReference: result.transferReference,
+        transaction: transactionDetailsDTO(result.debit),
+        newBalance: result.fromAccount.balance
+      }
+    });
+  } catch (error) {
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Customer transfer error:', error);
+    return res.status(500).json({ success: false, message: error.message || 'Failed to process transfer' });
+  }
+};
+
 // Get transaction by ID
 export const getTransactionById = async (req, res) => {
   try {
@@ -548,60 +759,87 @@ export const getTransactionStats = async (req, res) => {
   }
 };
 
-// Cancel transaction (admin only)
-export const cancelTransaction = async (req, res) => {
+// Reverse a completed transaction by posting a linked compensating transaction (admin only)
+export const reverseTransaction = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
-
-    const transaction = await Transaction.findById(id);
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'Transaction not found'
-      });
-    }
+    const { reason, approverId } = req.body;
+    // Legacy cancel requests only send a free-text reason
+    const reasonCode = req.body.reasonCode || (reason ? 'other' : undefined);
+    const deviceId = req.headers['x-device-id'] || 'unknown';
+    const ipAddress = (req.ip || req.connection?.remoteAddress || 'unknown').toString();
+    const userAgent = req.headers['user-agent'] || '';
 
-    if (transaction.status !== 'completed') {
+    if (!reasonCode || !REVERSAL_REASON_CODES.includes(reasonCode)) {
       return res.status(400).json({
         success: false,
-        message: 'Only completed transactions can be cancelled'
+        message: `A reason code is required: ${REVERSAL_REASON_CODES.join(', ')}`
       });
     }
-
-    // Reverse the transaction
-    const account = await SavingsAccount.findById(transaction.accountId);
-    if (!account) {
-      return res.status(404).json({
+    if (reasonCode === 'other' && !reason) {
+      return res.status(400).json({
         success: false,
-        message: 'Savings account not found'
+        message: 'A reason is required when the reason code is "other"'
       });
     }
 
-    // Update account balance
-    if (transaction.type === 'deposit') {
-      account.balance -= transaction.amount;
-    } else if (transaction.type === 'withdrawal') {
-      account.balance += transaction.amount;
-    }
+    const { original, reversals } = await AccountPostingService.runInTransaction(async (session) => {
+      const original = await Transaction.findById(id).session(session);
+      if (!original) {
+        throw new PostingError('Transaction not found', 404);
+      }
 
-    await account.save();
+      const reversals = await AccountPostingService.reverseTransaction(original, {
+        reasonCode,
+        reason,
+        processedBy: req.user._id,
+        approvedBy: approverId,
+        deviceId,
+        ipAddress,
+        userAgent
+      }, session);
+
+      return { original, reversals };
+    });
 
-    // Update transaction status
-    transaction.status = 'cancelled';
-    transaction.metadata = { ...transaction.metadata, cancellationReason: reason };
-    await transaction.save();
+    try {
+      await logActivity({
+        userId: req.user._id?.toString(),
+        action: 'transaction_reversed',
+        entityType: 'transaction',
+        entityId: original._id,
+        details: {
+          transactionId: original.transactionId,
+          reversalIds: reversals.map(r => r.transactionId),
+          reasonCode,
+          reason,
+          approvedBy: approverId
+        }
+      });
+    } catch (logError) {
+      console.error('Failed to log transaction reversal:', logError.message);
+    }
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Transaction cancelled successfully',
-      data: transactionDetailsDTO(transaction)
+      message: 'Transaction reversed successfully',
+      data: {
+        original: transactionDetailsDTO(original),
+        reversals: reversals.map(transactionDetailsDTO)
+      }
     });
   } catch (error) {
-    console.error('Error cancelling transaction:', error);
+    if (error instanceof PostingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Error reversing transaction:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to cancel transaction',
+      message: 'Failed to reverse transaction',
       error: error.message
     });
   }
@@ -623,6 +861,7 @@ export const getRecentTransactions = async (req, res) => {
       _id: transaction._id,
       transactionId: transaction.transactionId,
       type: transaction.type,
+      direction: getTransactionDirection(transaction),
       amount: transaction.amount,
       balanceAfter: transaction.balanceAfter,
       description: transaction.description,
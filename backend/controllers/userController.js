@@ -1,16 +1,13 @@
 import User from "../models/userModel.js";
-import Session from "../models/sessionModel.js";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import validator from "validator";
 import { logActivity } from "../utils/logActivity.js";
 import { clearEntityCache } from "../middleware/cache.js";
 import EnhancedAuditLogger from "../utils/enhancedAuditLogger.js";
 import { createUserNotification } from "../utils/notificationHelper.js";
-import { v4 as uuidv4 } from 'uuid';
 import QueryOptimizer from "../utils/queryOptimizer.js";
-
-const createToken = (id) => jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "30d" });
+import SessionService from "../services/sessionService.js";
+import MfaService, { MfaError, isMfaRequiredFor, createPreAuthToken, verifyPreAuthToken, PRE_AUTH_EXPIRES_IN } from "../services/mfaService.js";
 
 // Helper functions for device detection
 const getBrowserInfo = (userAgent) => {
@@ -87,10 +84,9 @@ const registerUser = async (req, res) => {
     // Clear user cache to ensure fresh data is fetched
     clearEntityCache('user');
 
-    const token = createToken(newUser._id);
+    // No token here: staff tokens are only issued with a session at login
     res.status(201).json({ 
       success: true, 
-      token,
       user: {
         id: newUser._id,
         fullName: newUser.fullName,
@@ -104,6 +100,56 @@ const registerUser = async (req, res) => {
     res.status(500).json({ success: false, message: "Error Registering User" });
   }
 };
+
+// Record the session and issue the session token once every login step has passed
+const completeLogin = async (req, res, user, extra = {}) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent') || 'Unknown';
+
+  // The token is bound to this session; older sessions beyond the limit are ended
+  const { token, sessionId, endedSessions, policy } = await SessionService.createSession(user, {
+    ipAddress,
+    userAgent,
+    deviceInfo: {
+      browser: getBrowserInfo(userAgent),
+      os: getOSInfo(userAgent),
+      device: getDeviceInfo(userAgent)
+    }
+  });
+  
+  // Enhanced audit logging
+  await EnhancedAuditLogger.logUserLogin({
+    userId: user._id,
+    sessionId,
+    ipAddress,
+    userAgent,
+    success: true
+  });
+
+  // Also log to legacy system for backward compatibility
+  await logActivity({
+    userId: user._id,
+    action: "user_logged_in",
+    entityType: "user",
+    entityId: user._id,
+    details: { email: user.email, mfa: Boolean(extra.mfaMethod), endedSessions }
+  });
+
+  res.status(200).json({
+    success: true,
+    token,
+    sessionId,
+    session: { idleTimeoutMinutes: policy.idleTimeoutMinutes, endedSessions },
+    ...extra,
+    user: {
+      id: user._id,
+      fullName: user.fullName,
+      role: user.role,
+      branch: user.branch || null
+    }
+  });
+};
+
 const loginUser = async (req, res) => {
   const { email, password } = req.body;
 
@@ -127,64 +173,107 @@ const loginUser = async (req, res) => {
       return res.status(401).json({ success: false, message: "Invalid credentials" });
     }
 
-    // Create session ID
-    const sessionId = uuidv4();
-    
-    // Create MongoDB session record
-    const session = new Session({
-      user: user._id,
-      sessionId,
-      token: createToken(user._id),
-      loginInfo: {
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userAgent: req.get('User-Agent'),
-        deviceInfo: {
-          browser: getBrowserInfo(req.get('User-Agent')),
-          os: getOSInfo(req.get('User-Agent')),
-          device: getDeviceInfo(req.get('User-Agent'))
-        }
+    // Staff enrolled in MFA, or whose role requires it, finish signing in with a second factor
+    const [enrolled, policy] = await Promise.all([MfaService.isEnrolled(user._id), MfaService.getPolicy()]);
+    if (enrolled || isMfaRequiredFor(user, policy)) {
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        mfaSetupRequired: !enrolled,
+        mfaToken: createPreAuthToken(user._id),
+        expiresIn: PRE_AUTH_EXPIRES_IN
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Login Error:", error);
+    res.status(500).json({ success: false, message: "Login Error" });
+  }
+};
+
+
+// The user a pre-auth token was issued for, if they can still sign in
+const findPreAuthUser = async (mfaToken) => {
+  const user = await User.findById(verifyPreAuthToken(mfaToken));
+  if (!user || !user.isActive) {
+    throw new MfaError("Your account is disabled. Contact administrator.", 403);
+  }
+  return user;
+};
+
+const handleMfaError = (res, error, message) => {
+  if (error instanceof MfaError) {
+    return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+// Second login step: an authenticator or backup code with the pre-auth token
+const verifyLoginMfa = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+    const user = await findPreAuthUser(mfaToken);
+
+    let result;
+    try {
+      result = await MfaService.verifyCode(user._id, code);
+    } catch (error) {
+      if (error instanceof MfaError && ["MFA_CODE_INVALID", "MFA_LOCKED"].includes(error.code)) {
+        await logActivity({
+          userId: user._id,
+          action: "user_mfa_failed",
+          entityType: "user",
+          entityId: user._id,
+          details: { code: error.code, ipAddress: req.ip || req.connection.remoteAddress }
+        });
       }
+      throw error;
+    }
+
+    await completeLogin(req, res, user, {
+      mfaMethod: result.method,
+      backupCodesRemaining: result.backupCodesRemaining
     });
-    
-    await session.save();
-    
-    // Enhanced audit logging
-    await EnhancedAuditLogger.logUserLogin({
-      userId: user._id,
-      sessionId,
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent'),
-      success: true
-    });
+  } catch (error) {
+    handleMfaError(res, error, "Login Error");
+  }
+};
+
+// Second login step for staff whose role requires MFA but who have not enrolled:
+// get a QR code for their authenticator app
+const startLoginMfaSetup = async (req, res) => {
+  try {
+    const user = await findPreAuthUser(req.body.mfaToken);
+    const enrollment = await MfaService.startEnrollment(user);
+    res.status(200).json({ success: true, data: enrollment });
+  } catch (error) {
+    handleMfaError(res, error, "MFA setup failed");
+  }
+};
+
+// ...then confirm it with a code, which completes the login and returns backup codes
+const confirmLoginMfaSetup = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+    const user = await findPreAuthUser(mfaToken);
+    const backupCodes = await MfaService.confirmEnrollment(user, code);
 
-    // Also log to legacy system for backward compatibility
     await logActivity({
       userId: user._id,
-      action: "user_logged_in",
+      action: "user_mfa_enabled",
       entityType: "user",
       entityId: user._id,
-      details: { email }
+      details: { method: "totp", duringLogin: true }
     });
 
-    const token = createToken(user._id);
-    res.status(200).json({
-      success: true,
-      token,
-      sessionId,
-      user: {
-        id: user._id,
-        fullName: user.fullName,
-        role: user.role,
-        branch: user.branch || null
-      }
-    });
+    await completeLogin(req, res, user, { mfaMethod: "totp", backupCodes });
   } catch (error) {
-    console.error("Login Error:", error);
-    res.status(500).json({ success: false, message: "Login Error" });
+    handleMfaError(res, error, "MFA setup failed");
   }
 };
 
-
 const listUsers = async (req, res) => {
   try {
     let query = {};
@@ -228,7 +317,12 @@ const getCurrentUser = async (req, res) => {
   try {
     // req.user is already the full user object from auth middleware
     // No need to fetch again, just return it
-    res.status(200).json({ success: true, user: req.user });
+    const { idleTimeoutMinutes } = await SessionService.getPolicy();
+    res.status(200).json({
+      success: true,
+      user: req.user,
+      session: { sessionId: req.sessionId, idleTimeoutMinutes }
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: "Server Error" });
   }
@@ -408,22 +502,9 @@ const deleteUser = async (req, res) => {
 
 const logoutUser = async (req, res) => {
   try {
-    const { sessionId } = req.body;
-
-    // Terminate MongoDB session if sessionId is provided
-    if (sessionId) {
-      const session = await Session.findOne({ sessionId });
-      if (session) {
-        session.status = 'terminated';
-        session.logoutInfo = {
-          timestamp: new Date(),
-          reason: 'user_logout',
-          ipAddress: req.ip || req.connection.remoteAddress
-        };
-        session.duration = session.logoutInfo.timestamp - session.loginInfo.timestamp;
-        await session.save();
-      }
-    }
+    // End the session the request was made with, so its token stops working
+    const sessionId = req.sessionId;
+    await SessionService.endSessions({ sessionId }, 'user_logout', req.ip || req.connection.remoteAddress);
 
     // Enhanced audit logging
     await EnhancedAuditLogger.logUserLogout({
@@ -522,6 +603,9 @@ const changeUserPassword = async (req, res) => {
 export {
   registerUser,
   loginUser,
+  verifyLoginMfa,
+  startLoginMfaSetup,
+  confirmLoginMfaSetup,
   logoutUser,
   listUsers,
   getCurrentUser,
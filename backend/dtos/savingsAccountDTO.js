@@ -6,6 +6,7 @@ export const savingsAccountSummaryDTO = (account) => {
     accountNumber: account.accountNumber,
     accountType: account.accountType,
     balance: account.balance,
+    availableBalance: (account.balance || 0) - (account.heldAmount || 0),
     status: account.status,
     isVerified: account.isVerified,
     lastTransactionDate: account.lastTransactionDate,
@@ -35,13 +36,21 @@ export const savingsAccountDetailsDTO = (account) => {
   return {
     id: account._id,
     accountNumber: account.accountNumber,
+    branchCode: account.branchCode,
     accountType: account.accountType,
     balance: account.balance,
+    heldAmount: account.heldAmount || 0,
+    availableBalance: (account.balance || 0) - (account.heldAmount || 0),
     minimumBalance: account.minimumBalance,
     interestRate: account.interestRate,
     status: account.status,
     isVerified: account.isVerified,
     lastTransactionDate: account.lastTransactionDate,
+    billingDay: account.billingDay,
+    feeArrears: account.feeArrears || 0,
+    termDeposit: account.accountType === 'fixed' ? account.termDeposit : undefined,
+    dormancy: account.dormancy,
+    closure: account.status === 'closed' ? account.closure : undefined,
     createdAt: account.createdAt,
     updatedAt: account.updatedAt
   };
@@ -53,6 +62,8 @@ export const savingsAccountWithCustomerDTO = (account, customer) => {
     accountNumber: account.accountNumber,
     accountType: account.accountType,
     balance: account.balance,
+    heldAmount: account.heldAmount || 0,
+    availableBalance: (account.balance || 0) - (account.heldAmount || 0),
     status: account.status,
     isVerified: account.isVerified,
     customer: {
@@ -62,6 +73,11 @@ export const savingsAccountWithCustomerDTO = (account, customer) => {
       email: customer.contact.email,
       phone: customer.contact.phone
     },
+    minimumBalance: account.minimumBalance,
+    interestRate: account.interestRate,
+    billingDay: account.billingDay,
+    feeArrears: account.feeArrears || 0,
+    termDeposit: account.accountType === 'fixed' ? account.termDeposit : undefined,
     lastTransactionDate: account.lastTransactionDate,
     createdAt: account.createdAt
   };
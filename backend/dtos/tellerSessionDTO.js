@@ -0,0 +1,36 @@
+import { calculateExpectedCash } from '../models/tellerSessionModel.js';
+
+// Teller drawer Data Transfer Objects for API responses
+
+// `blind` hides the running totals of an open drawer from its teller, so the closing count is blind
+export const tellerSessionDTO = (drawer, { blind = false } = {}) => {
+  const summary = {
+    id: drawer._id,
+    teller: drawer.teller,
+    branchCode: drawer.branchCode,
+    businessDate: drawer.businessDate,
+    status: drawer.status,
+    openingFloat: drawer.openingFloat,
+    transactionCount: drawer.transactionCount,
+    openedAt: drawer.openedAt
+  };
+
+  if (blind && drawer.status === 'open') {
+    return summary;
+  }
+
+  return {
+    ...summary,
+    cashIn: drawer.cashIn,
+    cashOut: drawer.cashOut,
+    transfersIn: drawer.transfersIn,
+    transfersOut: drawer.transfersOut,
+    expectedCash: drawer.status === 'open' ? calculateExpectedCash(drawer) : drawer.expectedCash,
+    countedCash: drawer.countedCash,
+    variance: drawer.variance,
+    varianceType: drawer.varianceType,
+    closeNote: drawer.closeNote,
+    closedAt: drawer.closedAt,
+    closedBy: drawer.closedBy
+  };
+};
@@ -1,3 +1,5 @@
+import { getTransactionDirection } from '../models/transactionModel.js';
+
 // Transaction Data Transfer Objects for API responses
 
 export const transactionSummaryDTO = (transaction) => {
@@ -5,10 +7,12 @@ export const transactionSummaryDTO = (transaction) => {
     id: transaction._id,
     transactionId: transaction.transactionId,
     type: transaction.type,
+    direction: getTransactionDirection(transaction),
     amount: transaction.amount,
     balanceAfter: transaction.balanceAfter,
     description: transaction.description,
     status: transaction.status,
+    reversedBy: transaction.reversedBy,
     createdAt: transaction.createdAt
   };
 };
@@ -18,13 +22,22 @@ export const transactionDetailsDTO = (transaction) => {
     id: transaction._id,
     transactionId: transaction.transactionId,
     type: transaction.type,
+    direction: getTransactionDirection(transaction),
     amount: transaction.amount,
     balanceBefore: transaction.balanceBefore,
     balanceAfter: transaction.balanceAfter,
     description: transaction.description,
     reference: transaction.reference,
+    transferReference: transaction.transferReference,
+    counterpartyAccountId: transaction.counterpartyAccountId,
+    relatedTransactionId: transaction.relatedTransactionId,
+    reversalOf: transaction.reversalOf,
+    reversedBy: transaction.reversedBy,
+    reasonCode: transaction.reasonCode,
     status: transaction.status,
     processedBy: transaction.processedBy,
+    approvedBy: transaction.approvedBy,
+    approval: transaction.approval?.decision ? transaction.approval : undefined,
     createdAt: transaction.createdAt,
     updatedAt: transaction.updatedAt
   };
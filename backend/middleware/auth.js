@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/userModel.js";
+import SessionService, { SessionError } from "../services/sessionService.js";
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -17,11 +18,19 @@ const authMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // A pre-auth token from the password step is only good for the second factor
+    if (decoded.purpose) {
+      return res.status(401).json({ success: false, message: "Two-factor verification required" });
+    }
+
     const currentTime = Date.now() / 1000;
     if (decoded.exp < currentTime) {
       return res.status(401).json({ success: false, message: "Token expired" });
     }
 
+    // The token is only good while its session is active (not signed out, replaced or idle)
+    const session = await SessionService.validate(decoded, token);
+
     const user = await User.findById(decoded.id).select("-password").lean();
 
     if (!user) {
@@ -39,8 +48,12 @@ const authMiddleware = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session.sessionId;
     next();
   } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({ success: false, code: error.code, message: error.message });
+    }
     console.error('Auth middleware error:', error);
     let message = "Authorization failed";
 
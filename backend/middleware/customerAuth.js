@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import Customer from '../models/customerModel.js';
+import CustomerTokenService from '../services/customerTokenService.js';
 
 /**
  * Customer Authentication Middleware
@@ -29,6 +30,16 @@ const customerAuthMiddleware = async (req, res, next) => {
         });
       }
 
+      // Tokens issued with a refresh token stop working once their family is revoked
+      // (logout, reuse of a rotated refresh token, device revoked or suspended)
+      if (decoded.fid && !(await CustomerTokenService.isFamilyActive(decoded.fid))) {
+        return res.status(401).json({
+          success: false,
+          code: 'SESSION_REVOKED',
+          message: 'This session has ended. Please log in again.'
+        });
+      }
+
       // Get customer from database
       const customer = await Customer.findById(decoded.customerId)
         .select('-password');
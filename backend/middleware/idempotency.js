@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import { redisGet, redisSet, redisSetIfAbsent, redisDel, isRedisAvailable } from '../config/redis.js';
+
+/**
+ * Idempotency-Key middleware for money-moving endpoints.
+ * The first request with a key is executed and its response stored;
+ * retries with the same key and body get the stored response back,
+ * retries with a different body are rejected with 409.
+ */
+
+const IDEMPOTENCY_TTL = 24 * 60 * 60; // 24 hours, in seconds
+const IN_FLIGHT_TTL = 60; // A crashed request frees its key after a minute
+const MAX_KEY_LENGTH = 255;
+
+// In-memory fallback when Redis is unavailable
+const memoryStore = new Map();
+const MEMORY_STORE_MAX_SIZE = 1000;
+
+/**
+ * Drop expired entries, then the oldest ones if still over the size limit
+ */
+const cleanupMemoryStore = () => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore.entries()) {
+    if (entry.expiresAt <= now) {
+      memoryStore.delete(key);
+    }
+  }
+
+  if (memoryStore.size > MEMORY_STORE_MAX_SIZE) {
+    const entries = Array.from(memoryStore.entries());
+    entries.sort((a, b) => a[1].expiresAt - b[1].expiresAt);
+    entries.slice(0, memoryStore.size - MEMORY_STORE_MAX_SIZE).forEach(([key]) => memoryStore.delete(key));
+  }
+};
+
+const getRecord = async (key) => {
+  if (isRedisAvailable()) {
+    return redisGet(key);
+  }
+  const entry = memoryStore.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.record;
+  }
+  return null;
+};
+
+/**
+ * Reserve a key for an in-flight request
+ * @returns {Promise<boolean>} false if another request already holds the key
+ */
+const reserveRecord = async (key, record) => {
+  if (isRedisAvailable()) {
+    const stored = await redisSetIfAbsent(key, record, IN_FLIGHT_TTL);
+    if (stored !== null) return stored;
+  }
+  if (await getRecord(key)) {
+    return false;
+  }
+  if (memoryStore.size >= MEMORY_STORE_MAX_SIZE) {
+    cleanupMemoryStore();
+  }
+  memoryStore.set(key, { record, expiresAt: Date.now() + IN_FLIGHT_TTL * 1000 });
+  return true;
+};
+
+const saveRecord = async (key, record) => {
+  if (isRedisAvailable() && await redisSet(key, record, IDEMPOTENCY_TTL)) {
+    return;
+  }
+  memoryStore.set(key, { record, expiresAt: Date.now() + IDEMPOTENCY_TTL * 1000 });
+};
+
+const releaseRecord = async (key) => {
+  memoryStore.delete(key);
+  if (isRedisAvailable()) {
+    await redisDel(key);
+  }
+};
+
+/**
+ * JSON.stringify with sorted object keys so equivalent bodies hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint of the request the key was first used with
+ */
+export const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method}:${req.baseUrl}${req.path}:${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// Responses that are worth retrying are not stored: server errors, conflicts and rate limits
+const isReplayable = (statusCode) => statusCode < 500 && statusCode !== 409 && statusCode !== 429;
+
+/**
+ * Idempotency middleware
+ * Must run after auth so the key can be scoped to the authenticated user or customer.
+ */
+export const idempotency = () => {
+  return async (req, res, next) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        code: 'IDEMPOTENCY_KEY_INVALID',
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const principal = req.user?._id || req.customer?.customerId || 'anonymous';
+    const storeKey = `idempotency:${principal}:${idempotencyKey}`;
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      const reserved = await reserveRecord(storeKey, { fingerprint, status: 'processing' });
+
+      if (!reserved) {
+        const existing = await getRecord(storeKey);
+
+        if (existing && existing.fingerprint !== fingerprint) {
+          return res.status(409).json({
+            success: false,
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'This Idempotency-Key was already used with a different request'
+          });
+        }
+
+        if (existing && existing.status === 'completed') {
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(existing.statusCode).json(existing.body);
+        }
+
+        return res.status(409).json({
+          success: false,
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    } catch (error) {
+      console.error('Idempotency middleware error:', error);
+      // Fail closed: without the store a retry could post twice
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to verify request idempotency, please retry'
+      });
+    }
+
+    let stored = false;
+    const originalJson = res.json;
+
+    res.json = function(body) {
+      if (stored) {
+        return originalJson.call(this, body);
+      }
+      stored = true;
+      const record = { fingerprint, status: 'completed', statusCode: res.statusCode, body };
+      const persist = isReplayable(res.statusCode) ? saveRecord(storeKey, record) : releaseRecord(storeKey);
+      // Send only once the outcome is stored, so a retry can never observe the key as still processing
+      persist
+        .catch(err => console.error('Idempotency store error:', err.message))
+        .finally(() => originalJson.call(this, body));
+      return this;
+    };
+
+    // Release the key if the handler finished without a JSON body so the client can retry
+    res.on('finish', () => {
+      if (!stored) {
+        releaseRecord(storeKey).catch(err => console.error('Idempotency release error:', err.message));
+      }
+    });
+
+    next();
+  };
+};
+
+export default idempotency;
@@ -134,9 +134,10 @@ export const corsConfig = {
     'Accept',
     'Origin',
     'X-API-Key',
-    'X-Client-Version'
+    'X-Client-Version',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['Content-Disposition', 'X-Total-Count'],
+  exposedHeaders: ['Content-Disposition', 'X-Total-Count', 'Idempotent-Replayed'],
   maxAge: 86400, // 24 hours
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Part of a balance frozen against withdrawal; the account keeps the active total in `heldAmount`
+const accountHoldSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reasonCode: {
+    type: String,
+    enum: ['court_order', 'pending_approval', 'collateral', 'fraud_investigation', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Outside reference, e.g. a court order number or the approval request id
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Released automatically by the expiry job; null holds stay until released
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'released', 'expired'],
+    default: 'active',
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false // System holds (e.g. pending approvals) may have no staff creator
+  },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  releaseNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+accountHoldSchema.index({ accountId: 1, status: 1 });
+accountHoldSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.models.AccountHold || mongoose.model('AccountHold', accountHoldSchema);
@@ -53,6 +53,89 @@ const accountProductSchema = new mongoose.Schema({
     enum: ['monthly', 'quarterly', 'annually'],
     default: 'monthly'
   },
+  // Day-count convention used when accruing interest daily
+  dayCountConvention: {
+    type: String,
+    enum: ['actual/365', 'actual/360', '30/360'],
+    default: 'actual/365'
+  },
+  // Term deposit settings, used when accountType is 'fixed'
+  termSettings: {
+    // Tenors (in months) an account can be opened with; empty allows any
+    tenorOptions: [{
+      type: Number,
+      min: 1
+    }],
+    earlyWithdrawalPenalty: {
+      type: {
+        type: String,
+        enum: ['none', 'percentage_of_principal', 'forfeit_interest', 'flat'],
+        default: 'forfeit_interest'
+      },
+      value: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }
+  },
+  // Inactivity periods (in days since the last customer transaction) for the dormancy engine
+  dormancySettings: {
+    dormantAfterDays: {
+      type: Number,
+      default: 365,
+      min: 1
+    },
+    unclaimedAfterDays: {
+      type: Number,
+      default: 1825,
+      min: 1
+    },
+    // Warn the customer this many days before the account would turn dormant; 0 disables the notice
+    noticeDaysBefore: {
+      type: Number,
+      default: 30,
+      min: 0
+    }
+  },
+  // Charged from the final balance when an account is closed
+  closureSettings: {
+    closureFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Added to the closure fee when the account is closed within `earlyClosureDays` of opening
+    earlyClosureFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    earlyClosureDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // How the monthly fee engine treats this product
+  feePolicy: {
+    // What to do when the balance cannot cover the fee (plus any arrears)
+    insufficientBalanceAction: {
+      type: String,
+      enum: ['skip', 'partial', 'arrears'],
+      default: 'skip'
+    },
+    // Fee is waived when the end-of-day balance on the billing date is at least this much
+    waiverMinBalance: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    waivedAccountTypes: [{
+      type: String,
+      enum: ['regular', 'premium', 'fixed', 'youth', 'senior', 'business']
+    }]
+  },
   features: [{
     type: String
   }],
@@ -87,6 +170,34 @@ const accountProductSchema = new mongoose.Schema({
     maxWithdrawal: {
       type: Number,
       default: null
+    },
+    // Cumulative limits across all channels; null means unlimited
+    dailyDepositLimit: {
+      type: Number,
+      default: null
+    },
+    monthlyDepositLimit: {
+      type: Number,
+      default: null
+    },
+    dailyWithdrawalLimit: {
+      type: Number,
+      default: null
+    },
+    monthlyWithdrawalLimit: {
+      type: Number,
+      default: null
+    }
+  },
+  // Per-transaction caps by channel, applied on top of depositLimits
+  channelLimits: {
+    teller: {
+      maxDeposit: { type: Number, default: null },
+      maxWithdrawal: { type: Number, default: null }
+    },
+    customer: {
+      maxDeposit: { type: Number, default: null },
+      maxWithdrawal: { type: Number, default: null }
     }
   },
   isActive: {
@@ -49,7 +49,12 @@ const activitySchema = new mongoose.Schema({
       'mfa',
       'compliance',
       'tax_management',
-      'financial_statements'
+      'financial_statements',
+      'transaction',
+      'savings_account',
+      'teller_session',
+      'standing_order',
+      'deposit_batch'
     ],
     required: true
   },
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Amount at or above which a staff transaction waits for a second user's approval
+const approvalRuleSchema = new mongoose.Schema({
+  transactionType: {
+    type: String,
+    enum: ['deposit', 'withdrawal', 'transfer'],
+    required: true
+  },
+  // Role of the user entering the transaction; null applies to every role
+  role: {
+    type: String,
+    default: null
+  },
+  // Product of the (source) account; null applies to every product
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccountProduct',
+    default: null
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One rule per scope, so the most specific match is never ambiguous
+approvalRuleSchema.index({ transactionType: 1, role: 1, productId: 1 }, { unique: true });
+
+export default mongoose.models.ApprovalRule || mongoose.model('ApprovalRule', approvalRuleSchema);
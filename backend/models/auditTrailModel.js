@@ -55,7 +55,9 @@ const auditTrailSchema = new mongoose.Schema({
       'profit_loss',
       'balance_sheet',
       'cash_flow',
-      'financial_integration'
+      'financial_integration',
+      'transaction',
+      'savings_account'
     ],
     required: true
   },
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// End-of-day close of a branch. Once a date is closed no drawer can be opened and
+// no teller cash can be posted for it.
+const businessDaySchema = new mongoose.Schema({
+  branchCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // UTC midnight
+  businessDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['closed'],
+    default: 'closed'
+  },
+  // Totals over the drawers of the day
+  summary: {
+    drawers: { type: Number, default: 0 },
+    transactionCount: { type: Number, default: 0 },
+    cashIn: { type: Number, default: 0 },
+    cashOut: { type: Number, default: 0 },
+    totalOver: { type: Number, default: 0 },
+    totalShort: { type: Number, default: 0 },
+    netVariance: { type: Number, default: 0 },
+    vaultBalance: { type: Number, default: 0 }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  closedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+businessDaySchema.index({ branchCode: 1, businessDate: 1 }, { unique: true });
+
+export default mongoose.models.BusinessDay || mongoose.model('BusinessDay', businessDaySchema);
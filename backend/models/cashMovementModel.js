@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Physical cash moved between a branch vault and teller drawers, or into and out of the vault
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['vault_to_teller', 'teller_to_vault', 'teller_to_teller', 'vault_in', 'vault_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  branchCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  businessDate: {
+    type: Date,
+    required: true
+  },
+  // Drawers on each side; null for the vault side
+  fromSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TellerSession',
+    default: null
+  },
+  toSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TellerSession',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cashMovementSchema.index({ branchCode: 1, businessDate: 1 });
+cashMovementSchema.index({ fromSession: 1 });
+cashMovementSchema.index({ toSession: 1 });
+
+export default mongoose.models.CashMovement || mongoose.model('CashMovement', cashMovementSchema);
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// Side that increases an account of each type
+const NORMAL_BALANCES = {
+  asset: 'DE',
+  expense: 'DE',
+  liability: 'CR',
+  equity: 'CR',
+  revenue: 'CR'
+};
+
+// General ledger account; seeded from a template in services/defaultChartOfAccountsService.js
+const chartOfAccountsSchema = new mongoose.Schema({
+  accountCode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  accountName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  accountType: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+    required: true
+  },
+  accountCategory: {
+    type: String,
+    trim: true
+  },
+  level: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  parentCode: {
+    type: String,
+    default: null
+  },
+  parentAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartOfAccounts',
+    default: null
+  },
+  // DE (debit) or CR (credit); derived from the account type when not given
+  normalBalance: {
+    type: String,
+    enum: ['DE', 'CR']
+  },
+  currency: {
+    type: String,
+    default: 'RWF'
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  // Maintained by the loan integration services; savings reports read balances from the journal
+  currentBalance: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Accounts created from a template; postings look them up by code
+  isSystemAccount: {
+    type: Boolean,
+    default: false
+  },
+  clientName: {
+    type: String,
+    trim: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+chartOfAccountsSchema.index({ accountType: 1, isActive: 1 });
+chartOfAccountsSchema.index({ parentCode: 1 });
+
+chartOfAccountsSchema.pre('validate', function(next) {
+  if (!this.normalBalance) {
+    this.normalBalance = NORMAL_BALANCES[this.accountType];
+  }
+  next();
+});
+
+export default mongoose.models.ChartOfAccounts || mongoose.model('ChartOfAccounts', chartOfAccountsSchema);
@@ -4,9 +4,10 @@ const counterSchema = new mongoose.Schema({
   type: { type: String, required: true },          // e.g., "customer"
   branchCode: { type: String, required: true },     // ✅ changed from branchAlias
   prefix: { type: String, required: true },         // e.g., "CUST"
+  scope: { type: String, default: '' },             // e.g., product code or business day the sequence is kept per
   seq: { type: Number, default: 0 }
 });
 
-counterSchema.index({ type: 1, branchCode: 1, prefix: 1 }, { unique: true });
+counterSchema.index({ type: 1, branchCode: 1, prefix: 1, scope: 1 }, { unique: true });
 
 export default mongoose.models.Counter || mongoose.model("Counter", counterSchema);
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import crypto from 'crypto';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/passwordHash.js';
 
 const customerSchema = new mongoose.Schema({
   customerCode: {
@@ -27,6 +27,14 @@ const customerSchema = new mongoose.Schema({
     minlength: 8,
     select: false
   },
+  passwordChangedAt: Date,
+  // Set when a legacy password hash was retired without a login to upgrade it
+  // (scripts/migrateCustomerPasswords.js); cleared when a new password is set
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetRequiredAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -144,22 +152,41 @@ const customerSchema = new mongoose.Schema({
 customerSchema.pre('save', async function (next) {
   this.updatedAt = new Date();
   
-  // Hash password using SHA-512 as required by specifications
+  // A password assigned on the document is always plain text, so it is always hashed
+  // (utils/passwordHash.js). Hashes are only written with updateOne, which skips this hook;
+  // never decide from the value whether it is already a hash.
   if (this.isModified('password') && this.password) {
-    const hash = crypto.createHash('sha512');
-    hash.update(this.password);
-    this.password = hash.digest('hex');
+    this.password = await hashPassword(this.password);
+    this.passwordChangedAt = new Date();
+    this.passwordResetRequired = false;
+    this.passwordResetRequiredAt = undefined;
   }
   
   next();
 });
 
-// Method to compare passwords using SHA-512 (as required by assessment)
+// Compare a password with the stored hash; legacy SHA-512 hashes are upgraded on a match
 customerSchema.methods.comparePassword = async function(enteredPassword) {
-  const hash = crypto.createHash('sha512');
-  hash.update(enteredPassword);
-  const enteredHash = hash.digest('hex');
-  return enteredHash === this.password;
+  const isValid = await verifyPassword(enteredPassword, this.password);
+  if (isValid && needsRehash(this.password)) {
+    try {
+      await this.upgradePasswordHash(enteredPassword);
+    } catch (error) {
+      // The login still succeeds; the hash is upgraded on a later one
+      console.error(`❌ Failed to upgrade password hash for customer ${this._id}:`, error.message);
+    }
+  }
+  return isValid;
+};
+
+// Replace the stored hash with a current-version hash of the same password
+customerSchema.methods.upgradePasswordHash = async function(password) {
+  const hash = await hashPassword(password);
+  // Guarded on the old hash so a password changed in the meantime is not overwritten
+  await this.constructor.updateOne({ _id: this._id, password: this.password }, { $set: { password: hash } });
+  this.password = hash;
+  // Already stored; a later save must not treat it as a password change
+  this.unmarkModified('password');
 };
 
 // Method to check if customer can login (device verification required)
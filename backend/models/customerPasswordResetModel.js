@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+export const RESET_CHANNELS = ['email', 'sms'];
+
+// A forgot-password code sent to a customer (services/customerPasswordService.js).
+// Only a digest of the code is stored. A code works once, from the verified device
+// that asked for it, before it expires and within a few attempts; asking for a new
+// code retires the previous one.
+const customerPasswordResetSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: RESET_CHANNELS,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: Date,
+  invalidatedAt: Date,
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+customerPasswordResetSchema.index({ customerId: 1, createdAt: -1 });
+// Kept for a day after expiry so the hourly request limit can count them
+customerPasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.models.CustomerPasswordReset || mongoose.model('CustomerPasswordReset', customerPasswordResetSchema);
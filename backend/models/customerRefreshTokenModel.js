@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+export const REFRESH_REVOKE_REASONS = ['logout', 'reuse_detected', 'device_mismatch', 'device_revoked', 'device_suspended', 'account_disabled', 'password_changed'];
+
+// One refresh token issued to a customer device (services/customerTokenService.js).
+// Only a SHA-256 digest of the token is stored. Each refresh rotates the token: the
+// presented one is marked rotated and a new one is issued in the same family. A
+// rotated token presented again means it was copied, so the whole family is revoked.
+const customerRefreshTokenSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  // Verified device the family was issued to; refreshes from any other device are refused
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // Shared by every token descended from one login
+  familyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotatedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: REFRESH_REVOKE_REASONS
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+customerRefreshTokenSchema.index({ customerId: 1, deviceId: 1 });
+// Spent tokens are kept a week past expiry so late replays are still recognised as reuse
+customerRefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.models.CustomerRefreshToken || mongoose.model('CustomerRefreshToken', customerRefreshTokenSchema);
@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+
+// One line of an uploaded contribution list
+const depositBatchRowSchema = new mongoose.Schema({
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+  accountNumber: String,
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount'
+  },
+  customerName: String,
+  amount: Number,
+  reference: String,
+  description: String,
+  // invalid: failed validation at upload; failed: passed validation but could not be posted
+  status: {
+    type: String,
+    enum: ['valid', 'invalid', 'posted', 'failed', 'reversed'],
+    required: true
+  },
+  // Why the row is invalid, failed to post or could not be reversed
+  issues: [String],
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactionId: String,
+  postedAt: Date,
+  reversal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reversedAt: Date
+});
+
+// A bulk deposit upload: validated into a draft, then posted row by row under one batch ID
+const depositBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    unique: true
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  // Employer or cooperative that sent the list, and their payment reference
+  source: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  fundingReference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'posting', 'posted', 'partially_posted', 'rolled_back', 'discarded'],
+    default: 'draft',
+    index: true
+  },
+  rows: [depositBatchRowSchema],
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  validCount: {
+    type: Number,
+    default: 0
+  },
+  invalidCount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  postedCount: {
+    type: Number,
+    default: 0
+  },
+  postedAmount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  reversedCount: {
+    type: Number,
+    default: 0
+  },
+  reversedAmount: {
+    type: Number,
+    default: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  postingStartedAt: Date,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: Date,
+  // Each (partial) rollback: who, when, why and which rows
+  rollbacks: [{
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rolledBackAt: Date,
+    reasonCode: String,
+    reason: String,
+    rowNumbers: [Number]
+  }]
+}, {
+  timestamps: true
+});
+
+depositBatchSchema.index({ createdAt: -1 });
+
+depositBatchSchema.pre('validate', function(next) {
+  if (this.isNew && !this.batchId) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
+    this.batchId = `BD${date}${random}`;
+  }
+  next();
+});
+
+export default mongoose.models.DepositBatch || mongoose.model('DepositBatch', depositBatchSchema);
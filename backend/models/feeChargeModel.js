@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Outcome of one account's maintenance fee for one billing period
+const feeChargeSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount',
+    required: true,
+    index: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccountProduct',
+    required: false
+  },
+  // YYYY-MM
+  billingPeriod: {
+    type: String,
+    required: true,
+    index: true
+  },
+  billingDate: {
+    type: Date,
+    required: true
+  },
+  feeAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  arrearsBefore: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  amountCharged: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  arrearsAfter: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  outcome: {
+    type: String,
+    enum: ['charged', 'partial', 'arrears', 'waived', 'skipped'],
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// An account is billed at most once per period, however often the run is repeated
+feeChargeSchema.index({ accountId: 1, billingPeriod: 1 }, { unique: true });
+
+export default mongoose.models.FeeCharge || mongoose.model('FeeCharge', feeChargeSchema);
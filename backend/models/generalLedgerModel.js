@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import { roundMoney, sumMoney } from '../utils/money.js';
+
+// Differences below this are rounding, not an unbalanced entry
+const BALANCE_TOLERANCE = 0.005;
+
+// One debit or credit line of a journal entry
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartOfAccounts',
+    required: true
+  },
+  accountCode: {
+    type: String,
+    trim: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Running figure some loan postings record; not used for savings
+  balance: Number,
+  description: {
+    type: String,
+    trim: true
+  },
+  // Customer account behind a savings line (sub-ledger link)
+  savingsAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount'
+  }
+}, { _id: false });
+
+// Double-entry journal entry; debits must equal credits or the entry is rejected
+const generalLedgerSchema = new mongoose.Schema({
+  transactionDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  // What produced the entry: 'savings_transaction', 'loan', 'expense', 'salary', 'adjustment', ...
+  referenceType: {
+    type: String,
+    trim: true
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  entries: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (entries) => entries.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  totalDebit: {
+    type: Number,
+    default: 0
+  },
+  totalCredit: {
+    type: Number,
+    default: 0
+  },
+  fiscalYear: Number,
+  fiscalPeriod: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  branchCode: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'posted', 'reversed'],
+    default: 'posted'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+generalLedgerSchema.index({ transactionDate: 1, status: 1 });
+generalLedgerSchema.index({ 'entries.account': 1, transactionDate: 1 });
+generalLedgerSchema.index({ referenceType: 1, referenceId: 1 });
+// A savings transaction is journalled exactly once
+generalLedgerSchema.index(
+  { referenceId: 1 },
+  { unique: true, partialFilterExpression: { referenceType: 'savings_transaction' }, name: 'savings_transaction_journal_unique' }
+);
+
+// Totals always come from the lines, and an unbalanced entry never reaches the ledger
+generalLedgerSchema.pre('validate', function(next) {
+  const entries = this.entries || [];
+  this.totalDebit = sumMoney(entries.map((entry) => Number(entry.debit) || 0));
+  this.totalCredit = sumMoney(entries.map((entry) => Number(entry.credit) || 0));
+
+  if (Math.abs(this.totalDebit - this.totalCredit) > BALANCE_TOLERANCE) {
+    return next(new Error(`Journal entry is not balanced: debits ${this.totalDebit}, credits ${this.totalCredit}`));
+  }
+  if (!this.fiscalYear) {
+    this.fiscalYear = this.transactionDate.getUTCFullYear();
+  }
+  if (!this.fiscalPeriod) {
+    this.fiscalPeriod = this.transactionDate.getUTCMonth() + 1;
+  }
+  next();
+});
+
+/**
+ * Debit and credit totals per ledger account for posted entries up to `asOfDate`.
+ * `balance` is signed by the account's normal side (debit for assets and expenses).
+ * @param {Date} asOfDate - Inclusive cut-off
+ * @returns {Promise<Array>} [{ _id, accountCode, accountName, accountType, normalBalance, totalDebit, totalCredit, balance }]
+ */
+generalLedgerSchema.statics.getTrialBalance = async function(asOfDate = new Date()) {
+  const rows = await this.aggregate([
+    { $match: { status: 'posted', transactionDate: { $lte: asOfDate } } },
+    { $unwind: '$entries' },
+    {
+      $group: {
+        _id: '$entries.account',
+        totalDebit: { $sum: '$entries.debit' },
+        totalCredit: { $sum: '$entries.credit' }
+      }
+    },
+    { $lookup: { from: 'chartofaccounts', localField: '_id', foreignField: '_id', as: 'account' } },
+    { $unwind: '$account' },
+    { $sort: { 'account.accountCode': 1 } }
+  ]);
+
+  return rows.map(row => {
+    const totalDebit = roundMoney(row.totalDebit);
+    const totalCredit = roundMoney(row.totalCredit);
+    const debitNormal = (row.account.normalBalance || (['asset', 'expense'].includes(row.account.accountType) ? 'DE' : 'CR')) === 'DE';
+    return {
+      _id: row._id,
+      accountCode: row.account.accountCode,
+      accountName: row.account.accountName,
+      accountType: row.account.accountType,
+      normalBalance: debitNormal ? 'DE' : 'CR',
+      totalDebit,
+      totalCredit,
+      balance: roundMoney(debitNormal ? totalDebit - totalCredit : totalCredit - totalDebit)
+    };
+  });
+};
+
+/**
+ * Balance of one ledger account from posted entries up to `asOfDate`, signed by its normal side
+ * @param {string} accountId - ChartOfAccounts id
+ * @param {Date} asOfDate - Inclusive cut-off
+ * @returns {Promise<number>}
+ */
+generalLedgerSchema.statics.getAccountBalance = async function(accountId, asOfDate = new Date()) {
+  const account = await mongoose.model('ChartOfAccounts').findById(accountId).select('accountType normalBalance').lean();
+  if (!account) return 0;
+
+  const id = new mongoose.Types.ObjectId(String(accountId));
+  const [totals] = await this.aggregate([
+    { $match: { status: 'posted', transactionDate: { $lte: asOfDate }, 'entries.account': id } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': id } },
+    { $group: { _id: null, totalDebit: { $sum: '$entries.debit' }, totalCredit: { $sum: '$entries.credit' } } }
+  ]);
+
+  const net = (totals?.totalDebit || 0) - (totals?.totalCredit || 0);
+  return roundMoney(account.normalBalance === 'CR' ? -net : net);
+};
+
+/**
+ * Entries for a fiscal period
+ * @param {number} fiscalYear
+ * @param {number} fiscalPeriod - Month, 1-12
+ * @param {string} status - Optional status filter
+ * @returns {Promise<Array>}
+ */
+generalLedgerSchema.statics.getPeriodTransactions = function(fiscalYear, fiscalPeriod, status) {
+  return this.find({ fiscalYear, fiscalPeriod, ...(status ? { status } : {}) }).sort({ transactionDate: 1 });
+};
+
+export default mongoose.models.GeneralLedger || mongoose.model('GeneralLedger', generalLedgerSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// One row per account per business day; capitalisation marks rows instead of deleting them
+const interestAccrualSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount',
+    required: true,
+    index: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccountProduct',
+    required: false
+  },
+  // Business date the accrual covers, stored as UTC midnight
+  accrualDate: {
+    type: Date,
+    required: true
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  interestRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dayCountConvention: {
+    type: String,
+    enum: ['actual/365', 'actual/360', '30/360'],
+    required: true
+  },
+  // Fraction of a year this accrual covers under the convention
+  yearFraction: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Unrounded; rounding happens once per capitalisation
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    // forfeited: dropped as an early-withdrawal penalty on a term deposit
+    enum: ['accrued', 'capitalised', 'forfeited'],
+    default: 'accrued',
+    index: true
+  },
+  capitalisedAt: {
+    type: Date,
+    default: null
+  },
+  capitalisationTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Makes re-running a date a no-op for accounts already accrued
+interestAccrualSchema.index({ accountId: 1, accrualDate: 1 }, { unique: true });
+interestAccrualSchema.index({ accountId: 1, status: 1, accrualDate: 1 });
+
+// Static method to total the interest accrued but not yet capitalised
+interestAccrualSchema.statics.getPendingInterest = async function(accountId, session = null) {
+  const [result] = await this.aggregate([
+    { $match: { accountId: new mongoose.Types.ObjectId(String(accountId)), status: 'accrued' } },
+    { $group: { _id: null, total: { $sum: '$amount' }, days: { $sum: 1 } } }
+  ]).session(session);
+
+  return { total: result?.total || 0, days: result?.days || 0 };
+};
+
+export default mongoose.models.InterestAccrual || mongoose.model('InterestAccrual', interestAccrualSchema);
@@ -16,7 +16,7 @@ const notificationSchema = new mongoose.Schema({
     enum: [
       'loan_approved', 'loan_pending', 'loan_rejected', 'loan_completed', 'loan_disbursed', 'loan_restructured',
       'payment_reminder_7', 'payment_reminder_3', 'payment_overdue', 'recovery_warning', 'recovery_final',
-      'visit_office', 'document_required', 'custom'
+      'visit_office', 'document_required', 'dormancy_notice', 'account_dormant', 'password_changed', 'custom'
     ],
     default: 'custom'
   },
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// One problem found by the reconciliation job
+const reconciliationBreakSchema = new mongoose.Schema({
+  // balance_mismatch: account balance differs from the sum of its completed transactions
+  // amount_mismatch: a transaction's balanceAfter - balanceBefore differs from its signed amount
+  // chain_break: a transaction's balanceBefore differs from the previous balanceAfter
+  kind: {
+    type: String,
+    enum: ['balance_mismatch', 'amount_mismatch', 'chain_break'],
+    required: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount',
+    required: true
+  },
+  accountNumber: String,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactionId: String,
+  expected: Number,
+  actual: Number,
+  difference: Number
+}, { _id: false });
+
+// Result of one reconciliation run over every savings account
+const reconciliationReportSchema = new mongoose.Schema({
+  // Business date the run closes (the scheduled job checks yesterday)
+  businessDate: {
+    type: Date,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'clean', 'breaks_found', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  accountsChecked: {
+    type: Number,
+    default: 0
+  },
+  transactionsChecked: {
+    type: Number,
+    default: 0
+  },
+  accountsWithBreaks: {
+    type: Number,
+    default: 0
+  },
+  breakCount: {
+    type: Number,
+    default: 0
+  },
+  // Only the first breaks are stored; `truncated` is set when there were more
+  breaks: [reconciliationBreakSchema],
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+reconciliationReportSchema.index({ status: 1, startedAt: -1 });
+
+export default mongoose.models.ReconciliationReport || mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import NumberingService from '../services/numberingService.js';
+import { syncMinorFields } from '../utils/money.js';
 
 const savingsAccountSchema = new mongoose.Schema({
   accountNumber: {
@@ -30,12 +32,28 @@ const savingsAccountSchema = new mongoose.Schema({
     required: false,
     index: true
   },
+  // Branch the account number was issued under
+  branchCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Mirror of balanceMinor in major units, kept for reads and reports
   balance: {
     type: Number,
     default: 0,
     min: 0,
     required: true
   },
+  // Balance in integer minor units (utils/money.js); postings do their arithmetic here
+  balanceMinor: {
+    type: Number,
+    min: 0,
+    validate: {
+      validator: Number.isSafeInteger,
+      message: 'balanceMinor must be an integer'
+    }
+  },
   minimumBalance: {
     type: Number,
     default: 0,
@@ -49,7 +67,7 @@ const savingsAccountSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'suspended', 'closed'],
+    enum: ['active', 'dormant', 'unclaimed', 'suspended', 'closed'],
     default: 'active',
     required: true
   },
@@ -57,10 +75,119 @@ const savingsAccountSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Last customer-driven posting; interest, fees and reversals do not count as activity
   lastTransactionDate: {
     type: Date,
     default: null
   },
+  // Dormancy engine state (services/dormancyService.js)
+  dormancy: {
+    noticeSentAt: Date,
+    dormantSince: Date,
+    unclaimedSince: Date,
+    reactivatedAt: Date,
+    reactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reactivationNote: String,
+    // KYC details re-confirmed by staff at reactivation
+    kycConfirmation: {
+      idNumber: String,
+      documentType: {
+        type: String,
+        enum: ['national_id', 'passport', 'driving_licence', 'other']
+      },
+      contactConfirmed: Boolean,
+      confirmedAt: Date
+    }
+  },
+  // Day of month the maintenance fee is charged; months shorter than this bill on their last day
+  billingDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  // Unpaid maintenance fees carried forward to the next billing date
+  feeArrears: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total of active holds (AccountHold); kept in step by HoldService in the same transaction
+  heldAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Final settlement recorded when the account is closed (services/accountClosureService.js)
+  closure: {
+    reason: {
+      type: String,
+      enum: ['customer_request', 'account_consolidation', 'deceased', 'bank_decision', 'kyc_failure', 'other']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    closedAt: Date,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    interestPaid: Number,
+    closureFee: Number,
+    arrearsCollected: Number,
+    feesWaived: Number,
+    payoutMethod: {
+      type: String,
+      enum: ['cash', 'transfer']
+    },
+    payoutAmount: Number,
+    payoutAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SavingsAccount'
+    },
+    transferReference: String,
+    certificateNumber: String
+  },
+  // Term deposit terms; only set on fixed accounts
+  termDeposit: {
+    principal: {
+      type: Number,
+      min: 0
+    },
+    tenorMonths: {
+      type: Number,
+      min: 1
+    },
+    startDate: Date,
+    maturityDate: {
+      type: Date,
+      index: true
+    },
+    interestPayout: {
+      type: String,
+      enum: ['at_maturity', 'periodic']
+    },
+    maturityInstruction: {
+      type: String,
+      enum: ['rollover', 'payout', 'manual']
+    },
+    // Regular account that receives the payout at maturity or on early withdrawal
+    payoutAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SavingsAccount'
+    },
+    status: {
+      type: String,
+      enum: ['active', 'awaiting_action', 'paid_out', 'broken']
+    },
+    rolloverCount: Number,
+    maturedAt: Date,
+    closedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -75,7 +202,9 @@ const savingsAccountSchema = new mongoose.Schema({
     required: false // Optional for customer-created accounts
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Reject saves made from a stale read so concurrent postings can't lose an update
+  optimisticConcurrency: true
 });
 
 // Indexes for better performance
@@ -83,24 +212,51 @@ savingsAccountSchema.index({ customerId: 1, status: 1 });
 savingsAccountSchema.index({ accountNumber: 1 });
 savingsAccountSchema.index({ status: 1, createdAt: -1 });
 savingsAccountSchema.index({ productId: 1, status: 1 });
+savingsAccountSchema.index({ status: 1, lastTransactionDate: 1 });
 // Unique constraint: A customer can only have one account per product (only when productId is set)
 savingsAccountSchema.index({ customerId: 1, productId: 1 }, { unique: true, sparse: true });
 
+// balanceMinor is the source of truth; balance follows it
+savingsAccountSchema.pre('validate', function(next) {
+  syncMinorFields(this, [['balance', 'balanceMinor']]);
+  next();
+});
+
 // Pre-save middleware to generate account number
 savingsAccountSchema.pre('save', async function(next) {
   if (this.isNew && !this.accountNumber) {
-    // Generate account number: SAV + timestamp + random 4 digits
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    this.accountNumber = `SAV${timestamp}${random}`;
+    // Sequential per branch and product, ending in a check digit
+    const numbering = await NumberingService.getSettings();
+    this.branchCode = this.branchCode || numbering.branchCode;
+    this.accountNumber = await NumberingService.nextAccountNumber({
+      branchCode: this.branchCode,
+      productCode: this.productCode
+    }, numbering);
+  }
+  if (this.isNew && !this.billingDay) {
+    this.billingDay = (this.createdAt || new Date()).getUTCDate();
   }
   this.updatedAt = new Date();
   next();
 });
 
+// Ledger balance less funds frozen by active holds
+savingsAccountSchema.virtual('availableBalance').get(function() {
+  return (this.balance || 0) - (this.heldAmount || 0);
+});
+
+// Whether the account is a term deposit that is still running
+savingsAccountSchema.methods.isLockedTerm = function() {
+  return this.accountType === 'fixed' && this.termDeposit?.status === 'active';
+};
+
 // Instance method to check if withdrawal is allowed
 // skipVerification: if true, skips the isVerified check (for customer-initiated transactions)
 savingsAccountSchema.methods.canWithdraw = function(amount, skipVerification = false) {
+  if (this.status === 'dormant' || this.status === 'unclaimed') {
+    return { allowed: false, reason: `Account is ${this.status} and must be reactivated by staff before withdrawals` };
+  }
+
   if (this.status !== 'active') {
     return { allowed: false, reason: 'Account is not active' };
   }
@@ -116,24 +272,44 @@ savingsAccountSchema.methods.canWithdraw = function(amount, skipVerification = f
   if (this.balance < amount) {
     return { allowed: false, reason: 'Insufficient balance' };
   }
+
+  if (this.availableBalance < amount) {
+    return { allowed: false, reason: 'Insufficient available balance: part of the balance is on hold' };
+  }
   
   const remainingBalance = this.balance - amount;
   if (remainingBalance < this.minimumBalance) {
     return { allowed: false, reason: 'Withdrawal would violate minimum balance requirement' };
   }
+
+  // Principal stays locked until maturity; only interest paid into the account can be withdrawn
+  if (this.isLockedTerm() && remainingBalance < this.termDeposit.principal) {
+    return { allowed: false, reason: 'Term deposit principal is locked until maturity' };
+  }
   
   return { allowed: true };
 };
 
 // Instance method to check if deposit is allowed
 savingsAccountSchema.methods.canDeposit = function(amount) {
-  if (this.status !== 'active') {
+  // Dormant accounts still accept credits; they stay dormant until staff reactivate them
+  if (this.status !== 'active' && this.status !== 'dormant') {
     return { allowed: false, reason: 'Account is not active' };
   }
   
   if (amount <= 0) {
     return { allowed: false, reason: 'Invalid deposit amount' };
   }
+
+  // A term deposit is funded once, with exactly its principal
+  if (this.isLockedTerm()) {
+    if (this.balance > 0) {
+      return { allowed: false, reason: 'Term deposit accounts accept a single funding deposit' };
+    }
+    if (amount !== this.termDeposit.principal) {
+      return { allowed: false, reason: `Funding deposit must equal the term principal of ${this.termDeposit.principal}` };
+    }
+  }
   
   return { allowed: true };
 };
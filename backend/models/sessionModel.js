@@ -15,7 +15,7 @@ const sessionSchema = new mongoose.Schema({
     unique: true
   },
   
-  // Token Information
+  // Token Information (SHA-256 digest of the issued JWT, see services/sessionService.js)
   token: {
     type: String,
     required: true
@@ -52,7 +52,7 @@ const sessionSchema = new mongoose.Schema({
     timestamp: Date,
     reason: {
       type: String,
-      enum: ['user_logout', 'session_expired', 'inactivity', 'security_breach', 'admin_terminated', 'system_maintenance'],
+      enum: ['user_logout', 'session_expired', 'inactivity', 'security_breach', 'admin_terminated', 'system_maintenance', 'session_limit', 'user_terminated'],
       default: null
     },
     ipAddress: String
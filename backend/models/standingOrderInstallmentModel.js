@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// One due date of a standing order. The unique (order, due date) index makes a
+// repeated job run find the existing installment instead of paying twice.
+const standingOrderInstallmentSchema = new mongoose.Schema({
+  standingOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StandingOrder',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // due: waiting for its first attempt or a retry on nextAttemptAt
+  // skipped: the order was paused or cancelled before the installment was paid
+  status: {
+    type: String,
+    enum: ['due', 'paid', 'missed', 'skipped'],
+    default: 'due'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  nextAttemptAt: Date,
+  failureReason: {
+    type: String,
+    maxlength: 500
+  },
+  // Recurring deposits: deposits counted towards this installment
+  amountDeposited: {
+    type: Number,
+    default: 0
+  },
+  // Transfers: the posted transfer
+  transferReference: String,
+  transactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+standingOrderInstallmentSchema.index({ standingOrderId: 1, dueDate: 1 }, { unique: true });
+standingOrderInstallmentSchema.index({ status: 1, nextAttemptAt: 1 });
+standingOrderInstallmentSchema.index({ standingOrderId: 1, sequence: -1 });
+
+export default mongoose.models.StandingOrderInstallment || mongoose.model('StandingOrderInstallment', standingOrderInstallmentSchema);
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+export const STANDING_ORDER_TYPES = ['transfer', 'recurring_deposit'];
+export const STANDING_ORDER_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'quarterly'];
+
+// A standing instruction executed by the standing order job (services/standingOrderService.js).
+// transfer: moves `amount` from fromAccountId to toAccountId on every due date.
+// recurring_deposit: a commitment to deposit `amount` into toAccountId every period;
+// the job checks the deposits made and records the installment as paid or missed.
+const standingOrderSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: STANDING_ORDER_TYPES,
+    required: true
+  },
+  // Account debited by a transfer; not used by recurring deposits
+  fromAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount',
+    index: true
+  },
+  // Account credited by a transfer, or the account a recurring deposit is saved into
+  toAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  frequency: {
+    type: String,
+    enum: STANDING_ORDER_FREQUENCIES,
+    required: true
+  },
+  // Business dates (UTC midnight); due dates are counted from startDate so month ends don't drift
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Installments generated so far; the next one is due on nextDueDate
+  installmentCount: {
+    type: Number,
+    default: 0
+  },
+  nextDueDate: {
+    type: Date,
+    default: null
+  },
+  // A failed installment is tried again up to maxRetries times, retryIntervalDays apart,
+  // before it is recorded as missed. The order pauses after pauseAfterMissed misses in a row.
+  retryPolicy: {
+    maxRetries: {
+      type: Number,
+      default: 2,
+      min: 0,
+      max: 10
+    },
+    retryIntervalDays: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 7
+    },
+    pauseAfterMissed: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 12
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  statusReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  installmentsPaid: {
+    type: Number,
+    default: 0
+  },
+  installmentsMissed: {
+    type: Number,
+    default: 0
+  },
+  consecutiveMissed: {
+    type: Number,
+    default: 0
+  },
+  totalPaid: {
+    type: Number,
+    default: 0
+  },
+  // Deposits made after this time count towards the next recurring deposit installment
+  lastPaidAt: {
+    type: Date,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Who set the order up: staff on the account page or the customer through the app
+  channel: {
+    type: String,
+    enum: ['staff', 'customer'],
+    default: 'staff'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false // Not set for customer-created orders
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+standingOrderSchema.index({ status: 1, nextDueDate: 1 });
+
+standingOrderSchema.pre('validate', function(next) {
+  if (this.isNew && !this.reference) {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.reference = `SO${timestamp}${random}`;
+  }
+  next();
+});
+
+export default mongoose.models.StandingOrder || mongoose.model('StandingOrder', standingOrderSchema);
@@ -198,12 +198,31 @@ const systemSettingsSchema = new mongoose.Schema({
     passwordRequireLowercase: { type: Boolean, default: true },
     passwordRequireNumbers: { type: Boolean, default: true },
     passwordRequireSpecialChars: { type: Boolean, default: true },
-    sessionTimeout: { type: Number, default: 6 }, // hours
+    // Staff sessions end after this long without a request; the frontend inactivity warning
+    // uses the same value. Signing in beyond maxConcurrentSessions ends the oldest session (0 = no limit)
+    sessionTimeout: { type: Number, default: 6, min: 0.25 }, // hours
+    maxConcurrentSessions: { type: Number, default: 3, min: 0 },
     maxLoginAttempts: { type: Number, default: 5 },
     lockoutDuration: { type: Number, default: 30 }, // minutes
-    requireTwoFactor: { type: Boolean, default: false }
+    // Staff must pass a second factor at login: everyone when requireTwoFactor is on,
+    // otherwise only the roles listed in mfaRequiredRoles (services/mfaService.js)
+    requireTwoFactor: { type: Boolean, default: false },
+    mfaRequiredRoles: [{ type: String, trim: true }]
   },
   
+  // Account and transaction numbering
+  // Formats use {prefix}, {branch}, {product}, {date} (YYMMDD) and {seq}; the check digit is appended
+  numbering: {
+    branchCode: { type: String, default: '01', uppercase: true, trim: true },
+    accountPrefix: { type: String, default: 'SAV', uppercase: true, trim: true },
+    accountFormat: { type: String, default: '{prefix}{branch}{product}{seq}' },
+    accountSequenceLength: { type: Number, default: 6, min: 3, max: 12 },
+    transactionPrefix: { type: String, default: 'TXN', uppercase: true, trim: true },
+    transactionFormat: { type: String, default: '{prefix}{branch}{date}{seq}' },
+    transactionSequenceLength: { type: Number, default: 6, min: 3, max: 12 },
+    checkDigitAlgorithm: { type: String, enum: ['luhn', 'iso7064'], default: 'luhn' }
+  },
+
   // Notification Settings
   notifications: {
     emailNotifications: { type: Boolean, default: true },
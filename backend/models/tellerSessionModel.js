@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { roundMoney } from '../utils/money.js';
+
+/**
+ * Cash a drawer should hold: float plus cash and transfers in, less cash and transfers out
+ * @param {Object} drawer - TellerSession
+ * @returns {number}
+ */
+export const calculateExpectedCash = (drawer) => roundMoney(
+  (drawer.openingFloat || 0) + (drawer.cashIn || 0) + (drawer.transfersIn || 0)
+  - (drawer.cashOut || 0) - (drawer.transfersOut || 0)
+);
+
+// A teller's cash drawer for one business day. Cash deposits and withdrawals the teller
+// posts move `cashIn`/`cashOut`; the expected cash is only shown once the blind count is in.
+const tellerSessionSchema = new mongoose.Schema({
+  teller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  branchCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Business date the drawer belongs to, stored as UTC midnight
+  businessDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  // Float issued from the branch vault when the drawer was opened
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Customer cash deposits and withdrawals
+  cashIn: {
+    type: Number,
+    default: 0
+  },
+  cashOut: {
+    type: Number,
+    default: 0
+  },
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  // Cash moved from/to the vault or another drawer after opening
+  transfersIn: {
+    type: Number,
+    default: 0
+  },
+  transfersOut: {
+    type: Number,
+    default: 0
+  },
+  // Set at close: the teller's count, the system figure and the difference (count - expected)
+  countedCash: Number,
+  expectedCash: Number,
+  variance: Number,
+  varianceType: {
+    type: String,
+    enum: ['balanced', 'over', 'short']
+  },
+  closeNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A teller has at most one open drawer
+tellerSessionSchema.index(
+  { teller: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' }, name: 'one_open_drawer_per_teller' }
+);
+tellerSessionSchema.index({ branchCode: 1, businessDate: 1, status: 1 });
+
+export default mongoose.models.TellerSession || mongoose.model('TellerSession', tellerSessionSchema);
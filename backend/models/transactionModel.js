@@ -1,16 +1,33 @@
 import mongoose from 'mongoose';
+import NumberingService from '../services/numberingService.js';
+import { syncMinorFields } from '../utils/money.js';
+
+// [major, minor] money field pairs kept in step before validation
+export const MONEY_FIELDS = [
+  ['amount', 'amountMinor'],
+  ['balanceBefore', 'balanceBeforeMinor'],
+  ['balanceAfter', 'balanceAfterMinor']
+];
+
+// Transaction types that credit the account when no explicit direction is stored
+export const CREDIT_TRANSACTION_TYPES = ['deposit', 'transfer_in', 'interest'];
+
+/**
+ * Balance effect of a transaction, falling back to its type for rows posted before `direction` existed
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {'credit'|'debit'}
+ */
+export const getTransactionDirection = (transaction) => {
+  if (transaction.direction) return transaction.direction;
+  return CREDIT_TRANSACTION_TYPES.includes(transaction.type) ? 'credit' : 'debit';
+};
 
 const transactionSchema = new mongoose.Schema({
   transactionId: {
     type: String,
     required: true,
     unique: true,
-    index: true,
-    default: function() {
-      const timestamp = Date.now().toString().slice(-10);
-      const random = Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
-      return `TXN${timestamp}${random}`;
-    }
+    index: true
   },
   accountId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,9 +43,14 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'transfer_in', 'transfer_out', 'interest', 'fee'],
+    enum: ['deposit', 'withdrawal', 'transfer_in', 'transfer_out', 'interest', 'fee', 'reversal'],
     required: true
   },
+  // Effect on the account balance; reversals take the opposite side of what they reverse
+  direction: {
+    type: String,
+    enum: ['credit', 'debit']
+  },
   amount: {
     type: Number,
     required: true,
@@ -44,6 +66,31 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // The same three values in integer minor units (utils/money.js); the Number fields above mirror them
+  amountMinor: {
+    type: Number,
+    min: 0,
+    validate: {
+      validator: Number.isSafeInteger,
+      message: 'amountMinor must be an integer'
+    }
+  },
+  balanceBeforeMinor: {
+    type: Number,
+    min: 0,
+    validate: {
+      validator: Number.isSafeInteger,
+      message: 'balanceBeforeMinor must be an integer'
+    }
+  },
+  balanceAfterMinor: {
+    type: Number,
+    min: 0,
+    validate: {
+      validator: Number.isSafeInteger,
+      message: 'balanceAfterMinor must be an integer'
+    }
+  },
   description: {
     type: String,
     required: true,
@@ -53,6 +100,67 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     maxlength: 100
   },
+  // Shared by both legs of an account-to-account transfer
+  transferReference: {
+    type: String,
+    index: true
+  },
+  counterpartyAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsAccount'
+  },
+  relatedTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Reversal links: a reversal points at the original, the original points back at its reversal
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    index: true
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reasonCode: {
+    type: String,
+    enum: ['duplicate', 'posting_error', 'customer_dispute', 'fraud', 'fee_waiver', 'other']
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Maker-checker: set when an ApprovalRule held the transaction as pending
+  approval: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalRule'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    // Hold placed on the funds while a withdrawal or transfer waits
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AccountHold'
+    },
+    decision: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    note: {
+      type: String,
+      maxlength: 500
+    }
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed', 'cancelled'],
@@ -64,6 +172,18 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: false // Optional for customer-initiated transactions
   },
+  // Bulk deposit upload the transaction was posted from (models/depositBatchModel.js)
+  batchId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  // Teller drawer the cash went into or came out of (teller deposits and withdrawals)
+  tellerSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TellerSession',
+    index: true
+  },
   deviceId: {
     type: String,
     required: true
@@ -98,6 +218,17 @@ transactionSchema.index({ customerId: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, status: 1 });
 transactionSchema.index({ createdAt: -1 });
 transactionSchema.index({ transactionId: 1 });
+transactionSchema.index({ 'approval.decision': 1, createdAt: 1 });
+
+// Transactions posted through AccountPostingService get their ID from the account's branch;
+// anything else is numbered under the default branch before validation
+transactionSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.transactionId) {
+    this.transactionId = await NumberingService.nextTransactionId();
+  }
+  syncMinorFields(this, MONEY_FIELDS);
+  next();
+});
 
 // Keep updatedAt fresh on save
 transactionSchema.pre('save', async function(next) {
@@ -126,7 +257,7 @@ transactionSchema.statics.getTransactionHistory = async function(accountId, page
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
-    .select('transactionId type amount balanceAfter description status createdAt');
+    .select('transactionId type direction amount balanceAfter description status reversalOf reversedBy createdAt');
   
   const total = await this.countDocuments({ accountId });
   
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Cash held in a branch vault outside the teller drawers
+const vaultSchema = new mongoose.Schema({
+  branchCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.models.Vault || mongoose.model('Vault', vaultSchema);
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getApprovalRules,
+  createApprovalRule,
+  updateApprovalRule,
+  deleteApprovalRule,
+  getPendingApprovals,
+  approveTransaction,
+  rejectTransaction
+} from '../controllers/approvalController.js';
+import auth from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Approval thresholds per transaction type, role and product
+router.get('/rules', authorize(['admin', 'manager']), getApprovalRules);
+router.post('/rules', authorize(['admin']), createApprovalRule);
+router.put('/rules/:id', authorize(['admin']), updateApprovalRule);
+router.delete('/rules/:id', authorize(['admin']), deleteApprovalRule);
+
+// Transactions waiting for a checker
+router.get('/pending', authorize(['admin', 'manager']), getPendingApprovals);
+
+// Approve (posts the transaction) or reject (releases the hold)
+router.post('/:id/approve', authorize(['admin', 'manager']), idempotency(), approveTransaction);
+router.post('/:id/reject', authorize(['admin', 'manager']), idempotency(), rejectTransaction);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getDepositBatches,
+  uploadDepositBatch,
+  getDepositBatch,
+  postDepositBatch,
+  rollbackDepositBatch,
+  discardDepositBatch,
+  downloadDepositBatchResult
+} from '../controllers/bulkDepositController.js';
+import auth from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Batches, and uploading a parsed CSV/Excel file as a draft for preview
+router.get('/', authorize(['admin', 'manager', 'staff']), getDepositBatches);
+router.post('/', authorize(['admin', 'manager', 'staff']), idempotency(), uploadDepositBatch);
+
+router.get('/:id', authorize(['admin', 'manager', 'staff']), getDepositBatch);
+router.get('/:id/result', authorize(['admin', 'manager', 'staff']), downloadDepositBatchResult);
+
+// Posting and rolling back move customer money, so they need a supervisor
+router.post('/:id/post', authorize(['admin', 'manager', 'branch-manager']), postDepositBatch);
+router.post('/:id/rollback', authorize(['admin', 'manager', 'branch-manager']), rollbackDepositBatch);
+router.post('/:id/discard', authorize(['admin', 'manager', 'staff']), discardDepositBatch);
+
+export default router;
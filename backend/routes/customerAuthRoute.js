@@ -1,7 +1,12 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import {
   registerCustomer,
   loginCustomer,
+  refreshCustomerToken,
+  logoutCustomer,
+  forgotCustomerPassword,
+  resetForgottenPassword,
   getCurrentCustomer,
   getAvailableTenants,
   getBranchesByTenant
@@ -10,9 +15,28 @@ import customerAuthMiddleware from '../middleware/customerAuth.js';
 
 const customerAuthRouter = express.Router();
 
+// Per-IP cap on password reset calls; requests and code attempts are also limited per
+// account in services/customerPasswordService.js
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    code: 'TOO_MANY_REQUESTS',
+    message: 'Too many password reset attempts. Please try again later.'
+  }
+});
+
 // Public routes
 customerAuthRouter.post('/register', registerCustomer);
 customerAuthRouter.post('/login', loginCustomer);
+// Authorised by the refresh token in the body, so they work after the access token expires
+customerAuthRouter.post('/refresh', refreshCustomerToken);
+customerAuthRouter.post('/logout', logoutCustomer);
+customerAuthRouter.post('/forgot-password', passwordResetLimiter, forgotCustomerPassword);
+customerAuthRouter.post('/reset-password', passwordResetLimiter, resetForgottenPassword);
 customerAuthRouter.get('/tenants', getAvailableTenants);
 customerAuthRouter.get('/branches', getBranchesByTenant);
 
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getChartOfAccounts,
+  seedChartOfAccounts,
+  getJournal,
+  getTrialBalance
+} from '../controllers/ledgerController.js';
+import auth from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Chart of accounts
+router.get('/accounts', authorize(['admin', 'manager', 'accountant', 'auditor']), getChartOfAccounts);
+router.post('/accounts/seed', authorize(['admin']), seedChartOfAccounts);
+
+// Journal entries and trial balance
+router.get('/journal', authorize(['admin', 'manager', 'accountant', 'auditor']), getJournal);
+router.get('/trial-balance', authorize(['admin', 'manager', 'accountant', 'auditor']), getTrialBalance);
+
+export default router;
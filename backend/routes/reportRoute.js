@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation
+} from '../controllers/reportController.js';
+import auth from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Balance reconciliation (nightly job results)
+router.get('/reconciliation', authorize(['admin', 'manager', 'accountant', 'auditor']), getReconciliationReports);
+router.post('/reconciliation/run', authorize(['admin']), runReconciliation);
+router.get('/reconciliation/:id', authorize(['admin', 'manager', 'accountant', 'auditor']), getReconciliationReport);
+
+export default router;
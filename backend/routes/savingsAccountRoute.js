@@ -12,11 +12,33 @@ import {
   getCustomerAccountSummary,
   deleteSavingsAccount,
   createCustomerSavingsAccount,
-  getMySavingsAccounts
+  getMySavingsAccounts,
+  getInterestAccruals,
+  runInterest,
+  runFees,
+  getFeeReport,
+  getTransactionLimits,
+  getMyTransactionLimits,
+  getAccountStatement,
+  getMyAccountStatement,
+  getAccountHolds,
+  createAccountHold,
+  releaseAccountHold,
+  getTermDeposits,
+  runMaturities,
+  earlyWithdrawTermDeposit,
+  resolveMaturedTermDeposit,
+  runDormancy,
+  getDormancyReport,
+  reactivateSavingsAccount,
+  getClosureQuote,
+  closeSavingsAccount,
+  getClosureCertificate
 } from '../controllers/savingsAccountController.js';
 import auth from '../middleware/auth.js';
 import customerAuth from '../middleware/customerAuth.js';
 import { authorize } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -38,15 +60,64 @@ router.get('/customer/:customerId', authorize(['admin', 'manager', 'staff']), ge
 // Update savings account
 router.put('/:id', authorize(['admin', 'manager']), updateSavingsAccount);
 
-// Delete savings account (admin/manager)
+// Delete an account opened in error (no transactions, zero balance)
 router.delete('/:id', authorize(['admin', 'manager']), deleteSavingsAccount);
 
+// Close an account with final settlement (interest, closure fees, payout)
+router.get('/:id/closure-quote', authorize(['admin', 'manager', 'staff']), getClosureQuote);
+router.post('/:id/close', authorize(['admin', 'manager']), idempotency(), closeSavingsAccount);
+router.get('/:id/closure-certificate', authorize(['admin', 'manager', 'staff']), getClosureCertificate);
+
 // Verify savings account (admin only)
 router.patch('/:id/verify', authorize(['admin']), verifySavingsAccount);
 
 // Get account transaction history
 router.get('/:id/transactions', authorize(['admin', 'manager', 'staff']), getAccountTransactionHistory);
 
+// Download a statement (?from=&to=YYYY-MM-DD, ?format=pdf|csv)
+router.get('/:id/statement', authorize(['admin', 'manager', 'staff']), getAccountStatement);
+
+// Get deposit/withdrawal limits and usage (?channel=teller|customer)
+router.get('/:id/limits', authorize(['admin', 'manager', 'staff']), getTransactionLimits);
+
+// Holds (liens) freezing part of the balance
+router.get('/:id/holds', authorize(['admin', 'manager', 'staff']), getAccountHolds);
+router.post('/:id/holds', authorize(['admin', 'manager']), createAccountHold);
+router.post('/:id/holds/:holdId/release', authorize(['admin', 'manager']), releaseAccountHold);
+
+// Get daily interest accrual history
+router.get('/:id/interest-accruals', authorize(['admin', 'manager', 'staff']), getInterestAccruals);
+
+// Re-run interest accrual/capitalisation for a business date (safe to repeat)
+router.post('/interest/run', authorize(['admin']), runInterest);
+
+// Charge monthly fees for a business date (safe to repeat)
+router.post('/fees/run', authorize(['admin']), runFees);
+
+// Get fee run report for a billing period
+router.get('/fees/report', authorize(['admin', 'manager']), getFeeReport);
+
+// Term deposits maturing within ?days= (default 30), or ?status=awaiting_action
+router.get('/reports/term-deposits', authorize(['admin', 'manager', 'staff']), getTermDeposits);
+
+// Process term deposit maturities for a business date (safe to repeat)
+router.post('/term-deposits/maturity/run', authorize(['admin']), runMaturities);
+
+// Break a term deposit early (product penalty applies)
+router.post('/:id/early-withdrawal', authorize(['admin', 'manager']), idempotency(), earlyWithdrawTermDeposit);
+
+// Roll over or pay out a matured term deposit awaiting staff action
+router.post('/:id/maturity-action', authorize(['admin', 'manager']), idempotency(), resolveMaturedTermDeposit);
+
+// Dormant and unclaimed accounts (?status=dormant|unclaimed)
+router.get('/reports/dormancy', authorize(['admin', 'manager', 'staff']), getDormancyReport);
+
+// Run the dormancy engine for a business date (safe to repeat)
+router.post('/dormancy/run', authorize(['admin']), runDormancy);
+
+// Reactivate a dormant or unclaimed account after KYC re-confirmation
+router.post('/:id/reactivate', authorize(['admin', 'manager']), reactivateSavingsAccount);
+
 // Get low balance accounts
 router.get('/reports/low-balance', authorize(['admin', 'manager', 'staff']), getLowBalanceAccounts);
 
@@ -64,5 +135,7 @@ export const createCustomerSavingsRouter = () => {
   customerRouter.use(customerAuth);
   customerRouter.post('/', createCustomerSavingsAccount);
   customerRouter.get('/mine', getMySavingsAccounts);
+  customerRouter.get('/:id/limits', getMyTransactionLimits);
+  customerRouter.get('/:id/statement', getMyAccountStatement);
   return customerRouter;
 };
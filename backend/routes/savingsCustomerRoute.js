@@ -7,6 +7,7 @@ import {
   updateCustomer,
   toggleCustomerStatus,
   getCustomerStats,
+  getPasswordSchemeReport,
   resetCustomerPassword,
   getCustomerProfile,
   updateCustomerProfile
@@ -46,4 +47,7 @@ router.patch('/:id/reset-password', authorize(['admin']), resetCustomerPassword)
 // Get customer statistics
 router.get('/stats/overview', authorize(['admin', 'manager', 'staff']), getCustomerStats);
 
+// Customers still on the legacy password hash
+router.get('/stats/password-schemes', authorize(['admin']), getPasswordSchemeReport);
+
 export default router;
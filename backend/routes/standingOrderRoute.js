@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  getStandingOrders,
+  createStandingOrder,
+  getStandingOrder,
+  pauseStandingOrder,
+  resumeStandingOrder,
+  cancelStandingOrder,
+  runStandingOrders,
+  getMyStandingOrders,
+  createMyStandingOrder,
+  getMyStandingOrder,
+  pauseMyStandingOrder,
+  resumeMyStandingOrder,
+  cancelMyStandingOrder
+} from '../controllers/standingOrderController.js';
+import auth from '../middleware/auth.js';
+import customerAuth from '../middleware/customerAuth.js';
+import { authorize } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Standing orders (?accountId= for one account's orders)
+router.get('/', authorize(['admin', 'manager', 'staff']), getStandingOrders);
+router.post('/', authorize(['admin', 'manager', 'staff']), idempotency(), createStandingOrder);
+
+// Run the standing order job for a business date (safe to repeat)
+router.post('/run', authorize(['admin']), runStandingOrders);
+
+router.get('/:id', authorize(['admin', 'manager', 'staff']), getStandingOrder);
+router.post('/:id/pause', authorize(['admin', 'manager', 'staff']), pauseStandingOrder);
+router.post('/:id/resume', authorize(['admin', 'manager', 'staff']), resumeStandingOrder);
+router.post('/:id/cancel', authorize(['admin', 'manager', 'staff']), cancelStandingOrder);
+
+export default router;
+
+// Customer self-service standing orders
+export const createCustomerStandingOrderRouter = () => {
+  const customerRouter = express.Router();
+  customerRouter.use(customerAuth);
+  customerRouter.get('/', getMyStandingOrders);
+  customerRouter.post('/', idempotency(), createMyStandingOrder);
+  customerRouter.get('/:id', getMyStandingOrder);
+  customerRouter.post('/:id/pause', pauseMyStandingOrder);
+  customerRouter.post('/:id/resume', resumeMyStandingOrder);
+  customerRouter.post('/:id/cancel', cancelMyStandingOrder);
+  return customerRouter;
+};
@@ -1,10 +1,13 @@
 import express from 'express';
+import NumberingService from '../services/numberingService.js';
 
 const router = express.Router();
 
 // Get public system settings
-router.get('/public', (req, res) => {
+router.get('/public', async (req, res) => {
   try {
+    const numbering = await NumberingService.getSettings();
+
     res.json({
       success: true,
       data: {
@@ -16,6 +19,11 @@ router.get('/public', (req, res) => {
           transactions: true,
           deviceVerification: true,
           notifications: true
+        },
+        // Lets clients validate account numbers as they are typed
+        numbering: {
+          accountPrefix: numbering.accountPrefix,
+          checkDigitAlgorithm: numbering.checkDigitAlgorithm
         }
       }
     });
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  openDrawer,
+  getMyDrawer,
+  closeDrawer,
+  getDrawers,
+  transferCash,
+  getVault,
+  adjustVault,
+  closeBusinessDay,
+  getBusinessDays
+} from '../controllers/tellerController.js';
+import auth from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// The current user's drawer
+router.post('/drawers/open', authorize(['admin', 'manager', 'staff']), idempotency(), openDrawer);
+router.get('/drawers/current', authorize(['admin', 'manager', 'staff']), getMyDrawer);
+router.post('/drawers/:id/close', authorize(['admin', 'manager', 'staff']), idempotency(), closeDrawer);
+
+// Supervision: all drawers, vault and cash transfers
+router.get('/drawers', authorize(['admin', 'manager', 'branch-manager']), getDrawers);
+router.post('/cash-transfers', authorize(['admin', 'manager', 'branch-manager']), idempotency(), transferCash);
+router.get('/vaults/:branchCode', authorize(['admin', 'manager', 'branch-manager']), getVault);
+router.post('/vaults/:branchCode/movements', authorize(['admin', 'manager']), idempotency(), adjustVault);
+
+// End-of-day close
+router.get('/business-days', authorize(['admin', 'manager', 'branch-manager']), getBusinessDays);
+router.post('/business-days/close', authorize(['admin', 'manager', 'branch-manager']), idempotency(), closeBusinessDay);
+
+export default router;
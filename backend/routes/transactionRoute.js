@@ -9,16 +9,19 @@ import {
   getCustomerTransactionSummary,
   getDailyTransactionReport,
   getTransactionStats,
-  cancelTransaction,
+  reverseTransaction,
   getRecentTransactions,
   customerDeposit,
-  customerWithdrawal
+  customerWithdrawal,
+  processTransfer,
+  customerTransfer
 } from '../controllers/transactionController.js';
 import Transaction from '../models/transactionModel.js';
 import { transactionListDTO } from '../dtos/transactionDTO.js';
 import auth from '../middleware/auth.js';
 import customerAuth from '../middleware/customerAuth.js';
 import { authorize } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -26,10 +29,13 @@ const router = express.Router();
 router.use(auth);
 
 // Process deposit transaction
-router.post('/deposit', authorize(['admin', 'manager', 'staff']), processDeposit);
+router.post('/deposit', authorize(['admin', 'manager', 'staff']), idempotency(), processDeposit);
 
 // Process withdrawal transaction
-router.post('/withdrawal', authorize(['admin', 'manager', 'staff']), processWithdrawal);
+router.post('/withdrawal', authorize(['admin', 'manager', 'staff']), idempotency(), processWithdrawal);
+
+// Process account-to-account transfer
+router.post('/transfer', authorize(['admin', 'manager', 'staff']), idempotency(), processTransfer);
 
 // Get recent transactions
 router.get('/recent', authorize(['admin', 'manager', 'staff']), getRecentTransactions);
@@ -52,8 +58,11 @@ router.get('/reports/daily/:date', authorize(['admin', 'manager', 'staff']), get
 // Get transaction statistics
 router.get('/stats/overview', authorize(['admin', 'manager', 'staff']), getTransactionStats);
 
-// Cancel transaction (admin only)
-router.patch('/:id/cancel', authorize(['admin']), cancelTransaction);
+// Reverse transaction with a linked compensating entry (admin only)
+router.post('/:id/reverse', authorize(['admin']), idempotency(), reverseTransaction);
+
+// Legacy cancel endpoint, now posts a reversal instead of editing the original
+router.patch('/:id/cancel', authorize(['admin']), idempotency(), reverseTransaction);
 
 export default router;
 
@@ -61,8 +70,9 @@ export default router;
 export const createCustomerTransactionRouter = () => {
   const customerRouter = express.Router();
   customerRouter.use(customerAuth);
-  customerRouter.post('/deposit', customerDeposit);
-  customerRouter.post('/withdrawal', customerWithdrawal);
+  customerRouter.post('/deposit', idempotency(), customerDeposit);
+  customerRouter.post('/withdrawal', idempotency(), customerWithdrawal);
+  customerRouter.post('/transfer', idempotency(), customerTransfer);
   // Customer analytics endpoints
   customerRouter.get('/account/:accountId', async (req, res) => {
     try {
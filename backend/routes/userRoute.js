@@ -3,6 +3,9 @@ import {
   registerUser,
   listUsers,
   loginUser,
+  verifyLoginMfa,
+  startLoginMfaSetup,
+  confirmLoginMfaSetup,
   logoutUser,
   getCurrentUser,
   updateUser,
@@ -12,6 +15,25 @@ import {
   listResponsibleOfficers,
   changeUserPassword
 } from "../controllers/userController.js";
+import {
+  getMfaStatus,
+  startMfaSetup,
+  confirmMfaSetup,
+  regenerateBackupCodes,
+  disableMfa,
+  getMfaPolicy,
+  updateMfaPolicy,
+  resetUserMfa
+} from "../controllers/mfaController.js";
+import {
+  getMySessions,
+  terminateMySession,
+  terminateOtherSessions,
+  getUserSessions,
+  terminateUserSessions,
+  getSessionPolicy,
+  updateSessionPolicy
+} from "../controllers/sessionController.js";
 
 import authMiddleware from "../middleware/auth.js";
 import { authorize } from "../middleware/rbac.js";
@@ -23,6 +45,11 @@ const userRouter = express.Router();
 // ✅ Public route for login
 userRouter.post("/login", loginUser);
 
+// ✅ Second login step, authorised by the pre-auth token from /login
+userRouter.post("/login/mfa", verifyLoginMfa);
+userRouter.post("/login/mfa/setup", startLoginMfaSetup);
+userRouter.post("/login/mfa/setup/confirm", confirmLoginMfaSetup);
+
 // ✅ Protected route for logout
 userRouter.post("/logout", authMiddleware, logoutUser);
 
@@ -53,6 +80,29 @@ userRouter.get(
 
 userRouter.get("/me", authMiddleware, getCurrentUser);
 
+// ✅ Own two-factor authentication
+userRouter.get("/mfa", authMiddleware, getMfaStatus);
+userRouter.post("/mfa/setup", authMiddleware, startMfaSetup);
+userRouter.post("/mfa/confirm", authMiddleware, confirmMfaSetup);
+userRouter.post("/mfa/backup-codes", authMiddleware, regenerateBackupCodes);
+userRouter.post("/mfa/disable", authMiddleware, disableMfa);
+
+// ✅ Two-factor policy and resets - admin only
+userRouter.get("/mfa/policy", authMiddleware, authorize(["admin"]), getMfaPolicy);
+userRouter.put("/mfa/policy", authMiddleware, authorize(["admin"]), updateMfaPolicy);
+userRouter.post("/:userId/mfa/reset", authMiddleware, authorize(["admin"]), resetUserMfa);
+
+// ✅ Own sessions: list devices, sign out others
+userRouter.get("/sessions", authMiddleware, getMySessions);
+userRouter.post("/sessions/terminate-others", authMiddleware, terminateOtherSessions);
+userRouter.post("/sessions/:sessionId/terminate", authMiddleware, terminateMySession);
+
+// ✅ Session policy and staff sessions - admin only
+userRouter.get("/sessions/policy", authMiddleware, authorize(["admin"]), getSessionPolicy);
+userRouter.put("/sessions/policy", authMiddleware, authorize(["admin"]), updateSessionPolicy);
+userRouter.get("/:userId/sessions", authMiddleware, authorize(["admin"]), getUserSessions);
+userRouter.post("/:userId/sessions/terminate", authMiddleware, authorize(["admin"]), terminateUserSessions);
+
 userRouter.put("/profile", authMiddleware, uploadToCloudinary("profilePicture", 1, { folder: 'profiles' }), updateProfile);
 
 userRouter.delete("/profile/picture", authMiddleware, deleteProfilePicture);
@@ -0,0 +1,48 @@
+import 'dotenv/config.js';
+import CustomerPasswordService, { DEFAULT_INACTIVE_DAYS } from '../services/customerPasswordService.js';
+import { connectDB } from '../config/db.js';
+
+// Reports how many customers are still on the legacy SHA-512 password hash. Those
+// who log in are upgraded automatically. Pass --force-reset to retire the legacy
+// hashes of customers with no login in --inactive-days (default 180); they must then
+// have their password reset. Add --dry-run to only count them.
+
+const FORCE_RESET = process.argv.includes('--force-reset');
+const DRY_RUN = process.argv.includes('--dry-run');
+const inactiveArg = process.argv.find(arg => arg.startsWith('--inactive-days='));
+const INACTIVE_DAYS = inactiveArg ? parseInt(inactiveArg.split('=')[1], 10) : DEFAULT_INACTIVE_DAYS;
+
+// Connect to database
+await connectDB();
+
+async function migrateCustomerPasswords() {
+  try {
+    if (!Number.isInteger(INACTIVE_DAYS) || INACTIVE_DAYS < 1) {
+      throw new Error('--inactive-days must be a positive whole number');
+    }
+
+    const report = await CustomerPasswordService.schemeReport({ inactiveDays: INACTIVE_DAYS });
+    console.log('🔐 Customer password schemes');
+    console.log(`   Current (v2):   ${report.current}`);
+    console.log(`   Legacy SHA-512: ${report.legacy} (${report.legacyInactive} with no login in ${INACTIVE_DAYS} days)`);
+    console.log(`   Unknown:        ${report.unknown}`);
+    console.log(`   Reset required: ${report.resetRequired}\n`);
+
+    if (FORCE_RESET) {
+      const result = await CustomerPasswordService.forceResetInactive({ inactiveDays: INACTIVE_DAYS, dryRun: DRY_RUN });
+      if (DRY_RUN) {
+        console.log(`⚠️ Dry run: ${result.matched} legacy passwords would be retired`);
+      } else {
+        console.log(`✅ Retired ${result.reset} of ${result.matched} legacy passwords; those customers must reset their password`);
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating customer passwords:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateCustomerPasswords();
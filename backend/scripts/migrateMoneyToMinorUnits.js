@@ -0,0 +1,88 @@
+import 'dotenv/config.js';
+import SavingsAccount from '../models/savingsAccountModel.js';
+import Transaction, { MONEY_FIELDS } from '../models/transactionModel.js';
+import { toMinor, fromMinor } from '../utils/money.js';
+import { connectDB } from '../config/db.js';
+
+// Fills the integer minor-unit money fields (balanceMinor, amountMinor, ...) on savings
+// accounts and transactions saved before they existed, and rounds the Number fields
+// to the currency precision. Safe to run more than once: documents already in step
+// are left alone. Pass --dry-run to only report what would change.
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+// Connect to database
+await connectDB();
+
+/**
+ * Bring one collection's money fields in step
+ * @param {Object} Model - Mongoose model
+ * @param {Array<Array<string>>} pairs - [majorField, minorField] pairs
+ * @returns {Promise<Object>} { checked, updated, rounded }
+ */
+async function migrateCollection(Model, pairs) {
+  const fields = pairs.flat().join(' ');
+  const cursor = Model.find().select(fields).lean().cursor({ batchSize: BATCH_SIZE });
+  const result = { checked: 0, updated: 0, rounded: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (!DRY_RUN && operations.length > 0) {
+      // Straight to the collection so timestamps and version keys stay as they are
+      await Model.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    result.checked++;
+    const $set = {};
+    let rounded = false;
+
+    for (const [major, minor] of pairs) {
+      if (doc[major] == null) continue;
+      const minorValue = toMinor(doc[major]);
+      const majorValue = fromMinor(minorValue);
+      if (doc[minor] !== minorValue) $set[minor] = minorValue;
+      if (doc[major] !== majorValue) {
+        $set[major] = majorValue;
+        rounded = true;
+      }
+    }
+
+    if (Object.keys($set).length > 0) {
+      result.updated++;
+      if (rounded) result.rounded++;
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+  }
+  await flush();
+
+  return result;
+}
+
+async function migrateMoney() {
+  try {
+    console.log(`🔧 Migrating money fields to minor units${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+    const accounts = await migrateCollection(SavingsAccount, [['balance', 'balanceMinor']]);
+    console.log(`✅ Savings accounts: ${accounts.checked} checked, ${accounts.updated} updated, ${accounts.rounded} rounded`);
+
+    const transactions = await migrateCollection(Transaction, MONEY_FIELDS);
+    console.log(`✅ Transactions: ${transactions.checked} checked, ${transactions.updated} updated, ${transactions.rounded} rounded`);
+
+    if (accounts.rounded + transactions.rounded > 0) {
+      console.log('⚠️  Some amounts had more decimals than the currency allows; run a reconciliation to check the balance chains');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating money fields:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateMoney();
@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import 'dotenv/config.js';
 import Transaction from '../models/transactionModel.js';
 import SavingsAccount from '../models/savingsAccountModel.js';
+import NumberingService from '../services/numberingService.js';
 import { connectDB } from '../config/db.js';
 
 // Connect to database
@@ -88,9 +89,7 @@ async function seedTransactions() {
 
     // Generate transaction IDs
     for (const transaction of transactions) {
-      const timestamp = Date.now().toString().slice(-8);
-      const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      transaction.transactionId = `TXN${timestamp}${random}`;
+      transaction.transactionId = await NumberingService.nextTransactionId({ date: transaction.createdAt });
     }
 
     // Insert transactions
@@ -0,0 +1,58 @@
+import 'dotenv/config.js';
+import ChartOfAccounts from '../models/chartOfAccountsModel.js';
+import GeneralLedger from '../models/generalLedgerModel.js';
+import Transaction from '../models/transactionModel.js';
+import LedgerService from '../services/ledgerService.js';
+import { connectDB } from '../config/db.js';
+
+// Creates the general ledger indexes (autoIndex is off), seeds the chart of accounts
+// when it is empty, and journals completed savings transactions posted before the
+// ledger existed. Safe to run more than once: journalled transactions are skipped.
+
+// Connect to database
+await connectDB();
+
+async function setupGeneralLedger() {
+  try {
+    console.log('🔧 Setting up the general ledger...\n');
+
+    await ChartOfAccounts.syncIndexes();
+    await GeneralLedger.syncIndexes();
+    console.log('✅ Ledger indexes are up to date');
+
+    // Seeds the default chart if needed
+    await LedgerService.resolveAccounts();
+    console.log('✅ Chart of accounts has the savings ledger accounts');
+
+    const journalled = await GeneralLedger.distinct('referenceId', { referenceType: 'savings_transaction' });
+    const cursor = Transaction.find({ status: 'completed', _id: { $nin: journalled } })
+      .sort({ createdAt: 1, _id: 1 })
+      .cursor();
+
+    let posted = 0;
+    let failed = 0;
+    for await (const transaction of cursor) {
+      try {
+        await LedgerService.recordTransaction(transaction);
+        posted++;
+      } catch (error) {
+        if (error.code === 11000) continue;
+        failed++;
+        console.error(`❌ ${transaction.transactionId}: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Journalled ${posted} existing transactions`);
+    if (failed > 0) {
+      console.log(`⚠️  ${failed} transactions could not be journalled`);
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error setting up the general ledger:', error);
+    process.exit(1);
+  }
+}
+
+// Run the setup function
+setupGeneralLedger();
@@ -0,0 +1,30 @@
+import 'dotenv/config.js';
+import Counter from '../models/counterModel.js';
+import { connectDB } from '../config/db.js';
+
+// Counters are now unique per type, branch, prefix and scope (product or day).
+// Replaces the old { type, branchCode, prefix } unique index, which would reject
+// a second product's account sequence in the same branch.
+
+// Connect to database
+await connectDB();
+
+async function syncCounterIndexes() {
+  try {
+    console.log('🔧 Syncing counter indexes...\n');
+
+    const dropped = await Counter.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`✅ Dropped outdated indexes: ${dropped.join(', ')}`);
+    }
+    console.log('✅ Counter indexes are up to date');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing counter indexes:', error);
+    process.exit(1);
+  }
+}
+
+// Run the sync function
+syncCounterIndexes();
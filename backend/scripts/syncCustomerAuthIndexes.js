@@ -0,0 +1,29 @@
+import 'dotenv/config.js';
+import CustomerRefreshToken from '../models/customerRefreshTokenModel.js';
+import CustomerPasswordReset from '../models/customerPasswordResetModel.js';
+import { connectDB } from '../config/db.js';
+
+// Refresh tokens are looked up by their unique digest. Spent refresh tokens and
+// password reset codes are removed by TTL indexes some time after they expire.
+
+// Connect to database
+await connectDB();
+
+async function syncCustomerAuthIndexes() {
+  try {
+    console.log('🔧 Syncing customer auth indexes...\n');
+
+    for (const Model of [CustomerRefreshToken, CustomerPasswordReset]) {
+      await Model.syncIndexes();
+      console.log(`✅ ${Model.modelName} indexes are up to date`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing customer auth indexes:', error);
+    process.exit(1);
+  }
+}
+
+// Run the sync function
+syncCustomerAuthIndexes();
@@ -0,0 +1,28 @@
+import 'dotenv/config.js';
+import DepositBatch from '../models/depositBatchModel.js';
+import Transaction from '../models/transactionModel.js';
+import { connectDB } from '../config/db.js';
+
+// Batch IDs are unique, and transactions are looked up by the batch that posted them.
+
+// Connect to database
+await connectDB();
+
+async function syncDepositBatchIndexes() {
+  try {
+    console.log('🔧 Syncing deposit batch indexes...\n');
+
+    for (const Model of [DepositBatch, Transaction]) {
+      await Model.syncIndexes();
+      console.log(`✅ ${Model.modelName} indexes are up to date`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing deposit batch indexes:', error);
+    process.exit(1);
+  }
+}
+
+// Run the sync function
+syncDepositBatchIndexes();
@@ -0,0 +1,29 @@
+import 'dotenv/config.js';
+import StandingOrder from '../models/standingOrderModel.js';
+import StandingOrderInstallment from '../models/standingOrderInstallmentModel.js';
+import { connectDB } from '../config/db.js';
+
+// The standing order job relies on the unique (order, due date) installment index
+// so a repeated run never pays an installment twice.
+
+// Connect to database
+await connectDB();
+
+async function syncStandingOrderIndexes() {
+  try {
+    console.log('🔧 Syncing standing order indexes...\n');
+
+    for (const Model of [StandingOrder, StandingOrderInstallment]) {
+      await Model.syncIndexes();
+      console.log(`✅ ${Model.modelName} indexes are up to date`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing standing order indexes:', error);
+    process.exit(1);
+  }
+}
+
+// Run the sync function
+syncStandingOrderIndexes();
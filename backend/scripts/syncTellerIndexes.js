@@ -0,0 +1,32 @@
+import 'dotenv/config.js';
+import TellerSession from '../models/tellerSessionModel.js';
+import Vault from '../models/vaultModel.js';
+import CashMovement from '../models/cashMovementModel.js';
+import BusinessDay from '../models/businessDayModel.js';
+import Transaction from '../models/transactionModel.js';
+import { connectDB } from '../config/db.js';
+
+// Teller drawers rely on unique indexes (one open drawer per teller, one close per
+// branch and business date), and transactions gained a tellerSessionId index.
+
+// Connect to database
+await connectDB();
+
+async function syncTellerIndexes() {
+  try {
+    console.log('🔧 Syncing teller cash indexes...\n');
+
+    for (const Model of [TellerSession, Vault, CashMovement, BusinessDay, Transaction]) {
+      await Model.syncIndexes();
+      console.log(`✅ ${Model.modelName} indexes are up to date`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing teller cash indexes:', error);
+    process.exit(1);
+  }
+}
+
+// Run the sync function
+syncTellerIndexes();
@@ -9,6 +9,12 @@ import savingsCustomerRouter from './routes/savingsCustomerRoute.js';
 import userRouter from './routes/userRoute.js';
 import customerAuthRouter from './routes/customerAuthRoute.js';
 import accountProductRouter from './routes/accountProductRoute.js';
+import approvalRouter from './routes/approvalRoute.js';
+import ledgerRouter from './routes/ledgerRoute.js';
+import tellerRouter from './routes/tellerRoute.js';
+import reportRouter from './routes/reportRoute.js';
+import standingOrderRouter, { createCustomerStandingOrderRouter } from './routes/standingOrderRoute.js';
+import bulkDepositRouter from './routes/bulkDepositRoute.js';
 import 'dotenv/config.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -119,7 +125,7 @@ app.use(cors(corsConfig));
 app.use('/api', (req, res, next) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-API-Key, X-Client-Version');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-API-Key, X-Client-Version, Idempotency-Key');
   res.header('Access-Control-Allow-Credentials', 'true');
   
   if (req.method === 'OPTIONS') {
@@ -425,6 +431,82 @@ cron.schedule('0 0 * * *', async () => {
   }
 });
 
+// Cron job - Accrue (and on period ends capitalise) savings interest for the previous day at 00:30
+cron.schedule('30 0 * * *', async () => {
+  console.log('Running daily interest accrual...');
+  try {
+    const { default: InterestService } = await import('./services/interestService.js');
+    await InterestService.runForDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  } catch (error) {
+    console.error('Daily interest accrual failed:', error);
+  }
+});
+
+// Cron job - Charge monthly maintenance fees for accounts billed on the previous day at 01:00
+cron.schedule('0 1 * * *', async () => {
+  console.log('Running monthly fee charging...');
+  try {
+    const { default: FeeService } = await import('./services/feeService.js');
+    await FeeService.runForDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  } catch (error) {
+    console.error('Monthly fee charging failed:', error);
+  }
+});
+
+// Cron job - Process term deposit maturities for the previous day at 00:45 (after interest accrual)
+cron.schedule('45 0 * * *', async () => {
+  console.log('Running term deposit maturities...');
+  try {
+    const { default: TermDepositService } = await import('./services/termDepositService.js');
+    await TermDepositService.processMaturities(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  } catch (error) {
+    console.error('Term deposit maturity run failed:', error);
+  }
+});
+
+// Cron job - Send dormancy notices and mark inactive accounts dormant/unclaimed for the previous day at 01:15
+cron.schedule('15 1 * * *', async () => {
+  console.log('Running dormancy checks...');
+  try {
+    const { default: DormancyService } = await import('./services/dormancyService.js');
+    await DormancyService.runForDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  } catch (error) {
+    console.error('Dormancy run failed:', error);
+  }
+});
+
+// Cron job - Reconcile savings balances against their transactions at 01:30 (after the posting jobs)
+cron.schedule('30 1 * * *', async () => {
+  console.log('Running balance reconciliation...');
+  try {
+    const { default: ReconciliationService } = await import('./services/reconciliationService.js');
+    await ReconciliationService.run({ date: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+  } catch (error) {
+    console.error('Balance reconciliation failed:', error);
+  }
+});
+
+// Cron job - Execute standing orders due today, and retries of earlier failures, at 06:00
+cron.schedule('0 6 * * *', async () => {
+  console.log('Running standing orders...');
+  try {
+    const { default: StandingOrderService } = await import('./services/standingOrderService.js');
+    await StandingOrderService.runForDate(new Date());
+  } catch (error) {
+    console.error('Standing order run failed:', error);
+  }
+});
+
+// Cron job - Release expired account holds every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const { default: HoldService } = await import('./services/holdService.js');
+    await HoldService.expireHolds();
+  } catch (error) {
+    console.error('Account hold expiry failed:', error);
+  }
+});
+
 // Cron job - Daily backup at 2:00 AM
 cron.schedule('0 2 * * *', async () => {
   console.log('Running daily backup...');
@@ -535,6 +617,13 @@ app.use('/api/user', userRouter);
 app.use('/api/notifications', notificationRouter);
 app.use('/api/system-settings', systemSettingsRouter);
 app.use('/api/account-products', accountProductRouter);
+app.use('/api/approvals', approvalRouter);
+app.use('/api/ledger', ledgerRouter);
+app.use('/api/teller', tellerRouter);
+app.use('/api/reports', reportRouter);
+app.use('/api/standing-orders', standingOrderRouter);
+app.use('/api/customer/standing-orders', createCustomerStandingOrderRouter());
+app.use('/api/bulk-deposits', bulkDepositRouter);
 app.use('/api', healthRouter);
 
 // Error handling middleware for multer
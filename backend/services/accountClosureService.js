@@ -0,0 +1,382 @@
+import PDFDocument from 'pdfkit';
+import SavingsAccount from '../models/savingsAccountModel.js';
+import AccountProduct from '../models/accountProductModel.js';
+import AccountHold from '../models/accountHoldModel.js';
+import Customer from '../models/customerModel.js';
+import InterestAccrual from '../models/interestAccrualModel.js';
+import Transaction from '../models/transactionModel.js';
+import AccountPostingService, { PostingError } from './accountPostingService.js';
+import InterestService from './interestService.js';
+import StatementService from './statementService.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CLOSURE_REASONS = ['customer_request', 'account_consolidation', 'deceased', 'bank_decision', 'kyc_failure', 'other'];
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Closure fee owed under the product settings, including the early closure
+ * fee when the account is closed within `earlyClosureDays` of opening
+ * @param {Object} account - SavingsAccount document or plain object
+ * @param {Object} product - AccountProduct (may be null)
+ * @param {Date} date - Closure date
+ * @returns {number}
+ */
+export const getClosureFee = (account, product, date) => {
+  const settings = product?.closureSettings || {};
+  let fee = settings.closureFee || 0;
+
+  const openedDaysAgo = (date.getTime() - new Date(account.createdAt).getTime()) / DAY_MS;
+  if (settings.earlyClosureFee > 0 && openedDaysAgo < (settings.earlyClosureDays || 0)) {
+    fee += settings.earlyClosureFee;
+  }
+  return roundMoney(fee);
+};
+
+/**
+ * Split the final balance into interest, fees and payout. Fees are taken after
+ * interest is credited; whatever the balance cannot cover is waived, never owed.
+ * @param {Object} params - { balance, interest, closureFee, feeArrears }
+ * @returns {Object} { interest, closureFee, arrearsCollected, feesCharged, feesWaived, payout }
+ */
+export const calculateSettlement = ({ balance = 0, interest = 0, closureFee = 0, feeArrears = 0 }) => {
+  const available = roundMoney(Math.max(0, balance + interest));
+  const feesDue = roundMoney(closureFee + feeArrears);
+  const feesCharged = Math.min(feesDue, available);
+
+  // The closure fee is collected before older arrears
+  const closureFeeCharged = Math.min(closureFee, feesCharged);
+  return {
+    interest: roundMoney(interest),
+    closureFee: roundMoney(closureFeeCharged),
+    arrearsCollected: roundMoney(feesCharged - closureFeeCharged),
+    feesCharged: roundMoney(feesCharged),
+    feesWaived: roundMoney(feesDue - feesCharged),
+    payout: roundMoney(available - feesCharged)
+  };
+};
+
+/**
+ * Account Closure Service
+ * Final settlement for closing a savings account: interest to date, closure
+ * fees, payout of the remaining balance and the closure certificate
+ */
+class AccountClosureService {
+  /**
+   * Reasons the account cannot be closed yet
+   * @param {Object} account - SavingsAccount document
+   * @param {ClientSession} session - Optional MongoDB session
+   * @returns {Promise<Array>} [{ code, message }]
+   */
+  static async getBlockers(account, session = null) {
+    const blockers = [];
+
+    if (account.status === 'closed') {
+      blockers.push({ code: 'ALREADY_CLOSED', message: 'Account is already closed' });
+      return blockers;
+    }
+    if (account.status === 'dormant' || account.status === 'unclaimed') {
+      blockers.push({ code: 'ACCOUNT_DORMANT', message: `Account is ${account.status}; reactivate it before closing` });
+    }
+    if (account.isLockedTerm() || account.termDeposit?.status === 'awaiting_action') {
+      blockers.push({ code: 'TERM_DEPOSIT_OPEN', message: 'Withdraw or pay out the term deposit before closing the account' });
+    }
+
+    const activeHold = await AccountHold.exists({ accountId: account._id, status: 'active' }).session(session);
+    if (activeHold || account.heldAmount > 0) {
+      blockers.push({ code: 'ACCOUNT_HAS_HOLDS', message: 'Release the active holds on this account before closing it' });
+    }
+
+    const pending = await Transaction.exists({ accountId: account._id, status: 'pending' }).session(session);
+    if (pending) {
+      blockers.push({ code: 'PENDING_TRANSACTIONS', message: 'Approve or reject the pending transactions on this account first' });
+    }
+
+    return blockers;
+  }
+
+  /**
+   * Accrue any completed business days the nightly job has not reached yet,
+   * so closing pays interest up to the end of yesterday. Safe to repeat.
+   * @param {Object} account - SavingsAccount document
+   * @param {Object} product - AccountProduct (may be null)
+   * @param {Date} today - Current business date
+   */
+  static async accrueToDate(account, product, today) {
+    if (!(Number(account.interestRate) > 0)) return;
+
+    const latest = await InterestAccrual.findOne({ accountId: account._id })
+      .sort({ accrualDate: -1 })
+      .select('accrualDate')
+      .lean();
+    let date = latest
+      ? new Date(latest.accrualDate.getTime() + DAY_MS)
+      : InterestService.toBusinessDate(account.createdAt);
+
+    for (; date < today; date = new Date(date.getTime() + DAY_MS)) {
+      await InterestService.accrueAccount(account, product, date);
+    }
+  }
+
+  /**
+   * Load an account and its product, with interest accrued up to yesterday
+   * @returns {Promise<Object>} { account, product, today }
+   */
+  static async prepare(accountId) {
+    const account = await SavingsAccount.findById(accountId);
+    if (!account) {
+      throw new PostingError('Savings account not found', 404);
+    }
+
+    const product = account.productId
+      ? await AccountProduct.findById(account.productId).lean()
+      : null;
+    const today = InterestService.toBusinessDate(new Date());
+    if (account.status !== 'closed') {
+      await this.accrueToDate(account, product, today);
+    }
+
+    return { account, product, today };
+  }
+
+  /**
+   * What closing the account today would pay out, and anything preventing it
+   * @param {string} accountId
+   * @returns {Promise<Object>}
+   */
+  static async getQuote(accountId) {
+    const { account, product, today } = await this.prepare(accountId);
+    const pending = await InterestAccrual.getPendingInterest(account._id);
+    const blockers = await this.getBlockers(account);
+
+    return {
+      accountNumber: account.accountNumber,
+      balance: account.balance,
+      feeArrears: account.feeArrears || 0,
+      ...calculateSettlement({
+        balance: account.balance,
+        interest: pending.total,
+        closureFee: getClosureFee(account, product, today),
+        feeArrears: account.feeArrears || 0
+      }),
+      canClose: blockers.length === 0,
+      blockers
+    };
+  }
+
+  /**
+   * Close an account: capitalise interest to date, charge the closure fee and
+   * outstanding arrears, pay out the rest and record the settlement.
+   * All postings and the status change commit together.
+   * @param {string} accountId
+   * @param {Object} options - { reason, note, payoutMethod: 'cash' | 'transfer', payoutAccountId, closedBy }
+   * @returns {Promise<Object>} { account, settlement }
+   */
+  static async closeAccount(accountId, { reason, note, payoutMethod = 'cash', payoutAccountId, closedBy } = {}) {
+    if (!CLOSURE_REASONS.includes(reason)) {
+      throw new PostingError(`Closure reason must be one of ${CLOSURE_REASONS.join(', ')}`);
+    }
+    if (reason === 'other' && !note) {
+      throw new PostingError('A note is required when the closure reason is other');
+    }
+    if (!['cash', 'transfer'].includes(payoutMethod)) {
+      throw new PostingError('Payout method must be cash or transfer');
+    }
+    if (payoutMethod === 'transfer' && !payoutAccountId) {
+      throw new PostingError('A payout account is required for transfer payouts');
+    }
+
+    const { product, today } = await this.prepare(accountId);
+
+    return AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      const [blocker] = await this.getBlockers(account, session);
+      if (blocker) {
+        throw new PostingError(blocker.message, 409, blocker.code);
+      }
+
+      let payoutAccount = null;
+      if (payoutMethod === 'transfer') {
+        payoutAccount = await SavingsAccount.findById(payoutAccountId).session(session);
+        if (!payoutAccount) {
+          throw new PostingError('Payout account not found', 404);
+        }
+      }
+
+      const interest = await InterestService.capitaliseInSession(account, today, session, { processedBy: closedBy });
+      const feeArrears = account.feeArrears || 0;
+      const settlement = calculateSettlement({
+        balance: account.balance,
+        closureFee: getClosureFee(account, product, today),
+        feeArrears
+      });
+      settlement.interest = interest?.amount || 0;
+
+      if (settlement.feesCharged > 0) {
+        await AccountPostingService.postEntry(account, {
+          type: 'fee',
+          amount: settlement.feesCharged,
+          description: settlement.arrearsCollected > 0 ? 'Account closure fee (incl. arrears)' : 'Account closure fee',
+          reference: `CLS-${account.accountNumber}`,
+          processedBy: closedBy,
+          metadata: { closureFee: settlement.closureFee, arrearsCollected: settlement.arrearsCollected }
+        }, session);
+      }
+      account.feeArrears = 0;
+
+      let transferReference;
+      if (settlement.payout > 0 && payoutMethod === 'cash') {
+        await AccountPostingService.postEntry(account, {
+          type: 'withdrawal',
+          amount: settlement.payout,
+          description: `Closing balance paid out for ${account.accountNumber}`,
+          processedBy: closedBy
+        }, session);
+      } else if (settlement.payout > 0) {
+        const transfer = await AccountPostingService.postTransfer(account, payoutAccount, {
+          amount: settlement.payout,
+          description: `Closing balance of ${account.accountNumber}`,
+          processedBy: closedBy
+        }, session, { skipWithdrawalCheck: true });
+        transferReference = transfer.transferReference;
+      }
+
+      account.status = 'closed';
+      account.closure = {
+        reason,
+        note,
+        closedAt: new Date(),
+        closedBy,
+        interestPaid: settlement.interest,
+        closureFee: settlement.closureFee,
+        arrearsCollected: settlement.arrearsCollected,
+        feesWaived: settlement.feesWaived,
+        payoutMethod,
+        payoutAmount: settlement.payout,
+        payoutAccountId: payoutAccount?._id,
+        transferReference,
+        certificateNumber: `CLS-${account.accountNumber}`
+      };
+      await account.save({ session });
+
+      return {
+        account,
+        settlement: {
+          ...settlement,
+          payoutMethod,
+          payoutAccountNumber: payoutAccount?.accountNumber,
+          transferReference,
+          certificateNumber: account.closure.certificateNumber
+        }
+      };
+    });
+  }
+
+  /**
+   * Closure certificate for a closed account as an A4 PDF
+   * @param {string} accountId
+   * @returns {Promise<Object|null>} { certificateNumber, pdf } or null when the account does not exist
+   */
+  static async renderCertificate(accountId) {
+    const account = await SavingsAccount.findById(accountId)
+      .populate('closure.closedBy', 'name')
+      .populate('closure.payoutAccountId', 'accountNumber')
+      .lean();
+    if (!account) {
+      return null;
+    }
+    if (account.status !== 'closed' || !account.closure?.closedAt) {
+      throw new PostingError('Closure certificates are only available for closed accounts', 409, 'NOT_CLOSED');
+    }
+
+    const customer = await Customer.findById(account.customerId).select('customerCode personalInfo.fullName').lean();
+    const branding = await StatementService.getBranding();
+    const logo = await StatementService.loadLogo(branding.logo);
+    const { closure } = account;
+
+    const pdf = await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      // Header band, matching the statements
+      doc.rect(0, 0, doc.page.width, 90).fill(branding.primaryColor);
+      if (logo) {
+        try {
+          doc.image(logo, left, 20, { fit: [50, 50] });
+        } catch (error) {
+          console.error('❌ Unsupported certificate logo format:', error.message);
+        }
+      }
+      doc.fillColor('#ffffff').fontSize(18).font('Helvetica-Bold')
+        .text(branding.companyName, left + 60, 25, { width: width - 60 });
+      doc.fontSize(9).font('Helvetica')
+        .text([branding.contactAddress, branding.contactPhone, branding.contactEmail].filter(Boolean).join('  ·  '), left + 60, 50, { width: width - 60 });
+
+      doc.fillColor('#111827').fontSize(20).font('Helvetica-Bold')
+        .text('Account Closure Certificate', left, 130, { width, align: 'center' });
+      doc.fontSize(9).font('Helvetica').fillColor(branding.secondaryColor)
+        .text(`Certificate No. ${closure.certificateNumber}`, left, 158, { width, align: 'center' });
+
+      doc.fontSize(11).fillColor('#374151').font('Helvetica')
+        .text(
+          `This certifies that savings account ${account.accountNumber}, held by ${customer?.personalInfo?.fullName || 'the account holder'}, ` +
+          `was closed on ${new Date(closure.closedAt).toISOString().slice(0, 10)} and that its balance has been settled in full as set out below.`,
+          left, 195, { width, align: 'justify' }
+        );
+
+      const rows = [
+        ['Account holder', customer?.personalInfo?.fullName || '-'],
+        ['Customer code', customer?.customerCode || '-'],
+        ['Account number', account.accountNumber],
+        ['Closure reason', closure.reason.replace(/_/g, ' ')],
+        ['Interest paid to date', `${formatAmount(closure.interestPaid)} ${branding.currency}`],
+        ['Closure fee', `${formatAmount(closure.closureFee)} ${branding.currency}`],
+        ['Fee arrears collected', `${formatAmount(closure.arrearsCollected)} ${branding.currency}`],
+        ['Fees waived', `${formatAmount(closure.feesWaived)} ${branding.currency}`],
+        ['Amount paid out', `${formatAmount(closure.payoutAmount)} ${branding.currency}`],
+        ['Payout method', closure.payoutMethod === 'transfer'
+          ? `Transfer to ${closure.payoutAccountId?.accountNumber || '-'}${closure.transferReference ? ` (${closure.transferReference})` : ''}`
+          : 'Cash'],
+        ['Closing balance', `${formatAmount(0)} ${branding.currency}`],
+        ['Closed by', closure.closedBy?.name || '-']
+      ];
+
+      let y = 270;
+      rows.forEach(([label, value], index) => {
+        if (index % 2 === 0) {
+          doc.rect(left, y - 5, width, 22).fill('#f3f4f6');
+        }
+        doc.fillColor('#111827').font('Helvetica-Bold').fontSize(10).text(label, left + 10, y, { width: 180 });
+        doc.fillColor('#374151').font('Helvetica').text(value, left + 200, y, { width: width - 210 });
+        y += 22;
+      });
+
+      if (closure.note) {
+        doc.fillColor('#374151').fontSize(9).font('Helvetica-Oblique')
+          .text(`Note: ${closure.note}`, left, y + 15, { width });
+      }
+
+      doc.fillColor(branding.secondaryColor).fontSize(7).font('Helvetica')
+        .text(
+          `Generated ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+          left,
+          doc.page.height - doc.page.margins.bottom - 10,
+          { width, align: 'center', lineBreak: false }
+        );
+
+      doc.end();
+    });
+
+    return { certificateNumber: closure.certificateNumber, pdf };
+  }
+}
+
+export default AccountClosureService;
@@ -0,0 +1,338 @@
+import mongoose from 'mongoose';
+import Transaction, { CREDIT_TRANSACTION_TYPES, getTransactionDirection } from '../models/transactionModel.js';
+import SavingsAccount from '../models/savingsAccountModel.js';
+import User from '../models/userModel.js';
+import NumberingService from './numberingService.js';
+import LedgerService from './ledgerService.js';
+import TellerService from './tellerService.js';
+import { toMinor, fromMinor, hasValidPrecision } from '../utils/money.js';
+
+// How many times a posting is retried after losing an optimistic-concurrency race
+const MAX_POSTING_ATTEMPTS = 5;
+
+// Postings the bank makes on its own; they don't count as account activity for dormancy
+const SYSTEM_TRANSACTION_TYPES = ['interest', 'fee', 'reversal'];
+
+// Staff who may approve a reversal that someone else posts
+const REVERSAL_APPROVER_ROLES = ['admin', 'manager'];
+
+/**
+ * Error raised from inside a posting to abort the MongoDB transaction
+ * and surface a client-facing status code.
+ */
+export class PostingError extends Error {
+  constructor(message, statusCode = 400, code = undefined) {
+    super(message);
+    this.name = 'PostingError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Account Posting Service
+ * Applies balance changes and their ledger rows atomically
+ */
+class AccountPostingService {
+  /**
+   * Whether a transaction type credits the account
+   * @param {string} type - Transaction type
+   * @returns {boolean}
+   */
+  static isCredit(type) {
+    return CREDIT_TRANSACTION_TYPES.includes(type);
+  }
+
+  /**
+   * Run `work(session)` inside a MongoDB transaction.
+   * Transient errors are retried by the driver; optimistic-concurrency
+   * conflicts on SavingsAccount are retried here with fresh reads.
+   * @param {Function} work - Async callback receiving the client session
+   * @returns {Promise<any>} Whatever `work` resolves with
+   */
+  static async runInTransaction(work) {
+    for (let attempt = 1; ; attempt++) {
+      const session = await mongoose.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await work(session);
+        });
+        return result;
+      } catch (error) {
+        if (error instanceof mongoose.Error.VersionError && attempt < MAX_POSTING_ATTEMPTS) {
+          continue;
+        }
+        if (error instanceof mongoose.Error.VersionError) {
+          throw new PostingError('Account was updated concurrently, please retry', 409, 'CONCURRENT_UPDATE');
+        }
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+    }
+  }
+
+  /**
+   * Apply a balance change to a loaded account and record its ledger row,
+   * its general ledger journal entry and, for teller cash, the drawer movement.
+   * Must be called inside `runInTransaction`, with the account read through the same session.
+   * @param {Object} account - SavingsAccount document loaded in `session`
+   * @param {Object} entry - Transaction fields (type, amount, description, ...)
+   * @param {ClientSession} session - Active MongoDB session
+   * @returns {Promise<Object>} The saved transaction
+   */
+  static async postEntry(account, entry, session) {
+    const amount = Number(entry.amount);
+    if (!amount || Number.isNaN(amount) || amount <= 0) {
+      throw new PostingError('Invalid transaction amount');
+    }
+    if (!hasValidPrecision(amount)) {
+      throw new PostingError('Amount has more decimal places than the currency allows', 400, 'INVALID_AMOUNT_PRECISION');
+    }
+
+    const direction = entry.direction || (this.isCredit(entry.type) ? 'credit' : 'debit');
+    const { balanceBefore, balanceAfter, balanceBeforeMinor, balanceAfterMinor } = await this.applyToBalance(account, direction, amount, session, entry.type);
+
+    const transaction = new Transaction({
+      ...entry,
+      transactionId: entry.transactionId || await NumberingService.nextTransactionId({ branchCode: account.branchCode }),
+      accountId: account._id,
+      customerId: account.customerId,
+      direction,
+      amount,
+      amountMinor: toMinor(amount),
+      balanceBefore,
+      balanceAfter,
+      balanceBeforeMinor,
+      balanceAfterMinor,
+      status: entry.status || 'completed'
+    });
+    await transaction.save({ session });
+    await LedgerService.recordTransaction(transaction, session, account);
+    await TellerService.recordCash(transaction, session);
+
+    return transaction;
+  }
+
+  /**
+   * Move an account balance by `amount` and save it.
+   * The arithmetic is done in integer minor units so repeated postings never drift.
+   * @param {string} type - Transaction type; customer-driven types refresh `lastTransactionDate`
+   * @returns {Promise<Object>} { balanceBefore, balanceAfter, balanceBeforeMinor, balanceAfterMinor }
+   */
+  static async applyToBalance(account, direction, amount, session, type) {
+    const balanceBeforeMinor = account.balanceMinor ?? toMinor(account.balance || 0);
+    const amountMinor = toMinor(amount);
+    const balanceAfterMinor = direction === 'credit' ? balanceBeforeMinor + amountMinor : balanceBeforeMinor - amountMinor;
+    if (balanceAfterMinor < 0) {
+      throw new PostingError('Insufficient balance');
+    }
+
+    account.balanceMinor = balanceAfterMinor;
+    account.balance = fromMinor(balanceAfterMinor);
+    if (!SYSTEM_TRANSACTION_TYPES.includes(type)) {
+      account.lastTransactionDate = new Date();
+    }
+    // optimisticConcurrency on the schema makes this fail if another posting got there first
+    await account.save({ session });
+
+    return {
+      balanceBefore: fromMinor(balanceBeforeMinor),
+      balanceAfter: fromMinor(balanceAfterMinor),
+      balanceBeforeMinor,
+      balanceAfterMinor
+    };
+  }
+
+  /**
+   * Post a `pending` transaction in place once it has been approved.
+   * Its timestamp moves to the posting time so ledger order matches balance order;
+   * the original request time stays in `approval.requestedAt`.
+   * @param {Object} account - SavingsAccount loaded in `session`
+   * @param {Object} transaction - Pending transaction loaded in `session`
+   * @param {ClientSession} session - Active MongoDB session
+   * @returns {Promise<Object>} The completed transaction
+   */
+  static async completePending(account, transaction, session) {
+    if (transaction.status !== 'pending') {
+      throw new PostingError('Only pending transactions can be posted', 409);
+    }
+
+    const { balanceBefore, balanceAfter, balanceBeforeMinor, balanceAfterMinor } = await this.applyToBalance(account, getTransactionDirection(transaction), transaction.amount, session, transaction.type);
+
+    transaction.balanceBefore = balanceBefore;
+    transaction.balanceAfter = balanceAfter;
+    transaction.balanceBeforeMinor = balanceBeforeMinor;
+    transaction.balanceAfterMinor = balanceAfterMinor;
+    transaction.status = 'completed';
+    transaction.createdAt = new Date();
+    await transaction.save({ session });
+    await LedgerService.recordTransaction(transaction, session, account);
+    await TellerService.recordCash(transaction, session);
+
+    return transaction;
+  }
+
+  /**
+   * Generate a reference shared by both legs of a transfer
+   * @returns {string}
+   */
+  static generateTransferReference() {
+    const timestamp = Date.now().toString().slice(-10);
+    const random = Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
+    return `TRF${timestamp}${random}`;
+  }
+
+  /**
+   * Move funds between two accounts as a linked transfer_out/transfer_in pair.
+   * Both accounts must have been loaded through `session`.
+   * @param {Object} fromAccount - Account to debit
+   * @param {Object} toAccount - Account to credit
+   * @param {Object} entry - Shared transaction fields (amount, description, processedBy, ...)
+   * @param {ClientSession} session - Active MongoDB session
+   * @param {Object} options - { skipVerification } forwarded to canWithdraw;
+   *   { skipWithdrawalCheck } for system payouts that move a balance regardless of withdrawal rules
+   * @returns {Promise<Object>} { transferReference, debit, credit }
+   */
+  static async postTransfer(fromAccount, toAccount, entry, session, { skipVerification = false, skipWithdrawalCheck = false } = {}) {
+    const amount = Number(entry.amount);
+
+    if (String(fromAccount._id) === String(toAccount._id)) {
+      throw new PostingError('Cannot transfer to the same account');
+    }
+
+    if (!skipWithdrawalCheck) {
+      const canWithdraw = fromAccount.canWithdraw(amount, skipVerification);
+      if (!canWithdraw.allowed) {
+        throw new PostingError(canWithdraw.reason);
+      }
+    }
+
+    const canDeposit = toAccount.canDeposit(amount);
+    if (!canDeposit.allowed) {
+      throw new PostingError(`Destination account: ${canDeposit.reason}`);
+    }
+
+    const { description, ...shared } = entry;
+    const transferReference = entry.transferReference || this.generateTransferReference();
+    const debitId = new mongoose.Types.ObjectId();
+    const creditId = new mongoose.Types.ObjectId();
+
+    const debit = await this.postEntry(fromAccount, {
+      ...shared,
+      _id: debitId,
+      type: 'transfer_out',
+      amount,
+      description: description || `Transfer to ${toAccount.accountNumber}`,
+      transferReference,
+      counterpartyAccountId: toAccount._id,
+      relatedTransactionId: creditId
+    }, session);
+
+    const credit = await this.postEntry(toAccount, {
+      ...shared,
+      _id: creditId,
+      type: 'transfer_in',
+      amount,
+      description: description || `Transfer from ${fromAccount.accountNumber}`,
+      transferReference,
+      counterpartyAccountId: fromAccount._id,
+      relatedTransactionId: debitId
+    }, session);
+
+    return { transferReference, debit, credit };
+  }
+
+  /**
+   * Check the approver of a reversal: an active admin or manager other than the
+   * user posting it
+   * @param {string} approvedBy - User id of the approver
+   * @param {string} processedBy - User id of the staff member posting the reversal
+   * @param {ClientSession} session - Active MongoDB session, if any
+   */
+  static async assertReversalApprover(approvedBy, processedBy, session = null) {
+    if (!approvedBy || !mongoose.isValidObjectId(approvedBy)) {
+      throw new PostingError('A reversal needs an approving user', 400, 'APPROVER_REQUIRED');
+    }
+    if (String(approvedBy) === String(processedBy)) {
+      throw new PostingError('A reversal must be approved by a different user than the one who posts it', 403, 'SAME_USER_APPROVAL');
+    }
+    const approver = await User.findById(approvedBy).select('role isActive').session(session);
+    if (!approver?.isActive || !REVERSAL_APPROVER_ROLES.includes(approver.role)) {
+      throw new PostingError('A reversal must be approved by an active admin or manager', 403, 'APPROVER_NOT_ALLOWED');
+    }
+  }
+
+  /**
+   * Post a compensating transaction for a completed one and link the two.
+   * Both legs of a transfer are reversed together. The original row is never
+   * edited beyond its `reversedBy` link, so history stays append-only.
+   * `approvedBy` must pass `assertReversalApprover`.
+   * @param {Object} original - Transaction loaded in `session`
+   * @param {Object} details - { reasonCode, reason, processedBy, approvedBy, deviceId, ipAddress, userAgent }
+   * @param {ClientSession} session - Active MongoDB session
+   * @returns {Promise<Object[]>} The reversal transactions that were posted
+   */
+  static async reverseTransaction(original, details, session) {
+    await this.assertReversalApprover(details.approvedBy, details.processedBy, session);
+
+    const originals = [original];
+    if (original.relatedTransactionId) {
+      const counterpart = await Transaction.findById(original.relatedTransactionId).session(session);
+      if (counterpart) {
+        originals.push(counterpart);
+      }
+    }
+
+    for (const txn of originals) {
+      if (txn.type === 'reversal') {
+        throw new PostingError('Reversal transactions cannot be reversed');
+      }
+      if (txn.reversedBy) {
+        throw new PostingError('Transaction has already been reversed', 409, 'ALREADY_REVERSED');
+      }
+      if (txn.status !== 'completed') {
+        throw new PostingError('Only completed transactions can be reversed');
+      }
+    }
+
+    const { reasonCode, reason, ...audit } = details;
+    const reversals = [];
+
+    // All legs run in the same MongoDB transaction, so a leg that fails aborts the whole reversal
+    for (const txn of originals) {
+      const account = await SavingsAccount.findById(txn.accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
+
+      const reversal = await this.postEntry(account, {
+        ...audit,
+        type: 'reversal',
+        direction: getTransactionDirection(txn) === 'credit' ? 'debit' : 'credit',
+        amount: txn.amount,
+        description: `Reversal of ${txn.transactionId}${reason ? `: ${reason}` : ''}`.slice(0, 500),
+        reference: txn.reference,
+        transferReference: txn.transferReference,
+        reversalOf: txn._id,
+        tellerSessionId: await TellerService.drawerForReversal(txn, session),
+        reasonCode,
+        metadata: { reason }
+      }, session).catch((error) => {
+        if (error instanceof PostingError && error.message === 'Insufficient balance') {
+          throw new PostingError(`Insufficient balance on ${account.accountNumber} to reverse ${txn.transactionId}`);
+        }
+        throw error;
+      });
+
+      txn.reversedBy = reversal._id;
+      await txn.save({ session });
+      reversals.push(reversal);
+    }
+
+    return reversals;
+  }
+}
+
+export default AccountPostingService;
@@ -0,0 +1,287 @@
+import mongoose from 'mongoose';
+import AccountHold from '../models/accountHoldModel.js';
+import ApprovalRule from '../models/approvalRuleModel.js';
+import SavingsAccount from '../models/savingsAccountModel.js';
+import Transaction from '../models/transactionModel.js';
+import AccountPostingService, { PostingError } from './accountPostingService.js';
+import HoldService from './holdService.js';
+import NumberingService from './numberingService.js';
+import TransactionLimitService from './transactionLimitService.js';
+import { logFinancialActivity } from '../utils/financialAuditTrail.js';
+
+// Limit side each transaction type is checked against
+const LIMIT_KIND = { deposit: 'deposit', withdrawal: 'withdrawal', transfer: 'withdrawal' };
+
+/**
+ * Pick the most specific active rule for a transaction: product and role
+ * beat product only, which beats role only, which beats the catch-all rule.
+ * Kept free of I/O so the precedence can be tested on its own.
+ * @param {Array} rules - ApprovalRule documents
+ * @param {Object} scope - { type, role, productId }
+ * @returns {Object|null}
+ */
+export const selectApprovalRule = (rules, { type, role, productId }) => {
+  const specificity = (rule) => (rule.productId ? 2 : 0) + (rule.role ? 1 : 0);
+
+  return rules
+    .filter(rule => rule.isActive !== false && rule.transactionType === type)
+    .filter(rule => !rule.role || rule.role === role)
+    .filter(rule => !rule.productId || String(rule.productId) === String(productId))
+    .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * Approval Service
+ * Maker-checker for staff transactions: amounts at or above an ApprovalRule
+ * threshold are saved as `pending` (with a hold on outgoing funds) and only
+ * posted once a different user approves them.
+ */
+class ApprovalService {
+  /**
+   * Rule that sends this transaction for approval, or null if it can post straight away
+   * @param {Object} account - Source SavingsAccount
+   * @param {Object} request - { type: 'deposit' | 'withdrawal' | 'transfer', role, amount }
+   * @param {ClientSession} session - Optional MongoDB session
+   * @returns {Promise<Object|null>}
+   */
+  static async findRule(account, { type, role, amount }, session = null) {
+    const rules = await ApprovalRule.find({
+      transactionType: type,
+      isActive: true,
+      role: { $in: [role, null] },
+      productId: { $in: [account.productId || null, null] }
+    }).session(session).lean();
+
+    const rule = selectApprovalRule(rules, { type, role, productId: account.productId });
+    return rule && amount >= rule.threshold ? rule : null;
+  }
+
+  /**
+   * Save a transaction as pending approval. Withdrawals and transfers hold the funds
+   * so they cannot be spent while the request waits.
+   * @param {Object} account - Source SavingsAccount loaded in `session`
+   * @param {Object} entry - Transaction fields (type, amount, description, processedBy, ...)
+   * @param {Object} options - { rule, counterparty } counterparty is the transfer destination
+   * @param {ClientSession} session - Active MongoDB session
+   * @returns {Promise<Object>} The pending transaction
+   */
+  static async createPending(account, entry, { rule, counterparty = null }, session) {
+    const isTransfer = Boolean(counterparty);
+    const transaction = new Transaction({
+      ...entry,
+      transactionId: await NumberingService.nextTransactionId({ branchCode: account.branchCode }),
+      type: isTransfer ? 'transfer_out' : entry.type,
+      accountId: account._id,
+      customerId: account.customerId,
+      balanceBefore: account.balance,
+      balanceAfter: account.balance,
+      status: 'pending',
+      ...(isTransfer && {
+        description: entry.description || `Transfer to ${counterparty.accountNumber}`,
+        transferReference: AccountPostingService.generateTransferReference(),
+        counterpartyAccountId: counterparty._id,
+        // Reserved for the credit leg posted on approval
+        relatedTransactionId: new mongoose.Types.ObjectId()
+      }),
+      approval: {
+        ruleId: rule._id,
+        requestedBy: entry.processedBy,
+        requestedAt: new Date(),
+        decision: 'pending'
+      }
+    });
+
+    if (transaction.type !== 'deposit') {
+      const hold = await HoldService.placeInSession(account, {
+        amount: transaction.amount,
+        reasonCode: 'pending_approval',
+        description: `Awaiting approval of ${transaction.type.replace('_', ' ')}`,
+        reference: transaction.transactionId,
+        createdBy: entry.processedBy
+      }, session);
+      transaction.approval.holdId = hold._id;
+    }
+
+    await transaction.save({ session });
+    return transaction;
+  }
+
+  /**
+   * Load a pending transaction for a decision
+   * @returns {Promise<Object>}
+   */
+  static async loadPending(transactionId, session) {
+    const transaction = await Transaction.findById(transactionId).session(session);
+    if (!transaction || !transaction.approval?.decision) {
+      throw new PostingError('Approval request not found', 404);
+    }
+    if (transaction.approval.decision !== 'pending') {
+      throw new PostingError(`Transaction has already been ${transaction.approval.decision}`, 409, 'ALREADY_DECIDED');
+    }
+    return transaction;
+  }
+
+  /**
+   * Release the hold a pending transaction placed, if it is still active
+   */
+  static async releaseRequestHold(transaction, session, { releasedBy, note }) {
+    if (!transaction.approval.holdId) return;
+
+    const hold = await AccountHold.findById(transaction.approval.holdId).session(session);
+    if (hold?.status === 'active') {
+      await HoldService.releaseInSession(hold, session, { releasedBy, note });
+    }
+  }
+
+  /**
+   * Approve and post a pending transaction. The approver must not be the user who entered it.
+   * Balance, status and limits are checked again at posting time.
+   * @param {string} transactionId
+   * @param {Object} options - { approvedBy, note }
+   * @returns {Promise<Object>} { transaction, credit? }
+   */
+  static async approve(transactionId, { approvedBy, note } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const transaction = await this.loadPending(transactionId, session);
+      if (String(transaction.approval.requestedBy) === String(approvedBy)) {
+        throw new PostingError('A transaction must be approved by a different user than the one who entered it', 403, 'SAME_USER_APPROVAL');
+      }
+
+      await this.releaseRequestHold(transaction, session, { releasedBy: approvedBy, note: 'Approved' });
+
+      const account = await SavingsAccount.findById(transaction.accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
+
+      const type = transaction.type === 'transfer_out' ? 'transfer' : transaction.type;
+      const check = type === 'deposit' ? account.canDeposit(transaction.amount) : account.canWithdraw(transaction.amount);
+      if (!check.allowed) {
+        throw new PostingError(check.reason);
+      }
+      await TransactionLimitService.assertWithinLimits(account, { kind: LIMIT_KIND[type], amount: transaction.amount, channel: 'teller' }, session);
+
+      let counterparty = null;
+      if (type === 'transfer') {
+        counterparty = await SavingsAccount.findById(transaction.counterpartyAccountId).session(session);
+        if (!counterparty) {
+          throw new PostingError('Destination account not found', 404);
+        }
+        const canDeposit = counterparty.canDeposit(transaction.amount);
+        if (!canDeposit.allowed) {
+          throw new PostingError(`Destination account: ${canDeposit.reason}`);
+        }
+        await TransactionLimitService.assertWithinLimits(counterparty, { kind: 'deposit', amount: transaction.amount, channel: 'teller' }, session);
+      }
+
+      transaction.approvedBy = approvedBy;
+      transaction.approval.decision = 'approved';
+      transaction.approval.decidedBy = approvedBy;
+      transaction.approval.decidedAt = new Date();
+      transaction.approval.note = note;
+      await AccountPostingService.completePending(account, transaction, session);
+
+      let credit = null;
+      if (counterparty) {
+        credit = await AccountPostingService.postEntry(counterparty, {
+          _id: transaction.relatedTransactionId,
+          type: 'transfer_in',
+          amount: transaction.amount,
+          description: `Transfer from ${account.accountNumber}`,
+          reference: transaction.reference,
+          transferReference: transaction.transferReference,
+          counterpartyAccountId: account._id,
+          relatedTransactionId: transaction._id,
+          processedBy: transaction.processedBy,
+          approvedBy,
+          deviceId: transaction.deviceId,
+          ipAddress: transaction.ipAddress,
+          userAgent: transaction.userAgent
+        }, session);
+      }
+
+      return { transaction, credit };
+    });
+  }
+
+  /**
+   * Reject a pending transaction and release its hold
+   * @param {string} transactionId
+   * @param {Object} options - { rejectedBy, note }
+   * @returns {Promise<Object>} The cancelled transaction
+   */
+  static async reject(transactionId, { rejectedBy, note } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const transaction = await this.loadPending(transactionId, session);
+
+      await this.releaseRequestHold(transaction, session, { releasedBy: rejectedBy, note: 'Rejected' });
+
+      transaction.status = 'cancelled';
+      transaction.approval.decision = 'rejected';
+      transaction.approval.decidedBy = rejectedBy;
+      transaction.approval.decidedAt = new Date();
+      transaction.approval.note = note;
+      await transaction.save({ session });
+
+      return transaction;
+    });
+  }
+
+  /**
+   * Record a maker-checker step in the audit trail. Logging failures never fail the request.
+   * @param {string} action - e.g. 'transaction_approval_requested'
+   * @param {Object} transaction - The pending or decided transaction
+   * @param {string} userId - User who took the step
+   * @param {Object} details - Extra audit details
+   */
+  static async audit(action, transaction, userId, details = {}) {
+    try {
+      await logFinancialActivity({
+        userId,
+        action,
+        entityType: 'transaction',
+        entityId: transaction._id,
+        details: {
+          transactionId: transaction.transactionId,
+          type: transaction.type,
+          amount: transaction.amount,
+          accountId: transaction.accountId,
+          ruleId: transaction.approval?.ruleId,
+          requestedBy: transaction.approval?.requestedBy,
+          ...details
+        },
+        securityLevel: 'medium'
+      });
+    } catch (error) {
+      console.error(`Failed to audit ${action}:`, error.message);
+    }
+  }
+
+  /**
+   * Transactions waiting for approval, oldest first
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { transactions, pagination }
+   */
+  static async getQueue({ page = 1, limit = 20 } = {}) {
+    const filter = { status: 'pending', 'approval.decision': 'pending' };
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .populate('accountId', 'accountNumber balance heldAmount productId')
+        .populate('counterpartyAccountId', 'accountNumber')
+        .populate('customerId', 'customerCode personalInfo.fullName')
+        .populate('approval.requestedBy', 'name email role')
+        .sort({ 'approval.requestedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transaction.countDocuments(filter)
+    ]);
+
+    return {
+      transactions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default ApprovalService;
@@ -0,0 +1,428 @@
+import mongoose from 'mongoose';
+import SavingsAccount from '../models/savingsAccountModel.js';
+import Transaction from '../models/transactionModel.js';
+import DepositBatch from '../models/depositBatchModel.js';
+import AccountPostingService, { PostingError } from './accountPostingService.js';
+import TransactionLimitService from './transactionLimitService.js';
+import { escapeCsv } from './statementService.js';
+import { sumMoney, hasValidPrecision } from '../utils/money.js';
+
+// Rows accepted in one upload; larger lists are split by the sender
+export const MAX_BATCH_ROWS = 2000;
+
+// A batch stuck in `posting` this long (e.g. after a restart) can be posted again;
+// rows already posted are skipped
+const STALE_POSTING_MS = 15 * 60 * 1000;
+
+// Column headers accepted for each field, compared lower-case without spaces, dashes or underscores
+const COLUMN_ALIASES = {
+  accountNumber: ['accountnumber', 'account', 'accountno', 'savingsaccount'],
+  amount: ['amount', 'contribution', 'depositamount'],
+  reference: ['reference', 'ref', 'referencenumber', 'paymentreference'],
+  description: ['description', 'narration', 'memo']
+};
+
+const REVERSAL_REASON_CODES = Transaction.schema.path('reasonCode').enumValues;
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[\s_\-.#]/g, '');
+
+/**
+ * Map an uploaded row's columns onto { accountNumber, amount, reference, description },
+ * whatever the sender called them
+ * @param {Object} raw - One parsed spreadsheet row keyed by its header
+ * @returns {Object}
+ */
+export const normaliseRow = (raw = {}) => {
+  const row = {};
+  for (const [header, value] of Object.entries(raw)) {
+    const key = headerKey(header);
+    const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+    if (field && row[field] === undefined) {
+      row[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+  return row;
+};
+
+/**
+ * Parse an amount cell: numbers as they are, text with thousands separators stripped
+ * @param {*} value
+ * @returns {number} NaN when the cell is not an amount
+ */
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').replace(/[,\s]/g, '').replace(/^(RWF|FRW)/i, '');
+  return text === '' ? NaN : Number(text);
+};
+
+/**
+ * Format checks that need no database: required fields, amounts, and the same
+ * account and reference appearing twice in one file
+ * @param {Array<Object>} rawRows - Parsed spreadsheet rows
+ * @returns {Array<Object>} { rowNumber, accountNumber, amount, reference, description, issues }
+ */
+export const checkRows = (rawRows) => {
+  const seen = new Map();
+
+  return rawRows.map((raw, index) => {
+    const row = normaliseRow(raw);
+    const issues = [];
+    const accountNumber = row.accountNumber === undefined || row.accountNumber === null ? '' : String(row.accountNumber).trim();
+    const reference = row.reference === undefined || row.reference === null ? '' : String(row.reference).trim();
+    const amount = parseAmount(row.amount);
+
+    if (!accountNumber) {
+      issues.push('Account number is required');
+    }
+    if (Number.isNaN(amount) || amount <= 0) {
+      issues.push('Amount must be a positive number');
+    } else if (!hasValidPrecision(amount)) {
+      issues.push('Amount has more decimal places than the currency allows');
+    }
+    if (!reference) {
+      issues.push('Reference is required');
+    } else if (reference.length > 100) {
+      issues.push('Reference must be 100 characters or fewer');
+    }
+
+    if (accountNumber && reference) {
+      const key = `${accountNumber}|${reference}`;
+      if (seen.has(key)) {
+        issues.push(`Duplicate of row ${seen.get(key)} (same account and reference)`);
+      } else {
+        seen.set(key, index + 1);
+      }
+    }
+
+    return {
+      rowNumber: index + 1,
+      accountNumber,
+      amount: Number.isNaN(amount) ? undefined : amount,
+      reference,
+      description: row.description ? String(row.description).slice(0, 200) : undefined,
+      issues
+    };
+  });
+};
+
+/**
+ * The result file: every row with its outcome
+ * @param {Object} batch - DepositBatch
+ * @returns {string} CSV
+ */
+export const batchToCsv = (batch) => {
+  const rows = [
+    ['Batch', batch.batchId],
+    ['Source', batch.source || ''],
+    ['Funding reference', batch.fundingReference || ''],
+    ['Status', batch.status],
+    ['Posted', `${batch.postedCount} rows, ${batch.postedAmount}`],
+    ['Reversed', `${batch.reversedCount} rows, ${batch.reversedAmount}`],
+    [],
+    ['Row', 'Account Number', 'Customer', 'Amount', 'Reference', 'Status', 'Transaction ID', 'Issues']
+  ];
+  for (const row of batch.rows) {
+    rows.push([
+      row.rowNumber,
+      row.accountNumber,
+      row.customerName,
+      row.amount,
+      row.reference,
+      row.status,
+      row.transactionId,
+      (row.issues || []).join('; ')
+    ]);
+  }
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Bulk Deposit Service
+ * Payroll-style contribution lists from employers and cooperatives: an upload is
+ * validated into a draft batch for preview, then its valid rows are posted as
+ * deposits under the batch ID. Posted rows can be reversed later, all or some.
+ */
+class BulkDepositService {
+  /**
+   * Validate an upload and save it as a draft batch
+   * @param {Object} params - { rows, fileName, source, fundingReference }
+   * @param {string} uploadedBy - User id
+   * @returns {Promise<Object>} The DepositBatch
+   */
+  static async createBatch({ rows, fileName, source, fundingReference }, uploadedBy) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new PostingError('The upload has no rows');
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+      throw new PostingError(`An upload can have at most ${MAX_BATCH_ROWS} rows`);
+    }
+
+    const checked = checkRows(rows);
+    const accountNumbers = [...new Set(checked.map(row => row.accountNumber).filter(Boolean))];
+    const accounts = await SavingsAccount.find({ accountNumber: { $in: accountNumbers } })
+      .populate('customerId', 'personalInfo.fullName');
+    const accountsByNumber = new Map(accounts.map(account => [account.accountNumber, account]));
+
+    for (const row of checked) {
+      if (!row.accountNumber) continue;
+      const account = accountsByNumber.get(row.accountNumber);
+      if (!account) {
+        row.issues.push('Account not found');
+        continue;
+      }
+      row.accountId = account._id;
+      row.customerName = account.customerId?.personalInfo?.fullName;
+      if (row.amount > 0) {
+        const canDeposit = account.canDeposit(row.amount);
+        if (!canDeposit.allowed) {
+          row.issues.push(canDeposit.reason);
+        }
+      }
+    }
+
+    // Deposit limits apply to everything the batch puts into an account
+    const totalsByAccount = new Map();
+    for (const row of checked.filter(row => row.issues.length === 0)) {
+      totalsByAccount.set(row.accountNumber, sumMoney([totalsByAccount.get(row.accountNumber) || 0, row.amount]));
+    }
+    for (const [accountNumber, total] of totalsByAccount) {
+      try {
+        await TransactionLimitService.assertWithinLimits(accountsByNumber.get(accountNumber), { kind: 'deposit', amount: total, channel: 'teller' });
+      } catch (error) {
+        if (!(error instanceof PostingError)) throw error;
+        checked
+          .filter(row => row.accountNumber === accountNumber && row.issues.length === 0)
+          .forEach(row => row.issues.push(error.message));
+      }
+    }
+
+    const batchRows = checked.map(row => ({ ...row, status: row.issues.length === 0 ? 'valid' : 'invalid' }));
+    const valid = batchRows.filter(row => row.status === 'valid');
+
+    return DepositBatch.create({
+      fileName,
+      source,
+      fundingReference,
+      rows: batchRows,
+      rowCount: batchRows.length,
+      validCount: valid.length,
+      invalidCount: batchRows.length - valid.length,
+      totalAmount: sumMoney(valid.map(row => row.amount)),
+      uploadedBy
+    });
+  }
+
+  /**
+   * Find a batch by its batch ID or document id
+   * @returns {Promise<Object|null>}
+   */
+  static async findBatch(id) {
+    const filter = mongoose.isValidObjectId(id) ? { $or: [{ _id: id }, { batchId: id }] } : { batchId: id };
+    return DepositBatch.findOne(filter);
+  }
+
+  /**
+   * Post every valid row of a draft batch. Each row is its own MongoDB transaction,
+   * and the row is marked posted inside it, so a row is never posted twice even if
+   * a run is interrupted and started again. Rows that fail are marked `failed`.
+   * @param {string} id - Batch ID or document id
+   * @param {string} postedBy - User id
+   * @param {Object} audit - { deviceId, ipAddress, userAgent }
+   * @returns {Promise<Object>} The DepositBatch
+   */
+  static async postBatch(id, postedBy, audit = {}) {
+    const existing = await this.findBatch(id);
+    if (!existing) {
+      throw new PostingError('Deposit batch not found', 404);
+    }
+    if (existing.validCount === 0) {
+      throw new PostingError('The batch has no valid rows to post');
+    }
+
+    const batch = await DepositBatch.findOneAndUpdate(
+      {
+        _id: existing._id,
+        $or: [
+          { status: 'draft' },
+          { status: 'posting', postingStartedAt: { $lt: new Date(Date.now() - STALE_POSTING_MS) } }
+        ]
+      },
+      { $set: { status: 'posting', postingStartedAt: new Date(), postedBy } },
+      { new: true }
+    );
+    if (!batch) {
+      throw new PostingError(`Batch is ${existing.status} and cannot be posted`, 409, 'BATCH_NOT_DRAFT');
+    }
+
+    for (const row of batch.rows.filter(row => row.status === 'valid')) {
+      try {
+        await AccountPostingService.runInTransaction(async (session) => {
+          const account = await SavingsAccount.findById(row.accountId).session(session);
+          if (!account) {
+            throw new PostingError('Account not found', 404);
+          }
+          const canDeposit = account.canDeposit(row.amount);
+          if (!canDeposit.allowed) {
+            throw new PostingError(canDeposit.reason);
+          }
+          await TransactionLimitService.assertWithinLimits(account, { kind: 'deposit', amount: row.amount, channel: 'teller' }, session);
+
+          const transaction = await AccountPostingService.postEntry(account, {
+            ...audit,
+            type: 'deposit',
+            amount: row.amount,
+            description: row.description || `Bulk deposit ${batch.batchId}${batch.source ? ` from ${batch.source}` : ''}`,
+            reference: row.reference,
+            processedBy: postedBy,
+            batchId: batch.batchId
+          }, session);
+
+          const marked = await DepositBatch.updateOne(
+            { _id: batch._id, rows: { $elemMatch: { _id: row._id, status: 'valid' } } },
+            {
+              $set: {
+                'rows.$.status': 'posted',
+                'rows.$.transaction': transaction._id,
+                'rows.$.transactionId': transaction.transactionId,
+                'rows.$.postedAt': new Date()
+              }
+            },
+            { session }
+          );
+          if (marked.modifiedCount !== 1) {
+            throw new PostingError('Row was already posted', 409, 'ROW_ALREADY_POSTED');
+          }
+        });
+      } catch (error) {
+        if (error.code === 'ROW_ALREADY_POSTED') continue;
+        if (!(error instanceof PostingError)) {
+          console.error(`❌ Bulk deposit ${batch.batchId} row ${row.rowNumber} failed:`, error.message);
+        }
+        await DepositBatch.updateOne(
+          { _id: batch._id, rows: { $elemMatch: { _id: row._id, status: 'valid' } } },
+          { $set: { 'rows.$.status': 'failed' }, $push: { 'rows.$.issues': error.message } }
+        );
+      }
+    }
+
+    const result = await DepositBatch.findById(batch._id);
+    const posted = result.rows.filter(row => row.status === 'posted');
+    result.postedCount = posted.length;
+    result.postedAmount = sumMoney(posted.map(row => row.amount));
+    result.failedCount = result.rows.filter(row => row.status === 'failed').length;
+    result.status = result.failedCount > 0 ? 'partially_posted' : 'posted';
+    result.postedAt = new Date();
+    await result.save();
+
+    console.log(`✅ Bulk deposit ${result.batchId}: ${result.postedCount} posted (${result.postedAmount}), ${result.failedCount} failed`);
+    return result;
+  }
+
+  /**
+   * Reverse posted rows of a batch: the listed row numbers, or every posted row.
+   * Each row is reversed on its own; a row that cannot be reversed (e.g. the money
+   * was already withdrawn) stays posted and is reported.
+   * @param {string} id - Batch ID or document id
+   * @param {Object} params - { rowNumbers, reasonCode, reason, approverId } approverId is an admin or manager other than userId
+   * @param {string} userId
+   * @param {Object} audit - { deviceId, ipAddress, userAgent }
+   * @returns {Promise<Object>} { batch, reversed, failures }
+   */
+  static async rollbackBatch(id, { rowNumbers, reasonCode = 'posting_error', reason, approverId }, userId, audit = {}) {
+    if (!REVERSAL_REASON_CODES.includes(reasonCode)) {
+      throw new PostingError(`Reason code must be one of ${REVERSAL_REASON_CODES.join(', ')}`);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new PostingError('A reason is required to roll back a batch');
+    }
+    await AccountPostingService.assertReversalApprover(approverId, userId);
+
+    const batch = await this.findBatch(id);
+    if (!batch) {
+      throw new PostingError('Deposit batch not found', 404);
+    }
+    if (!['posted', 'partially_posted'].includes(batch.status)) {
+      throw new PostingError(`Batch is ${batch.status} and cannot be rolled back`, 409, 'BATCH_NOT_POSTED');
+    }
+
+    const wanted = Array.isArray(rowNumbers) && rowNumbers.length > 0 ? new Set(rowNumbers.map(Number)) : null;
+    const failures = [];
+    if (wanted) {
+      for (const rowNumber of wanted) {
+        const row = batch.rows.find(item => item.rowNumber === rowNumber);
+        if (!row || row.status !== 'posted') {
+          failures.push({ rowNumber, message: row ? `Row is ${row.status}` : 'No such row' });
+        }
+      }
+    }
+
+    const targets = batch.rows.filter(row => row.status === 'posted' && (!wanted || wanted.has(row.rowNumber)));
+    const reversed = [];
+    for (const row of targets) {
+      try {
+        await AccountPostingService.runInTransaction(async (session) => {
+          const original = await Transaction.findById(row.transaction).session(session);
+          if (!original) {
+            throw new PostingError('Transaction not found', 404);
+          }
+          const [reversal] = await AccountPostingService.reverseTransaction(original, {
+            ...audit,
+            reasonCode,
+            reason: `Batch ${batch.batchId} rollback: ${reason}`,
+            processedBy: userId,
+            approvedBy: approverId
+          }, session);
+
+          const marked = await DepositBatch.updateOne(
+            { _id: batch._id, rows: { $elemMatch: { _id: row._id, status: 'posted' } } },
+            { $set: { 'rows.$.status': 'reversed', 'rows.$.reversal': reversal._id, 'rows.$.reversedAt': new Date() } },
+            { session }
+          );
+          if (marked.modifiedCount !== 1) {
+            throw new PostingError('Row was already reversed', 409, 'ALREADY_REVERSED');
+          }
+        });
+        reversed.push(row.rowNumber);
+      } catch (error) {
+        failures.push({ rowNumber: row.rowNumber, message: error.message });
+        await DepositBatch.updateOne(
+          { _id: batch._id, 'rows._id': row._id },
+          { $push: { 'rows.$.issues': `Rollback failed: ${error.message}` } }
+        );
+      }
+    }
+
+    const result = await DepositBatch.findById(batch._id);
+    const reversedRows = result.rows.filter(row => row.status === 'reversed');
+    result.reversedCount = reversedRows.length;
+    result.reversedAmount = sumMoney(reversedRows.map(row => row.amount));
+    if (!result.rows.some(row => row.status === 'posted')) {
+      result.status = 'rolled_back';
+    }
+    if (reversed.length > 0) {
+      result.rollbacks.push({ rolledBackBy: userId, approvedBy: approverId, rolledBackAt: new Date(), reasonCode, reason, rowNumbers: reversed });
+    }
+    await result.save();
+
+    return { batch: result, reversed, failures };
+  }
+
+  /**
+   * Throw away a draft that will not be posted
+   * @returns {Promise<Object>} The DepositBatch
+   */
+  static async discardBatch(id) {
+    const batch = await this.findBatch(id);
+    if (!batch) {
+      throw new PostingError('Deposit batch not found', 404);
+    }
+    if (batch.status !== 'draft') {
+      throw new PostingError(`Batch is ${batch.status} and cannot be discarded`, 409, 'BATCH_NOT_DRAFT');
+    }
+    batch.status = 'discarded';
+    await batch.save();
+    return batch;
+  }
+}
+
+export default BulkDepositService;
@@ -0,0 +1,366 @@
+import crypto from 'crypto';
+import validator from 'validator';
+import Customer from '../models/customerModel.js';
+import CustomerPasswordReset from '../models/customerPasswordResetModel.js';
+import DeviceVerification from '../models/deviceVerificationModel.js';
+import Notification from '../models/notificationModel.js';
+import CustomerTokenService from './customerTokenService.js';
+import { hashPassword, CURRENT_VERSION } from '../utils/passwordHash.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { sendSMS } from '../utils/sendSMS.js';
+
+// Customers on the legacy scheme with no login for this long are candidates for a forced reset
+export const DEFAULT_INACTIVE_DAYS = 180;
+
+// Forgot-password codes
+export const RESET_CODE_EXPIRES_MINUTES = 10;
+export const MAX_RESET_CODE_ATTEMPTS = 5;
+export const MAX_RESET_REQUESTS_PER_HOUR = 3;
+export const RESET_REQUEST_COOLDOWN_SECONDS = 60;
+export const MIN_PASSWORD_LENGTH = 8;
+
+export class CustomerPasswordError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'CustomerPasswordError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const LEGACY_FILTER = { password: { $regex: /^[a-f0-9]{128}$/i } };
+
+/**
+ * Turn per-scheme counts from the report aggregation into the report
+ * @param {Array<Object>} groups - { _id: scheme, count, inactive, resetRequired }
+ * @returns {Object} { total, current, legacy, legacyInactive, unknown, resetRequired }
+ */
+export const summariseSchemes = (groups) => {
+  const report = { total: 0, current: 0, legacy: 0, legacyInactive: 0, unknown: 0, resetRequired: 0 };
+  for (const group of groups) {
+    report.total += group.count;
+    report.resetRequired += group.resetRequired || 0;
+    if (group._id === 'current') {
+      report.current += group.count;
+    } else if (group._id === 'legacy') {
+      report.legacy += group.count;
+      report.legacyInactive += group.inactive || 0;
+    } else {
+      report.unknown += group.count;
+    }
+  }
+  return report;
+};
+
+/**
+ * Ways a phone number may be stored for a customer. Rwandan numbers are matched
+ * in local (07...), 250... and +250... form; anything else only as typed.
+ * @param {string} phone
+ * @returns {Array<string>}
+ */
+export const phoneCandidates = (phone) => {
+  const cleaned = String(phone || '').replace(/[^\d+]/g, '');
+  const digits = cleaned.replace(/\D/g, '');
+  let local = null;
+  if (!cleaned.startsWith('+') || cleaned.startsWith('+250')) {
+    if (digits.length === 12 && digits.startsWith('250')) local = digits.slice(3);
+    else if (digits.length === 10 && digits.startsWith('0')) local = digits.slice(1);
+    else if (digits.length === 9) local = digits;
+  }
+  if (!local) return digits.length >= 10 ? [cleaned] : [];
+  return [...new Set([cleaned, `0${local}`, `250${local}`, `+250${local}`])];
+};
+
+/**
+ * Read the email address or phone number a customer typed to reset their password
+ * @param {string} identifier
+ * @returns {Object|null} { type: 'email', email } or { type: 'phone', phones }
+ */
+export const parseResetIdentifier = (identifier) => {
+  const value = String(identifier || '').trim();
+  if (value.includes('@')) {
+    return validator.isEmail(value) ? { type: 'email', email: value.toLowerCase() } : null;
+  }
+  const phones = phoneCandidates(value);
+  return phones.length ? { type: 'phone', phones } : null;
+};
+
+/**
+ * Six-digit reset code
+ * @returns {string}
+ */
+export const generateResetCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+/**
+ * Keyed digest of a reset code, so stored codes can't be brute-forced offline
+ * @param {string} customerId
+ * @param {string} code
+ * @returns {string}
+ */
+export const hashResetCode = (customerId, code) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${customerId}:${code}`).digest('hex');
+
+/**
+ * Compare a typed code with the stored digest in constant time
+ * @returns {boolean}
+ */
+export const resetCodeMatches = (customerId, code, codeHash) => {
+  const expected = Buffer.from(codeHash, 'hex');
+  const actual = Buffer.from(hashResetCode(customerId, String(code || '').trim()), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Customer Password Service
+ * Tracks the move of customer passwords off the legacy unsalted SHA-512 scheme.
+ * Active customers are upgraded as they log in (customerModel comparePassword);
+ * customers who do not log in have their legacy hash retired and must reset.
+ * Customers can reset a forgotten password themselves with a code sent by email
+ * or SMS, from a verified device.
+ */
+class CustomerPasswordService {
+  static inactiveCutoff(inactiveDays) {
+    return new Date(Date.now() - inactiveDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * How many customers are on each password scheme
+   * @param {Object} options - { inactiveDays }
+   * @returns {Promise<Object>} summariseSchemes() plus inactiveDays and generatedAt
+   */
+  static async schemeReport({ inactiveDays = DEFAULT_INACTIVE_DAYS } = {}) {
+    const cutoff = this.inactiveCutoff(inactiveDays);
+    const password = { $ifNull: ['$password', ''] };
+
+    const groups = await Customer.aggregate([
+      {
+        $project: {
+          scheme: {
+            $switch: {
+              branches: [
+                { case: { $eq: [{ $substrCP: [password, 0, CURRENT_VERSION.length + 1] }, `${CURRENT_VERSION}$`] }, then: 'current' },
+                { case: { $regexMatch: { input: password, regex: /^[a-f0-9]{128}$/i } }, then: 'legacy' }
+              ],
+              default: 'unknown'
+            }
+          },
+          inactive: { $or: [{ $eq: [{ $ifNull: ['$lastLogin', null] }, null] }, { $lt: ['$lastLogin', cutoff] }] },
+          passwordResetRequired: 1
+        }
+      },
+      {
+        $group: {
+          _id: '$scheme',
+          count: { $sum: 1 },
+          inactive: { $sum: { $cond: ['$inactive', 1, 0] } },
+          resetRequired: { $sum: { $cond: [{ $eq: ['$passwordResetRequired', true] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return { ...summariseSchemes(groups), inactiveDays, generatedAt: new Date() };
+  }
+
+  /**
+   * Retire the legacy hashes of customers who have not logged in for `inactiveDays`:
+   * the hash is replaced with one of a random secret, so the old digest is gone and
+   * the customer must have their password reset before they can log in again.
+   * @param {Object} options - { inactiveDays, dryRun }
+   * @returns {Promise<Object>} { matched, reset }
+   */
+  static async forceResetInactive({ inactiveDays = DEFAULT_INACTIVE_DAYS, dryRun = false } = {}) {
+    const cutoff = this.inactiveCutoff(inactiveDays);
+    const filter = {
+      ...LEGACY_FILTER,
+      $or: [{ lastLogin: { $exists: false } }, { lastLogin: null }, { lastLogin: { $lt: cutoff } }]
+    };
+
+    const result = { matched: 0, reset: 0 };
+    const cursor = Customer.find(filter).select('+password').lean().cursor();
+
+    for await (const customer of cursor) {
+      result.matched++;
+      if (dryRun) continue;
+
+      const placeholder = await hashPassword(crypto.randomBytes(32).toString('hex'));
+      // Guarded on the legacy hash: a customer who logged in meanwhile was already upgraded
+      const update = await Customer.updateOne(
+        { _id: customer._id, password: customer.password },
+        { $set: { password: placeholder, passwordResetRequired: true, passwordResetRequiredAt: new Date() } }
+      );
+      result.reset += update.modifiedCount;
+    }
+
+    return result;
+  }
+
+  // The customer an email address or phone number belongs to, or null when it matches none or several
+  static async findByIdentifier(parsed) {
+    const query = parsed.type === 'email'
+      ? { 'contact.email': parsed.email }
+      : { 'contact.phone': { $in: parsed.phones } };
+    const matches = await Customer.find(query).select('+password personalInfo.fullName contact isActive').limit(2);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Send a reset code by email or SMS, matching how the customer identified themselves.
+   * Unknown, disabled or staff-created accounts, unverified devices, throttled requests
+   * and failed deliveries get no code. None of them throw, so the caller answers the
+   * same way whether or not the account exists.
+   * @param {Object} params - { identifier, deviceId, ipAddress }
+   * @returns {Promise<Object>} { sent, channel?, customerId?, reason? }
+   */
+  static async requestReset({ identifier, deviceId, ipAddress }) {
+    const parsed = parseResetIdentifier(identifier);
+    if (!parsed) {
+      throw new CustomerPasswordError('Enter the email address or phone number on your account', 400, 'IDENTIFIER_INVALID');
+    }
+
+    const customer = await this.findByIdentifier(parsed);
+    if (!customer || !customer.isActive || !customer.password) {
+      return { sent: false, reason: 'no_account' };
+    }
+    if (!(await DeviceVerification.isDeviceVerified(customer._id, deviceId))) {
+      return { sent: false, reason: 'device_not_verified', customerId: customer._id };
+    }
+
+    const now = Date.now();
+    const recent = await CustomerPasswordReset.find({ customerId: customer._id, createdAt: { $gte: new Date(now - 60 * 60 * 1000) } })
+      .select('createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+    if (recent.length && now - new Date(recent[0].createdAt).getTime() < RESET_REQUEST_COOLDOWN_SECONDS * 1000) {
+      return { sent: false, reason: 'too_soon', customerId: customer._id };
+    }
+    if (recent.length >= MAX_RESET_REQUESTS_PER_HOUR) {
+      return { sent: false, reason: 'too_many_requests', customerId: customer._id };
+    }
+
+    // A new code retires any earlier one
+    await CustomerPasswordReset.updateMany(
+      { customerId: customer._id, usedAt: null, invalidatedAt: null },
+      { $set: { invalidatedAt: new Date(now) } }
+    );
+
+    const channel = parsed.type === 'email' ? 'email' : 'sms';
+    const code = generateResetCode();
+    const reset = await CustomerPasswordReset.create({
+      customerId: customer._id,
+      deviceId,
+      channel,
+      codeHash: hashResetCode(customer._id.toString(), code),
+      expiresAt: new Date(now + RESET_CODE_EXPIRES_MINUTES * 60 * 1000),
+      ipAddress
+    });
+
+    const message = `Your Credit Jambo password reset code is ${code}. It expires in ${RESET_CODE_EXPIRES_MINUTES} minutes. Never share this code; our staff will never ask for it.`;
+    try {
+      if (channel === 'email') {
+        await sendEmail(customer.contact.email, 'Credit Jambo - Password Reset Code', message, 'password_reset');
+      } else {
+        await sendSMS(customer.contact.phone, message);
+      }
+    } catch (error) {
+      console.error(`❌ Password reset code ${channel} failed for ${customer._id}:`, error.message);
+      await CustomerPasswordReset.updateOne({ _id: reset._id }, { $set: { invalidatedAt: new Date() } });
+      return { sent: false, reason: 'delivery_failed', channel, customerId: customer._id };
+    }
+
+    return { sent: true, channel, customerId: customer._id };
+  }
+
+  /**
+   * Set a new password with a reset code. Works only from the verified device that
+   * asked for the code; wrong codes count towards MAX_RESET_CODE_ATTEMPTS, after which
+   * the code is cancelled. Every refusal is the same RESET_CODE_INVALID so the answer
+   * doesn't reveal whether the account exists. Signs the customer out everywhere and
+   * tells them their password changed.
+   * @param {Object} params - { identifier, code, newPassword, deviceId }
+   * @returns {Promise<Object>} The customer
+   */
+  static async resetWithCode({ identifier, code, newPassword, deviceId }) {
+    if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      throw new CustomerPasswordError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'PASSWORD_TOO_SHORT');
+    }
+    const invalid = new CustomerPasswordError('This code is invalid or has expired. Please request a new one.', 400, 'RESET_CODE_INVALID');
+
+    const parsed = parseResetIdentifier(identifier);
+    const customer = parsed ? await this.findByIdentifier(parsed) : null;
+    if (!customer || !customer.isActive) throw invalid;
+    if (!(await DeviceVerification.isDeviceVerified(customer._id, deviceId))) throw invalid;
+
+    const reset = await CustomerPasswordReset.findOne({
+      customerId: customer._id,
+      usedAt: null,
+      invalidatedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+    if (!reset || reset.deviceId !== deviceId) throw invalid;
+
+    if (!resetCodeMatches(customer._id.toString(), code, reset.codeHash)) {
+      const counted = await CustomerPasswordReset.findOneAndUpdate(
+        { _id: reset._id, usedAt: null, invalidatedAt: null },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+      if (counted && counted.attempts >= MAX_RESET_CODE_ATTEMPTS) {
+        await CustomerPasswordReset.updateOne({ _id: reset._id }, { $set: { invalidatedAt: new Date() } });
+      }
+      throw invalid;
+    }
+
+    // Single use, even if two requests race with the right code
+    const claimed = await CustomerPasswordReset.updateOne(
+      { _id: reset._id, usedAt: null, invalidatedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount) throw invalid;
+
+    // Hashed by the model, which also clears a forced reset
+    customer.password = newPassword;
+    await customer.save();
+
+    await CustomerTokenService.revokeForCustomer(customer._id, 'password_changed');
+    await this.notifyPasswordChanged(customer);
+    return customer;
+  }
+
+  /**
+   * Tell a customer by email and SMS that their password changed, and record it.
+   * Delivery failures are logged and never undo the change.
+   * @param {Object} customer - With contact and personalInfo
+   * @returns {Promise<boolean>} Whether any channel was attempted
+   */
+  static async notifyPasswordChanged(customer) {
+    const message = `Your Credit Jambo password was changed on ${new Date().toLocaleString('en-GB', { timeZone: 'Africa/Kigali' })}. If this was not you, contact your branch immediately.`;
+    const types = [];
+    if (customer.contact?.email) {
+      types.push('email');
+      try {
+        await sendEmail(customer.contact.email, 'Credit Jambo - Password Changed', message, 'password_changed');
+      } catch (error) {
+        console.error(`❌ Password change email failed for ${customer._id}:`, error.message);
+      }
+    }
+    if (customer.contact?.phone) {
+      types.push('sms');
+      try {
+        await sendSMS(customer.contact.phone, message);
+      } catch (error) {
+        console.error(`❌ Password change SMS failed for ${customer._id}:`, error.message);
+      }
+    }
+
+    if (types.length > 0) {
+      try {
+        await Notification.create({ customer: customer._id, type: types, purpose: 'password_changed', message });
+      } catch (error) {
+        console.error(`❌ Failed to record password change notification for ${customer._id}:`, error.message);
+      }
+    }
+    return types.length > 0;
+  }
+}
+
+export default CustomerPasswordService;
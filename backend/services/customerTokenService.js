@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import Customer from '../models/customerModel.js';
+import CustomerRefreshToken from '../models/customerRefreshTokenModel.js';
+import DeviceVerification from '../models/deviceVerificationModel.js';
+
+export const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = '15m';
+export const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+// Why a refresh was refused, and whether the token family is revoked because of it
+export const REFRESH_FAILURES = {
+  REFRESH_TOKEN_INVALID: { message: 'Invalid refresh token. Please log in again.' },
+  REFRESH_TOKEN_REVOKED: { message: 'This session has ended. Please log in again.' },
+  REFRESH_TOKEN_EXPIRED: { message: 'Session expired. Please log in again.' },
+  REFRESH_TOKEN_REUSED: { message: 'This session has ended for your security. Please log in again.', revokeReason: 'reuse_detected' },
+  REFRESH_TOKEN_DEVICE_MISMATCH: { message: 'This session belongs to another device. Please log in again.', revokeReason: 'device_mismatch' }
+};
+
+export class CustomerTokenError extends Error {
+  constructor(message, statusCode = 401, code) {
+    super(message);
+    this.name = 'CustomerTokenError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Digest stored in place of a refresh token
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Check a stored refresh token against the device presenting it
+ * @param {Object|null} record - CustomerRefreshToken document
+ * @param {string} deviceId - From the x-device-id header
+ * @param {Date} [now]
+ * @returns {string|null} A REFRESH_FAILURES code, or null when the token can be rotated
+ */
+export const checkRefreshToken = (record, deviceId, now = new Date()) => {
+  if (!record) return 'REFRESH_TOKEN_INVALID';
+  if (record.revokedAt) return 'REFRESH_TOKEN_REVOKED';
+  if (record.rotatedAt) return 'REFRESH_TOKEN_REUSED';
+  if (new Date(record.expiresAt) <= now) return 'REFRESH_TOKEN_EXPIRED';
+  if (record.deviceId !== deviceId) return 'REFRESH_TOKEN_DEVICE_MISMATCH';
+  return null;
+};
+
+const refreshTokenDays = () => Number(process.env.CUSTOMER_REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+
+/**
+ * Customer Token Service
+ * Customers get a short-lived access token (JWT) and an opaque refresh token bound
+ * to their verified device. Every refresh rotates the refresh token within its
+ * family (one family per login); presenting a rotated token again revokes the
+ * family. Access tokens carry the family id so revoking it also ends them.
+ */
+class CustomerTokenService {
+  /**
+   * Sign an access token
+   * @param {string} customerId
+   * @param {Object} [session] - { deviceId, familyId } when issued with a refresh token
+   * @returns {string}
+   */
+  static createAccessToken(customerId, { deviceId, familyId } = {}) {
+    const payload = { customerId, type: 'customer' };
+    if (familyId) {
+      payload.deviceId = deviceId;
+      payload.fid = familyId;
+    }
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: process.env.CUSTOMER_JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN
+    });
+  }
+
+  /**
+   * Issue an access token and the first refresh token of a new family (login)
+   * @param {string} customerId
+   * @param {string} deviceId - A verified device
+   * @param {Object} [requestInfo] - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn, refreshExpiresAt }
+   */
+  static async issue(customerId, deviceId, requestInfo = {}) {
+    return this.issueInFamily({ customerId, deviceId, familyId: uuidv4() }, requestInfo);
+  }
+
+  // Add a refresh token to a family and sign the access token that goes with it
+  static async issueInFamily({ customerId, deviceId, familyId }, { ipAddress, userAgent } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const refreshExpiresAt = new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000);
+    await CustomerRefreshToken.create({
+      customerId,
+      deviceId,
+      familyId,
+      tokenHash: hashRefreshToken(refreshToken),
+      expiresAt: refreshExpiresAt,
+      ipAddress,
+      userAgent
+    });
+
+    const token = this.createAccessToken(customerId, { deviceId, familyId });
+    const { iat, exp } = jwt.decode(token);
+    return { token, refreshToken, expiresIn: exp - iat, refreshExpiresAt };
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token. The device must
+   * be the one the family was issued to and must still be verified.
+   * @param {string} refreshToken
+   * @param {string} deviceId - From the x-device-id header
+   * @param {Object} [requestInfo] - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn, refreshExpiresAt, customerId }
+   */
+  static async rotate(refreshToken, deviceId, requestInfo = {}) {
+    const record = refreshToken
+      ? await CustomerRefreshToken.findOne({ tokenHash: hashRefreshToken(refreshToken) }).lean()
+      : null;
+    const failure = checkRefreshToken(record, deviceId);
+    if (failure) {
+      const { message, revokeReason } = REFRESH_FAILURES[failure];
+      if (revokeReason) {
+        await this.revokeFamily(record.familyId, revokeReason);
+      }
+      throw new CustomerTokenError(message, 401, failure);
+    }
+
+    const [deviceVerified, customer] = await Promise.all([
+      DeviceVerification.isDeviceVerified(record.customerId, deviceId),
+      Customer.findById(record.customerId).select('isActive').lean()
+    ]);
+    if (!deviceVerified) {
+      await this.revokeFamily(record.familyId, 'device_revoked');
+      throw new CustomerTokenError('This device is no longer verified. Please contact your branch.', 403, 'DEVICE_NOT_VERIFIED');
+    }
+    if (!customer?.isActive) {
+      await this.revokeFamily(record.familyId, 'account_disabled');
+      throw new CustomerTokenError('Your account is disabled. Please contact your branch.', 403, 'ACCOUNT_DISABLED');
+    }
+
+    // Two requests racing with the same token: only one may rotate it
+    const claimed = await CustomerRefreshToken.findOneAndUpdate(
+      { _id: record._id, rotatedAt: null, revokedAt: null },
+      { $set: { rotatedAt: new Date() } }
+    );
+    if (!claimed) {
+      await this.revokeFamily(record.familyId, 'reuse_detected');
+      throw new CustomerTokenError(REFRESH_FAILURES.REFRESH_TOKEN_REUSED.message, 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    const tokens = await this.issueInFamily(record, requestInfo);
+    return { ...tokens, customerId: record.customerId };
+  }
+
+  /**
+   * Whether a token family can still be used (access tokens are checked against it)
+   * @param {string} familyId
+   * @returns {Promise<boolean>}
+   */
+  static async isFamilyActive(familyId) {
+    const live = await CustomerRefreshToken.exists({ familyId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return Boolean(live);
+  }
+
+  /**
+   * Revoke every token in a family
+   * @returns {Promise<number>} How many tokens were revoked
+   */
+  static async revokeFamily(familyId, reason) {
+    return this.revokeWhere({ familyId }, reason);
+  }
+
+  /**
+   * Log out: revoke the family of the given refresh token
+   * @param {string} refreshToken
+   * @returns {Promise<Object|null>} { customerId, familyId } or null when the token is unknown
+   */
+  static async revokeByRefreshToken(refreshToken) {
+    if (!refreshToken) return null;
+    const record = await CustomerRefreshToken.findOne({ tokenHash: hashRefreshToken(refreshToken) })
+      .select('customerId familyId')
+      .lean();
+    if (!record) return null;
+    await this.revokeFamily(record.familyId, 'logout');
+    return { customerId: record.customerId, familyId: record.familyId };
+  }
+
+  /**
+   * Revoke every token a customer was issued on a device, e.g. when it is suspended.
+   * Device ids come from the client, so they are only unique per customer.
+   * @returns {Promise<number>}
+   */
+  static async revokeForDevice(customerId, deviceId, reason) {
+    return this.revokeWhere({ customerId, deviceId }, reason);
+  }
+
+  /**
+   * Revoke every token a customer holds, e.g. when their device verification is revoked
+   * @returns {Promise<number>}
+   */
+  static async revokeForCustomer(customerId, reason) {
+    return this.revokeWhere({ customerId }, reason);
+  }
+
+  // Mark matching live tokens revoked
+  static async revokeWhere(query, reason) {
+    const result = await CustomerRefreshToken.updateMany(
+      { ...query, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default CustomerTokenService;
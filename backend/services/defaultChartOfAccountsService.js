@@ -159,6 +159,8 @@ class DefaultChartOfAccountsService {
       { accountCode: '2.0', accountName: 'OPERATIONS WITH CUSTOMERS', accountType: 'liability', accountCategory: 'current_liabilities', level: 1, parentCode: null, normalBalance: 'CR', currency: 'RWF' },
       { accountCode: '2.0.1', accountName: 'REMBURSEMENT ACCOUNTS', accountType: 'liability', accountCategory: 'current_liabilities', level: 2, parentCode: '2.0', normalBalance: 'CR', currency: 'RWF' },
       { accountCode: '2.0.1.4', accountName: 'Loan reimbursement account', accountType: 'liability', accountCategory: 'current_liabilities', level: 3, parentCode: '2.0.1', normalBalance: 'CR', currency: 'RWF' },
+      { accountCode: '2.0.2', accountName: 'Customer savings deposits', accountType: 'liability', accountCategory: 'current_liabilities', level: 2, parentCode: '2.0', normalBalance: 'CR', currency: 'RWF' },
+      { accountCode: '2.0.3', accountName: 'Internal transfers clearing', accountType: 'liability', accountCategory: 'current_liabilities', level: 2, parentCode: '2.0', normalBalance: 'CR', currency: 'RWF' },
 
       // 2.1 LOANS OPERATIONS
       { accountCode: '2.1', accountName: 'LOANS OPERATIONS', accountType: 'asset', accountCategory: 'current_assets', level: 1, parentCode: null, normalBalance: 'DE', currency: 'RWF' },
@@ -230,6 +232,8 @@ class DefaultChartOfAccountsService {
       { accountCode: '3100', accountName: 'Accounts Payable', accountType: 'liability', accountCategory: 'current_liabilities', level: 1, openingBalance: 0, isActive: true },
       { accountCode: '3200', accountName: 'Accrued Expenses', accountType: 'liability', accountCategory: 'current_liabilities', level: 1, openingBalance: 0, isActive: true },
       { accountCode: '3300', accountName: 'Borrowings', accountType: 'liability', accountCategory: 'current_liabilities', level: 1, openingBalance: 0, isActive: true },
+      { accountCode: '3400', accountName: 'Customer Savings Deposits', accountType: 'liability', accountCategory: 'current_liabilities', level: 1, openingBalance: 0, isActive: true },
+      { accountCode: '3500', accountName: 'Internal Transfers Clearing', accountType: 'liability', accountCategory: 'current_liabilities', level: 1, openingBalance: 0, isActive: true },
 
       // EQUITY
       { accountCode: '4100', accountName: 'Share Capital', accountType: 'equity', accountCategory: 'shareholders_equity', level: 1, openingBalance: 0, isActive: true },
@@ -265,6 +269,8 @@ class DefaultChartOfAccountsService {
       { accountCode: '3000', accountName: 'Current Liabilities', accountType: 'liability', accountCategory: 'current_liabilities', level: 1 },
       { accountCode: '3100', accountName: 'Accounts Payable', accountType: 'liability', accountCategory: 'current_liabilities', level: 2, parentCode: '3000' },
       { accountCode: '3200', accountName: 'Accrued Expenses', accountType: 'liability', accountCategory: 'current_liabilities', level: 2, parentCode: '3000' },
+      { accountCode: '3400', accountName: 'Customer Savings Deposits', accountType: 'liability', accountCategory: 'current_liabilities', level: 2, parentCode: '3000' },
+      { accountCode: '3500', accountName: 'Internal Transfers Clearing', accountType: 'liability', accountCategory: 'current_liabilities', level: 2, parentCode: '3000' },
       
       // Equity
       { accountCode: '4000', accountName: 'Equity', accountType: 'equity', accountCategory: 'shareholders_equity', level: 1 },
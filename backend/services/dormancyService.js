@@ -0,0 +1,309 @@
+import SavingsAccount from '../models/savingsAccountModel.js';
+import AccountProduct from '../models/accountProductModel.js';
+import Customer from '../models/customerModel.js';
+import Notification from '../models/notificationModel.js';
+import InterestService from './interestService.js';
+import { PostingError } from './accountPostingService.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { sendSMS } from '../utils/sendSMS.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used for accounts without a product, or products saved before dormancy settings existed
+export const DEFAULT_DORMANCY = {
+  dormantAfterDays: 365,
+  unclaimedAfterDays: 1825,
+  noticeDaysBefore: 30
+};
+
+export const KYC_DOCUMENT_TYPES = ['national_id', 'passport', 'driving_licence', 'other'];
+
+const normaliseId = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+// Keep only the last four characters of an ID number on the account
+const maskId = (value) => {
+  const id = normaliseId(value);
+  return id.length > 4 ? `${'*'.repeat(id.length - 4)}${id.slice(-4)}` : id;
+};
+
+/**
+ * Start of the current inactivity period: the later of the last customer
+ * transaction, the last reactivation and the opening date
+ * @param {Object} account - SavingsAccount document or plain object
+ * @returns {Date}
+ */
+export const getLastActivity = (account) => new Date(Math.max(
+  ...[account.lastTransactionDate, account.dormancy?.reactivatedAt, account.createdAt]
+    .filter(Boolean)
+    .map(value => new Date(value).getTime())
+));
+
+/**
+ * Dormancy step due for an account at the end of a business day.
+ * Kept free of I/O so the thresholds can be tested on their own.
+ * @param {Object} account - SavingsAccount document or plain object
+ * @param {Object} settings - { dormantAfterDays, unclaimedAfterDays, noticeDaysBefore }
+ * @param {Date} date - Business date (UTC midnight)
+ * @returns {'notice'|'dormant'|'unclaimed'|null}
+ */
+export const evaluateDormancy = (account, settings, date) => {
+  // A running term deposit is inactive by design
+  if (account.accountType === 'fixed' && account.termDeposit?.status === 'active') {
+    return null;
+  }
+
+  const lastActivity = getLastActivity(account);
+  const idleDays = Math.floor((date.getTime() + DAY_MS - lastActivity.getTime()) / DAY_MS);
+
+  if (account.status === 'dormant') {
+    return idleDays >= settings.unclaimedAfterDays ? 'unclaimed' : null;
+  }
+  if (account.status !== 'active') {
+    return null;
+  }
+  if (idleDays >= settings.dormantAfterDays) {
+    return 'dormant';
+  }
+
+  const noticeSentAt = account.dormancy?.noticeSentAt;
+  const noticeDue = settings.noticeDaysBefore > 0 && idleDays >= settings.dormantAfterDays - settings.noticeDaysBefore;
+  const alreadyNotified = noticeSentAt && new Date(noticeSentAt) >= lastActivity;
+  return noticeDue && !alreadyNotified ? 'notice' : null;
+};
+
+/**
+ * Dormancy Service
+ * Marks accounts without customer activity as `dormant`, and later `unclaimed`,
+ * using each product's inactivity periods. Customers are warned before the
+ * cut-off; staff reactivate accounts after re-confirming KYC.
+ */
+class DormancyService {
+  /**
+   * Product dormancy settings merged over the defaults
+   * @param {Object} product - AccountProduct (lean) or null
+   * @returns {Object}
+   */
+  static getSettings(product) {
+    return { ...DEFAULT_DORMANCY, ...(product?.dormancySettings || {}) };
+  }
+
+  /**
+   * Email and SMS the account holder and record the notification.
+   * Delivery failures are logged and never stop the run.
+   * @returns {Promise<boolean>} Whether any channel was attempted
+   */
+  static async notifyCustomer(account, purpose, message) {
+    const customer = await Customer.findById(account.customerId).select('personalInfo.fullName contact').lean();
+    if (!customer) return false;
+
+    const types = [];
+    if (customer.contact?.email) {
+      types.push('email');
+      try {
+        await sendEmail(customer.contact.email, `Credit Jambo - ${purpose.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}`, message, purpose);
+      } catch (error) {
+        console.error(`❌ Dormancy email failed for ${account.accountNumber}:`, error.message);
+      }
+    }
+    if (customer.contact?.phone) {
+      types.push('sms');
+      try {
+        await sendSMS(customer.contact.phone, message);
+      } catch (error) {
+        console.error(`❌ Dormancy SMS failed for ${account.accountNumber}:`, error.message);
+      }
+    }
+
+    if (types.length > 0) {
+      try {
+        await Notification.create({ customer: customer._id, type: types, purpose, message });
+      } catch (error) {
+        console.error(`❌ Failed to record dormancy notification for ${account.accountNumber}:`, error.message);
+      }
+    }
+    return types.length > 0;
+  }
+
+  /**
+   * Apply one dormancy step. The update only matches if the account is unchanged
+   * since it was read, so a transaction made in the meantime wins; bumping the
+   * version makes postings that loaded the account earlier retry and re-check its status.
+   * @returns {Promise<boolean>} Whether the step was applied
+   */
+  static async applyStep(account, step, settings, now) {
+    const update = {
+      notice: { 'dormancy.noticeSentAt': now },
+      dormant: { status: 'dormant', 'dormancy.dormantSince': now },
+      unclaimed: { status: 'unclaimed', 'dormancy.unclaimedSince': now }
+    }[step];
+
+    const result = await SavingsAccount.updateOne(
+      { _id: account._id, status: account.status, lastTransactionDate: account.lastTransactionDate ?? null },
+      { $set: update, $inc: { __v: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    if (step === 'notice') {
+      const cutOff = new Date(getLastActivity(account).getTime() + settings.dormantAfterDays * DAY_MS);
+      await this.notifyCustomer(account, 'dormancy_notice',
+        `Your savings account ${account.accountNumber} has had no transactions for a long time and will become dormant on ${cutOff.toISOString().slice(0, 10)}. Make a deposit or withdrawal before then to keep it active.`);
+    } else if (step === 'dormant') {
+      await this.notifyCustomer(account, 'account_dormant',
+        `Your savings account ${account.accountNumber} is now dormant. Withdrawals are blocked until you visit a branch with your ID to reactivate it.`);
+    }
+    return true;
+  }
+
+  /**
+   * Run the dormancy engine for a completed business day.
+   * Safe to re-run: notices are sent once per inactivity period and status changes are not repeated.
+   * @param {Date|string} value - Business date (must be a past day)
+   * @returns {Promise<Object>} Run report
+   */
+  static async runForDate(value) {
+    const date = InterestService.toBusinessDate(value);
+    if (date >= InterestService.toBusinessDate(new Date())) {
+      throw new Error('Dormancy can only be run for a completed business day');
+    }
+
+    const report = {
+      date: date.toISOString().slice(0, 10),
+      accountsChecked: 0,
+      noticesSent: 0,
+      markedDormant: 0,
+      markedUnclaimed: 0,
+      items: [],
+      errors: []
+    };
+
+    const products = new Map(
+      (await AccountProduct.find().select('dormancySettings').lean())
+        .map(product => [String(product._id), product])
+    );
+
+    // Nothing can be due for accounts active more recently than the shortest notice window
+    const shortestDays = Math.min(...[DEFAULT_DORMANCY, ...[...products.values()].map(product => this.getSettings(product))]
+      .map(settings => Math.max(0, settings.dormantAfterDays - settings.noticeDaysBefore)));
+    const cutOff = new Date(date.getTime() + DAY_MS - shortestDays * DAY_MS);
+
+    const cursor = SavingsAccount.find({
+      status: { $in: ['active', 'dormant'] },
+      $or: [
+        { lastTransactionDate: { $lte: cutOff } },
+        { lastTransactionDate: null, createdAt: { $lte: cutOff } }
+      ]
+    }).select('accountNumber customerId productId accountType status lastTransactionDate createdAt dormancy termDeposit.status').lean().cursor();
+
+    const now = new Date();
+    for await (const account of cursor) {
+      report.accountsChecked++;
+      const settings = this.getSettings(account.productId ? products.get(String(account.productId)) : null);
+      const step = evaluateDormancy(account, settings, date);
+      if (!step) continue;
+
+      try {
+        if (!await this.applyStep(account, step, settings, now)) continue;
+
+        const counter = { notice: 'noticesSent', dormant: 'markedDormant', unclaimed: 'markedUnclaimed' }[step];
+        report[counter]++;
+        report.items.push({
+          accountNumber: account.accountNumber,
+          step,
+          lastActivity: getLastActivity(account)
+        });
+      } catch (error) {
+        console.error(`❌ Dormancy run failed for account ${account.accountNumber}:`, error.message);
+        report.errors.push({ accountNumber: account.accountNumber, message: error.message });
+      }
+    }
+
+    console.log(`✅ Dormancy run for ${report.date}: ${report.noticesSent} notices, ${report.markedDormant} dormant, ${report.markedUnclaimed} unclaimed, ${report.errors.length} errors`);
+    return report;
+  }
+
+  /**
+   * Reactivate a dormant or unclaimed account after staff re-confirm the holder's KYC
+   * @param {string} accountId
+   * @param {Object} options - { reactivatedBy, note, kyc: { idNumber, documentType, contactConfirmed } }
+   * @returns {Promise<Object>} { account, previousStatus }
+   */
+  static async reactivate(accountId, { reactivatedBy, note, kyc = {} } = {}) {
+    const account = await SavingsAccount.findById(accountId);
+    if (!account) {
+      throw new PostingError('Savings account not found', 404);
+    }
+    if (account.status !== 'dormant' && account.status !== 'unclaimed') {
+      throw new PostingError('Only dormant or unclaimed accounts can be reactivated', 409, 'NOT_DORMANT');
+    }
+
+    if (!kyc.idNumber || !KYC_DOCUMENT_TYPES.includes(kyc.documentType) || kyc.contactConfirmed !== true) {
+      throw new PostingError('KYC re-confirmation requires the ID number, ID document type and confirmed contact details', 400, 'KYC_REQUIRED');
+    }
+
+    const customer = await Customer.findById(account.customerId).select('personalInfo.idNumber').lean();
+    if (customer?.personalInfo?.idNumber && normaliseId(customer.personalInfo.idNumber) !== normaliseId(kyc.idNumber)) {
+      throw new PostingError('ID number does not match the customer record', 400, 'KYC_MISMATCH');
+    }
+
+    const previousStatus = account.status;
+    const now = new Date();
+    account.status = 'active';
+    account.dormancy = {
+      reactivatedAt: now,
+      reactivatedBy,
+      reactivationNote: note,
+      kycConfirmation: {
+        idNumber: maskId(kyc.idNumber),
+        documentType: kyc.documentType,
+        contactConfirmed: true,
+        confirmedAt: now
+      }
+    };
+    await account.save();
+
+    return { account, previousStatus };
+  }
+
+  /**
+   * Dormant and unclaimed accounts with their balances
+   * @param {Object} options - { status: 'dormant' | 'unclaimed' | undefined for both }
+   * @returns {Promise<Object>} { summary, accounts }
+   */
+  static async getReport({ status } = {}) {
+    const statuses = status ? [status] : ['dormant', 'unclaimed'];
+    const accounts = await SavingsAccount.find({ status: { $in: statuses } })
+      .select('accountNumber customerId productCode status balance lastTransactionDate createdAt dormancy')
+      .populate('customerId', 'customerCode personalInfo.fullName contact.phone')
+      .sort({ 'dormancy.dormantSince': 1 })
+      .lean();
+
+    const summary = { dormant: 0, unclaimed: 0, dormantBalance: 0, unclaimedBalance: 0 };
+    for (const account of accounts) {
+      summary[account.status]++;
+      summary[`${account.status}Balance`] += account.balance || 0;
+    }
+
+    return {
+      summary,
+      accounts: accounts.map(account => ({
+        id: account._id,
+        accountNumber: account.accountNumber,
+        customer: account.customerId ? {
+          customerCode: account.customerId.customerCode,
+          fullName: account.customerId.personalInfo?.fullName,
+          phone: account.customerId.contact?.phone
+        } : null,
+        productCode: account.productCode,
+        status: account.status,
+        balance: account.balance,
+        lastActivity: getLastActivity(account),
+        dormantSince: account.dormancy?.dormantSince,
+        unclaimedSince: account.dormancy?.unclaimedSince
+      }))
+    };
+  }
+}
+
+export default DormancyService;
@@ -0,0 +1,266 @@
+import SavingsAccount from '../models/savingsAccountModel.js';
+import AccountProduct from '../models/accountProductModel.js';
+import FeeCharge from '../models/feeChargeModel.js';
+import AccountPostingService from './accountPostingService.js';
+import InterestService from './interestService.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What one billing period does to an account under its product's fee policy.
+ * Arrears from earlier periods are due with this period's fee.
+ * @param {Object} params
+ * @param {number} params.feeAmount - This period's fee
+ * @param {number} params.arrearsBefore - Unpaid fees carried from earlier periods
+ * @param {number} params.available - Balance the fee may use, net of holds
+ * @param {string} [params.action] - Insufficient balance action: skip, partial or arrears
+ * @param {string|null} [params.waiverReason] - Set when the fee is waived
+ * @returns {Object} { outcome, amountCharged, arrearsAfter, reason }
+ */
+export const feeChargeOutcome = ({ feeAmount, arrearsBefore = 0, available, action = 'skip', waiverReason = null }) => {
+  if (waiverReason) {
+    return { outcome: 'waived', amountCharged: 0, arrearsAfter: arrearsBefore, reason: waiverReason };
+  }
+
+  const amountDue = roundMoney(feeAmount + arrearsBefore);
+  const usable = roundMoney(Math.max(0, available));
+
+  if (usable >= amountDue) {
+    return { outcome: 'charged', amountCharged: amountDue, arrearsAfter: 0 };
+  }
+  if (action === 'partial') {
+    return {
+      outcome: 'partial',
+      amountCharged: usable,
+      arrearsAfter: 0,
+      reason: `Insufficient balance, ${roundMoney(amountDue - usable)} written off`
+    };
+  }
+  if (action === 'arrears') {
+    return {
+      outcome: 'arrears',
+      amountCharged: usable,
+      arrearsAfter: roundMoney(amountDue - usable),
+      reason: 'Insufficient balance, remainder carried as arrears'
+    };
+  }
+  return { outcome: 'skipped', amountCharged: 0, arrearsAfter: arrearsBefore, reason: 'Insufficient balance' };
+};
+
+/**
+ * Fee Service
+ * Charges each product's monthlyFee on the account's billing day as a `fee`
+ * transaction, applying the product's fee policy for waivers and short balances.
+ */
+class FeeService {
+  /**
+   * Whether a business date is an account's billing date.
+   * Billing days past the end of a short month fall on its last day.
+   * @param {Object} account - SavingsAccount document
+   * @param {Date} date - Business date (UTC midnight)
+   * @returns {boolean}
+   */
+  static isBillingDate(account, date) {
+    const billingDay = account.billingDay || new Date(account.createdAt).getUTCDate();
+    const day = date.getUTCDate();
+    const isMonthEnd = new Date(date.getTime() + DAY_MS).getUTCDate() === 1;
+    return day === billingDay || (isMonthEnd && billingDay > day);
+  }
+
+  /**
+   * Reason the product's fee is waived for an account, if any
+   * @returns {Promise<string|null>}
+   */
+  static async getWaiverReason(account, product, date) {
+    const policy = product.feePolicy || {};
+
+    if ((policy.waivedAccountTypes || []).includes(account.accountType)) {
+      return `Waived for ${account.accountType} accounts`;
+    }
+
+    if (policy.waiverMinBalance !== null && policy.waiverMinBalance !== undefined) {
+      const balance = await InterestService.getEndOfDayBalance(account, date);
+      if (balance >= policy.waiverMinBalance) {
+        return `Balance at or above ${policy.waiverMinBalance}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Bill one account for one period. The FeeCharge row, the posting and the
+   * arrears update commit together; the unique (account, period) index makes
+   * a repeated run fail here instead of charging twice.
+   * @returns {Promise<Object>} The FeeCharge record
+   */
+  static async chargeAccount(accountId, product, date, { processedBy } = {}) {
+    const billingPeriod = date.toISOString().slice(0, 7);
+
+    return AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      const feeAmount = product.monthlyFee;
+      const arrearsBefore = account.feeArrears || 0;
+      const waiverReason = await this.getWaiverReason(account, product, date);
+      const charge = {
+        accountId: account._id,
+        productId: product._id,
+        billingPeriod,
+        billingDate: date,
+        feeAmount,
+        arrearsBefore,
+        processedBy,
+        // Held funds (e.g. withdrawals awaiting approval) are not available for fees
+        ...feeChargeOutcome({
+          feeAmount,
+          arrearsBefore,
+          available: account.availableBalance,
+          action: product.feePolicy?.insufficientBalanceAction,
+          waiverReason
+        })
+      };
+
+      const [record] = await FeeCharge.create([charge], { session });
+      if (charge.outcome === 'waived') {
+        return record;
+      }
+
+      account.feeArrears = charge.arrearsAfter;
+      if (charge.amountCharged > 0) {
+        const transaction = await AccountPostingService.postEntry(account, {
+          type: 'fee',
+          amount: charge.amountCharged,
+          description: arrearsBefore > 0
+            ? `Monthly maintenance fee for ${billingPeriod} (incl. arrears)`
+            : `Monthly maintenance fee for ${billingPeriod}`,
+          reference: `FEE-${billingPeriod}`,
+          processedBy,
+          metadata: { billingPeriod, feeAmount, arrearsBefore, arrearsAfter: charge.arrearsAfter }
+        }, session);
+        record.transactionId = transaction._id;
+        await record.save({ session });
+      } else if (account.isModified('feeArrears')) {
+        await account.save({ session });
+      }
+
+      return record;
+    });
+  }
+
+  /**
+   * Charge every active account whose billing date is `value`.
+   * Safe to re-run: accounts already billed for the period are reported, not charged.
+   * @param {Date|string} value - Business date (must be a past day)
+   * @param {Object} options - { processedBy } user recorded on fee postings
+   * @returns {Promise<Object>} Run report with per-account outcomes
+   */
+  static async runForDate(value, { processedBy } = {}) {
+    const date = InterestService.toBusinessDate(value);
+    if (date >= InterestService.toBusinessDate(new Date())) {
+      throw new Error('Fees can only be run for a completed business day');
+    }
+
+    const report = {
+      date: date.toISOString().slice(0, 10),
+      billingPeriod: date.toISOString().slice(0, 7),
+      accountsDue: 0,
+      charged: 0,
+      partial: 0,
+      arrears: 0,
+      waived: 0,
+      skipped: 0,
+      alreadyBilled: 0,
+      totalCharged: 0,
+      totalArrears: 0,
+      items: [],
+      errors: []
+    };
+
+    const products = await AccountProduct.find({ monthlyFee: { $gt: 0 } }).lean();
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+    if (productsById.size === 0) {
+      return report;
+    }
+
+    const cursor = SavingsAccount.find({
+      status: 'active',
+      productId: { $in: products.map(product => product._id) },
+      createdAt: { $lt: new Date(date.getTime() + DAY_MS) }
+    }).select('accountNumber productId createdAt billingDay').cursor();
+
+    for await (const account of cursor) {
+      if (!this.isBillingDate(account, date)) {
+        continue;
+      }
+      report.accountsDue++;
+
+      try {
+        const record = await this.chargeAccount(account._id, productsById.get(String(account.productId)), date, { processedBy });
+        report[record.outcome]++;
+        report.totalCharged += record.amountCharged;
+        report.totalArrears += record.arrearsAfter;
+        report.items.push({
+          accountNumber: account.accountNumber,
+          outcome: record.outcome,
+          amountCharged: record.amountCharged,
+          arrearsAfter: record.arrearsAfter,
+          reason: record.reason
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          report.alreadyBilled++;
+          continue;
+        }
+        console.error(`❌ Fee run failed for account ${account.accountNumber}:`, error.message);
+        report.errors.push({ accountNumber: account.accountNumber, message: error.message });
+      }
+    }
+
+    report.totalCharged = roundMoney(report.totalCharged);
+    report.totalArrears = roundMoney(report.totalArrears);
+
+    console.log(`✅ Fee run for ${report.date}: ${report.charged + report.partial + report.arrears} charged, ${report.waived + report.skipped} not charged, ${report.errors.length} errors`);
+    return report;
+  }
+
+  /**
+   * Summarise what was billed for a period, from the stored FeeCharge records
+   * @param {string} billingPeriod - YYYY-MM
+   * @returns {Promise<Object>}
+   */
+  static async getPeriodReport(billingPeriod) {
+    const charges = await FeeCharge.find({ billingPeriod })
+      .populate('accountId', 'accountNumber accountType')
+      .sort({ billingDate: 1 })
+      .lean();
+
+    const summary = { charged: 0, partial: 0, arrears: 0, waived: 0, skipped: 0, totalCharged: 0, totalArrears: 0 };
+    for (const charge of charges) {
+      summary[charge.outcome]++;
+      summary.totalCharged += charge.amountCharged;
+      summary.totalArrears += charge.arrearsAfter;
+    }
+    summary.totalCharged = roundMoney(summary.totalCharged);
+    summary.totalArrears = roundMoney(summary.totalArrears);
+
+    return {
+      billingPeriod,
+      summary,
+      items: charges.map(charge => ({
+        accountNumber: charge.accountId?.accountNumber,
+        accountType: charge.accountId?.accountType,
+        billingDate: charge.billingDate,
+        outcome: charge.outcome,
+        feeAmount: charge.feeAmount,
+        arrearsBefore: charge.arrearsBefore,
+        amountCharged: charge.amountCharged,
+        arrearsAfter: charge.arrearsAfter,
+        reason: charge.reason,
+        transactionId: charge.transactionId
+      }))
+    };
+  }
+}
+
+export default FeeService;
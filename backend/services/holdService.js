@@ -0,0 +1,171 @@
+import SavingsAccount from '../models/savingsAccountModel.js';
+import AccountHold from '../models/accountHoldModel.js';
+import Transaction from '../models/transactionModel.js';
+import AccountPostingService, { PostingError } from './accountPostingService.js';
+import { roundMoney } from '../utils/money.js';
+
+/**
+ * Hold Service
+ * Places and releases holds (liens) on savings accounts. Every change to a hold
+ * updates the account's `heldAmount` in the same transaction, so `availableBalance`
+ * and `canWithdraw` never see a hold without its total.
+ */
+class HoldService {
+  /**
+   * Place a hold on an account
+   * @param {string} accountId - Savings account id
+   * @param {Object} params - { amount, reasonCode, description, reference, expiresAt, createdBy }
+   * @returns {Promise<Object>} The AccountHold
+   */
+  static async placeHold(accountId, params) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
+      return this.placeInSession(account, params, session);
+    });
+  }
+
+  /**
+   * Same as placeHold, for callers already inside `runInTransaction`
+   * @param {Object} account - SavingsAccount loaded in `session`
+   * @param {Object} params - { amount, reasonCode, description, reference, expiresAt, createdBy }
+   * @param {ClientSession} session - Active MongoDB session
+   * @returns {Promise<Object>} The AccountHold
+   */
+  static async placeInSession(account, { amount, reasonCode, description, reference, expiresAt, createdBy }, session) {
+    const holdAmount = roundMoney(Number(amount));
+    if (!holdAmount || Number.isNaN(holdAmount) || holdAmount <= 0) {
+      throw new PostingError('Hold amount must be a positive amount');
+    }
+    if (!['active', 'suspended'].includes(account.status)) {
+      throw new PostingError('Holds can only be placed on active or suspended accounts');
+    }
+    if (holdAmount > account.availableBalance) {
+      throw new PostingError('Hold amount exceeds the available balance', 400, 'HOLD_EXCEEDS_AVAILABLE');
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new PostingError('Hold expiry must be a future date');
+      }
+    }
+
+    const [hold] = await AccountHold.create([{
+      accountId: account._id,
+      amount: holdAmount,
+      reasonCode,
+      description,
+      reference,
+      expiresAt: expiry,
+      createdBy
+    }], { session });
+
+    account.heldAmount = roundMoney((account.heldAmount || 0) + holdAmount);
+    await account.save({ session });
+
+    return hold;
+  }
+
+  /**
+   * Release an active hold. Holds reserving funds for a pending transaction are
+   * refused; only approving or rejecting that transaction releases them.
+   * @param {string} holdId - AccountHold id
+   * @param {Object} options - { releasedBy, note, accountId } accountId rejects holds on other accounts
+   * @returns {Promise<Object>} The released AccountHold
+   */
+  static async releaseHold(holdId, { releasedBy, note, accountId } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const hold = await AccountHold.findById(holdId).session(session);
+      if (!hold || (accountId && String(hold.accountId) !== String(accountId))) {
+        throw new PostingError('Hold not found', 404);
+      }
+      const awaitingApproval = await Transaction.exists({ status: 'pending', 'approval.holdId': hold._id }).session(session);
+      if (awaitingApproval) {
+        throw new PostingError('This hold reserves funds for a transaction awaiting approval; approve or reject it instead', 409, 'HOLD_PENDING_APPROVAL');
+      }
+      return this.releaseInSession(hold, session, { releasedBy, note });
+    });
+  }
+
+  /**
+   * Same as releaseHold, for callers already inside `runInTransaction`
+   * @param {Object} hold - AccountHold loaded in `session`
+   * @param {ClientSession} session - Active MongoDB session
+   * @param {Object} options - { releasedBy, note, status } status is 'released' or 'expired'
+   * @returns {Promise<Object>} The released AccountHold
+   */
+  static async releaseInSession(hold, session, { releasedBy, note, status = 'released' } = {}) {
+    if (hold.status !== 'active') {
+      throw new PostingError(`Hold is already ${hold.status}`, 409);
+    }
+
+    const account = await SavingsAccount.findById(hold.accountId).session(session);
+    if (account) {
+      account.heldAmount = Math.max(0, roundMoney((account.heldAmount || 0) - hold.amount));
+      await account.save({ session });
+    }
+
+    hold.status = status;
+    hold.releasedBy = releasedBy || null;
+    hold.releasedAt = new Date();
+    hold.releaseNote = note;
+    await hold.save({ session });
+
+    return hold;
+  }
+
+  /**
+   * Holds on an account, newest first
+   * @param {string} accountId - Savings account id
+   * @param {Object} options - { status } to filter, e.g. 'active'
+   * @returns {Promise<Array>}
+   */
+  static async getHolds(accountId, { status } = {}) {
+    const filter = { accountId };
+    if (status) {
+      filter.status = status;
+    }
+    return AccountHold.find(filter)
+      .populate('createdBy', 'name email')
+      .populate('releasedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Release every active hold whose expiry has passed. Safe to run at any time.
+   * @param {Date} now - Cut-off time
+   * @returns {Promise<Object>} Run report
+   */
+  static async expireHolds(now = new Date()) {
+    const report = { expired: 0, errors: [] };
+
+    const due = await AccountHold.find({ status: 'active', expiresAt: { $ne: null, $lte: now } }).select('_id');
+    for (const { _id } of due) {
+      try {
+        const expired = await AccountPostingService.runInTransaction(async (session) => {
+          const hold = await AccountHold.findById(_id).session(session);
+          // Released by staff since the query ran
+          if (hold?.status !== 'active') return false;
+          await this.releaseInSession(hold, session, { status: 'expired', note: 'Expired' });
+          return true;
+        });
+        if (expired) {
+          report.expired++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to expire hold ${_id}:`, error.message);
+        report.errors.push({ holdId: _id, message: error.message });
+      }
+    }
+
+    console.log(`✅ Hold expiry: ${report.expired} expired, ${report.errors.length} errors`);
+    return report;
+  }
+}
+
+export default HoldService;
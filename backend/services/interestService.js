@@ -0,0 +1,279 @@
+import SavingsAccount from '../models/savingsAccountModel.js';
+import AccountProduct from '../models/accountProductModel.js';
+import Transaction from '../models/transactionModel.js';
+import InterestAccrual from '../models/interestAccrualModel.js';
+import AccountPostingService from './accountPostingService.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAY_COUNT_CONVENTION = 'actual/365';
+
+// Last month of each capitalisation period (0-based), by product interestFrequency
+const PERIOD_END_MONTHS = {
+  monthly: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  quarterly: [2, 5, 8, 11],
+  annually: [11]
+};
+
+/**
+ * Interest Service
+ * Accrues interest daily on end-of-day balances and capitalises it
+ * as `interest` transactions at the end of each product period.
+ * Business dates are UTC calendar days.
+ */
+class InterestService {
+  /**
+   * Normalise a date (or YYYY-MM-DD string) to the UTC midnight of its business day
+   * @param {Date|string} value
+   * @returns {Date}
+   */
+  static toBusinessDate(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('Invalid business date');
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Fraction of a year one business day earns under a day-count convention.
+   * 30/360 treats every month as 30 days: the 31st earns nothing and the
+   * last day of February makes up the missing days.
+   * @param {Date} date - Business date
+   * @param {string} convention - 'actual/365' | 'actual/360' | '30/360'
+   * @returns {number}
+   */
+  static getYearFraction(date, convention = DEFAULT_DAY_COUNT_CONVENTION) {
+    switch (convention) {
+      case 'actual/360':
+        return 1 / 360;
+      case '30/360': {
+        const day = date.getUTCDate();
+        if (day === 31) return 0;
+        const isLastDayOfFebruary = date.getUTCMonth() === 1 && new Date(date.getTime() + DAY_MS).getUTCDate() === 1;
+        return (isLastDayOfFebruary ? 30 - day + 1 : 1) / 360;
+      }
+      case 'actual/365':
+      default:
+        return 1 / 365;
+    }
+  }
+
+  /**
+   * Whether a business date closes a capitalisation period
+   * @param {Date} date - Business date
+   * @param {string} frequency - 'monthly' | 'quarterly' | 'annually'
+   * @returns {boolean}
+   */
+  static isPeriodEnd(date, frequency = 'monthly') {
+    const isMonthEnd = new Date(date.getTime() + DAY_MS).getUTCDate() === 1;
+    const months = PERIOD_END_MONTHS[frequency] || PERIOD_END_MONTHS.monthly;
+    return isMonthEnd && months.includes(date.getUTCMonth());
+  }
+
+  /**
+   * Balance an account held at the end of a business day, read from the ledger
+   * so that past dates can be re-run after later postings.
+   * @param {Object} account - SavingsAccount document
+   * @param {Date} date - Business date
+   * @returns {Promise<number>}
+   */
+  static async getEndOfDayBalance(account, date) {
+    const endOfDay = new Date(date.getTime() + DAY_MS);
+
+    const lastOfDay = await Transaction.findOne({
+      accountId: account._id,
+      status: 'completed',
+      createdAt: { $lt: endOfDay }
+    }).sort({ createdAt: -1, _id: -1 }).select('balanceAfter');
+    if (lastOfDay) {
+      return lastOfDay.balanceAfter;
+    }
+
+    const firstAfter = await Transaction.findOne({
+      accountId: account._id,
+      status: 'completed',
+      createdAt: { $gte: endOfDay }
+    }).sort({ createdAt: 1, _id: 1 }).select('balanceBefore');
+
+    return firstAfter ? firstAfter.balanceBefore : account.balance;
+  }
+
+  /**
+   * Record one day's accrual for an account
+   * @returns {Promise<Object>} { status: 'accrued' | 'already_accrued' | 'skipped', accrual? }
+   */
+  static async accrueAccount(account, product, date) {
+    const interestRate = Number(account.interestRate) || 0;
+    if (interestRate <= 0) {
+      return { status: 'skipped' };
+    }
+
+    // Term deposits earn only while the term runs
+    if (account.accountType === 'fixed' && account.termDeposit?.status) {
+      if (!account.isLockedTerm() || date >= account.termDeposit.maturityDate) {
+        return { status: 'skipped' };
+      }
+    }
+
+    const dayCountConvention = product?.dayCountConvention || DEFAULT_DAY_COUNT_CONVENTION;
+    const yearFraction = this.getYearFraction(date, dayCountConvention);
+    const balance = await this.getEndOfDayBalance(account, date);
+    if (balance <= 0 || yearFraction === 0) {
+      return { status: 'skipped' };
+    }
+
+    try {
+      const accrual = await InterestAccrual.create({
+        accountId: account._id,
+        productId: account.productId,
+        accrualDate: date,
+        balance,
+        interestRate,
+        dayCountConvention,
+        yearFraction,
+        amount: balance * (interestRate / 100) * yearFraction
+      });
+      return { status: 'accrued', accrual };
+    } catch (error) {
+      // Unique (accountId, accrualDate): this day was already accrued by an earlier run
+      if (error.code === 11000) {
+        return { status: 'already_accrued' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post all pending accruals up to `date` as a single `interest` transaction.
+   * The posting and the accrual status change commit together, so a re-run
+   * finds nothing left to capitalise.
+   * @param {string} accountId - Savings account id
+   * @param {Date} date - Period end business date
+   * @param {Object} options - { processedBy }
+   * @returns {Promise<Object|null>} The interest transaction, or null if nothing was due
+   */
+  static async capitaliseAccount(accountId, date, { processedBy } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      return this.capitaliseInSession(account, date, session, { processedBy });
+    });
+  }
+
+  /**
+   * Same as capitaliseAccount, for callers already inside `runInTransaction`
+   * @param {Object} account - SavingsAccount loaded in `session`
+   * @param {Date} date - Period end business date
+   * @param {ClientSession} session - Active MongoDB session
+   * @param {Object} options - { processedBy }
+   * @returns {Promise<Object|null>}
+   */
+  static async capitaliseInSession(account, date, session, { processedBy } = {}) {
+    const accruals = await InterestAccrual.find({
+      accountId: account._id,
+      status: 'accrued',
+      accrualDate: { $lte: date }
+    }).session(session);
+
+    const accruedAmount = accruals.reduce((sum, accrual) => sum + accrual.amount, 0);
+    const amount = roundMoney(accruedAmount);
+    if (amount <= 0) {
+      return null;
+    }
+
+    const periodEnd = date.toISOString().slice(0, 10);
+
+    const transaction = await AccountPostingService.postEntry(account, {
+      type: 'interest',
+      amount,
+      description: `Interest capitalised for period ending ${periodEnd}`,
+      reference: `INT-${periodEnd}`,
+      processedBy,
+      metadata: { periodEnd, accrualDays: accruals.length, accruedAmount }
+    }, session);
+
+    await InterestAccrual.updateMany(
+      { _id: { $in: accruals.map(accrual => accrual._id) } },
+      { status: 'capitalised', capitalisedAt: new Date(), capitalisationTransactionId: transaction._id },
+      { session }
+    );
+
+    return transaction;
+  }
+
+  /**
+   * Accrue every eligible account for a business date, then capitalise
+   * the accounts whose product period ends on that date.
+   * Safe to re-run for the same date.
+   * @param {Date|string} value - Business date (must be a past day)
+   * @param {Object} options - { processedBy } user recorded on interest postings
+   * @returns {Promise<Object>} Run report
+   */
+  static async runForDate(value, { processedBy } = {}) {
+    const date = this.toBusinessDate(value);
+    if (date >= this.toBusinessDate(new Date())) {
+      throw new Error('Interest can only be run for a completed business day');
+    }
+
+    const report = {
+      date: date.toISOString().slice(0, 10),
+      accountsProcessed: 0,
+      accrued: 0,
+      alreadyAccrued: 0,
+      skipped: 0,
+      totalAccrued: 0,
+      capitalised: 0,
+      totalCapitalised: 0,
+      errors: []
+    };
+
+    const products = new Map(
+      (await AccountProduct.find().select('dayCountConvention interestFrequency').lean())
+        .map(product => [String(product._id), product])
+    );
+
+    const cursor = SavingsAccount.find({
+      status: { $in: ['active', 'dormant', 'unclaimed', 'suspended'] },
+      interestRate: { $gt: 0 },
+      createdAt: { $lt: new Date(date.getTime() + DAY_MS) }
+    }).cursor();
+
+    for await (const account of cursor) {
+      report.accountsProcessed++;
+      const product = account.productId ? products.get(String(account.productId)) : null;
+
+      try {
+        const result = await this.accrueAccount(account, product, date);
+        if (result.status === 'accrued') {
+          report.accrued++;
+          report.totalAccrued += result.accrual.amount;
+        } else if (result.status === 'already_accrued') {
+          report.alreadyAccrued++;
+        } else {
+          report.skipped++;
+        }
+
+        // Term deposits paying at maturity are capitalised by the maturity job instead
+        const paysAtMaturity = account.accountType === 'fixed' && account.termDeposit?.interestPayout === 'at_maturity';
+        if (!paysAtMaturity && this.isPeriodEnd(date, product?.interestFrequency)) {
+          const transaction = await this.capitaliseAccount(account._id, date, { processedBy });
+          if (transaction) {
+            report.capitalised++;
+            report.totalCapitalised += transaction.amount;
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Interest run failed for account ${account.accountNumber}:`, error.message);
+        report.errors.push({ accountNumber: account.accountNumber, message: error.message });
+      }
+    }
+
+    report.totalAccrued = roundMoney(report.totalAccrued);
+    report.totalCapitalised = roundMoney(report.totalCapitalised);
+
+    console.log(`✅ Interest run for ${report.date}: ${report.accrued} accrued, ${report.capitalised} capitalised, ${report.errors.length} errors`);
+    return report;
+  }
+}
+
+export default InterestService;
@@ -0,0 +1,205 @@
+import ChartOfAccounts from '../models/chartOfAccountsModel.js';
+import GeneralLedger from '../models/generalLedgerModel.js';
+import Transaction from '../models/transactionModel.js';
+import DefaultChartOfAccountsService from './defaultChartOfAccountsService.js';
+import { PostingError } from './accountPostingService.js';
+import { subtractMoney, sumMoney } from '../utils/money.js';
+
+// Ledger accounts savings postings use, by role. The first code found in the chart wins,
+// so both the NDFSP codes and the NDFI/basic template codes work.
+export const SAVINGS_GL_ACCOUNTS = {
+  cash: ['1.0.1.1', '1100'],
+  customerDeposits: ['2.0.2', '3400'],
+  transferClearing: ['2.0.3', '3500'],
+  interestExpense: ['6.0.1', '6100'],
+  feeIncome: ['5.0.2', '5200']
+};
+
+// Debit and credit roles for each savings transaction type. Transfer legs go through
+// a clearing account so each leg balances on its own; the pair nets the clearing to zero.
+export const SAVINGS_POSTING_RULES = {
+  deposit: { debit: 'cash', credit: 'customerDeposits' },
+  withdrawal: { debit: 'customerDeposits', credit: 'cash' },
+  interest: { debit: 'interestExpense', credit: 'customerDeposits' },
+  fee: { debit: 'customerDeposits', credit: 'feeIncome' },
+  transfer_out: { debit: 'customerDeposits', credit: 'transferClearing' },
+  transfer_in: { debit: 'transferClearing', credit: 'customerDeposits' }
+};
+
+/**
+ * Debit and credit lines (by role) for a savings transaction. A reversal takes the
+ * lines of the transaction it reverses with the sides swapped.
+ * @param {string} type - Transaction type (for reversals, the type of the original)
+ * @param {number} amount
+ * @param {Object} options - { reversal: true } to swap sides
+ * @returns {Array} [{ role, debit, credit }]
+ */
+export const buildJournalLines = (type, amount, { reversal = false } = {}) => {
+  const rule = SAVINGS_POSTING_RULES[type];
+  if (!rule) {
+    throw new Error(`No ledger posting rule for transaction type ${type}`);
+  }
+
+  const { debit, credit } = reversal ? { debit: rule.credit, credit: rule.debit } : rule;
+  return [
+    { role: debit, debit: amount, credit: 0 },
+    { role: credit, debit: 0, credit: amount }
+  ];
+};
+
+/**
+ * Debit and credit balance columns for a trial balance; the two totals are equal
+ * whenever every journal entry balanced
+ * @param {Array} rows - From GeneralLedger.getTrialBalance
+ * @returns {Object} { accounts, totalDebit, totalCredit, difference, isBalanced }
+ */
+export const summariseTrialBalance = (rows) => {
+  const accounts = rows.map(row => {
+    const net = subtractMoney(row.totalDebit, row.totalCredit);
+    return {
+      accountId: row._id,
+      accountCode: row.accountCode,
+      accountName: row.accountName,
+      accountType: row.accountType,
+      totalDebit: row.totalDebit,
+      totalCredit: row.totalCredit,
+      debitBalance: net > 0 ? net : 0,
+      creditBalance: net < 0 ? -net : 0
+    };
+  });
+
+  const totalDebit = sumMoney(accounts.map(account => account.debitBalance));
+  const totalCredit = sumMoney(accounts.map(account => account.creditBalance));
+  const difference = subtractMoney(totalDebit, totalCredit);
+
+  return { accounts, totalDebit, totalCredit, difference, isBalanced: difference === 0 };
+};
+
+/**
+ * Ledger Service
+ * Journals every completed savings transaction into the general ledger,
+ * in the same MongoDB transaction as the balance change
+ */
+class LedgerService {
+  /**
+   * Ledger account documents for each savings role. Seeds the default (NDFSP)
+   * chart of accounts the first time the ledger is used on an empty database.
+   * The chart is reference data, so it is read outside the posting's session.
+   * @returns {Promise<Object>} role -> { _id, accountCode }
+   */
+  static async resolveAccounts() {
+    const codes = Object.values(SAVINGS_GL_ACCOUNTS).flat();
+    const findAccounts = () => ChartOfAccounts.find({ accountCode: { $in: codes }, isActive: true })
+      .select('accountCode')
+      .lean();
+
+    let accounts = await findAccounts();
+    if (accounts.length === 0 && await ChartOfAccounts.estimatedDocumentCount() === 0) {
+      await DefaultChartOfAccountsService.createDefaultChartOfAccounts('default', 'ndfsp', null);
+      accounts = await findAccounts();
+    }
+
+    const byCode = new Map(accounts.map(account => [account.accountCode, account]));
+    const resolved = {};
+    for (const [role, candidates] of Object.entries(SAVINGS_GL_ACCOUNTS)) {
+      const account = candidates.map(code => byCode.get(code)).find(Boolean);
+      if (!account) {
+        throw new PostingError(`Chart of accounts has no ${role} account (expected code ${candidates.join(' or ')})`, 500, 'GL_ACCOUNT_MISSING');
+      }
+      resolved[role] = account;
+    }
+    return resolved;
+  }
+
+  /**
+   * Post the balanced journal entry for a completed savings transaction.
+   * Pending or cancelled transactions are not journalled.
+   * @param {Object} transaction - Saved Transaction document
+   * @param {ClientSession} session - Active MongoDB session (null outside a transaction)
+   * @param {Object} account - SavingsAccount, for the branch code (optional)
+   * @returns {Promise<Object|null>} The journal entry
+   */
+  static async recordTransaction(transaction, session = null, account = null) {
+    if (transaction.status !== 'completed') {
+      return null;
+    }
+
+    let type = transaction.type;
+    const reversal = type === 'reversal';
+    if (reversal) {
+      const original = await Transaction.findById(transaction.reversalOf).select('type').session(session).lean();
+      if (!original) {
+        throw new PostingError(`Reversed transaction for ${transaction.transactionId} not found`, 500);
+      }
+      type = original.type;
+    }
+
+    const accounts = await this.resolveAccounts();
+    const entries = buildJournalLines(type, transaction.amount, { reversal }).map(line => ({
+      account: accounts[line.role]._id,
+      accountCode: accounts[line.role].accountCode,
+      debit: line.debit,
+      credit: line.credit,
+      description: transaction.description,
+      savingsAccountId: line.role === 'customerDeposits' ? transaction.accountId : undefined
+    }));
+
+    const [journal] = await GeneralLedger.create([{
+      transactionDate: transaction.createdAt || new Date(),
+      reference: transaction.transactionId,
+      referenceType: 'savings_transaction',
+      referenceId: transaction._id,
+      description: transaction.description || `${transaction.type} ${transaction.transactionId}`,
+      entries,
+      branchCode: account?.branchCode,
+      createdBy: transaction.processedBy,
+      status: 'posted'
+    }], { session });
+
+    return journal;
+  }
+
+  /**
+   * Journal entries, newest first
+   * @param {Object} filters - { from, to, accountCode, referenceType, page, limit }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  static async getJournal({ from, to, accountCode, referenceType, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (from || to) {
+      query.transactionDate = {};
+      if (from) query.transactionDate.$gte = from;
+      if (to) query.transactionDate.$lte = to;
+    }
+    if (accountCode) query['entries.accountCode'] = accountCode;
+    if (referenceType) query.referenceType = referenceType;
+
+    const [entries, total] = await Promise.all([
+      GeneralLedger.find(query)
+        .sort({ transactionDate: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('entries.account', 'accountCode accountName')
+        .lean(),
+      GeneralLedger.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Trial balance from posted journal entries up to the end of `asOf`
+   * @param {Date} asOf - Business date (UTC midnight)
+   * @returns {Promise<Object>}
+   */
+  static async getTrialBalance(asOf) {
+    const endOfDay = new Date(asOf.getTime() + 24 * 60 * 60 * 1000 - 1);
+    const rows = await GeneralLedger.getTrialBalance(endOfDay);
+    return { asOf: asOf.toISOString().slice(0, 10), ...summariseTrialBalance(rows) };
+  }
+}
+
+export default LedgerService;
@@ -0,0 +1,258 @@
+import jwt from 'jsonwebtoken';
+import speakeasy from 'speakeasy';
+import MFA from '../models/mfaModel.js';
+import SystemSettings from '../models/systemSettingsModel.js';
+
+// A pre-auth token proves the password step only; it is exchanged for a session token
+// once the second factor is verified, and the auth middleware refuses it everywhere else
+export const PRE_AUTH_PURPOSE = 'mfa';
+export const PRE_AUTH_EXPIRES_IN = 5 * 60; // seconds
+
+const TOTP_PATTERN = /^\d{6}$/;
+
+export class MfaError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'MfaError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Whether the MFA policy requires a second factor for this user
+ * @param {Object} user - { role }
+ * @param {Object} policy - { requireTwoFactor, mfaRequiredRoles }
+ * @returns {boolean}
+ */
+export const isMfaRequiredFor = (user, policy) =>
+  Boolean(policy?.requireTwoFactor) || (policy?.mfaRequiredRoles || []).includes(user?.role);
+
+/**
+ * Sign a short-lived token for the second login step
+ * @param {string} userId
+ * @returns {string}
+ */
+export const createPreAuthToken = (userId) =>
+  jwt.sign({ id: userId, purpose: PRE_AUTH_PURPOSE }, process.env.JWT_SECRET, { expiresIn: PRE_AUTH_EXPIRES_IN });
+
+/**
+ * Check a pre-auth token and return the user id it was issued for
+ * @param {string} token
+ * @returns {string}
+ */
+export const verifyPreAuthToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== PRE_AUTH_PURPOSE) {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded.id;
+  } catch (error) {
+    throw new MfaError('Your sign-in has expired. Please enter your password again.', 401, 'MFA_TOKEN_INVALID');
+  }
+};
+
+/**
+ * MFA Service
+ * TOTP authenticator apps with one-time backup codes for staff, on top of the MFA
+ * model. Enrolment stores a secret that only becomes active once the user proves
+ * their app produces matching codes.
+ */
+class MfaService {
+  /**
+   * Who must use MFA, from system settings
+   * @returns {Promise<Object>} { requireTwoFactor, mfaRequiredRoles }
+   */
+  static async getPolicy() {
+    const settings = await SystemSettings.findOne().select('security').lean();
+    return {
+      requireTwoFactor: Boolean(settings?.security?.requireTwoFactor),
+      mfaRequiredRoles: settings?.security?.mfaRequiredRoles || []
+    };
+  }
+
+  /**
+   * Change who must use MFA
+   * @param {Object} params - { requireTwoFactor, mfaRequiredRoles }
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} The new policy
+   */
+  static async updatePolicy({ requireTwoFactor, mfaRequiredRoles }, userId) {
+    const $set = { lastUpdated: new Date(), updatedBy: userId };
+    if (requireTwoFactor !== undefined) {
+      $set['security.requireTwoFactor'] = Boolean(requireTwoFactor);
+    }
+    if (mfaRequiredRoles !== undefined) {
+      if (!Array.isArray(mfaRequiredRoles)) {
+        throw new MfaError('mfaRequiredRoles must be a list of roles');
+      }
+      $set['security.mfaRequiredRoles'] = [...new Set(mfaRequiredRoles)];
+    }
+
+    const settings = await SystemSettings.findOne().select('_id');
+    if (!settings) {
+      throw new MfaError('System settings have not been set up', 404);
+    }
+    await SystemSettings.updateOne({ _id: settings._id }, { $set }, { runValidators: true });
+    return this.getPolicy();
+  }
+
+  /**
+   * A user's MFA status, without secrets
+   * @param {Object} user
+   * @returns {Promise<Object>} { enabled, required, methods, backupCodesRemaining, lastUsed }
+   */
+  static async getStatus(user) {
+    const [mfa, policy] = await Promise.all([MFA.findOne({ user: user._id }), this.getPolicy()]);
+    return {
+      enabled: Boolean(mfa?.isMFARequired()),
+      required: isMfaRequiredFor(user, policy),
+      methods: mfa ? mfa.getAvailableMethods() : [],
+      backupCodesRemaining: mfa ? mfa.totp.backupCodes.filter(code => !code.isUsed).length : 0,
+      lastUsed: mfa?.totp.lastUsed || null
+    };
+  }
+
+  /**
+   * Whether a user has finished enrolling
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  static async isEnrolled(userId) {
+    const mfa = await MFA.findOne({ user: userId });
+    return Boolean(mfa?.isMFARequired());
+  }
+
+  /**
+   * Start enrolling an authenticator app: a new secret and its QR code.
+   * Starting again before confirming replaces the pending secret.
+   * @param {Object} user
+   * @returns {Promise<Object>} { qrCode, secret }
+   */
+  static async startEnrollment(user) {
+    const mfa = await MFA.findOne({ user: user._id }) || new MFA({ user: user._id });
+    if (mfa.totp.isEnabled) {
+      throw new MfaError('Two-factor authentication is already set up', 409, 'MFA_ALREADY_ENABLED');
+    }
+
+    mfa.generateTOTPSecret();
+    await mfa.save();
+    return { qrCode: await mfa.generateQRCode(), secret: mfa.totp.secret };
+  }
+
+  /**
+   * Finish enrolling with a code from the app, turning MFA on
+   * @param {Object} user
+   * @param {string} code - Six-digit code from the authenticator app
+   * @returns {Promise<Array<string>>} Backup codes, shown to the user once
+   */
+  static async confirmEnrollment(user, code) {
+    const mfa = await MFA.findOne({ user: user._id });
+    if (!mfa?.totp.secret) {
+      throw new MfaError('Start two-factor setup first');
+    }
+    if (mfa.totp.isEnabled) {
+      throw new MfaError('Two-factor authentication is already set up', 409, 'MFA_ALREADY_ENABLED');
+    }
+    // verifyTOTP only accepts active secrets, so the pending one is checked directly
+    const valid = TOTP_PATTERN.test(String(code || '')) && speakeasy.totp.verify({
+      secret: mfa.totp.secret,
+      encoding: 'base32',
+      token: String(code),
+      window: 1
+    });
+    if (!valid) {
+      throw new MfaError('That code does not match. Check the time on your phone and try again.', 400, 'MFA_CODE_INVALID');
+    }
+
+    mfa.totp.isEnabled = true;
+    mfa.totp.lastUsed = new Date();
+    mfa.isEnabled = true;
+    mfa.mfaType = 'totp';
+    mfa.resetFailedAttempts();
+    const backupCodes = mfa.generateBackupCodes();
+    await mfa.save();
+    return backupCodes.map(item => item.code);
+  }
+
+  /**
+   * Check a second factor: an authenticator code or an unused backup code.
+   * Wrong codes count towards the model's lockout.
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<Object>} { method, backupCodesRemaining }
+   */
+  static async verifyCode(userId, code) {
+    const mfa = await MFA.findOne({ user: userId });
+    if (!mfa?.isMFARequired()) {
+      throw new MfaError('Two-factor authentication is not set up for this account', 400, 'MFA_NOT_ENABLED');
+    }
+    if (mfa.isLockedOut()) {
+      throw new MfaError('Too many wrong codes. Try again later.', 423, 'MFA_LOCKED');
+    }
+
+    const value = String(code || '').trim().replace(/\s/g, '');
+    let method = null;
+    if (TOTP_PATTERN.test(value) && mfa.verifyTOTP(value)) {
+      method = 'totp';
+    } else if (value && mfa.verifyBackupCode(value)) {
+      method = 'backup_code';
+    }
+
+    if (!method) {
+      mfa.failedAttempts += 1;
+      if (mfa.failedAttempts >= mfa.maxAttempts) {
+        mfa.isLocked = true;
+        mfa.lockoutUntil = new Date(Date.now() + mfa.lockoutDuration * 60 * 1000);
+      }
+      await mfa.save();
+      throw new MfaError(
+        mfa.isLocked ? 'Too many wrong codes. Try again later.' : 'Invalid verification code',
+        mfa.isLocked ? 423 : 401,
+        mfa.isLocked ? 'MFA_LOCKED' : 'MFA_CODE_INVALID'
+      );
+    }
+
+    mfa.resetFailedAttempts();
+    mfa.totp.lastUsed = new Date();
+    mfa.lastLogin = new Date();
+    await mfa.save();
+    return { method, backupCodesRemaining: mfa.totp.backupCodes.filter(item => !item.isUsed).length };
+  }
+
+  /**
+   * Replace all backup codes; needs a current code
+   * @returns {Promise<Array<string>>}
+   */
+  static async regenerateBackupCodes(user, code) {
+    await this.verifyCode(user._id, code);
+    const mfa = await MFA.findOne({ user: user._id });
+    const backupCodes = mfa.generateBackupCodes();
+    await mfa.save();
+    return backupCodes.map(item => item.code);
+  }
+
+  /**
+   * Turn MFA off; needs a current code and is refused when policy requires MFA
+   */
+  static async disable(user, code) {
+    if (isMfaRequiredFor(user, await this.getPolicy())) {
+      throw new MfaError('Two-factor authentication is required for your role', 403, 'MFA_REQUIRED');
+    }
+    await this.verifyCode(user._id, code);
+    await MFA.deleteOne({ user: user._id });
+  }
+
+  /**
+   * Admin: clear a user's MFA (e.g. a lost phone). They enrol again at next login
+   * if their role requires it.
+   * @returns {Promise<boolean>} Whether there was anything to clear
+   */
+  static async reset(userId) {
+    const result = await MFA.deleteOne({ user: userId });
+    return result.deletedCount > 0;
+  }
+}
+
+export default MfaService;
@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import Counter from '../models/counterModel.js';
+import SystemSettings from '../models/systemSettingsModel.js';
+
+// Used when SystemSettings has no numbering section yet
+export const DEFAULT_NUMBERING = {
+  branchCode: '01',
+  accountPrefix: 'SAV',
+  accountFormat: '{prefix}{branch}{product}{seq}',
+  accountSequenceLength: 6,
+  transactionPrefix: 'TXN',
+  transactionFormat: '{prefix}{branch}{date}{seq}',
+  transactionSequenceLength: 6,
+  checkDigitAlgorithm: 'luhn'
+};
+
+const MAX_ATTEMPTS = 5;
+
+// Upper-case letters and digits only, so codes can go into a number
+const toCode = (value) => String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+// Letters become two digits (A=10 ... Z=35), as in IBAN check digits
+const toDigits = (value) => toCode(value)
+  .split('')
+  .map(char => (char >= 'A' ? String(char.charCodeAt(0) - 55) : char))
+  .join('');
+
+/**
+ * Luhn (mod 10) check digit for a number body
+ * @param {string} body - Number without its check digit
+ * @returns {string} One digit
+ */
+export const luhnCheckDigit = (body) => {
+  const digits = toDigits(body);
+  let sum = 0;
+  let double = true;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * ISO 7064 MOD 97-10 check digits for a number body
+ * @param {string} body - Number without its check digits
+ * @returns {string} Two digits
+ */
+export const iso7064CheckDigits = (body) => {
+  let remainder = 0;
+  for (const digit of `${toDigits(body)}00`) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return String(98 - remainder).padStart(2, '0');
+};
+
+const CHECK_DIGITS = {
+  luhn: { length: 1, compute: luhnCheckDigit },
+  iso7064: { length: 2, compute: iso7064CheckDigits }
+};
+
+/**
+ * Check digit(s) for a number body
+ * @param {string} body
+ * @param {string} algorithm - 'luhn' | 'iso7064'
+ * @returns {string}
+ */
+export const computeCheckDigits = (body, algorithm = 'luhn') =>
+  (CHECK_DIGITS[algorithm] || CHECK_DIGITS.luhn).compute(body);
+
+/**
+ * Whether a number ends in the right check digit(s).
+ * Numbers issued before check digits existed will usually fail this.
+ * @param {string} number - Full account number or transaction ID
+ * @param {string} algorithm - 'luhn' | 'iso7064'
+ * @returns {boolean}
+ */
+export const isValidNumber = (number, algorithm = 'luhn') => {
+  const value = String(number || '').trim().toUpperCase();
+  const { length, compute } = CHECK_DIGITS[algorithm] || CHECK_DIGITS.luhn;
+  if (value.length <= length || !/^[0-9A-Z]+$/.test(value)) return false;
+  return compute(value.slice(0, -length)) === value.slice(-length);
+};
+
+/**
+ * Fill a format such as '{prefix}{branch}{product}{seq}'
+ * @param {string} template
+ * @param {Object} parts - { prefix, branch, product, date, seq }
+ * @returns {string}
+ */
+export const formatNumber = (template, parts) =>
+  template.replace(/\{(prefix|branch|product|date|seq)\}/g, (_, key) => parts[key] ?? '');
+
+// YYMMDD in UTC, matching business dates elsewhere
+const formatDate = (date) => date.toISOString().slice(2, 10).replace(/-/g, '');
+
+/**
+ * Numbering Service
+ * Account numbers and transaction IDs from atomic Counter sequences, in the
+ * format configured in SystemSettings.numbering, ending in a check digit.
+ */
+class NumberingService {
+  /**
+   * Numbering settings merged over the defaults
+   * @returns {Promise<Object>}
+   */
+  static async getSettings() {
+    const settings = await SystemSettings.findOne().select('numbering').lean();
+    return { ...DEFAULT_NUMBERING, ...(settings?.numbering || {}) };
+  }
+
+  /**
+   * Next number for a format. There is one sequence per value of each placeholder
+   * the format uses, so two numbers can only match if the format itself changed;
+   * the existence check covers that case.
+   * Counters are incremented outside any MongoDB transaction, so concurrent postings
+   * never conflict on them; a posting that aborts leaves a gap, not a duplicate.
+   * @param {Object} options - { type, template, sequenceLength, parts, algorithm, modelName, field }
+   * @returns {Promise<string>}
+   */
+  static async generate({ type, template, sequenceLength, parts, algorithm, modelName, field }) {
+    const uses = (key) => template.includes(`{${key}}`);
+    const key = {
+      type,
+      branchCode: uses('branch') ? parts.branch : '*',
+      prefix: uses('prefix') ? parts.prefix : '*',
+      scope: ['product', 'date'].filter(uses).map(name => parts[name]).join(':')
+    };
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const counter = await Counter.findOneAndUpdate(
+        key,
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      const body = formatNumber(template, { ...parts, seq: String(counter.seq).padStart(sequenceLength, '0') });
+      const number = body + computeCheckDigits(body, algorithm);
+
+      if (!await mongoose.model(modelName).exists({ [field]: number })) {
+        return number;
+      }
+      console.warn(`⚠️ Generated number ${number} already exists. Retrying... (Attempt ${attempt}/${MAX_ATTEMPTS})`);
+    }
+
+    throw new Error(`Failed to generate a unique ${type} number after ${MAX_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Next savings account number for a branch and product
+   * @param {Object} options - { branchCode, productCode }
+   * @param {Object} settings - Numbering settings, if already loaded
+   * @returns {Promise<string>}
+   */
+  static async nextAccountNumber({ branchCode, productCode } = {}, settings = null) {
+    const numbering = settings || await this.getSettings();
+    return this.generate({
+      type: 'savings-account',
+      template: numbering.accountFormat,
+      sequenceLength: numbering.accountSequenceLength,
+      algorithm: numbering.checkDigitAlgorithm,
+      parts: {
+        prefix: toCode(numbering.accountPrefix),
+        branch: toCode(branchCode || numbering.branchCode),
+        product: toCode(productCode) || '00'
+      },
+      modelName: 'SavingsAccount',
+      field: 'accountNumber'
+    });
+  }
+
+  /**
+   * Next transaction ID for a branch; the default format restarts the sequence each day
+   * @param {Object} options - { branchCode, date }
+   * @returns {Promise<string>}
+   */
+  static async nextTransactionId({ branchCode, date = new Date() } = {}) {
+    const numbering = await this.getSettings();
+    return this.generate({
+      type: 'transaction',
+      template: numbering.transactionFormat,
+      sequenceLength: numbering.transactionSequenceLength,
+      algorithm: numbering.checkDigitAlgorithm,
+      parts: {
+        prefix: toCode(numbering.transactionPrefix),
+        branch: toCode(branchCode || numbering.branchCode),
+        date: formatDate(date)
+      },
+      modelName: 'Transaction',
+      field: 'transactionId'
+    });
+  }
+}
+
+export default NumberingService;
@@ -0,0 +1,226 @@
+import SavingsAccount from '../models/savingsAccountModel.js';
+import Transaction, { getTransactionDirection } from '../models/transactionModel.js';
+import ReconciliationReport from '../models/reconciliationReportModel.js';
+import InAppNotification from '../models/inAppNotificationModel.js';
+import User from '../models/userModel.js';
+import InterestService from './interestService.js';
+import { PostingError } from './accountPostingService.js';
+import { toMinor, fromMinor } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Breaks kept on a report; the counts always cover every break
+const MAX_STORED_BREAKS = 500;
+
+// A run older than this is treated as crashed and no longer blocks a new one
+const RUN_TIMEOUT_MS = 60 * 60 * 1000;
+
+const TRANSACTION_FIELDS = 'transactionId type direction amount balanceBefore balanceAfter amountMinor balanceBeforeMinor balanceAfterMinor createdAt';
+const ACCOUNT_FIELDS = 'accountNumber balance balanceMinor';
+
+// Minor units of a money field, converting the Number field on rows saved before minor units existed
+const minorOf = (doc, field) => doc[`${field}Minor`] ?? toMinor(doc[field] || 0);
+
+const signedMinor = (transaction) => (getTransactionDirection(transaction) === 'credit' ? 1 : -1) * minorOf(transaction, 'amount');
+
+/**
+ * Completed transactions in posting order. Rows with the same timestamp are
+ * ordered by following the balance chain, so they are not reported as breaks.
+ * @param {Array} transactions
+ * @returns {Array}
+ */
+export const orderForChain = (transactions) => {
+  const remaining = [...transactions].sort((a, b) =>
+    new Date(a.createdAt) - new Date(b.createdAt) || String(a._id).localeCompare(String(b._id)));
+
+  const ordered = [];
+  let running = 0;
+  while (remaining.length > 0) {
+    const time = new Date(remaining[0].createdAt).getTime();
+    let index = 0;
+    for (let i = 0; i < remaining.length && new Date(remaining[i].createdAt).getTime() === time; i++) {
+      if (minorOf(remaining[i], 'balanceBefore') === running) {
+        index = i;
+        break;
+      }
+    }
+    const [next] = remaining.splice(index, 1);
+    ordered.push(next);
+    running = minorOf(next, 'balanceAfter');
+  }
+  return ordered;
+};
+
+/**
+ * Breaks for one account: the balance against the sum of its completed transactions,
+ * and each transaction against its own amount and the previous balance.
+ * Compared in integer minor units; amounts on a break are in major units.
+ * Kept free of I/O so the checks can be tested on their own.
+ * @param {Object} account - { _id, accountNumber, balance, balanceMinor }
+ * @param {Array} transactions - Completed transactions of the account
+ * @returns {Array} Breaks, empty when the account reconciles
+ */
+export const reconcileAccount = (account, transactions) => {
+  const breaks = [];
+  const base = { accountId: account._id, accountNumber: account.accountNumber };
+  let running = 0;
+  let total = 0;
+
+  for (const transaction of orderForChain(transactions)) {
+    const signed = signedMinor(transaction);
+    const before = minorOf(transaction, 'balanceBefore');
+    const after = minorOf(transaction, 'balanceAfter');
+    const link = { ...base, transaction: transaction._id, transactionId: transaction.transactionId };
+    total += signed;
+
+    if (before !== running) {
+      breaks.push({
+        ...link,
+        kind: 'chain_break',
+        expected: fromMinor(running),
+        actual: fromMinor(before),
+        difference: fromMinor(before - running)
+      });
+    }
+    if (after - before !== signed) {
+      breaks.push({
+        ...link,
+        kind: 'amount_mismatch',
+        expected: fromMinor(before + signed),
+        actual: fromMinor(after),
+        difference: fromMinor(after - before - signed)
+      });
+    }
+    running = after;
+  }
+
+  const balance = minorOf(account, 'balance');
+  if (balance !== total) {
+    breaks.push({
+      ...base,
+      kind: 'balance_mismatch',
+      expected: fromMinor(total),
+      actual: fromMinor(balance),
+      difference: fromMinor(balance - total)
+    });
+  }
+
+  return breaks;
+};
+
+/**
+ * Reconciliation Service
+ * Nightly check that every savings balance matches its transaction history
+ * and that the balanceBefore/balanceAfter chain has no gaps.
+ */
+class ReconciliationService {
+  /**
+   * Breaks for one account, read fresh
+   * @param {string} accountId
+   * @returns {Promise<Object>} { account, transactionCount, breaks }
+   */
+  static async checkAccount(accountId) {
+    const account = await SavingsAccount.findById(accountId).select(ACCOUNT_FIELDS).lean();
+    if (!account) {
+      return { account: null, transactionCount: 0, breaks: [] };
+    }
+    const transactions = await Transaction.find({ accountId, status: 'completed' }).select(TRANSACTION_FIELDS).lean();
+    return { account, transactionCount: transactions.length, breaks: reconcileAccount(account, transactions) };
+  }
+
+  /**
+   * Reconcile every savings account and save the report. Admins get an in-app
+   * notification when breaks are found or the run fails.
+   * @param {Object} options - { date, trigger, triggeredBy } date defaults to yesterday
+   * @returns {Promise<Object>} The ReconciliationReport
+   */
+  static async run({ date = new Date(Date.now() - DAY_MS), trigger = 'scheduled', triggeredBy } = {}) {
+    const running = await ReconciliationReport.exists({
+      status: 'running',
+      startedAt: { $gte: new Date(Date.now() - RUN_TIMEOUT_MS) }
+    });
+    if (running) {
+      throw new PostingError('A reconciliation run is already in progress', 409, 'RECONCILIATION_RUNNING');
+    }
+
+    const report = await ReconciliationReport.create({
+      businessDate: InterestService.toBusinessDate(date),
+      trigger,
+      triggeredBy
+    });
+
+    try {
+      const cursor = SavingsAccount.find().select(ACCOUNT_FIELDS).lean().cursor();
+      for await (const account of cursor) {
+        const transactions = await Transaction.find({ accountId: account._id, status: 'completed' }).select(TRANSACTION_FIELDS).lean();
+        let breaks = reconcileAccount(account, transactions);
+        let transactionCount = transactions.length;
+
+        // A posting between the two reads above looks like a break; check again before reporting it
+        if (breaks.length > 0) {
+          ({ breaks, transactionCount } = await this.checkAccount(account._id));
+        }
+
+        report.accountsChecked++;
+        report.transactionsChecked += transactionCount;
+        if (breaks.length > 0) {
+          report.accountsWithBreaks++;
+          report.breakCount += breaks.length;
+          const room = MAX_STORED_BREAKS - report.breaks.length;
+          report.breaks.push(...breaks.slice(0, Math.max(room, 0)));
+          report.truncated = report.truncated || breaks.length > room;
+        }
+      }
+
+      report.status = report.breakCount > 0 ? 'breaks_found' : 'clean';
+      report.completedAt = new Date();
+      await report.save();
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      report.completedAt = new Date();
+      await report.save();
+      console.error('❌ Reconciliation run failed:', error.message);
+      await this.notifyAdmins(report);
+      throw error;
+    }
+
+    console.log(`✅ Reconciliation for ${report.businessDate.toISOString().slice(0, 10)}: ${report.accountsChecked} accounts, ${report.breakCount} breaks`);
+    if (report.breakCount > 0) {
+      await this.notifyAdmins(report);
+    }
+    return report;
+  }
+
+  /**
+   * In-app alert to admins about a run with breaks or a failed run
+   * @param {Object} report - ReconciliationReport
+   * @returns {Promise<Object|null>} The notification
+   */
+  static async notifyAdmins(report) {
+    try {
+      const admin = await User.findOne({ role: 'admin', isActive: true }).select('_id').lean();
+      if (!admin) {
+        console.warn('⚠️ No admin user found, skipping reconciliation notification');
+        return null;
+      }
+
+      const date = report.businessDate.toISOString().slice(0, 10);
+      return await InAppNotification.create({
+        title: report.status === 'failed' ? 'Balance reconciliation failed' : 'Balance reconciliation found breaks',
+        message: report.status === 'failed'
+          ? `The reconciliation run for ${date} failed: ${report.error}`.slice(0, 500)
+          : `${report.breakCount} break(s) on ${report.accountsWithBreaks} account(s) in the reconciliation for ${date}. Report ${report._id}.`,
+        type: 'system_alert',
+        priority: 'urgent',
+        targetRoles: ['admin'],
+        createdBy: admin._id
+      });
+    } catch (error) {
+      console.error('❌ Failed to notify admins about reconciliation:', error.message);
+      return null;
+    }
+  }
+}
+
+export default ReconciliationService;
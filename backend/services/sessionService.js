@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import Session from '../models/sessionModel.js';
+import SystemSettings from '../models/systemSettingsModel.js';
+
+export const SESSION_TOKEN_EXPIRES_IN = '30d';
+export const DEFAULT_IDLE_TIMEOUT_HOURS = 6;
+export const DEFAULT_MAX_CONCURRENT_SESSIONS = 3;
+
+// Last-activity writes are throttled so a busy page doesn't update the session on every request
+export const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+const POLICY_CACHE_MS = 60 * 1000;
+
+export class SessionError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Digest stored in place of the token itself, so a leaked sessions collection can't be replayed
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Whether a session has gone longer than the idle timeout without a request
+ * @param {Object} session - { security: { lastActivity } }
+ * @param {number} idleTimeoutMs
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export const isIdleExpired = (session, idleTimeoutMs, now = Date.now()) => {
+  const lastActivity = new Date(session?.security?.lastActivity || session?.loginInfo?.timestamp || 0).getTime();
+  return now - lastActivity >= idleTimeoutMs;
+};
+
+/**
+ * The active sessions to end so a new one fits under the limit, least recently used first
+ * @param {Array<Object>} sessions - The user's active sessions
+ * @param {number} limit - Maximum concurrent sessions; 0 means no limit
+ * @returns {Array<Object>}
+ */
+export const sessionsToEvict = (sessions, limit) => {
+  if (!limit || limit < 1 || sessions.length < limit) return [];
+  const lastUsed = (session) => new Date(session.security?.lastActivity || session.loginInfo?.timestamp || 0).getTime();
+  return [...sessions]
+    .sort((a, b) => lastUsed(a) - lastUsed(b))
+    .slice(0, sessions.length - limit + 1);
+};
+
+/**
+ * A session as shown to staff: device and activity, never the token digest
+ * @param {Object} session
+ * @param {string} [currentSessionId] - Marks the session making the request
+ * @returns {Object}
+ */
+export const toSessionSummary = (session, currentSessionId) => ({
+  sessionId: session.sessionId,
+  status: session.status,
+  current: session.sessionId === currentSessionId,
+  ipAddress: session.loginInfo?.ipAddress,
+  deviceInfo: session.loginInfo?.deviceInfo || {},
+  loginAt: session.loginInfo?.timestamp,
+  lastActivity: session.security?.lastActivity,
+  logoutAt: session.logoutInfo?.timestamp || null,
+  logoutReason: session.logoutInfo?.reason || null
+});
+
+let cachedPolicy = null;
+let cachedPolicyAt = 0;
+
+/**
+ * Session Service
+ * Staff tokens carry a session id (`sid`) and are only honoured while the matching
+ * Session document is active. Sessions end on logout, from another device, by an
+ * admin, when a newer login exceeds the concurrent-session limit, or after the
+ * idle timeout from system settings.
+ */
+class SessionService {
+  /**
+   * Idle timeout and concurrent-session limit, cached briefly because every
+   * authenticated request needs them
+   * @returns {Promise<Object>} { idleTimeoutMinutes, maxConcurrentSessions }
+   */
+  static async getPolicy() {
+    if (cachedPolicy && Date.now() - cachedPolicyAt < POLICY_CACHE_MS) {
+      return cachedPolicy;
+    }
+    const settings = await SystemSettings.findOne().select('security').lean();
+    const hours = settings?.security?.sessionTimeout || DEFAULT_IDLE_TIMEOUT_HOURS;
+    cachedPolicy = {
+      idleTimeoutMinutes: Math.round(hours * 60),
+      maxConcurrentSessions: settings?.security?.maxConcurrentSessions ?? DEFAULT_MAX_CONCURRENT_SESSIONS
+    };
+    cachedPolicyAt = Date.now();
+    return cachedPolicy;
+  }
+
+  /**
+   * Change the idle timeout or the concurrent-session limit
+   * @param {Object} params - { idleTimeoutMinutes, maxConcurrentSessions }
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} The new policy
+   */
+  static async updatePolicy({ idleTimeoutMinutes, maxConcurrentSessions }, userId) {
+    const $set = { lastUpdated: new Date(), updatedBy: userId };
+    if (idleTimeoutMinutes !== undefined) {
+      const minutes = Number(idleTimeoutMinutes);
+      if (!Number.isFinite(minutes) || minutes < 15) {
+        throw new SessionError('Idle timeout must be at least 15 minutes');
+      }
+      $set['security.sessionTimeout'] = minutes / 60;
+    }
+    if (maxConcurrentSessions !== undefined) {
+      const limit = Number(maxConcurrentSessions);
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new SessionError('Session limit must be a whole number (0 for no limit)');
+      }
+      $set['security.maxConcurrentSessions'] = limit;
+    }
+
+    const settings = await SystemSettings.findOne().select('_id');
+    if (!settings) {
+      throw new SessionError('System settings have not been set up', 404);
+    }
+    await SystemSettings.updateOne({ _id: settings._id }, { $set }, { runValidators: true });
+    cachedPolicy = null;
+    return this.getPolicy();
+  }
+
+  /**
+   * Open a session and sign its token. Ends the user's least recently used
+   * sessions when the new one would exceed the limit.
+   * @param {Object} user
+   * @param {Object} loginInfo - { ipAddress, userAgent, deviceInfo }
+   * @returns {Promise<Object>} { token, sessionId, endedSessions, policy }
+   */
+  static async createSession(user, loginInfo) {
+    const policy = await this.getPolicy();
+    const active = await Session.find({ user: user._id, status: 'active' })
+      .select('sessionId loginInfo.timestamp security.lastActivity')
+      .lean();
+    const evicted = sessionsToEvict(active, policy.maxConcurrentSessions);
+    if (evicted.length) {
+      await this.endSessions({ sessionId: { $in: evicted.map(session => session.sessionId) } }, 'session_limit', loginInfo.ipAddress);
+    }
+
+    const sessionId = uuidv4();
+    const token = jwt.sign({ id: user._id, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: SESSION_TOKEN_EXPIRES_IN });
+    await Session.create({ user: user._id, sessionId, token: hashToken(token), loginInfo });
+    return { token, sessionId, endedSessions: evicted.length, policy };
+  }
+
+  /**
+   * Check the session behind a verified token. Idle sessions are expired here,
+   * and last activity is refreshed at most once a minute.
+   * @param {Object} decoded - Verified JWT payload { id, sid }
+   * @param {string} token - The raw token, compared against the stored digest
+   * @returns {Promise<Object>} The session
+   */
+  static async validate(decoded, token) {
+    if (!decoded.sid) {
+      throw new SessionError('Session expired. Please sign in again.', 401, 'SESSION_INVALID');
+    }
+    const session = await Session.findOne({ sessionId: decoded.sid })
+      .select('user sessionId token status loginInfo.timestamp security.lastActivity')
+      .lean();
+    if (!session || session.user.toString() !== String(decoded.id) || session.token !== hashToken(token)) {
+      throw new SessionError('Session expired. Please sign in again.', 401, 'SESSION_INVALID');
+    }
+    if (session.status !== 'active') {
+      throw new SessionError('This session has been signed out. Please sign in again.', 401, 'SESSION_ENDED');
+    }
+
+    const { idleTimeoutMinutes } = await this.getPolicy();
+    const now = Date.now();
+    if (isIdleExpired(session, idleTimeoutMinutes * 60 * 1000, now)) {
+      await this.endSessions({ sessionId: session.sessionId }, 'inactivity', null, 'expired');
+      throw new SessionError('Signed out after a period of inactivity. Please sign in again.', 401, 'SESSION_IDLE');
+    }
+
+    if (now - new Date(session.security.lastActivity).getTime() >= ACTIVITY_WRITE_INTERVAL_MS) {
+      await Session.updateOne(
+        { _id: session._id, status: 'active' },
+        { $set: { 'security.lastActivity': new Date(now) }, $inc: { 'security.activityCount': 1 } }
+      );
+    }
+    return session;
+  }
+
+  /**
+   * A user's sessions, active first then the most recent ended ones
+   * @param {string} userId
+   * @param {Object} [options] - { currentSessionId, includeEnded }
+   * @returns {Promise<Array<Object>>}
+   */
+  static async listForUser(userId, { currentSessionId, includeEnded = false } = {}) {
+    const query = { user: userId };
+    if (!includeEnded) query.status = 'active';
+    const sessions = await Session.find(query)
+      .select('-token')
+      .sort({ status: 1, 'security.lastActivity': -1 })
+      .limit(includeEnded ? 50 : 0)
+      .lean();
+    return sessions.map(session => toSessionSummary(session, currentSessionId));
+  }
+
+  /**
+   * End one of a user's active sessions
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId
+   * @param {string} reason - logoutInfo.reason
+   * @param {string} [ipAddress] - Where the request to end it came from
+   * @returns {Promise<void>}
+   */
+  static async terminate(userId, sessionId, reason, ipAddress) {
+    const ended = await this.endSessions({ user: userId, sessionId }, reason, ipAddress);
+    if (!ended) {
+      throw new SessionError('Session not found or already ended', 404, 'SESSION_NOT_FOUND');
+    }
+  }
+
+  /**
+   * End all of a user's active sessions, optionally keeping one
+   * @param {string} userId
+   * @param {Object} options - { exceptSessionId, reason, ipAddress }
+   * @returns {Promise<number>} How many sessions were ended
+   */
+  static async terminateAll(userId, { exceptSessionId, reason, ipAddress } = {}) {
+    const query = { user: userId };
+    if (exceptSessionId) query.sessionId = { $ne: exceptSessionId };
+    return this.endSessions(query, reason, ipAddress);
+  }
+
+  /**
+   * Mark matching active sessions as ended, recording why and how long they lasted
+   * @returns {Promise<number>} How many sessions were ended
+   */
+  static async endSessions(query, reason, ipAddress, status = 'terminated') {
+    const now = new Date();
+    const result = await Session.updateMany({ ...query, status: 'active' }, [
+      {
+        $set: {
+          status,
+          logoutInfo: { timestamp: now, reason, ipAddress: ipAddress ? { $literal: ipAddress } : '$loginInfo.ipAddress' },
+          duration: { $subtract: [now, '$loginInfo.timestamp'] }
+        }
+      }
+    ]);
+    return result.modifiedCount;
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,577 @@
+import mongoose from 'mongoose';
+import SavingsAccount from '../models/savingsAccountModel.js';
+import Transaction from '../models/transactionModel.js';
+import StandingOrder, { STANDING_ORDER_TYPES, STANDING_ORDER_FREQUENCIES } from '../models/standingOrderModel.js';
+import StandingOrderInstallment from '../models/standingOrderInstallmentModel.js';
+import AccountPostingService, { PostingError } from './accountPostingService.js';
+import InterestService from './interestService.js';
+import TermDepositService from './termDepositService.js';
+import TransactionLimitService, { evaluateLimits } from './transactionLimitService.js';
+import { sumMoney, hasValidPrecision } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of one period for each frequency
+const PERIODS = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 }
+};
+
+// Retry policy settings an order may override, with their allowed range
+const RETRY_POLICY_LIMITS = {
+  maxRetries: [0, 10],
+  retryIntervalDays: [1, 7],
+  pauseAfterMissed: [1, 12]
+};
+
+/**
+ * Due date of the installment at `index` (0 for the first), counted from the start
+ * date so a monthly order started on the 31st stays on the last day of short months
+ * @param {Date} startDate - Business date of the first installment
+ * @param {string} frequency - weekly, biweekly, monthly or quarterly
+ * @param {number} index
+ * @returns {Date}
+ */
+export const dueDateFor = (startDate, frequency, index) => {
+  const period = PERIODS[frequency];
+  if (period.days) {
+    return new Date(startDate.getTime() + index * period.days * DAY_MS);
+  }
+  return TermDepositService.addMonths(startDate, index * period.months);
+};
+
+/**
+ * Where an installment stands after a failed attempt under the order's retry policy
+ * @param {number} attempts - Attempts made, including the one that just failed
+ * @param {Object} retryPolicy - { maxRetries, retryIntervalDays }
+ * @param {Date} date - Business date of the attempt
+ * @returns {Object} { status: 'due'|'missed', nextAttemptAt }
+ */
+export const failedAttemptOutcome = (attempts, retryPolicy = {}, date) => {
+  const { maxRetries = 2, retryIntervalDays = 1 } = retryPolicy;
+  if (attempts > maxRetries) {
+    return { status: 'missed', nextAttemptAt: null };
+  }
+  return { status: 'due', nextAttemptAt: new Date(date.getTime() + retryIntervalDays * DAY_MS) };
+};
+
+/**
+ * Limit broken by a single installment on its own, before any other activity: the
+ * product's per-transaction minimum and maximum, and daily or monthly limits smaller
+ * than the amount. An order breaking one could never be paid.
+ * @param {Object|null} limits - Effective limits from TransactionLimitService.getEffectiveLimits
+ * @param {string} kind - 'deposit' | 'withdrawal'
+ * @param {number} amount
+ * @returns {Object|null} { code, message }, or null
+ */
+export const installmentLimitViolation = (limits, kind, amount) => evaluateLimits(limits, {
+  depositsToday: 0,
+  depositsThisMonth: 0,
+  withdrawalsToday: 0,
+  withdrawalsThisMonth: 0,
+  // Opening-deposit rules belong to the account's first deposit, not to a schedule
+  hasDeposits: true
+}, kind, amount);
+
+// Limit channel a standing order posts on
+const limitChannel = (order) => (order.channel === 'customer' ? 'customer' : 'teller');
+
+/**
+ * Standing Order Service
+ * Standing instructions that repeat on a schedule: transfers between accounts and
+ * recurring deposit commitments. The daily job creates an installment for every due
+ * date, pays or checks it, retries failures under the order's retry policy and
+ * tracks missed installments.
+ */
+class StandingOrderService {
+  /**
+   * Set up a standing order
+   * @param {Object} params - { type, fromAccountId, toAccountId, toAccountNumber, amount, frequency,
+   *   startDate, endDate, description, retryPolicy }
+   * @param {Object} options - { customerId } limits the accounts to the customer's own,
+   *   { createdBy, channel }
+   * @returns {Promise<Object>} The StandingOrder
+   */
+  static async create(params, { customerId, createdBy, channel = 'staff' } = {}) {
+    const { type, frequency, description } = params;
+    if (!STANDING_ORDER_TYPES.includes(type)) {
+      throw new PostingError(`Type must be one of ${STANDING_ORDER_TYPES.join(', ')}`);
+    }
+    if (!STANDING_ORDER_FREQUENCIES.includes(frequency)) {
+      throw new PostingError(`Frequency must be one of ${STANDING_ORDER_FREQUENCIES.join(', ')}`);
+    }
+
+    const amount = Number(params.amount);
+    if (!amount || Number.isNaN(amount) || amount <= 0) {
+      throw new PostingError('Amount must be a positive amount');
+    }
+    if (!hasValidPrecision(amount)) {
+      throw new PostingError('Amount has more decimal places than the currency allows', 400, 'INVALID_AMOUNT_PRECISION');
+    }
+
+    const { startDate, endDate } = this.parseDates(params.startDate, params.endDate);
+
+    const toAccount = await this.findAccount(params.toAccountId, params.toAccountNumber);
+    if (!toAccount) {
+      throw new PostingError('Destination account not found', 404);
+    }
+
+    let fromAccount = null;
+    if (type === 'transfer') {
+      fromAccount = await this.findAccount(params.fromAccountId);
+      if (!fromAccount) {
+        throw new PostingError('Source account not found', 404);
+      }
+      if (String(fromAccount._id) === String(toAccount._id)) {
+        throw new PostingError('Cannot transfer to the same account');
+      }
+    }
+
+    // The customer who owns the money: the payer of a transfer, the saver of a recurring deposit
+    const owner = fromAccount || toAccount;
+    if (customerId && String(owner.customerId) !== String(customerId)) {
+      throw new PostingError('Savings account not found', 404);
+    }
+    for (const account of [fromAccount, toAccount].filter(Boolean)) {
+      if (account.status === 'closed') {
+        throw new PostingError(`Account ${account.accountNumber} is closed`);
+      }
+    }
+
+    // Recurring deposits are paid by the customer's own deposits, which are limited when made
+    if (fromAccount) {
+      await this.assertInstallmentWithinLimits(fromAccount, toAccount, amount, limitChannel({ channel }));
+    }
+
+    const retryPolicy = {};
+    for (const [field, [min, max]] of Object.entries(RETRY_POLICY_LIMITS)) {
+      const value = params.retryPolicy?.[field];
+      if (value === undefined || value === null || value === '') continue;
+      if (!Number.isInteger(Number(value)) || Number(value) < min || Number(value) > max) {
+        throw new PostingError(`retryPolicy.${field} must be a whole number from ${min} to ${max}`);
+      }
+      retryPolicy[field] = Number(value);
+    }
+
+    return StandingOrder.create({
+      customerId: owner.customerId,
+      type,
+      fromAccountId: fromAccount?._id,
+      toAccountId: toAccount._id,
+      amount,
+      frequency,
+      startDate,
+      endDate,
+      nextDueDate: startDate,
+      retryPolicy,
+      description,
+      channel,
+      createdBy
+    });
+  }
+
+  /**
+   * Throw a PostingError if one transfer installment breaks either account's product limits
+   * @param {Object} fromAccount - SavingsAccount paying
+   * @param {Object} toAccount - SavingsAccount receiving
+   * @param {number} amount
+   * @param {string} channel - 'teller' | 'customer'
+   */
+  static async assertInstallmentWithinLimits(fromAccount, toAccount, amount, channel) {
+    for (const [account, kind] of [[fromAccount, 'withdrawal'], [toAccount, 'deposit']]) {
+      const limits = await TransactionLimitService.getEffectiveLimits(account, channel);
+      const violation = installmentLimitViolation(limits, kind, amount);
+      if (violation) {
+        throw new PostingError(`${violation.message} on account ${account.accountNumber}`, 400, violation.code);
+      }
+    }
+  }
+
+  /**
+   * Validate and normalise an order's start and end dates to business dates
+   * @returns {Object} { startDate, endDate }
+   */
+  static parseDates(start, end) {
+    const today = InterestService.toBusinessDate(new Date());
+    let startDate;
+    let endDate = null;
+    try {
+      startDate = start ? InterestService.toBusinessDate(start) : today;
+      if (end) {
+        endDate = InterestService.toBusinessDate(end);
+      }
+    } catch {
+      throw new PostingError('Start and end dates must be valid dates (YYYY-MM-DD)');
+    }
+    if (startDate < today) {
+      throw new PostingError('Start date cannot be in the past');
+    }
+    if (endDate && endDate < startDate) {
+      throw new PostingError('End date must be on or after the start date');
+    }
+    return { startDate, endDate };
+  }
+
+  /**
+   * Find a savings account by id or account number
+   * @returns {Promise<Object|null>}
+   */
+  static async findAccount(accountId, accountNumber) {
+    if (accountId) {
+      return mongoose.isValidObjectId(accountId) ? SavingsAccount.findById(accountId) : null;
+    }
+    if (accountNumber) {
+      return SavingsAccount.findOne({ accountNumber: String(accountNumber).trim() });
+    }
+    return null;
+  }
+
+  /**
+   * Pause, resume or cancel an order. Installments still waiting for a retry are
+   * skipped when the order stops; due dates that pass while paused are not caught up.
+   * @param {string} orderId
+   * @param {string} action - pause, resume or cancel
+   * @param {Object} options - { customerId } limits to the customer's own orders, { userId, reason }
+   * @returns {Promise<Object>} The StandingOrder
+   */
+  static async changeStatus(orderId, action, { customerId, userId, reason } = {}) {
+    const filter = { _id: orderId };
+    if (customerId) {
+      filter.customerId = customerId;
+    }
+    const order = mongoose.isValidObjectId(orderId) ? await StandingOrder.findOne(filter) : null;
+    if (!order) {
+      throw new PostingError('Standing order not found', 404);
+    }
+
+    const allowedFrom = { pause: ['active'], resume: ['paused'], cancel: ['active', 'paused'] }[action];
+    if (!allowedFrom) {
+      throw new PostingError('Action must be pause, resume or cancel');
+    }
+    if (!allowedFrom.includes(order.status)) {
+      throw new PostingError(`Standing order is ${order.status} and cannot be ${action === 'cancel' ? 'cancelled' : `${action}d`}`, 409);
+    }
+
+    if (action === 'resume') {
+      const today = InterestService.toBusinessDate(new Date());
+      while (order.nextDueDate && order.nextDueDate < today) {
+        order.installmentCount++;
+        order.nextDueDate = this.dueDateAfter(order, order.installmentCount);
+      }
+      order.status = order.nextDueDate ? 'active' : 'completed';
+      order.consecutiveMissed = 0;
+    } else {
+      order.status = action === 'pause' ? 'paused' : 'cancelled';
+      await StandingOrderInstallment.updateMany(
+        { standingOrderId: order._id, status: 'due' },
+        { $set: { status: 'skipped', failureReason: `Standing order ${order.status}`, nextAttemptAt: null } }
+      );
+    }
+    if (action === 'cancel') {
+      order.cancelledAt = new Date();
+      order.cancelledBy = userId;
+    }
+    order.statusReason = reason;
+    await order.save();
+    return order;
+  }
+
+  /**
+   * Due date of installment `index`, or null once it would fall after the end date
+   * @returns {Date|null}
+   */
+  static dueDateAfter(order, index) {
+    const due = dueDateFor(order.startDate, order.frequency, index);
+    return order.endDate && due > order.endDate ? null : due;
+  }
+
+  /**
+   * Create the installments of every active order due on or before a business date
+   * @param {Date} date - Business date
+   * @returns {Promise<number>} Installments created
+   */
+  static async scheduleInstallments(date) {
+    let created = 0;
+    const cursor = StandingOrder.find({ status: 'active', nextDueDate: { $lte: date } }).cursor();
+
+    for await (const order of cursor) {
+      while (order.nextDueDate && order.nextDueDate <= date) {
+        try {
+          await StandingOrderInstallment.create({
+            standingOrderId: order._id,
+            customerId: order.customerId,
+            sequence: order.installmentCount + 1,
+            dueDate: order.nextDueDate,
+            amount: order.amount,
+            nextAttemptAt: order.nextDueDate
+          });
+          created++;
+        } catch (error) {
+          // Created by an earlier run that stopped before moving the order on
+          if (error.code !== 11000) throw error;
+        }
+        order.installmentCount++;
+        order.nextDueDate = this.dueDateAfter(order, order.installmentCount);
+      }
+      if (!order.nextDueDate) {
+        order.status = 'completed';
+      }
+      await order.save();
+    }
+
+    return created;
+  }
+
+  /**
+   * Pay a transfer installment. The posting and the installment update commit together,
+   * and the installment is re-read in the transaction so two runs cannot both pay it.
+   * Product limits are checked on every attempt; a breach fails the attempt like a
+   * shortfall, so it is retried or marked missed.
+   * @returns {Promise<Object>} The paid installment
+   */
+  static async payTransfer(order, installmentId, { processedBy } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const installment = await StandingOrderInstallment.findOne({ _id: installmentId, status: 'due' }).session(session);
+      if (!installment) {
+        throw new PostingError('Installment is no longer due', 409, 'INSTALLMENT_NOT_DUE');
+      }
+      const fromAccount = await SavingsAccount.findById(order.fromAccountId).session(session);
+      const toAccount = await SavingsAccount.findById(order.toAccountId).session(session);
+      if (!fromAccount || !toAccount) {
+        throw new PostingError('An account on this standing order no longer exists');
+      }
+
+      const channel = limitChannel(order);
+      await TransactionLimitService.assertWithinLimits(fromAccount, { kind: 'withdrawal', amount: installment.amount, channel }, session);
+      await TransactionLimitService.assertWithinLimits(toAccount, { kind: 'deposit', amount: installment.amount, channel }, session);
+
+      // The customer authorised the order when it was set up
+      const transfer = await AccountPostingService.postTransfer(fromAccount, toAccount, {
+        amount: installment.amount,
+        description: order.description || `Standing order ${order.reference}`,
+        reference: order.reference,
+        processedBy
+      }, session, { skipVerification: true });
+
+      const now = new Date();
+      installment.status = 'paid';
+      installment.attempts++;
+      installment.lastAttemptAt = now;
+      installment.nextAttemptAt = null;
+      installment.failureReason = undefined;
+      installment.transferReference = transfer.transferReference;
+      installment.transactionIds = [transfer.debit._id, transfer.credit._id];
+      installment.settledAt = now;
+      await installment.save({ session });
+
+      await this.recordPaid(order._id, installment.amount, now, session);
+      return installment;
+    });
+  }
+
+  /**
+   * Check a recurring deposit installment against the deposits made since the last paid one
+   * @returns {Promise<Object>} { paid, installment, reason }
+   */
+  static async checkDeposit(order, installment) {
+    const deposits = await Transaction.find({
+      accountId: order.toAccountId,
+      type: 'deposit',
+      status: 'completed',
+      createdAt: { $gte: order.lastPaidAt || order.startDate }
+    }).select('_id amount').lean();
+
+    const deposited = sumMoney(deposits.map(deposit => deposit.amount));
+    if (deposited < installment.amount) {
+      return { paid: false, reason: `${deposited} of ${installment.amount} deposited` };
+    }
+
+    const now = new Date();
+    const updated = await StandingOrderInstallment.findOneAndUpdate(
+      { _id: installment._id, status: 'due' },
+      {
+        $set: {
+          status: 'paid',
+          lastAttemptAt: now,
+          nextAttemptAt: null,
+          amountDeposited: deposited,
+          transactionIds: deposits.map(deposit => deposit._id),
+          settledAt: now
+        },
+        $inc: { attempts: 1 },
+        $unset: { failureReason: '' }
+      },
+      { new: true }
+    );
+    if (updated) {
+      await this.recordPaid(order._id, installment.amount, now);
+    }
+    return { paid: Boolean(updated), installment: updated };
+  }
+
+  /**
+   * Count a paid installment on its order
+   */
+  static async recordPaid(orderId, amount, paidAt, session = null) {
+    const order = await StandingOrder.findById(orderId).session(session);
+    order.installmentsPaid++;
+    order.totalPaid = sumMoney([order.totalPaid, amount]);
+    order.consecutiveMissed = 0;
+    order.lastPaidAt = paidAt;
+    await order.save({ session });
+  }
+
+  /**
+   * Record a failed attempt: retry later, or mark the installment missed and
+   * pause the order after too many misses in a row
+   * @returns {Promise<string>} The installment's new status
+   */
+  static async recordFailure(order, installment, date, reason) {
+    const attempts = installment.attempts + 1;
+    const outcome = failedAttemptOutcome(attempts, order.retryPolicy, date);
+    const updated = await StandingOrderInstallment.findOneAndUpdate(
+      { _id: installment._id, status: 'due' },
+      { $set: { ...outcome, attempts, lastAttemptAt: new Date(), failureReason: String(reason).slice(0, 500) } }
+    );
+    if (!updated || outcome.status !== 'missed') {
+      return outcome.status;
+    }
+
+    const fresh = await StandingOrder.findById(order._id);
+    fresh.installmentsMissed++;
+    fresh.consecutiveMissed++;
+    const pauseAfter = fresh.retryPolicy?.pauseAfterMissed || 3;
+    if (fresh.status === 'active' && fresh.consecutiveMissed >= pauseAfter) {
+      fresh.status = 'paused';
+      fresh.statusReason = `Paused after ${fresh.consecutiveMissed} missed installments in a row`;
+    }
+    await fresh.save();
+    return 'missed';
+  }
+
+  /**
+   * Daily run: schedule installments due on the date, then attempt every installment
+   * whose first attempt or retry falls on or before it. Safe to repeat.
+   * @param {Date|string} date - Business date
+   * @param {Object} options - { processedBy }
+   * @returns {Promise<Object>} Run report
+   */
+  static async runForDate(date, { processedBy } = {}) {
+    const businessDate = InterestService.toBusinessDate(date);
+    const report = {
+      date: businessDate.toISOString().slice(0, 10),
+      scheduled: 0,
+      attempted: 0,
+      paid: 0,
+      retrying: 0,
+      missed: 0,
+      skipped: 0,
+      items: [],
+      errors: []
+    };
+
+    report.scheduled = await this.scheduleInstallments(businessDate);
+
+    const cursor = StandingOrderInstallment.find({ status: 'due', nextAttemptAt: { $lte: businessDate } })
+      .sort({ dueDate: 1 })
+      .cursor();
+
+    for await (const installment of cursor) {
+      const order = await StandingOrder.findById(installment.standingOrderId).lean();
+      if (!order || !['active', 'completed'].includes(order.status)) {
+        await StandingOrderInstallment.updateOne(
+          { _id: installment._id, status: 'due' },
+          { $set: { status: 'skipped', failureReason: `Standing order ${order?.status || 'removed'}`, nextAttemptAt: null } }
+        );
+        report.skipped++;
+        continue;
+      }
+
+      report.attempted++;
+      const item = { reference: order.reference, sequence: installment.sequence, dueDate: installment.dueDate, amount: installment.amount };
+      try {
+        let failure = null;
+        if (order.type === 'transfer') {
+          try {
+            await this.payTransfer(order, installment._id, { processedBy });
+          } catch (error) {
+            if (!(error instanceof PostingError) || error.code === 'INSTALLMENT_NOT_DUE') throw error;
+            failure = error.message;
+          }
+        } else {
+          const result = await this.checkDeposit(order, installment);
+          failure = result.paid ? null : result.reason;
+        }
+
+        if (failure) {
+          const status = await this.recordFailure(order, installment, businessDate, failure);
+          report[status === 'missed' ? 'missed' : 'retrying']++;
+          report.items.push({ ...item, outcome: status, reason: failure });
+        } else {
+          report.paid++;
+          report.items.push({ ...item, outcome: 'paid' });
+        }
+      } catch (error) {
+        if (error.code === 'INSTALLMENT_NOT_DUE') continue;
+        console.error(`❌ Standing order ${order.reference} installment ${installment.sequence} failed:`, error.message);
+        report.errors.push({ reference: order.reference, sequence: installment.sequence, message: error.message });
+      }
+    }
+
+    console.log(`✅ Standing orders for ${report.date}: ${report.paid} paid, ${report.retrying} to retry, ${report.missed} missed, ${report.errors.length} errors`);
+    return report;
+  }
+
+  /**
+   * Orders on an account (either side), newest first
+   * @param {Object} filter - { accountId, customerId, status, type }
+   * @returns {Promise<Array>}
+   */
+  static async list({ accountId, customerId, status, type } = {}) {
+    const query = {};
+    if (accountId) {
+      query.$or = [{ fromAccountId: accountId }, { toAccountId: accountId }];
+    }
+    if (customerId) query.customerId = customerId;
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    return StandingOrder.find(query)
+      .populate('fromAccountId', 'accountNumber')
+      .populate('toAccountId', 'accountNumber')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * One order with its installment history, newest first
+   * @param {string} orderId
+   * @param {Object} options - { customerId } limits to the customer's own orders, { limit }
+   * @returns {Promise<Object|null>} { order, installments }
+   */
+  static async getWithInstallments(orderId, { customerId, limit = 50 } = {}) {
+    if (!mongoose.isValidObjectId(orderId)) {
+      return null;
+    }
+    const filter = { _id: orderId };
+    if (customerId) {
+      filter.customerId = customerId;
+    }
+    const order = await StandingOrder.findOne(filter)
+      .populate('fromAccountId', 'accountNumber')
+      .populate('toAccountId', 'accountNumber')
+      .lean();
+    if (!order) {
+      return null;
+    }
+    const installments = await StandingOrderInstallment.find({ standingOrderId: order._id })
+      .sort({ sequence: -1 })
+      .limit(limit)
+      .lean();
+    return { order, installments };
+  }
+}
+
+export default StandingOrderService;
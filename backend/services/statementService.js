@@ -0,0 +1,361 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import SavingsAccount from '../models/savingsAccountModel.js';
+import SystemSettings from '../models/systemSettingsModel.js';
+import Transaction, { getTransactionDirection } from '../models/transactionModel.js';
+import InterestService from './interestService.js';
+import { roundMoney } from '../utils/money.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STATEMENT_DAYS = 366;
+
+const DEFAULT_BRANDING = {
+  companyName: 'NDFIS',
+  contactEmail: '',
+  contactPhone: '',
+  contactAddress: '',
+  logo: null,
+  primaryColor: '#1e40af',
+  secondaryColor: '#64748b',
+  currency: 'RWF'
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Quote a CSV cell when it contains a comma, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a statement as CSV: a header block, one row per transaction, then totals
+ * @param {Object} statement - From StatementService.buildStatement
+ * @returns {string}
+ */
+export const statementToCsv = (statement) => {
+  const rows = [
+    [statement.branding.companyName, 'Account Statement'],
+    ['Account Number', statement.account.accountNumber],
+    ['Account Holder', statement.customer?.fullName || ''],
+    ['Period', `${statement.period.from} to ${statement.period.to}`],
+    ['Currency', statement.account.currency],
+    [],
+    ['Date', 'Transaction ID', 'Reference', 'Type', 'Description', 'Debit', 'Credit', 'Balance'],
+    [statement.period.from, '', '', '', 'Opening balance', '', '', statement.openingBalance.toFixed(2)],
+    ...statement.transactions.map(transaction => [
+      transaction.date.toISOString(),
+      transaction.transactionId,
+      transaction.reference || '',
+      transaction.type,
+      transaction.description || '',
+      transaction.debit ? transaction.debit.toFixed(2) : '',
+      transaction.credit ? transaction.credit.toFixed(2) : '',
+      transaction.runningBalance.toFixed(2)
+    ]),
+    [statement.period.to, '', '', '', 'Closing balance', '', '', statement.closingBalance.toFixed(2)],
+    [],
+    ['Type', 'Count', 'Amount'],
+    ...Object.entries(statement.totalsByType).map(([type, total]) => [type, total.count, total.amount.toFixed(2)]),
+    ['Total credits', '', statement.totalCredits.toFixed(2)],
+    ['Total debits', '', statement.totalDebits.toFixed(2)]
+  ];
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Statement Service
+ * Builds account statements for a date range and renders them as PDF or CSV
+ */
+class StatementService {
+  /**
+   * Parse and check a statement period. Dates are UTC business days and `to` is inclusive.
+   * Defaults to the current month up to today.
+   * @param {Object} query - { from, to } as YYYY-MM-DD strings
+   * @returns {Object} { from, to } as UTC midnights
+   */
+  static parsePeriod({ from, to } = {}) {
+    const today = InterestService.toBusinessDate(new Date());
+    const end = to ? InterestService.toBusinessDate(to) : today;
+    const start = from
+      ? InterestService.toBusinessDate(from)
+      : new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
+
+    if (start > end) {
+      throw new Error('Statement start date must be on or before the end date');
+    }
+    if ((end - start) / DAY_MS >= MAX_STATEMENT_DAYS) {
+      throw new Error(`Statement period cannot be longer than ${MAX_STATEMENT_DAYS} days`);
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * Branding from SystemSettings, falling back to defaults when none are saved
+   * @returns {Promise<Object>}
+   */
+  static async getBranding() {
+    const settings = await SystemSettings.findOne()
+      .select('companyName contactEmail contactPhone contactAddress logo primaryColor secondaryColor currency')
+      .lean();
+    return { ...DEFAULT_BRANDING, ...(settings || {}) };
+  }
+
+  /**
+   * Load the logo image for the PDF header. Remote logos are fetched, `/uploads/...`
+   * paths are read from disk; anything else is left out rather than failing the statement.
+   * @param {string} logo - SystemSettings.logo
+   * @returns {Promise<Buffer|null>}
+   */
+  static async loadLogo(logo) {
+    if (!logo) return null;
+
+    try {
+      if (/^https?:\/\//.test(logo)) {
+        const response = await fetch(logo, { signal: AbortSignal.timeout(5000) });
+        return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+      }
+      if (logo.startsWith('/uploads/')) {
+        const filePath = path.resolve(uploadsDir, logo.slice('/uploads/'.length));
+        if (filePath.startsWith(uploadsDir + path.sep) && fs.existsSync(filePath)) {
+          return fs.readFileSync(filePath);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Could not load statement logo:', error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Opening balance, transactions with running balance, closing balance and totals by type
+   * @param {string} accountId - Savings account id
+   * @param {Object} query - { from, to } as YYYY-MM-DD strings
+   * @returns {Promise<Object|null>} null when the account does not exist
+   */
+  static async buildStatement(accountId, query = {}) {
+    const { from, to } = this.parsePeriod(query);
+
+    const account = await SavingsAccount.findById(accountId)
+      .populate('customerId', 'customerCode personalInfo.fullName contact');
+    if (!account) {
+      return null;
+    }
+
+    const openingBalance = await InterestService.getEndOfDayBalance(account, new Date(from.getTime() - DAY_MS));
+
+    const transactions = await Transaction.find({
+      accountId: account._id,
+      status: 'completed',
+      createdAt: { $gte: from, $lt: new Date(to.getTime() + DAY_MS) }
+    }).sort({ createdAt: 1, _id: 1 }).lean();
+
+    const totalsByType = {};
+    let runningBalance = openingBalance;
+    let totalCredits = 0;
+    let totalDebits = 0;
+
+    const lines = transactions.map(transaction => {
+      const isCredit = getTransactionDirection(transaction) === 'credit';
+      runningBalance = roundMoney(runningBalance + (isCredit ? transaction.amount : -transaction.amount));
+      if (isCredit) {
+        totalCredits += transaction.amount;
+      } else {
+        totalDebits += transaction.amount;
+      }
+
+      const total = totalsByType[transaction.type] || { count: 0, amount: 0 };
+      total.count++;
+      total.amount = roundMoney(total.amount + transaction.amount);
+      totalsByType[transaction.type] = total;
+
+      return {
+        date: transaction.createdAt,
+        transactionId: transaction.transactionId,
+        reference: transaction.reference,
+        type: transaction.type,
+        description: transaction.description,
+        debit: isCredit ? 0 : transaction.amount,
+        credit: isCredit ? transaction.amount : 0,
+        runningBalance
+      };
+    });
+
+    const customer = account.customerId;
+    const branding = await this.getBranding();
+
+    return {
+      account: {
+        id: account._id,
+        accountNumber: account.accountNumber,
+        accountType: account.accountType,
+        currency: branding.currency,
+        status: account.status
+      },
+      customer: customer ? {
+        customerCode: customer.customerCode,
+        fullName: customer.personalInfo?.fullName,
+        phone: customer.contact?.phone,
+        email: customer.contact?.email
+      } : null,
+      period: { from: formatDate(from), to: formatDate(to) },
+      openingBalance: roundMoney(openingBalance),
+      closingBalance: runningBalance,
+      totalCredits: roundMoney(totalCredits),
+      totalDebits: roundMoney(totalDebits),
+      totalsByType,
+      transactions: lines,
+      branding,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Render a statement as an A4 PDF
+   * @param {Object} statement - From buildStatement
+   * @returns {Promise<Buffer>}
+   */
+  static async renderPdf(statement) {
+    const { branding } = statement;
+    const logo = await this.loadLogo(branding.logo);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+      const columns = [
+        { label: 'Date', width: 62 },
+        { label: 'Reference', width: 88 },
+        { label: 'Description', width: 145 },
+        { label: 'Debit', width: 70, align: 'right' },
+        { label: 'Credit', width: 70, align: 'right' },
+        { label: 'Balance', width: width - 435, align: 'right' }
+      ];
+
+      // Header band with logo and company details
+      doc.rect(0, 0, doc.page.width, 90).fill(branding.primaryColor);
+      if (logo) {
+        try {
+          doc.image(logo, left, 20, { fit: [50, 50] });
+        } catch (error) {
+          console.error('❌ Unsupported statement logo format:', error.message);
+        }
+      }
+      doc.fillColor('#ffffff').fontSize(18).font('Helvetica-Bold')
+        .text(branding.companyName, left + 60, 25, { width: width - 60 });
+      doc.fontSize(9).font('Helvetica')
+        .text([branding.contactAddress, branding.contactPhone, branding.contactEmail].filter(Boolean).join('  ·  '), left + 60, 50, { width: width - 60 });
+
+      // Account summary
+      doc.fillColor('#111827').fontSize(14).font('Helvetica-Bold').text('Account Statement', left, 110);
+      doc.fontSize(9).font('Helvetica').fillColor('#374151');
+      const summaryTop = 132;
+      doc.text(`Account holder: ${statement.customer?.fullName || '-'}`, left, summaryTop);
+      doc.text(`Customer code: ${statement.customer?.customerCode || '-'}`, left, summaryTop + 13);
+      doc.text(`Account number: ${statement.account.accountNumber}`, left, summaryTop + 26);
+      doc.text(`Period: ${statement.period.from} to ${statement.period.to}`, left + width / 2, summaryTop);
+      doc.text(`Opening balance: ${formatAmount(statement.openingBalance)} ${statement.account.currency}`, left + width / 2, summaryTop + 13);
+      doc.text(`Closing balance: ${formatAmount(statement.closingBalance)} ${statement.account.currency}`, left + width / 2, summaryTop + 26);
+
+      const drawRow = (cells, y, { bold = false, fill = null } = {}) => {
+        if (fill) {
+          doc.rect(left, y - 3, width, 16).fill(fill);
+        }
+        doc.fillColor(bold ? '#111827' : '#374151').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        let x = left;
+        columns.forEach((column, index) => {
+          doc.text(cells[index] ?? '', x + 2, y, { width: column.width - 4, align: column.align || 'left', lineBreak: false, ellipsis: true });
+          x += column.width;
+        });
+      };
+
+      const bottom = doc.page.height - doc.page.margins.bottom - 20;
+      let y = 185;
+      const drawTableHeader = () => {
+        drawRow(columns.map(column => column.label), y, { bold: true, fill: '#e5e7eb' });
+        y += 18;
+      };
+
+      drawTableHeader();
+      drawRow([statement.period.from, '', 'Opening balance', '', '', formatAmount(statement.openingBalance)], y, { bold: true });
+      y += 16;
+
+      statement.transactions.forEach((transaction, index) => {
+        if (y > bottom) {
+          doc.addPage();
+          y = doc.page.margins.top;
+          drawTableHeader();
+        }
+        drawRow([
+          formatDate(transaction.date),
+          transaction.reference || transaction.transactionId,
+          transaction.description || transaction.type,
+          transaction.debit ? formatAmount(transaction.debit) : '',
+          transaction.credit ? formatAmount(transaction.credit) : '',
+          formatAmount(transaction.runningBalance)
+        ], y, { fill: index % 2 === 1 ? '#f9fafb' : null });
+        y += 16;
+      });
+
+      if (y > bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      drawRow([statement.period.to, '', 'Closing balance', formatAmount(statement.totalDebits), formatAmount(statement.totalCredits), formatAmount(statement.closingBalance)], y, { bold: true, fill: '#e5e7eb' });
+      y += 30;
+
+      // Totals by transaction type
+      const totals = Object.entries(statement.totalsByType);
+      if (y + 20 + totals.length * 14 > bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      doc.fillColor(branding.primaryColor).font('Helvetica-Bold').fontSize(10).text('Totals by type', left, y);
+      y += 16;
+      doc.fillColor('#374151').font('Helvetica').fontSize(8);
+      totals.forEach(([type, total]) => {
+        doc.text(type.replace(/_/g, ' '), left, y, { width: 150 });
+        doc.text(`${total.count}`, left + 150, y, { width: 50, align: 'right' });
+        doc.text(formatAmount(total.amount), left + 200, y, { width: 100, align: 'right' });
+        y += 14;
+      });
+      if (totals.length === 0) {
+        doc.text('No transactions in this period', left, y);
+      }
+
+      // Footer on every page
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.fillColor(branding.secondaryColor).fontSize(7).font('Helvetica')
+          .text(
+            `Generated ${statement.generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC  ·  Page ${i + 1} of ${range.count}`,
+            left,
+            doc.page.height - doc.page.margins.bottom - 10,
+            { width, align: 'center', lineBreak: false }
+          );
+      }
+
+      doc.end();
+    });
+  }
+}
+
+export default StatementService;
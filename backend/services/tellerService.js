@@ -0,0 +1,478 @@
+import TellerSession, { calculateExpectedCash } from '../models/tellerSessionModel.js';
+import Vault from '../models/vaultModel.js';
+import CashMovement from '../models/cashMovementModel.js';
+import BusinessDay from '../models/businessDayModel.js';
+import Branch from '../models/branchModel.js';
+import Transaction, { getTransactionDirection } from '../models/transactionModel.js';
+import AccountPostingService, { PostingError } from './accountPostingService.js';
+import InterestService from './interestService.js';
+import NumberingService from './numberingService.js';
+import { roundMoney, sumMoney, subtractMoney } from '../utils/money.js';
+
+// Expected cash as a query expression, so a drawer can never pay out more than it holds
+const EXPECTED_CASH_EXPR = {
+  $subtract: [
+    { $add: ['$openingFloat', '$cashIn', '$transfersIn'] },
+    { $add: ['$cashOut', '$transfersOut'] }
+  ]
+};
+
+// Roles whose postings are back-office adjustments unless they say the money is cash
+const BACK_OFFICE_ROLES = ['admin', 'manager', 'branch-manager'];
+
+/**
+ * Whether a staff deposit or withdrawal moves cash and so goes through a drawer.
+ * Front-line staff always post cash; back-office roles only when `channel` is 'cash'.
+ * @param {string} role - Role of the staff member posting
+ * @param {string} [channel] - 'cash' or 'non_cash' from the request
+ * @returns {boolean}
+ */
+export const isCashPosting = (role, channel) => !BACK_OFFICE_ROLES.includes(role) || channel === 'cash';
+
+/**
+ * Difference between a blind count and the system figure
+ * @param {number} expectedCash
+ * @param {number} countedCash
+ * @returns {Object} { variance, varianceType } variance is count - expected
+ */
+export const calculateVariance = (expectedCash, countedCash) => {
+  const variance = subtractMoney(countedCash, expectedCash);
+  return {
+    variance,
+    varianceType: variance === 0 ? 'balanced' : variance > 0 ? 'over' : 'short'
+  };
+};
+
+/**
+ * End-of-day totals over a branch's closed drawers
+ * @param {Array} drawers - Closed TellerSessions
+ * @returns {Object}
+ */
+export const summariseDrawers = (drawers) => {
+  const total = (pick) => sumMoney(drawers.map((drawer) => pick(drawer) || 0));
+  return {
+    drawers: drawers.length,
+    transactionCount: drawers.reduce((sum, drawer) => sum + (drawer.transactionCount || 0), 0),
+    cashIn: total(drawer => drawer.cashIn),
+    cashOut: total(drawer => drawer.cashOut),
+    totalOver: total(drawer => (drawer.variance > 0 ? drawer.variance : 0)),
+    totalShort: total(drawer => (drawer.variance < 0 ? -drawer.variance : 0)),
+    netVariance: total(drawer => drawer.variance)
+  };
+};
+
+/**
+ * Teller Service
+ * Teller cash drawers, the branch vault and the branch end-of-day close.
+ * Cash postings update the drawer in the same MongoDB transaction as the balance.
+ */
+class TellerService {
+  /**
+   * Today's business date (UTC midnight)
+   * @returns {Date}
+   */
+  static today() {
+    return InterestService.toBusinessDate(new Date());
+  }
+
+  /**
+   * Branch code to work in; the default branch from the numbering settings when none is given
+   * @param {string} branchCode
+   * @returns {Promise<string>}
+   */
+  static async resolveBranchCode(branchCode) {
+    const defaultCode = (await NumberingService.getSettings()).branchCode;
+    const code = branchCode ? String(branchCode).toUpperCase() : defaultCode;
+    if (code === defaultCode) {
+      return code;
+    }
+    const branch = await Branch.findOne({ code, isActive: true }).select('code').lean();
+    if (!branch) {
+      throw new PostingError('Branch not found or inactive');
+    }
+    return branch.code;
+  }
+
+  /**
+   * Refuse work on a business date the branch has closed
+   * @param {string} branchCode
+   * @param {Date} businessDate - UTC midnight
+   * @param {ClientSession} session
+   */
+  static async assertDateOpen(branchCode, businessDate, session = null) {
+    const closed = await BusinessDay.exists({ branchCode, businessDate }).session(session);
+    if (closed) {
+      throw new PostingError(
+        `Business date ${businessDate.toISOString().slice(0, 10)} is closed for branch ${branchCode}`,
+        409,
+        'BUSINESS_DATE_CLOSED'
+      );
+    }
+  }
+
+  /**
+   * The teller's open drawer for today, required before posting cash
+   * @param {string} tellerId - User id
+   * @param {ClientSession} session - Active MongoDB session
+   * @returns {Promise<Object>} TellerSession
+   */
+  static async requireOpenDrawer(tellerId, session) {
+    const drawer = await TellerSession.findOne({ teller: tellerId, status: 'open' }).session(session);
+    if (!drawer) {
+      throw new PostingError('Open a cash drawer before posting cash transactions', 409, 'NO_OPEN_DRAWER');
+    }
+    if (drawer.businessDate.getTime() !== this.today().getTime()) {
+      throw new PostingError('Your cash drawer is from an earlier business date; close it and open a new one', 409, 'DRAWER_OUT_OF_DATE');
+    }
+    await this.assertDateOpen(drawer.branchCode, drawer.businessDate, session);
+    return drawer;
+  }
+
+  /**
+   * Drawer a reversal should put cash back through: the original's drawer while it is
+   * still open. Once a drawer is closed its count is final and the reversal is non-cash.
+   * @param {Object} original - Transaction being reversed
+   * @param {ClientSession} session
+   * @returns {Promise<Object|undefined>} TellerSession id
+   */
+  static async drawerForReversal(original, session) {
+    if (!original.tellerSessionId) return undefined;
+    const open = await TellerSession.exists({ _id: original.tellerSessionId, status: 'open' }).session(session);
+    return open ? original.tellerSessionId : undefined;
+  }
+
+  /**
+   * Move a completed cash transaction through its drawer. Transactions without
+   * a drawer (transfers, interest, fees, self-service) are ignored.
+   * @param {Object} transaction - Saved Transaction
+   * @param {ClientSession} session - Active MongoDB session
+   * @returns {Promise<Object|null>} The updated TellerSession
+   */
+  static async recordCash(transaction, session) {
+    if (!transaction.tellerSessionId || transaction.status !== 'completed') {
+      return null;
+    }
+
+    if (getTransactionDirection(transaction) === 'credit') {
+      const drawer = await TellerSession.findOneAndUpdate(
+        { _id: transaction.tellerSessionId, status: 'open' },
+        { $inc: { cashIn: transaction.amount, transactionCount: 1 } },
+        { new: true, session }
+      );
+      if (!drawer) {
+        throw new PostingError('Cash drawer is closed', 409, 'DRAWER_CLOSED');
+      }
+      return drawer;
+    }
+
+    return this.takeFromDrawer(transaction.tellerSessionId, transaction.amount, { cashOut: transaction.amount, transactionCount: 1 }, session);
+  }
+
+  /**
+   * Take cash out of an open drawer, refusing to go below zero
+   * @param {string} drawerId
+   * @param {number} amount
+   * @param {Object} inc - Counters to increment
+   * @param {ClientSession} session
+   * @returns {Promise<Object>} The updated TellerSession
+   */
+  static async takeFromDrawer(drawerId, amount, inc, session) {
+    const drawer = await TellerSession.findOneAndUpdate(
+      { _id: drawerId, status: 'open', $expr: { $gte: [EXPECTED_CASH_EXPR, amount] } },
+      { $inc: inc },
+      { new: true, session }
+    );
+    if (drawer) {
+      return drawer;
+    }
+
+    const open = await TellerSession.exists({ _id: drawerId, status: 'open' }).session(session);
+    throw open
+      ? new PostingError('Not enough cash in the drawer', 409, 'INSUFFICIENT_DRAWER_CASH')
+      : new PostingError('Cash drawer is closed', 409, 'DRAWER_CLOSED');
+  }
+
+  /**
+   * Take cash out of a branch vault
+   * @param {string} branchCode
+   * @param {number} amount
+   * @param {string} userId
+   * @param {ClientSession} session
+   * @returns {Promise<Object>} The updated Vault
+   */
+  static async takeFromVault(branchCode, amount, userId, session) {
+    const vault = await Vault.findOneAndUpdate(
+      { branchCode, balance: { $gte: amount } },
+      { $inc: { balance: -amount }, $set: { updatedBy: userId } },
+      { new: true, session }
+    );
+    if (!vault) {
+      throw new PostingError(`Not enough cash in the ${branchCode} vault`, 409, 'INSUFFICIENT_VAULT_CASH');
+    }
+    return vault;
+  }
+
+  /**
+   * Put cash into a branch vault, creating the vault on first use
+   * @param {string} branchCode
+   * @param {number} amount
+   * @param {string} userId
+   * @param {ClientSession} session
+   * @returns {Promise<Object>} The updated Vault
+   */
+  static async addToVault(branchCode, amount, userId, session) {
+    return Vault.findOneAndUpdate(
+      { branchCode },
+      { $inc: { balance: amount }, $set: { updatedBy: userId } },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  /**
+   * Open a drawer for today with a float issued from the branch vault
+   * @param {Object} params - { tellerId, branchCode, openingFloat, openedBy }
+   * @returns {Promise<Object>} The TellerSession
+   */
+  static async openDrawer({ tellerId, branchCode, openingFloat = 0, openedBy }) {
+    const float = roundMoney(Number(openingFloat) || 0);
+    if (float < 0) {
+      throw new PostingError('Opening float cannot be negative');
+    }
+    const code = await this.resolveBranchCode(branchCode);
+    const businessDate = this.today();
+
+    return AccountPostingService.runInTransaction(async (session) => {
+      await this.assertDateOpen(code, businessDate, session);
+      if (await TellerSession.exists({ teller: tellerId, status: 'open' }).session(session)) {
+        throw new PostingError('You already have an open cash drawer', 409, 'DRAWER_ALREADY_OPEN');
+      }
+
+      const [drawer] = await TellerSession.create([{
+        teller: tellerId,
+        branchCode: code,
+        businessDate,
+        openingFloat: float
+      }], { session });
+
+      if (float > 0) {
+        await this.takeFromVault(code, float, openedBy, session);
+        await CashMovement.create([{
+          type: 'vault_to_teller',
+          amount: float,
+          branchCode: code,
+          businessDate,
+          toSession: drawer._id,
+          note: 'Opening float',
+          performedBy: openedBy
+        }], { session });
+      }
+
+      return drawer;
+    });
+  }
+
+  /**
+   * Move cash between the vault and drawers of one branch
+   * @param {Object} params - { from, to, amount, note, performedBy } from/to are 'vault' or a drawer id
+   * @returns {Promise<Object>} The CashMovement
+   */
+  static async transferCash({ from, to, amount, note, performedBy }) {
+    const value = roundMoney(Number(amount));
+    if (!value || Number.isNaN(value) || value <= 0) {
+      throw new PostingError('Transfer amount must be a positive amount');
+    }
+    if (!from || !to || String(from) === String(to)) {
+      throw new PostingError('Choose a different source and destination');
+    }
+
+    return AccountPostingService.runInTransaction(async (session) => {
+      const loadDrawer = async (id) => {
+        const drawer = await TellerSession.findById(id).session(session);
+        if (!drawer) {
+          throw new PostingError('Cash drawer not found', 404);
+        }
+        if (drawer.status !== 'open') {
+          throw new PostingError('Cash drawer is closed', 409, 'DRAWER_CLOSED');
+        }
+        return drawer;
+      };
+
+      const source = from === 'vault' ? null : await loadDrawer(from);
+      const target = to === 'vault' ? null : await loadDrawer(to);
+      if (source && target && source.branchCode !== target.branchCode) {
+        throw new PostingError('Cash can only move between drawers of the same branch');
+      }
+      const branchCode = (source || target).branchCode;
+      const businessDate = this.today();
+      await this.assertDateOpen(branchCode, businessDate, session);
+
+      if (source) {
+        await this.takeFromDrawer(source._id, value, { transfersOut: value }, session);
+      } else {
+        await this.takeFromVault(branchCode, value, performedBy, session);
+      }
+      if (target) {
+        await TellerSession.updateOne({ _id: target._id }, { $inc: { transfersIn: value } }, { session });
+      } else {
+        await this.addToVault(branchCode, value, performedBy, session);
+      }
+
+      const [movement] = await CashMovement.create([{
+        type: !source ? 'vault_to_teller' : !target ? 'teller_to_vault' : 'teller_to_teller',
+        amount: value,
+        branchCode,
+        businessDate,
+        fromSession: source?._id || null,
+        toSession: target?._id || null,
+        note,
+        performedBy
+      }], { session });
+
+      return movement;
+    });
+  }
+
+  /**
+   * Record cash delivered to or collected from a branch vault (e.g. from head office)
+   * @param {Object} params - { branchCode, direction: 'in'|'out', amount, note, performedBy }
+   * @returns {Promise<Object>} { vault, movement }
+   */
+  static async adjustVault({ branchCode, direction, amount, note, performedBy }) {
+    const value = roundMoney(Number(amount));
+    if (!value || Number.isNaN(value) || value <= 0) {
+      throw new PostingError('Amount must be a positive amount');
+    }
+    if (!['in', 'out'].includes(direction)) {
+      throw new PostingError('Direction must be in or out');
+    }
+    if (!note || !String(note).trim()) {
+      throw new PostingError('A note explaining the cash movement is required');
+    }
+    const code = await this.resolveBranchCode(branchCode);
+    const businessDate = this.today();
+
+    return AccountPostingService.runInTransaction(async (session) => {
+      await this.assertDateOpen(code, businessDate, session);
+      const vault = direction === 'in'
+        ? await this.addToVault(code, value, performedBy, session)
+        : await this.takeFromVault(code, value, performedBy, session);
+
+      const [movement] = await CashMovement.create([{
+        type: direction === 'in' ? 'vault_in' : 'vault_out',
+        amount: value,
+        branchCode: code,
+        businessDate,
+        note,
+        performedBy
+      }], { session });
+
+      return { vault, movement };
+    });
+  }
+
+  /**
+   * Close a drawer with the teller's blind count. The counted cash goes back to the
+   * vault and the difference from the expected figure is kept as over/short.
+   * @param {string} drawerId
+   * @param {Object} params - { countedCash, note, closedBy, ownerOnly } ownerOnly limits closing to the drawer's teller
+   * @returns {Promise<Object>} The closed TellerSession
+   */
+  static async closeDrawer(drawerId, { countedCash, note, closedBy, ownerOnly = false }) {
+    const counted = roundMoney(Number(countedCash));
+    if (countedCash === undefined || countedCash === null || countedCash === '' || Number.isNaN(counted) || counted < 0) {
+      throw new PostingError('Counted cash must be zero or more');
+    }
+
+    return AccountPostingService.runInTransaction(async (session) => {
+      const drawer = await TellerSession.findById(drawerId).session(session);
+      if (!drawer) {
+        throw new PostingError('Cash drawer not found', 404);
+      }
+      if (ownerOnly && String(drawer.teller) !== String(closedBy)) {
+        throw new PostingError('You can only close your own cash drawer', 403);
+      }
+      if (drawer.status !== 'open') {
+        throw new PostingError('Cash drawer is already closed', 409, 'DRAWER_CLOSED');
+      }
+
+      const pending = await Transaction.countDocuments({ tellerSessionId: drawer._id, status: 'pending' }).session(session);
+      if (pending > 0) {
+        throw new PostingError(`${pending} cash transaction(s) from this drawer are waiting for approval`, 409, 'PENDING_TRANSACTIONS');
+      }
+
+      const expectedCash = calculateExpectedCash(drawer);
+      Object.assign(drawer, {
+        status: 'closed',
+        countedCash: counted,
+        expectedCash,
+        ...calculateVariance(expectedCash, counted),
+        closeNote: note,
+        closedAt: new Date(),
+        closedBy
+      });
+      await drawer.save({ session });
+
+      if (counted > 0) {
+        await this.addToVault(drawer.branchCode, counted, closedBy, session);
+        await CashMovement.create([{
+          type: 'teller_to_vault',
+          amount: counted,
+          branchCode: drawer.branchCode,
+          businessDate: drawer.businessDate,
+          fromSession: drawer._id,
+          note: 'Drawer close',
+          performedBy: closedBy
+        }], { session });
+      }
+
+      return drawer;
+    });
+  }
+
+  /**
+   * Close a branch's business date. Every drawer must be closed first; afterwards no
+   * drawer can be opened and no teller cash posted for the date.
+   * @param {Object} params - { branchCode, date, note, closedBy } date defaults to today
+   * @returns {Promise<Object>} The BusinessDay
+   */
+  static async closeBusinessDay({ branchCode, date, note, closedBy }) {
+    let businessDate;
+    try {
+      businessDate = date ? InterestService.toBusinessDate(date) : this.today();
+    } catch {
+      throw new PostingError('Date must be in YYYY-MM-DD format');
+    }
+    if (businessDate > this.today()) {
+      throw new PostingError('A future business date cannot be closed');
+    }
+    const code = await this.resolveBranchCode(branchCode);
+
+    return AccountPostingService.runInTransaction(async (session) => {
+      await this.assertDateOpen(code, businessDate, session);
+
+      const openDrawers = await TellerSession.countDocuments({
+        branchCode: code,
+        status: 'open',
+        businessDate: { $lte: businessDate }
+      }).session(session);
+      if (openDrawers > 0) {
+        throw new PostingError(`${openDrawers} cash drawer(s) are still open`, 409, 'OPEN_DRAWERS');
+      }
+
+      const drawers = await TellerSession.find({ branchCode: code, businessDate, status: 'closed' }).session(session).lean();
+      const vault = await Vault.findOne({ branchCode: code }).session(session).lean();
+
+      const [day] = await BusinessDay.create([{
+        branchCode: code,
+        businessDate,
+        summary: { ...summariseDrawers(drawers), vaultBalance: vault?.balance || 0 },
+        note,
+        closedBy
+      }], { session });
+
+      return day;
+    });
+  }
+}
+
+export default TellerService;
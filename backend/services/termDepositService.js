@@ -0,0 +1,342 @@
+import SavingsAccount from '../models/savingsAccountModel.js';
+import AccountProduct from '../models/accountProductModel.js';
+import InterestAccrual from '../models/interestAccrualModel.js';
+import AccountPostingService, { PostingError } from './accountPostingService.js';
+import InterestService from './interestService.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Term Deposit Service
+ * Opening terms, maturity processing and early withdrawal for fixed accounts
+ */
+class TermDepositService {
+  /**
+   * Add calendar months in UTC, clamping to the last day of shorter months
+   * @param {Date} date
+   * @param {number} months
+   * @returns {Date}
+   */
+  static addMonths(date, months) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+  }
+
+  /**
+   * Validate opening parameters against the product and build the termDeposit subdocument
+   * @param {Object} product - AccountProduct (may be null)
+   * @param {Object} params - { principal, tenorMonths, interestPayout, maturityInstruction, payoutAccountId }
+   * @param {string} customerId - Owner of the new account
+   * @returns {Promise<Object>}
+   */
+  static async buildTerms(product, params = {}, customerId) {
+    const principal = Number(params.principal);
+    const tenorMonths = Number(params.tenorMonths);
+    const interestPayout = params.interestPayout || 'at_maturity';
+    const maturityInstruction = params.maturityInstruction || 'manual';
+
+    if (!principal || Number.isNaN(principal) || principal <= 0) {
+      throw new PostingError('Term deposit principal must be a positive amount');
+    }
+    if (!Number.isInteger(tenorMonths) || tenorMonths < 1) {
+      throw new PostingError('Term deposit tenor must be a whole number of months');
+    }
+    const tenorOptions = product?.termSettings?.tenorOptions || [];
+    if (tenorOptions.length > 0 && !tenorOptions.includes(tenorMonths)) {
+      throw new PostingError(`Tenor must be one of ${tenorOptions.join(', ')} months for this product`);
+    }
+    if (!['at_maturity', 'periodic'].includes(interestPayout)) {
+      throw new PostingError('Interest payout must be at_maturity or periodic');
+    }
+    if (!['rollover', 'payout', 'manual'].includes(maturityInstruction)) {
+      throw new PostingError('Maturity instruction must be rollover, payout or manual');
+    }
+
+    if (params.payoutAccountId) {
+      await this.findPayoutAccount(params.payoutAccountId, customerId);
+    } else if (maturityInstruction === 'payout') {
+      throw new PostingError('A payout account is required when the maturity instruction is payout');
+    }
+
+    const startDate = InterestService.toBusinessDate(new Date());
+    return {
+      principal,
+      tenorMonths,
+      startDate,
+      maturityDate: this.addMonths(startDate, tenorMonths),
+      interestPayout,
+      maturityInstruction,
+      payoutAccountId: params.payoutAccountId || undefined,
+      status: 'active',
+      rolloverCount: 0
+    };
+  }
+
+  /**
+   * Load and check the regular account that receives term deposit payouts
+   * @returns {Promise<Object>} SavingsAccount document
+   */
+  static async findPayoutAccount(payoutAccountId, customerId, session = null) {
+    const payoutAccount = await SavingsAccount.findById(payoutAccountId).session(session);
+    if (!payoutAccount || String(payoutAccount.customerId) !== String(customerId)) {
+      throw new PostingError('Payout account must be another account of the same customer');
+    }
+    if (payoutAccount.accountType === 'fixed') {
+      throw new PostingError('Payout account cannot be a term deposit');
+    }
+    if (payoutAccount.status !== 'active') {
+      throw new PostingError('Payout account is not active');
+    }
+    return payoutAccount;
+  }
+
+  /**
+   * Move the whole balance out of a term account, to its payout account or as cash
+   * @returns {Promise<Object|null>} { method, amount, transferReference? } or null if nothing to pay
+   */
+  static async payOut(account, method, session, audit = {}) {
+    const amount = roundMoney(account.balance);
+    if (amount <= 0) {
+      return null;
+    }
+    if (account.heldAmount > 0) {
+      throw new PostingError('Release the active holds on this account before paying it out', 400, 'ACCOUNT_HAS_HOLDS');
+    }
+
+    if (method === 'cash') {
+      await AccountPostingService.postEntry(account, {
+        ...audit,
+        type: 'withdrawal',
+        amount,
+        description: `Term deposit payout for ${account.accountNumber}`
+      }, session);
+      return { method, amount };
+    }
+
+    if (!account.termDeposit.payoutAccountId) {
+      throw new PostingError('No payout account is linked to this term deposit');
+    }
+    const payoutAccount = await this.findPayoutAccount(account.termDeposit.payoutAccountId, account.customerId, session);
+    const transfer = await AccountPostingService.postTransfer(account, payoutAccount, {
+      ...audit,
+      amount,
+      description: `Term deposit payout from ${account.accountNumber}`
+    }, session, { skipWithdrawalCheck: true });
+
+    return { method: 'transfer', amount, transferReference: transfer.transferReference, payoutAccountNumber: payoutAccount.accountNumber };
+  }
+
+  /**
+   * Start a new term on the current balance, from `startDate`
+   */
+  static rollOver(account, startDate) {
+    account.termDeposit.principal = roundMoney(account.balance);
+    account.termDeposit.startDate = startDate;
+    account.termDeposit.maturityDate = this.addMonths(startDate, account.termDeposit.tenorMonths);
+    account.termDeposit.rolloverCount = (account.termDeposit.rolloverCount || 0) + 1;
+    account.termDeposit.status = 'active';
+  }
+
+  /**
+   * Capitalise interest and carry out the maturity instruction for one account.
+   * Does nothing if the account is no longer a running term that has reached maturity.
+   * @returns {Promise<Object|null>} { accountNumber, action, interest, payout? }
+   */
+  static async matureAccount(accountId, date, { processedBy } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account?.isLockedTerm() || account.termDeposit.maturityDate > date) {
+        return null;
+      }
+
+      const interest = await InterestService.capitaliseInSession(account, date, session, { processedBy });
+      const result = { accountNumber: account.accountNumber, interest: interest?.amount || 0 };
+      account.termDeposit.maturedAt = new Date();
+
+      // Held funds cannot leave automatically; staff decide once the holds are released
+      const instruction = account.termDeposit.maturityInstruction === 'payout' && account.heldAmount > 0
+        ? 'manual'
+        : account.termDeposit.maturityInstruction;
+
+      switch (instruction) {
+        case 'rollover':
+          this.rollOver(account, account.termDeposit.maturityDate);
+          result.action = 'rolled_over';
+          break;
+        case 'payout':
+          account.termDeposit.status = 'paid_out';
+          account.termDeposit.closedAt = new Date();
+          result.payout = await this.payOut(account, 'transfer', session, { processedBy });
+          result.action = 'paid_out';
+          break;
+        default:
+          account.termDeposit.status = 'awaiting_action';
+          result.action = 'awaiting_action';
+      }
+
+      await account.save({ session });
+      return result;
+    });
+  }
+
+  /**
+   * Process every running term deposit that matured on or before a business date.
+   * Safe to re-run: processed accounts are no longer in the active state.
+   * @param {Date|string} value - Business date (must be a past day)
+   * @param {Object} options - { processedBy }
+   * @returns {Promise<Object>} Run report
+   */
+  static async processMaturities(value, { processedBy } = {}) {
+    const date = InterestService.toBusinessDate(value);
+    if (date >= InterestService.toBusinessDate(new Date())) {
+      throw new Error('Maturities can only be run for a completed business day');
+    }
+
+    const report = {
+      date: date.toISOString().slice(0, 10),
+      matured: 0,
+      rolledOver: 0,
+      paidOut: 0,
+      awaitingAction: 0,
+      items: [],
+      errors: []
+    };
+
+    const accounts = await SavingsAccount.find({
+      accountType: 'fixed',
+      'termDeposit.status': 'active',
+      'termDeposit.maturityDate': { $lt: new Date(date.getTime() + DAY_MS) }
+    }).select('accountNumber');
+
+    for (const account of accounts) {
+      try {
+        const result = await this.matureAccount(account._id, date, { processedBy });
+        if (!result) continue;
+
+        report.matured++;
+        if (result.action === 'rolled_over') report.rolledOver++;
+        if (result.action === 'paid_out') report.paidOut++;
+        if (result.action === 'awaiting_action') report.awaitingAction++;
+        report.items.push(result);
+      } catch (error) {
+        console.error(`❌ Maturity processing failed for account ${account.accountNumber}:`, error.message);
+        report.errors.push({ accountNumber: account.accountNumber, message: error.message });
+      }
+    }
+
+    console.log(`✅ Maturity run for ${report.date}: ${report.matured} matured, ${report.awaitingAction} awaiting staff action, ${report.errors.length} errors`);
+    return report;
+  }
+
+  /**
+   * Penalty owed for breaking a term early, per the product setting
+   * @param {Object} account - Term account
+   * @param {Object} product - AccountProduct (may be null)
+   * @returns {Object} { type, amount, forfeitInterest }
+   */
+  static getEarlyWithdrawalPenalty(account, product) {
+    const penalty = product?.termSettings?.earlyWithdrawalPenalty || { type: 'forfeit_interest', value: 0 };
+
+    switch (penalty.type) {
+      case 'percentage_of_principal':
+        return { type: penalty.type, amount: roundMoney(account.termDeposit.principal * (penalty.value || 0) / 100), forfeitInterest: false };
+      case 'flat':
+        return { type: penalty.type, amount: roundMoney(penalty.value || 0), forfeitInterest: false };
+      case 'none':
+        return { type: penalty.type, amount: 0, forfeitInterest: false };
+      case 'forfeit_interest':
+      default:
+        return { type: 'forfeit_interest', amount: 0, forfeitInterest: true };
+    }
+  }
+
+  /**
+   * Break a running term before maturity: apply the product penalty and pay out the rest
+   * @param {string} accountId
+   * @param {Object} options - { payoutMethod: 'transfer' | 'cash', reason, processedBy }
+   * @returns {Promise<Object>} Breakdown of interest, penalty and payout
+   */
+  static async breakTerm(accountId, { payoutMethod = 'transfer', reason, processedBy } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
+      if (!account.isLockedTerm()) {
+        throw new PostingError('Account is not a running term deposit');
+      }
+
+      const product = account.productId
+        ? await AccountProduct.findById(account.productId).session(session).lean()
+        : null;
+      const penalty = this.getEarlyWithdrawalPenalty(account, product);
+      const today = InterestService.toBusinessDate(new Date());
+      const result = { accountNumber: account.accountNumber, penaltyType: penalty.type, interest: 0, forfeitedInterest: 0, penalty: 0 };
+
+      if (penalty.forfeitInterest) {
+        const pending = await InterestAccrual.getPendingInterest(account._id, session);
+        result.forfeitedInterest = roundMoney(pending.total);
+        await InterestAccrual.updateMany({ accountId: account._id, status: 'accrued' }, { status: 'forfeited' }, { session });
+      } else {
+        const interest = await InterestService.capitaliseInSession(account, today, session, { processedBy });
+        result.interest = interest?.amount || 0;
+      }
+
+      const penaltyAmount = Math.min(penalty.amount, roundMoney(account.balance));
+      if (penaltyAmount > 0) {
+        await AccountPostingService.postEntry(account, {
+          type: 'fee',
+          amount: penaltyAmount,
+          description: 'Term deposit early withdrawal penalty',
+          processedBy,
+          metadata: { penaltyType: penalty.type, reason }
+        }, session);
+        result.penalty = penaltyAmount;
+      }
+
+      account.termDeposit.status = 'broken';
+      account.termDeposit.closedAt = new Date();
+      result.payout = await this.payOut(account, payoutMethod, session, { processedBy });
+      await account.save({ session });
+
+      return result;
+    });
+  }
+
+  /**
+   * Staff decision on a matured term flagged for action
+   * @param {string} accountId
+   * @param {Object} options - { action: 'rollover' | 'payout', payoutMethod, processedBy }
+   * @returns {Promise<Object>}
+   */
+  static async resolveMatured(accountId, { action, payoutMethod = 'transfer', processedBy } = {}) {
+    return AccountPostingService.runInTransaction(async (session) => {
+      const account = await SavingsAccount.findById(accountId).session(session);
+      if (!account) {
+        throw new PostingError('Savings account not found', 404);
+      }
+      if (account.termDeposit?.status !== 'awaiting_action') {
+        throw new PostingError('Term deposit is not awaiting a maturity decision');
+      }
+
+      const result = { accountNumber: account.accountNumber, action };
+      if (action === 'rollover') {
+        this.rollOver(account, InterestService.toBusinessDate(new Date()));
+      } else if (action === 'payout') {
+        account.termDeposit.status = 'paid_out';
+        account.termDeposit.closedAt = new Date();
+        result.payout = await this.payOut(account, payoutMethod, session, { processedBy });
+      } else {
+        throw new PostingError('Action must be rollover or payout');
+      }
+
+      await account.save({ session });
+      return result;
+    });
+  }
+}
+
+export default TermDepositService;
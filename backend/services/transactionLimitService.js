@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import AccountProduct from '../models/accountProductModel.js';
+import Transaction from '../models/transactionModel.js';
+import { PostingError } from './accountPostingService.js';
+
+// Transaction types that count towards each side's cumulative limits
+const LIMIT_TYPES = {
+  deposit: ['deposit', 'transfer_in'],
+  withdrawal: ['withdrawal', 'transfer_out']
+};
+
+const CHANNELS = ['teller', 'customer'];
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const formatAmount = (amount) => `${Number(amount).toLocaleString()} RWF`;
+
+/**
+ * Check an amount against effective limits and cumulative usage.
+ * Kept free of I/O so the same rules back both posting and the limits endpoint.
+ * @param {Object} limits - Effective limits from getEffectiveLimits
+ * @param {Object} usage - Cumulative usage from getUsage
+ * @param {string} kind - 'deposit' | 'withdrawal'
+ * @param {number} amount
+ * @returns {Object|null} { code, message } for the first limit broken, or null
+ */
+export const evaluateLimits = (limits, usage, kind, amount) => {
+  if (!limits) return null;
+
+  if (kind === 'deposit') {
+    if (!usage.hasDeposits && isSet(limits.openingDeposit) && amount < limits.openingDeposit) {
+      return { code: 'BELOW_OPENING_DEPOSIT', message: `The first deposit must be at least ${formatAmount(limits.openingDeposit)}` };
+    }
+    if (isSet(limits.minDeposit) && amount < limits.minDeposit) {
+      return { code: 'BELOW_MIN_DEPOSIT', message: `Minimum deposit is ${formatAmount(limits.minDeposit)}` };
+    }
+    if (isSet(limits.maxDeposit) && amount > limits.maxDeposit) {
+      return { code: 'ABOVE_MAX_DEPOSIT', message: `Maximum deposit is ${formatAmount(limits.maxDeposit)}` };
+    }
+    if (isSet(limits.channelMaxDeposit) && amount > limits.channelMaxDeposit) {
+      return { code: 'CHANNEL_DEPOSIT_LIMIT', message: `Maximum deposit through this channel is ${formatAmount(limits.channelMaxDeposit)}` };
+    }
+    if (isSet(limits.dailyDepositLimit) && usage.depositsToday + amount > limits.dailyDepositLimit) {
+      return { code: 'DAILY_DEPOSIT_LIMIT', message: `Daily deposit limit of ${formatAmount(limits.dailyDepositLimit)} would be exceeded` };
+    }
+    if (isSet(limits.monthlyDepositLimit) && usage.depositsThisMonth + amount > limits.monthlyDepositLimit) {
+      return { code: 'MONTHLY_DEPOSIT_LIMIT', message: `Monthly deposit limit of ${formatAmount(limits.monthlyDepositLimit)} would be exceeded` };
+    }
+    return null;
+  }
+
+  if (isSet(limits.minWithdrawal) && amount < limits.minWithdrawal) {
+    return { code: 'BELOW_MIN_WITHDRAWAL', message: `Minimum withdrawal is ${formatAmount(limits.minWithdrawal)}` };
+  }
+  if (isSet(limits.maxWithdrawal) && amount > limits.maxWithdrawal) {
+    return { code: 'ABOVE_MAX_WITHDRAWAL', message: `Maximum withdrawal is ${formatAmount(limits.maxWithdrawal)}` };
+  }
+  if (isSet(limits.channelMaxWithdrawal) && amount > limits.channelMaxWithdrawal) {
+    return { code: 'CHANNEL_WITHDRAWAL_LIMIT', message: `Maximum withdrawal through this channel is ${formatAmount(limits.channelMaxWithdrawal)}` };
+  }
+  if (isSet(limits.dailyWithdrawalLimit) && usage.withdrawalsToday + amount > limits.dailyWithdrawalLimit) {
+    return { code: 'DAILY_WITHDRAWAL_LIMIT', message: `Daily withdrawal limit of ${formatAmount(limits.dailyWithdrawalLimit)} would be exceeded` };
+  }
+  if (isSet(limits.monthlyWithdrawalLimit) && usage.withdrawalsThisMonth + amount > limits.monthlyWithdrawalLimit) {
+    return { code: 'MONTHLY_WITHDRAWAL_LIMIT', message: `Monthly withdrawal limit of ${formatAmount(limits.monthlyWithdrawalLimit)} would be exceeded` };
+  }
+  return null;
+};
+
+/**
+ * Transaction Limit Service
+ * Enforces AccountProduct deposit/withdrawal limits on every posting path
+ */
+class TransactionLimitService {
+  /**
+   * Limits that apply to an account on a channel, or null if its product sets none
+   * @param {Object} account - SavingsAccount document
+   * @param {string} channel - 'teller' | 'customer'
+   * @param {ClientSession} session - Optional MongoDB session
+   * @returns {Promise<Object|null>}
+   */
+  static async getEffectiveLimits(account, channel, session = null) {
+    if (!CHANNELS.includes(channel)) {
+      throw new Error(`Unknown transaction channel: ${channel}`);
+    }
+    if (!account.productId) {
+      return null;
+    }
+
+    const product = await AccountProduct.findById(account.productId)
+      .select('minimumDeposit depositLimits channelLimits')
+      .session(session)
+      .lean();
+    if (!product) {
+      return null;
+    }
+
+    const limits = product.depositLimits || {};
+    const channelLimits = product.channelLimits?.[channel] || {};
+
+    return {
+      channel,
+      openingDeposit: product.minimumDeposit || null,
+      minDeposit: limits.minDeposit || null,
+      maxDeposit: limits.maxDeposit ?? null,
+      minWithdrawal: limits.minWithdrawal || null,
+      maxWithdrawal: limits.maxWithdrawal ?? null,
+      dailyDepositLimit: limits.dailyDepositLimit ?? null,
+      monthlyDepositLimit: limits.monthlyDepositLimit ?? null,
+      dailyWithdrawalLimit: limits.dailyWithdrawalLimit ?? null,
+      monthlyWithdrawalLimit: limits.monthlyWithdrawalLimit ?? null,
+      channelMaxDeposit: channelLimits.maxDeposit ?? null,
+      channelMaxWithdrawal: channelLimits.maxWithdrawal ?? null
+    };
+  }
+
+  /**
+   * Completed, unreversed deposits and withdrawals for the current UTC day and month
+   * @param {string} accountId
+   * @param {ClientSession} session - Optional MongoDB session
+   * @returns {Promise<Object>}
+   */
+  static async getUsage(accountId, session = null) {
+    const now = new Date();
+    const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const objectId = new mongoose.Types.ObjectId(String(accountId));
+
+    const [totals] = await Transaction.aggregate([
+      {
+        $match: {
+          accountId: objectId,
+          status: 'completed',
+          reversedBy: null,
+          type: { $in: [...LIMIT_TYPES.deposit, ...LIMIT_TYPES.withdrawal] },
+          createdAt: { $gte: startOfMonth }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          depositsThisMonth: { $sum: { $cond: [{ $in: ['$type', LIMIT_TYPES.deposit] }, '$amount', 0] } },
+          withdrawalsThisMonth: { $sum: { $cond: [{ $in: ['$type', LIMIT_TYPES.withdrawal] }, '$amount', 0] } },
+          depositsToday: {
+            $sum: { $cond: [{ $and: [{ $in: ['$type', LIMIT_TYPES.deposit] }, { $gte: ['$createdAt', startOfDay] }] }, '$amount', 0] }
+          },
+          withdrawalsToday: {
+            $sum: { $cond: [{ $and: [{ $in: ['$type', LIMIT_TYPES.withdrawal] }, { $gte: ['$createdAt', startOfDay] }] }, '$amount', 0] }
+          }
+        }
+      }
+    ]).session(session);
+
+    const hasDeposits = Boolean(await Transaction.exists({
+      accountId: objectId,
+      status: 'completed',
+      type: { $in: LIMIT_TYPES.deposit }
+    }).session(session));
+
+    return {
+      depositsToday: totals?.depositsToday || 0,
+      depositsThisMonth: totals?.depositsThisMonth || 0,
+      withdrawalsToday: totals?.withdrawalsToday || 0,
+      withdrawalsThisMonth: totals?.withdrawalsThisMonth || 0,
+      hasDeposits
+    };
+  }
+
+  /**
+   * Throw a PostingError carrying the limit's error code if the amount is not allowed.
+   * Call inside `runInTransaction` so usage is read in the same snapshot as the posting.
+   * @param {Object} account - SavingsAccount document
+   * @param {Object} request - { kind: 'deposit' | 'withdrawal', amount, channel }
+   * @param {ClientSession} session - Active MongoDB session
+   */
+  static async assertWithinLimits(account, { kind, amount, channel }, session) {
+    const limits = await this.getEffectiveLimits(account, channel, session);
+    if (!limits) return;
+
+    const usage = await this.getUsage(account._id, session);
+    const violation = evaluateLimits(limits, usage, kind, amount);
+    if (violation) {
+      throw new PostingError(violation.message, 400, violation.code);
+    }
+  }
+
+  /**
+   * Limits, usage and what is left today, for pre-submission checks in the UI
+   * @param {Object} account - SavingsAccount document
+   * @param {string} channel - 'teller' | 'customer'
+   * @returns {Promise<Object>}
+   */
+  static async getLimitStatus(account, channel) {
+    const limits = await this.getEffectiveLimits(account, channel);
+    const usage = await this.getUsage(account._id);
+    const remaining = (limit, used) => (isSet(limit) ? Math.max(0, limit - used) : null);
+
+    return {
+      limits,
+      usage,
+      remaining: limits ? {
+        depositToday: remaining(limits.dailyDepositLimit, usage.depositsToday),
+        depositThisMonth: remaining(limits.monthlyDepositLimit, usage.depositsThisMonth),
+        withdrawalToday: remaining(limits.dailyWithdrawalLimit, usage.withdrawalsToday),
+        withdrawalThisMonth: remaining(limits.monthlyWithdrawalLimit, usage.withdrawalsThisMonth)
+      } : null
+    };
+  }
+}
+
+export default TransactionLimitService;
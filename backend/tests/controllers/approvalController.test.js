@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Transaction from '../../models/transactionModel.js';
+import SavingsAccount from '../../models/savingsAccountModel.js';
+import Customer from '../../models/customerModel.js';
+import AccountHold from '../../models/accountHoldModel.js';
+import ApprovalRule from '../../models/approvalRuleModel.js';
+import TellerSession from '../../models/tellerSessionModel.js';
+import TellerService from '../../services/tellerService.js';
+import { processWithdrawal } from '../../controllers/transactionController.js';
+import { approveTransaction, rejectTransaction } from '../../controllers/approvalController.js';
+
+describe('Approval Controller', () => {
+  const maker = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+  const checker = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+  let testAccount;
+
+  const buildRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+  const requestWithdrawal = async (amount) => {
+    const res = buildRes();
+    await processWithdrawal({
+      body: { accountId: testAccount._id.toString(), amount },
+      headers: {},
+      user: maker,
+      ip: '127.0.0.1'
+    }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    const customer = await Customer.create({
+      customerCode: 'CUST-APPR',
+      personalInfo: { fullName: 'Approval Test User' },
+      contact: { email: 'approval@example.com', phone: '+250788333333' },
+      password: 'password123',
+      isActive: true,
+    });
+
+    testAccount = await SavingsAccount.create({
+      customerId: customer._id,
+      accountNumber: 'SAV5550001111',
+      accountType: 'regular',
+      balance: 10000,
+      minimumBalance: 0,
+      status: 'active',
+      isVerified: true,
+    });
+
+    await ApprovalRule.create({ transactionType: 'withdrawal', role: 'accountant', threshold: 5000 });
+    await TellerSession.create({ teller: maker._id, branchCode: '01', businessDate: TellerService.today(), openingFloat: 10000 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should post withdrawals below the threshold straight away', async () => {
+    const res = await requestWithdrawal(1000);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect((await SavingsAccount.findById(testAccount._id)).balance).toBe(9000);
+  });
+
+  it('should hold large withdrawals as pending', async () => {
+    const res = await requestWithdrawal(6000);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    const { transaction } = res.json.mock.calls[0][0].data;
+    expect(transaction.status).toBe('pending');
+
+    const account = await SavingsAccount.findById(testAccount._id);
+    expect(account.balance).toBe(10000);
+    expect(account.availableBalance).toBe(4000);
+  });
+
+  it('should not let the maker approve their own transaction', async () => {
+    const { transaction } = (await requestWithdrawal(6000)).json.mock.calls[0][0].data;
+    const res = buildRes();
+
+    await approveTransaction({ params: { id: transaction.id.toString() }, body: {}, user: maker }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect((await Transaction.findById(transaction.id)).status).toBe('pending');
+  });
+
+  it('should post the transaction and release the hold on approval', async () => {
+    const { transaction } = (await requestWithdrawal(6000)).json.mock.calls[0][0].data;
+    const res = buildRes();
+
+    await approveTransaction({ params: { id: transaction.id.toString() }, body: { note: 'Checked ID' }, user: checker }, res);
+
+    const posted = await Transaction.findById(transaction.id);
+    const account = await SavingsAccount.findById(testAccount._id);
+    expect(posted.status).toBe('completed');
+    expect(String(posted.approvedBy)).toBe(String(checker._id));
+    expect(posted.balanceAfter).toBe(4000);
+    expect(account.balance).toBe(4000);
+    expect(account.heldAmount).toBe(0);
+    // The cash leaves the maker's drawer once the withdrawal is posted
+    expect((await TellerSession.findOne({ teller: maker._id })).cashOut).toBe(6000);
+  });
+
+  it('should cancel the transaction and release the hold on rejection', async () => {
+    const { transaction } = (await requestWithdrawal(6000)).json.mock.calls[0][0].data;
+    const res = buildRes();
+
+    await rejectTransaction({ params: { id: transaction.id.toString() }, body: { note: 'Signature mismatch' }, user: checker }, res);
+
+    const rejected = await Transaction.findById(transaction.id);
+    const hold = await AccountHold.findById(rejected.approval.holdId);
+    expect(rejected.status).toBe('cancelled');
+    expect(rejected.approval.decision).toBe('rejected');
+    expect(hold.status).toBe('released');
+    expect((await SavingsAccount.findById(testAccount._id)).availableBalance).toBe(10000);
+  });
+});
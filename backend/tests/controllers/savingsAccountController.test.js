@@ -6,8 +6,10 @@ import {
   createSavingsAccount, 
   getSavingsAccounts, 
   getSavingsAccountById,
-  getLowBalanceAccounts 
+  getLowBalanceAccounts,
+  closeSavingsAccount
 } from '../../controllers/savingsAccountController.js';
+import HoldService from '../../services/holdService.js';
 
 describe('Savings Account Controller', () => {
   let mockReq, mockRes;
@@ -197,5 +199,47 @@ describe('Savings Account Controller', () => {
       expect(responseData.data.every(acc => acc.balance < 1000)).toBe(true);
     });
   });
+
+  describe('closeSavingsAccount', () => {
+    let account;
+
+    beforeEach(async () => {
+      account = await SavingsAccount.create({
+        customerId: testCustomer._id,
+        accountType: 'regular',
+        balance: 20000,
+        feeArrears: 500,
+        status: 'active',
+      });
+      mockReq.user = { _id: '507f1f77bcf86cd799439012' };
+      mockReq.params = { id: account._id.toString() };
+    });
+
+    it('should charge fee arrears, pay out the rest and close the account', async () => {
+      mockReq.body = { reason: 'customer_request', payoutMethod: 'cash' };
+
+      await closeSavingsAccount(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.success).toBe(true);
+      expect(response.data.settlement).toEqual(expect.objectContaining({ arrearsCollected: 500, payout: 19500 }));
+
+      const closed = await SavingsAccount.findById(account._id);
+      expect(closed.status).toBe('closed');
+      expect(closed.balance).toBe(0);
+      expect(closed.closure.certificateNumber).toBe(`CLS-${closed.accountNumber}`);
+    });
+
+    it('should refuse to close an account with active holds', async () => {
+      await HoldService.placeHold(account._id, { amount: 1000, reasonCode: 'court_order', createdBy: mockReq.user._id });
+      mockReq.body = { reason: 'customer_request', payoutMethod: 'cash' };
+
+      await closeSavingsAccount(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ACCOUNT_HAS_HOLDS' }));
+      expect((await SavingsAccount.findById(account._id)).status).toBe('active');
+    });
+  });
 });
 
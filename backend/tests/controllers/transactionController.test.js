@@ -1,13 +1,18 @@
 import { jest } from '@jest/globals';
 import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
 import Transaction from '../../models/transactionModel.js';
 import SavingsAccount from '../../models/savingsAccountModel.js';
 import Customer from '../../models/customerModel.js';
-import { processDeposit, processWithdrawal, customerDeposit, customerWithdrawal } from '../../controllers/transactionController.js';
+import User from '../../models/userModel.js';
+import TellerSession from '../../models/tellerSessionModel.js';
+import TellerService from '../../services/tellerService.js';
+import { processDeposit, processWithdrawal, customerDeposit, customerWithdrawal, processTransfer, reverseTransaction } from '../../controllers/transactionController.js';
 
 describe('Transaction Controller', () => {
   let mockReq, mockRes;
-  let testCustomer, testAccount;
+  let testCustomer, testAccount, drawer;
+  const tellerId = new mongoose.Types.ObjectId();
 
   beforeEach(async () => {
     // Create test customer
@@ -30,10 +35,18 @@ describe('Transaction Controller', () => {
       isVerified: true,
     });
 
+    // Teller cash goes through an open drawer
+    drawer = await TellerSession.create({
+      teller: tellerId,
+      branchCode: '01',
+      businessDate: TellerService.today(),
+      openingFloat: 10000
+    });
+
     mockReq = {
       body: {},
       headers: {},
-      user: { _id: 'admin-user-id' },
+      user: { _id: tellerId },
       customer: { customerId: testCustomer._id },
       ip: '127.0.0.1',
       connection: { remoteAddress: '127.0.0.1' },
@@ -95,6 +108,23 @@ describe('Transaction Controller', () => {
 
       expect(mockRes.status).toHaveBeenCalledWith(404);
     });
+
+    it('should not lose updates when deposits run concurrently', async () => {
+      const makeRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+      const deposits = [1000, 2000, 3000].map((amount) => processDeposit(
+        { ...mockReq, body: { accountId: testAccount._id.toString(), amount } },
+        makeRes()
+      ));
+
+      await Promise.all(deposits);
+
+      const updatedAccount = await SavingsAccount.findById(testAccount._id);
+      expect(updatedAccount.balance).toBe(11000); // 5000 + 1000 + 2000 + 3000
+
+      const ledger = await Transaction.find({ accountId: testAccount._id }).sort({ balanceAfter: 1 });
+      expect(ledger).toHaveLength(3);
+      expect(ledger[ledger.length - 1].balanceAfter).toBe(updatedAccount.balance);
+    });
   });
 
   describe('processWithdrawal', () => {
@@ -153,6 +183,174 @@ describe('Transaction Controller', () => {
     });
   });
 
+  describe('teller drawer', () => {
+    const post = async (handler, amount) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await handler({ ...mockReq, body: { accountId: testAccount._id.toString(), amount } }, res);
+      return res;
+    };
+
+    it('should refuse cash without an open drawer', async () => {
+      await TellerSession.deleteMany({});
+
+      const res = await post(processDeposit, 2000);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NO_OPEN_DRAWER' }));
+      expect((await SavingsAccount.findById(testAccount._id)).balance).toBe(5000);
+    });
+
+    it('should move deposits and withdrawals through the drawer', async () => {
+      await post(processDeposit, 2000);
+      await post(processWithdrawal, 500);
+
+      const updated = await TellerSession.findById(drawer._id);
+      expect(updated.cashIn).toBe(2000);
+      expect(updated.cashOut).toBe(500);
+      expect(updated.transactionCount).toBe(2);
+      expect(await Transaction.countDocuments({ tellerSessionId: drawer._id })).toBe(2);
+    });
+
+    it('should not pay out more cash than the drawer holds', async () => {
+      await SavingsAccount.updateOne({ _id: testAccount._id }, { balance: 50000 });
+
+      const res = await post(processWithdrawal, 20000);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_DRAWER_CASH' }));
+      expect((await SavingsAccount.findById(testAccount._id)).balance).toBe(50000);
+    });
+  });
+
+  describe('processTransfer', () => {
+    let destinationAccount;
+
+    beforeEach(async () => {
+      destinationAccount = await SavingsAccount.create({
+        customerId: testCustomer._id,
+        accountNumber: 'SAV5555555555',
+        accountType: 'regular',
+        balance: 0,
+        status: 'active',
+        isVerified: true,
+      });
+    });
+
+    it('should post a linked transfer_out/transfer_in pair', async () => {
+      mockReq.body = {
+        fromAccountId: testAccount._id.toString(),
+        toAccountId: destinationAccount._id.toString(),
+        amount: 1500,
+      };
+
+      await processTransfer(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.fromBalance).toBe(3500);
+      expect(data.toBalance).toBe(1500);
+
+      const legs = await Transaction.find({ transferReference: data.transferReference });
+      expect(legs.map((t) => t.type).sort()).toEqual(['transfer_in', 'transfer_out']);
+      const debit = legs.find((t) => t.type === 'transfer_out');
+      const credit = legs.find((t) => t.type === 'transfer_in');
+      expect(String(debit.relatedTransactionId)).toBe(String(credit._id));
+      expect(String(credit.relatedTransactionId)).toBe(String(debit._id));
+    });
+
+    it('should leave both balances untouched when the debit is not allowed', async () => {
+      mockReq.body = {
+        fromAccountId: testAccount._id.toString(),
+        toAccountNumber: destinationAccount.accountNumber,
+        amount: 4500, // Would breach the 1000 minimum balance
+      };
+
+      await processTransfer(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect((await SavingsAccount.findById(testAccount._id)).balance).toBe(5000);
+      expect((await SavingsAccount.findById(destinationAccount._id)).balance).toBe(0);
+      expect(await Transaction.countDocuments({})).toBe(0);
+    });
+  });
+
+  describe('reverseTransaction', () => {
+    let approver;
+
+    beforeEach(async () => {
+      approver = await User.create({
+        fullName: 'Reversal Approver',
+        email: 'approver@example.com',
+        password: 'password123',
+        role: 'manager'
+      });
+    });
+
+    const postDeposit = async (amount) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await processDeposit({ ...mockReq, body: { accountId: testAccount._id.toString(), amount } }, res);
+      return res.json.mock.calls[0][0].data.transaction;
+    };
+
+    it('should post a linked reversal and leave the original completed', async () => {
+      const deposit = await postDeposit(2000);
+      mockReq.params = { id: deposit.id.toString() };
+      mockReq.body = { reasonCode: 'duplicate', approverId: approver._id.toString() };
+
+      await reverseTransaction(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      const original = await Transaction.findById(deposit.id);
+      const reversal = await Transaction.findOne({ reversalOf: deposit.id });
+      expect(original.status).toBe('completed');
+      expect(String(original.reversedBy)).toBe(String(reversal._id));
+      expect(reversal.type).toBe('reversal');
+      expect(reversal.direction).toBe('debit');
+      expect(reversal.reasonCode).toBe('duplicate');
+      expect(String(reversal.approvedBy)).toBe(String(approver._id));
+      expect(String(reversal.processedBy)).toBe(String(tellerId));
+      expect((await SavingsAccount.findById(testAccount._id)).balance).toBe(5000);
+      // The drawer is still open, so the cash goes back out of it
+      expect((await TellerSession.findById(drawer._id)).cashOut).toBe(2000);
+    });
+
+    it('should refuse to reverse the same transaction twice', async () => {
+      const deposit = await postDeposit(2000);
+      mockReq.params = { id: deposit.id.toString() };
+      mockReq.body = { reasonCode: 'posting_error', approverId: approver._id.toString() };
+
+      await reverseTransaction(mockReq, { status: jest.fn().mockReturnThis(), json: jest.fn() });
+      await reverseTransaction(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(await Transaction.countDocuments({ reversalOf: deposit.id })).toBe(1);
+    });
+
+    it('should refuse a reversal approved by the user posting it', async () => {
+      const deposit = await postDeposit(2000);
+      mockReq.params = { id: deposit.id.toString() };
+      mockReq.body = { reasonCode: 'duplicate', approverId: tellerId.toString() };
+
+      await reverseTransaction(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SAME_USER_APPROVAL' }));
+      expect(await Transaction.countDocuments({ reversalOf: deposit.id })).toBe(0);
+    });
+
+    it('should not drive the balance negative', async () => {
+      const deposit = await postDeposit(2000);
+      await SavingsAccount.updateOne({ _id: testAccount._id }, { balance: 1000 });
+      mockReq.params = { id: deposit.id.toString() };
+      mockReq.body = { reasonCode: 'customer_dispute', approverId: approver._id.toString() };
+
+      await reverseTransaction(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect((await SavingsAccount.findById(testAccount._id)).balance).toBe(1000);
+    });
+  });
+
   describe('customerDeposit', () => {
     it('should allow customer to deposit to own account', async () => {
       mockReq.body = {
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { idempotency } from '../../middleware/idempotency.js';
+
+// Runs the middleware and, when it calls next(), the handler; resolves once a response was sent
+const runRequest = (req, handler) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status: jest.fn(function(code) { this.statusCode = code; return this; }),
+    setHeader: jest.fn(function(name, value) { this.headers[name] = value; }),
+    on: jest.fn(),
+    json: jest.fn(function(body) { resolve({ res: this, body }); return this; }),
+  };
+  idempotency()(req, res, () => handler(req, res));
+});
+
+describe('Idempotency middleware', () => {
+  let handler;
+  let key;
+
+  const makeReq = (body) => ({
+    method: 'POST',
+    baseUrl: '/api/transactions',
+    path: '/deposit',
+    headers: { 'idempotency-key': key },
+    user: { _id: 'teller-1' },
+    body,
+  });
+
+  beforeEach(() => {
+    key = `test-${Math.random()}`;
+    handler = jest.fn((req, res) => res.status(201).json({ success: true, data: { amount: req.body.amount } }));
+  });
+
+  it('should replay the stored response for a retried request', async () => {
+    const first = await runRequest(makeReq({ accountId: 'a1', amount: 100 }), handler);
+    const second = await runRequest(makeReq({ amount: 100, accountId: 'a1' }), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(second.res.statusCode).toBe(201);
+    expect(second.body).toEqual(first.body);
+    expect(second.res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    await runRequest(makeReq({ accountId: 'a1', amount: 100 }), handler);
+    const second = await runRequest(makeReq({ accountId: 'a1', amount: 200 }), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(second.res.statusCode).toBe(409);
+    expect(second.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('should let the client retry after a server error', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ success: false }));
+
+    await runRequest(makeReq({ accountId: 'a1', amount: 100 }), handler);
+    const retry = await runRequest(makeReq({ accountId: 'a1', amount: 100 }), handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.res.statusCode).toBe(201);
+  });
+});
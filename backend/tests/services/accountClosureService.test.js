@@ -0,0 +1,47 @@
+import { describe, it, expect } from '@jest/globals';
+import { calculateSettlement, getClosureFee } from '../../services/accountClosureService.js';
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+describe('AccountClosureService', () => {
+  describe('getClosureFee', () => {
+    const product = { closureSettings: { closureFee: 1000, earlyClosureFee: 2500, earlyClosureDays: 90 } };
+
+    it('should charge nothing without closure settings', () => {
+      expect(getClosureFee({ createdAt: day('2026-01-01') }, null, day('2026-10-19'))).toBe(0);
+    });
+
+    it('should add the early closure fee inside the early closure period', () => {
+      expect(getClosureFee({ createdAt: day('2026-09-01') }, product, day('2026-10-19'))).toBe(3500);
+      expect(getClosureFee({ createdAt: day('2026-01-01') }, product, day('2026-10-19'))).toBe(1000);
+    });
+  });
+
+  describe('calculateSettlement', () => {
+    it('should credit interest before charging fees', () => {
+      expect(calculateSettlement({ balance: 50000, interest: 123.456, closureFee: 1000, feeArrears: 500 })).toEqual({
+        interest: 123.46,
+        closureFee: 1000,
+        arrearsCollected: 500,
+        feesCharged: 1500,
+        feesWaived: 0,
+        payout: 48623.46
+      });
+    });
+
+    it('should waive fees the balance cannot cover, closure fee first', () => {
+      expect(calculateSettlement({ balance: 1200, closureFee: 1000, feeArrears: 500 })).toEqual({
+        interest: 0,
+        closureFee: 1000,
+        arrearsCollected: 200,
+        feesCharged: 1200,
+        feesWaived: 300,
+        payout: 0
+      });
+    });
+
+    it('should pay out an empty account as zero', () => {
+      expect(calculateSettlement({ balance: 0 }).payout).toBe(0);
+    });
+  });
+});
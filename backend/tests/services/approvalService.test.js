@@ -0,0 +1,31 @@
+import { describe, it, expect } from '@jest/globals';
+import { selectApprovalRule } from '../../services/approvalService.js';
+
+const productId = '64b000000000000000000001';
+
+const rules = [
+  { _id: 'global', transactionType: 'withdrawal', role: null, productId: null, threshold: 1000000 },
+  { _id: 'role', transactionType: 'withdrawal', role: 'accountant', productId: null, threshold: 500000 },
+  { _id: 'product', transactionType: 'withdrawal', role: null, productId, threshold: 300000 },
+  { _id: 'product-role', transactionType: 'withdrawal', role: 'accountant', productId, threshold: 100000 },
+  { _id: 'deposit', transactionType: 'deposit', role: null, productId: null, threshold: 2000000 }
+];
+
+describe('selectApprovalRule', () => {
+  it('should prefer product and role over broader rules', () => {
+    expect(selectApprovalRule(rules, { type: 'withdrawal', role: 'accountant', productId })._id).toBe('product-role');
+    expect(selectApprovalRule(rules, { type: 'withdrawal', role: 'support', productId })._id).toBe('product');
+    expect(selectApprovalRule(rules, { type: 'withdrawal', role: 'accountant', productId: null })._id).toBe('role');
+    expect(selectApprovalRule(rules, { type: 'withdrawal', role: 'support', productId: null })._id).toBe('global');
+  });
+
+  it('should only match the transaction type', () => {
+    expect(selectApprovalRule(rules, { type: 'deposit', role: 'accountant', productId })._id).toBe('deposit');
+    expect(selectApprovalRule(rules, { type: 'transfer', role: 'accountant', productId })).toBeNull();
+  });
+
+  it('should ignore inactive rules', () => {
+    const inactive = rules.map(rule => (rule._id === 'product-role' ? { ...rule, isActive: false } : rule));
+    expect(selectApprovalRule(inactive, { type: 'withdrawal', role: 'accountant', productId })._id).toBe('product');
+  });
+});
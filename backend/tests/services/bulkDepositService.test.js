@@ -0,0 +1,116 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../models/userModel.js';
+import BulkDepositService, { normaliseRow, parseAmount, checkRows, batchToCsv } from '../../services/bulkDepositService.js';
+
+describe('BulkDepositService', () => {
+  describe('normaliseRow', () => {
+    it('should map differently named headers onto the same fields', () => {
+      expect(normaliseRow({ 'Account Number': ' SAV001 ', Amount: 5000, Ref: 'PAY-1', Narration: 'October' }))
+        .toEqual({ accountNumber: 'SAV001', amount: 5000, reference: 'PAY-1', description: 'October' });
+      expect(normaliseRow({ account_no: 'SAV002', 'deposit-amount': '1,500', reference: 'PAY-2' }))
+        .toEqual({ accountNumber: 'SAV002', amount: '1,500', reference: 'PAY-2' });
+    });
+
+    it('should ignore columns it does not know', () => {
+      expect(normaliseRow({ Employee: 'E-17', amount: 10 })).toEqual({ amount: 10 });
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('should read numbers and text with thousands separators or a currency prefix', () => {
+      expect(parseAmount(2500)).toBe(2500);
+      expect(parseAmount('12,500.50')).toBe(12500.5);
+      expect(parseAmount('RWF 3 000')).toBe(3000);
+    });
+
+    it('should return NaN for blank or non-numeric cells', () => {
+      expect(parseAmount('')).toBeNaN();
+      expect(parseAmount(undefined)).toBeNaN();
+      expect(parseAmount('five')).toBeNaN();
+    });
+  });
+
+  describe('checkRows', () => {
+    it('should number rows from 1 and pass complete rows', () => {
+      const [row] = checkRows([{ account: 'SAV001', amount: '5,000', reference: 'PAY-1' }]);
+      expect(row).toMatchObject({ rowNumber: 1, accountNumber: 'SAV001', amount: 5000, reference: 'PAY-1', issues: [] });
+    });
+
+    it('should report missing fields and bad amounts', () => {
+      const [missing, negative, tooPrecise] = checkRows([
+        { amount: 100 },
+        { account: 'SAV001', amount: -5, reference: 'R1' },
+        { account: 'SAV001', amount: 10.555, reference: 'R2' }
+      ]);
+      expect(missing.issues).toEqual(['Account number is required', 'Reference is required']);
+      expect(negative.issues).toEqual(['Amount must be a positive number']);
+      expect(tooPrecise.issues).toEqual(['Amount has more decimal places than the currency allows']);
+    });
+
+    it('should flag the same account and reference appearing twice in one file', () => {
+      const rows = checkRows([
+        { account: 'SAV001', amount: 100, reference: 'PAY-1' },
+        { account: 'SAV002', amount: 100, reference: 'PAY-1' },
+        { account: 'SAV001', amount: 100, reference: 'PAY-1' }
+      ]);
+      expect(rows.map(row => row.issues)).toEqual([[], [], ['Duplicate of row 1 (same account and reference)']]);
+    });
+  });
+
+  describe('batchToCsv', () => {
+    it('should list every row with its outcome and escape text', () => {
+      const csv = batchToCsv({
+        batchId: 'BD20261019000001',
+        source: 'Umurenge Coop',
+        status: 'partially_posted',
+        postedCount: 1,
+        postedAmount: 5000,
+        reversedCount: 0,
+        reversedAmount: 0,
+        rows: [
+          { rowNumber: 1, accountNumber: 'SAV001', customerName: 'Uwase, Marie', amount: 5000, reference: 'PAY-1', status: 'posted', transactionId: 'TXN1', issues: [] },
+          { rowNumber: 2, accountNumber: 'SAV404', amount: 100, reference: 'PAY-2', status: 'invalid', issues: ['Account not found'] }
+        ]
+      });
+      const lines = csv.trim().split('\r\n');
+      expect(lines[0]).toBe('Batch,BD20261019000001');
+      expect(lines).toContain('1,SAV001,"Uwase, Marie",5000,PAY-1,posted,TXN1,');
+      expect(lines).toContain('2,SAV404,,100,PAY-2,invalid,,Account not found');
+    });
+  });
+
+  describe('rollbackBatch', () => {
+    it('should require a known reason code and a reason before touching the database', async () => {
+      await expect(BulkDepositService.rollbackBatch('BD1', { reasonCode: 'oops', reason: 'x' }, 'user'))
+        .rejects.toThrow('Reason code must be one of');
+      await expect(BulkDepositService.rollbackBatch('BD1', { reason: ' ' }, 'user'))
+        .rejects.toThrow('A reason is required to roll back a batch');
+    });
+
+    describe('approver', () => {
+      afterEach(() => jest.restoreAllMocks());
+
+      const userId = new mongoose.Types.ObjectId();
+      const approver = (fields) => jest.spyOn(User, 'findById')
+        .mockReturnValue({ select: () => ({ session: async () => fields }) });
+      const rollback = (approverId) => BulkDepositService.rollbackBatch('BD1', { reason: 'Wrong file', approverId }, userId);
+
+      it('should require a different user to approve the rollback', async () => {
+        await expect(rollback(undefined)).rejects.toMatchObject({ code: 'APPROVER_REQUIRED', statusCode: 400 });
+        await expect(rollback(userId)).rejects.toMatchObject({ code: 'SAME_USER_APPROVAL', statusCode: 403 });
+      });
+
+      it('should only accept active admins and managers as approvers', async () => {
+        approver({ role: 'accountant', isActive: true });
+        await expect(rollback(new mongoose.Types.ObjectId())).rejects.toMatchObject({ code: 'APPROVER_NOT_ALLOWED' });
+
+        approver({ role: 'manager', isActive: false });
+        await expect(rollback(new mongoose.Types.ObjectId())).rejects.toMatchObject({ code: 'APPROVER_NOT_ALLOWED' });
+
+        approver(null);
+        await expect(rollback(new mongoose.Types.ObjectId())).rejects.toMatchObject({ code: 'APPROVER_NOT_ALLOWED' });
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import {
+  summariseSchemes,
+  phoneCandidates,
+  parseResetIdentifier,
+  generateResetCode,
+  hashResetCode,
+  resetCodeMatches
+} from '../../services/customerPasswordService.js';
+
+describe('CustomerPasswordService', () => {
+  describe('summariseSchemes', () => {
+    it('should total customers per scheme and count inactive legacy ones', () => {
+      expect(summariseSchemes([
+        { _id: 'current', count: 40, inactive: 5, resetRequired: 3 },
+        { _id: 'legacy', count: 12, inactive: 7, resetRequired: 0 },
+        { _id: 'unknown', count: 1, inactive: 1, resetRequired: 0 }
+      ])).toEqual({ total: 53, current: 40, legacy: 12, legacyInactive: 7, unknown: 1, resetRequired: 3 });
+    });
+
+    it('should report zeros when there are no customers', () => {
+      expect(summariseSchemes([])).toEqual({ total: 0, current: 0, legacy: 0, legacyInactive: 0, unknown: 0, resetRequired: 0 });
+    });
+  });
+
+  describe('phoneCandidates', () => {
+    it('should match Rwandan numbers in every stored form', () => {
+      const forms = ['0788 123 456', '250788123456', '+250-788-123-456'].map(phoneCandidates);
+      for (const candidates of forms) {
+        expect(candidates).toEqual(expect.arrayContaining(['0788123456', '250788123456', '+250788123456']));
+      }
+    });
+
+    it('should keep foreign numbers as typed and refuse short ones', () => {
+      expect(phoneCandidates('+254712345678')).toEqual(['+254712345678']);
+      expect(phoneCandidates('12345')).toEqual([]);
+    });
+  });
+
+  describe('parseResetIdentifier', () => {
+    it('should tell email addresses from phone numbers', () => {
+      expect(parseResetIdentifier(' Jane@Example.com ')).toEqual({ type: 'email', email: 'jane@example.com' });
+      expect(parseResetIdentifier('0788123456')).toMatchObject({ type: 'phone' });
+    });
+
+    it('should refuse anything else', () => {
+      expect(parseResetIdentifier('jane@')).toBeNull();
+      expect(parseResetIdentifier('')).toBeNull();
+    });
+  });
+
+  describe('reset codes', () => {
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    });
+
+    it('should generate six-digit codes', () => {
+      for (let i = 0; i < 20; i++) {
+        expect(generateResetCode()).toMatch(/^\d{6}$/);
+      }
+    });
+
+    it('should only match the code for the same customer', () => {
+      const codeHash = hashResetCode('customer-1', '042137');
+      expect(resetCodeMatches('customer-1', '042137', codeHash)).toBe(true);
+      expect(resetCodeMatches('customer-1', ' 042137 ', codeHash)).toBe(true);
+      expect(resetCodeMatches('customer-1', '042138', codeHash)).toBe(false);
+      expect(resetCodeMatches('customer-2', '042137', codeHash)).toBe(false);
+      expect(resetCodeMatches('customer-1', undefined, codeHash)).toBe(false);
+    });
+  });
+});
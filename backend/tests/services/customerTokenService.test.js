@@ -0,0 +1,63 @@
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import CustomerTokenService, { checkRefreshToken, hashRefreshToken } from '../../services/customerTokenService.js';
+
+describe('CustomerTokenService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const live = {
+    deviceId: 'device-1',
+    familyId: 'family-1',
+    expiresAt: new Date('2026-11-18T12:00:00Z'),
+    rotatedAt: null,
+    revokedAt: null
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    delete process.env.CUSTOMER_JWT_EXPIRES_IN;
+  });
+
+  describe('checkRefreshToken', () => {
+    it('should accept a live token from its own device', () => {
+      expect(checkRefreshToken(live, 'device-1', now)).toBeNull();
+    });
+
+    it('should flag a rotated token as reuse', () => {
+      expect(checkRefreshToken({ ...live, rotatedAt: now }, 'device-1', now)).toBe('REFRESH_TOKEN_REUSED');
+    });
+
+    it('should report revocation before reuse', () => {
+      expect(checkRefreshToken({ ...live, rotatedAt: now, revokedAt: now }, 'device-1', now)).toBe('REFRESH_TOKEN_REVOKED');
+    });
+
+    it('should refuse unknown, expired and other-device tokens', () => {
+      expect(checkRefreshToken(null, 'device-1', now)).toBe('REFRESH_TOKEN_INVALID');
+      expect(checkRefreshToken({ ...live, expiresAt: now }, 'device-1', now)).toBe('REFRESH_TOKEN_EXPIRED');
+      expect(checkRefreshToken(live, 'device-2', now)).toBe('REFRESH_TOKEN_DEVICE_MISMATCH');
+      expect(checkRefreshToken(live, undefined, now)).toBe('REFRESH_TOKEN_DEVICE_MISMATCH');
+    });
+  });
+
+  describe('hashRefreshToken', () => {
+    it('should give a stable SHA-256 digest', () => {
+      expect(hashRefreshToken('token')).toBe(hashRefreshToken('token'));
+      expect(hashRefreshToken('token')).toMatch(/^[a-f0-9]{64}$/);
+    });
+  });
+
+  describe('createAccessToken', () => {
+    it('should bind tokens issued with a refresh token to the device and family', () => {
+      const decoded = jwt.verify(
+        CustomerTokenService.createAccessToken('customer-1', { deviceId: 'device-1', familyId: 'family-1' }),
+        process.env.JWT_SECRET
+      );
+      expect(decoded).toMatchObject({ customerId: 'customer-1', type: 'customer', deviceId: 'device-1', fid: 'family-1' });
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
+    it('should leave registration tokens without a family', () => {
+      const decoded = jwt.decode(CustomerTokenService.createAccessToken('customer-1'));
+      expect(decoded.fid).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from '@jest/globals';
+import { evaluateDormancy, getLastActivity, DEFAULT_DORMANCY } from '../../services/dormancyService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const settings = { dormantAfterDays: 100, unclaimedAfterDays: 200, noticeDaysBefore: 10 };
+const date = new Date('2026-10-18T00:00:00.000Z');
+
+// Account whose last customer transaction was `days` days before the end of the business day
+const idleFor = (days, overrides = {}) => ({
+  accountType: 'regular',
+  status: 'active',
+  createdAt: new Date('2020-01-01T00:00:00.000Z'),
+  lastTransactionDate: new Date(date.getTime() + DAY_MS - days * DAY_MS),
+  ...overrides
+});
+
+describe('getLastActivity', () => {
+  it('should use the latest of last transaction, reactivation and opening date', () => {
+    const account = {
+      createdAt: new Date('2024-01-01'),
+      lastTransactionDate: new Date('2025-01-01'),
+      dormancy: { reactivatedAt: new Date('2025-06-01') }
+    };
+
+    expect(getLastActivity(account)).toEqual(new Date('2025-06-01'));
+    expect(getLastActivity({ createdAt: new Date('2024-01-01') })).toEqual(new Date('2024-01-01'));
+  });
+});
+
+describe('evaluateDormancy', () => {
+  it('should do nothing for recently used accounts', () => {
+    expect(evaluateDormancy(idleFor(5), settings, date)).toBeNull();
+    expect(evaluateDormancy(idleFor(89), settings, date)).toBeNull();
+  });
+
+  it('should send a notice inside the notice window, once per inactivity period', () => {
+    expect(evaluateDormancy(idleFor(90), settings, date)).toBe('notice');
+
+    const notified = idleFor(95);
+    notified.dormancy = { noticeSentAt: new Date(date.getTime() - 2 * DAY_MS) };
+    expect(evaluateDormancy(notified, settings, date)).toBeNull();
+
+    // A notice from an earlier inactivity period does not count
+    const oldNotice = idleFor(95, { dormancy: { noticeSentAt: new Date('2021-01-01') } });
+    expect(evaluateDormancy(oldNotice, settings, date)).toBe('notice');
+  });
+
+  it('should skip notices when the product disables them', () => {
+    expect(evaluateDormancy(idleFor(95), { ...settings, noticeDaysBefore: 0 }, date)).toBeNull();
+  });
+
+  it('should mark active accounts dormant and dormant accounts unclaimed', () => {
+    expect(evaluateDormancy(idleFor(100), settings, date)).toBe('dormant');
+    expect(evaluateDormancy(idleFor(150, { status: 'dormant' }), settings, date)).toBeNull();
+    expect(evaluateDormancy(idleFor(200, { status: 'dormant' }), settings, date)).toBe('unclaimed');
+    expect(evaluateDormancy(idleFor(500, { status: 'unclaimed' }), settings, date)).toBeNull();
+    expect(evaluateDormancy(idleFor(500, { status: 'closed' }), settings, date)).toBeNull();
+  });
+
+  it('should restart the clock on reactivation', () => {
+    const account = idleFor(400, { dormancy: { reactivatedAt: new Date(date.getTime() - 5 * DAY_MS) } });
+
+    expect(evaluateDormancy(account, settings, date)).toBeNull();
+  });
+
+  it('should leave running term deposits alone', () => {
+    const account = idleFor(400, { accountType: 'fixed', termDeposit: { status: 'active' } });
+
+    expect(evaluateDormancy(account, DEFAULT_DORMANCY, date)).toBeNull();
+    expect(evaluateDormancy({ ...account, termDeposit: { status: 'matured' } }, DEFAULT_DORMANCY, date)).toBe('dormant');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from '@jest/globals';
+import FeeService, { feeChargeOutcome } from '../../services/feeService.js';
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+describe('FeeService', () => {
+  describe('isBillingDate', () => {
+    it('should bill on the account billing day', () => {
+      expect(FeeService.isBillingDate({ billingDay: 15 }, day('2024-05-15'))).toBe(true);
+      expect(FeeService.isBillingDate({ billingDay: 15 }, day('2024-05-16'))).toBe(false);
+    });
+
+    it('should bill late billing days on the last day of short months', () => {
+      expect(FeeService.isBillingDate({ billingDay: 31 }, day('2024-02-29'))).toBe(true);
+      expect(FeeService.isBillingDate({ billingDay: 31 }, day('2024-04-30'))).toBe(true);
+      expect(FeeService.isBillingDate({ billingDay: 30 }, day('2024-05-31'))).toBe(false);
+    });
+
+    it('should fall back to the account opening day', () => {
+      expect(FeeService.isBillingDate({ createdAt: day('2024-01-20') }, day('2024-03-20'))).toBe(true);
+    });
+  });
+
+  describe('feeChargeOutcome', () => {
+    const fee = { feeAmount: 500, arrearsBefore: 0 };
+
+    it('should charge the fee and any arrears when the balance covers them', () => {
+      expect(feeChargeOutcome({ ...fee, available: 10000 })).toEqual({ outcome: 'charged', amountCharged: 500, arrearsAfter: 0 });
+      expect(feeChargeOutcome({ feeAmount: 500, arrearsBefore: 300, available: 800, action: 'arrears' }))
+        .toEqual({ outcome: 'charged', amountCharged: 800, arrearsAfter: 0 });
+    });
+
+    it('should waive the fee and keep arrears as they are', () => {
+      expect(feeChargeOutcome({ feeAmount: 500, arrearsBefore: 200, available: 0, waiverReason: 'Waived for youth accounts' }))
+        .toEqual({ outcome: 'waived', amountCharged: 0, arrearsAfter: 200, reason: 'Waived for youth accounts' });
+    });
+
+    it('should skip by default when the balance is short, keeping arrears', () => {
+      expect(feeChargeOutcome({ feeAmount: 500, arrearsBefore: 100, available: 400 }))
+        .toEqual({ outcome: 'skipped', amountCharged: 0, arrearsAfter: 100, reason: 'Insufficient balance' });
+    });
+
+    it('should take what is available and write off the rest under the partial policy', () => {
+      expect(feeChargeOutcome({ feeAmount: 500, arrearsBefore: 100, available: 250.5, action: 'partial' }))
+        .toMatchObject({ outcome: 'partial', amountCharged: 250.5, arrearsAfter: 0, reason: 'Insufficient balance, 349.5 written off' });
+    });
+
+    it('should carry the shortfall, including earlier arrears, under the arrears policy', () => {
+      const first = feeChargeOutcome({ ...fee, available: 200, action: 'arrears' });
+      expect(first).toMatchObject({ outcome: 'arrears', amountCharged: 200, arrearsAfter: 300 });
+
+      const second = feeChargeOutcome({ feeAmount: 500, arrearsBefore: first.arrearsAfter, available: 0, action: 'arrears' });
+      expect(second).toMatchObject({ outcome: 'arrears', amountCharged: 0, arrearsAfter: 800 });
+    });
+
+    it('should not use a negative available balance', () => {
+      expect(feeChargeOutcome({ ...fee, available: -50, action: 'partial' })).toMatchObject({ amountCharged: 0 });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import AccountHold from '../../models/accountHoldModel.js';
+import SavingsAccount from '../../models/savingsAccountModel.js';
+import Transaction from '../../models/transactionModel.js';
+import AccountPostingService from '../../services/accountPostingService.js';
+import HoldService from '../../services/holdService.js';
+
+const buildAccount = (fields = {}) => new SavingsAccount({
+  customerId: new mongoose.Types.ObjectId(),
+  accountType: 'regular',
+  status: 'active',
+  isVerified: true,
+  balance: 10000,
+  minimumBalance: 0,
+  ...fields
+});
+
+describe('HoldService', () => {
+  describe('availableBalance', () => {
+    it('should subtract active holds from the ledger balance', () => {
+      expect(buildAccount({ heldAmount: 2500 }).availableBalance).toBe(7500);
+      expect(buildAccount().availableBalance).toBe(10000);
+    });
+
+    it('should stop withdrawals of held funds', () => {
+      const account = buildAccount({ heldAmount: 2500 });
+      expect(account.canWithdraw(7500).allowed).toBe(true);
+      expect(account.canWithdraw(8000)).toEqual({
+        allowed: false,
+        reason: 'Insufficient available balance: part of the balance is on hold'
+      });
+    });
+  });
+
+  describe('placeInSession', () => {
+    it('should reject holds larger than the available balance', async () => {
+      const account = buildAccount({ heldAmount: 9000 });
+      await expect(HoldService.placeInSession(account, { amount: 1500, reasonCode: 'court_order' }, null))
+        .rejects.toMatchObject({ code: 'HOLD_EXCEEDS_AVAILABLE', statusCode: 400 });
+    });
+
+    it('should reject invalid amounts and closed accounts', async () => {
+      await expect(HoldService.placeInSession(buildAccount(), { amount: 0, reasonCode: 'other' }, null))
+        .rejects.toThrow('Hold amount must be a positive amount');
+      await expect(HoldService.placeInSession(buildAccount({ status: 'closed' }), { amount: 100, reasonCode: 'other' }, null))
+        .rejects.toThrow('Holds can only be placed on active or suspended accounts');
+    });
+
+    it('should reject expiry dates in the past', async () => {
+      await expect(HoldService.placeInSession(buildAccount(), { amount: 100, reasonCode: 'collateral', expiresAt: '2020-01-01' }, null))
+        .rejects.toThrow('Hold expiry must be a future date');
+    });
+  });
+
+  describe('releaseHold', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const stubHold = (hold, pendingTransaction) => {
+      jest.spyOn(AccountPostingService, 'runInTransaction').mockImplementation(work => work(null));
+      jest.spyOn(AccountHold, 'findById').mockReturnValue({ session: async () => hold });
+      jest.spyOn(Transaction, 'exists').mockReturnValue({ session: async () => pendingTransaction });
+      jest.spyOn(HoldService, 'releaseInSession').mockImplementation(async released => released);
+    };
+
+    it('should refuse holds reserved for a transaction awaiting approval', async () => {
+      const hold = new AccountHold({ accountId: new mongoose.Types.ObjectId(), amount: 500, reasonCode: 'pending_approval' });
+      stubHold(hold, { _id: new mongoose.Types.ObjectId() });
+
+      await expect(HoldService.releaseHold(hold._id, { accountId: hold.accountId, note: 'Freeing funds' }))
+        .rejects.toMatchObject({ code: 'HOLD_PENDING_APPROVAL', statusCode: 409 });
+      expect(Transaction.exists).toHaveBeenCalledWith({ status: 'pending', 'approval.holdId': hold._id });
+      expect(HoldService.releaseInSession).not.toHaveBeenCalled();
+    });
+
+    it('should release holds no pending transaction refers to', async () => {
+      const hold = new AccountHold({ accountId: new mongoose.Types.ObjectId(), amount: 500, reasonCode: 'court_order' });
+      stubHold(hold, null);
+
+      await expect(HoldService.releaseHold(hold._id, { accountId: hold.accountId, note: 'Order lifted' })).resolves.toBe(hold);
+      expect(HoldService.releaseInSession).toHaveBeenCalledWith(hold, null, { releasedBy: undefined, note: 'Order lifted' });
+    });
+  });
+});
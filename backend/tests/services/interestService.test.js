@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import InterestService from '../../services/interestService.js';
+
+const day = (value) => InterestService.toBusinessDate(value);
+
+describe('InterestService', () => {
+  describe('getYearFraction', () => {
+    it('should use the actual/365 and actual/360 denominators', () => {
+      expect(InterestService.getYearFraction(day('2024-05-10'), 'actual/365')).toBeCloseTo(1 / 365);
+      expect(InterestService.getYearFraction(day('2024-05-10'), 'actual/360')).toBeCloseTo(1 / 360);
+    });
+
+    it('should give every month 30 days under 30/360', () => {
+      expect(InterestService.getYearFraction(day('2024-05-31'), '30/360')).toBe(0);
+      expect(InterestService.getYearFraction(day('2023-02-28'), '30/360')).toBeCloseTo(3 / 360);
+      expect(InterestService.getYearFraction(day('2024-02-28'), '30/360')).toBeCloseTo(1 / 360);
+      expect(InterestService.getYearFraction(day('2024-02-29'), '30/360')).toBeCloseTo(2 / 360);
+    });
+  });
+
+  describe('isPeriodEnd', () => {
+    it('should close periods on the last day of the product frequency', () => {
+      expect(InterestService.isPeriodEnd(day('2024-04-30'), 'monthly')).toBe(true);
+      expect(InterestService.isPeriodEnd(day('2024-04-29'), 'monthly')).toBe(false);
+      expect(InterestService.isPeriodEnd(day('2024-06-30'), 'quarterly')).toBe(true);
+      expect(InterestService.isPeriodEnd(day('2024-04-30'), 'quarterly')).toBe(false);
+      expect(InterestService.isPeriodEnd(day('2024-12-31'), 'annually')).toBe(true);
+      expect(InterestService.isPeriodEnd(day('2024-11-30'), 'annually')).toBe(false);
+    });
+  });
+
+  describe('runForDate', () => {
+    it('should refuse business days that have not ended', async () => {
+      await expect(InterestService.runForDate(new Date())).rejects.toThrow('completed business day');
+    });
+  });
+});
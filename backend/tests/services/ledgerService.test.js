@@ -0,0 +1,64 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildJournalLines, summariseTrialBalance, SAVINGS_POSTING_RULES } from '../../services/ledgerService.js';
+
+const sum = (lines, side) => lines.reduce((total, line) => total + line[side], 0);
+
+describe('LedgerService', () => {
+  describe('buildJournalLines', () => {
+    it('should balance every savings transaction type', () => {
+      Object.keys(SAVINGS_POSTING_RULES).forEach(type => {
+        const lines = buildJournalLines(type, 1250.5);
+        expect(lines).toHaveLength(2);
+        expect(sum(lines, 'debit')).toBe(sum(lines, 'credit'));
+      });
+    });
+
+    it('should debit cash and credit customer deposits for a deposit', () => {
+      expect(buildJournalLines('deposit', 5000)).toEqual([
+        { role: 'cash', debit: 5000, credit: 0 },
+        { role: 'customerDeposits', debit: 0, credit: 5000 }
+      ]);
+    });
+
+    it('should swap the sides of the original type for a reversal', () => {
+      expect(buildJournalLines('deposit', 5000, { reversal: true })).toEqual([
+        { role: 'customerDeposits', debit: 5000, credit: 0 },
+        { role: 'cash', debit: 0, credit: 5000 }
+      ]);
+    });
+
+    it('should net the clearing account to zero across both transfer legs', () => {
+      const lines = [...buildJournalLines('transfer_out', 700), ...buildJournalLines('transfer_in', 700)]
+        .filter(line => line.role === 'transferClearing');
+      expect(sum(lines, 'debit') - sum(lines, 'credit')).toBe(0);
+    });
+
+    it('should reject a type without a posting rule', () => {
+      expect(() => buildJournalLines('loan_repayment', 100)).toThrow('No ledger posting rule');
+    });
+  });
+
+  describe('summariseTrialBalance', () => {
+    it('should split net balances into debit and credit columns', () => {
+      const summary = summariseTrialBalance([
+        { _id: 'a', accountCode: '1100', accountName: 'Cash', accountType: 'asset', totalDebit: 12000, totalCredit: 3000 },
+        { _id: 'b', accountCode: '3400', accountName: 'Customer Savings Deposits', accountType: 'liability', totalDebit: 3000, totalCredit: 12100.25 },
+        { _id: 'c', accountCode: '6100', accountName: 'Interest Expense', accountType: 'expense', totalDebit: 100.25, totalCredit: 0 }
+      ]);
+
+      expect(summary.accounts.map(account => [account.debitBalance, account.creditBalance])).toEqual([
+        [9000, 0],
+        [0, 9100.25],
+        [100.25, 0]
+      ]);
+      expect(summary).toMatchObject({ totalDebit: 9100.25, totalCredit: 9100.25, difference: 0, isBalanced: true });
+    });
+
+    it('should report the difference when the ledger does not balance', () => {
+      const summary = summariseTrialBalance([
+        { _id: 'a', accountCode: '1100', accountName: 'Cash', accountType: 'asset', totalDebit: 500, totalCredit: 0 }
+      ]);
+      expect(summary).toMatchObject({ difference: 500, isBalanced: false });
+    });
+  });
+});
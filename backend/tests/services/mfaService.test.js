@@ -0,0 +1,39 @@
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { isMfaRequiredFor, createPreAuthToken, verifyPreAuthToken, MfaError } from '../../services/mfaService.js';
+
+describe('MfaService', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  describe('isMfaRequiredFor', () => {
+    it('should require MFA for listed roles only', () => {
+      const policy = { requireTwoFactor: false, mfaRequiredRoles: ['admin', 'manager'] };
+      expect(isMfaRequiredFor({ role: 'admin' }, policy)).toBe(true);
+      expect(isMfaRequiredFor({ role: 'accountant' }, policy)).toBe(false);
+    });
+
+    it('should require MFA for everyone when the global switch is on', () => {
+      expect(isMfaRequiredFor({ role: 'support' }, { requireTwoFactor: true, mfaRequiredRoles: [] })).toBe(true);
+    });
+
+    it('should not require MFA without a policy', () => {
+      expect(isMfaRequiredFor({ role: 'admin' }, undefined)).toBe(false);
+    });
+  });
+
+  describe('pre-auth tokens', () => {
+    it('should round-trip the user id', () => {
+      expect(verifyPreAuthToken(createPreAuthToken('user-1'))).toBe('user-1');
+    });
+
+    it('should refuse session tokens and tampered or expired tokens', () => {
+      const sessionToken = jwt.sign({ id: 'user-1' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      const expired = jwt.sign({ id: 'user-1', purpose: 'mfa' }, process.env.JWT_SECRET, { expiresIn: -10 });
+      expect(() => verifyPreAuthToken(sessionToken)).toThrow(MfaError);
+      expect(() => verifyPreAuthToken(`${createPreAuthToken('user-1')}x`)).toThrow(MfaError);
+      expect(() => verifyPreAuthToken(expired)).toThrow('Your sign-in has expired');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  luhnCheckDigit,
+  iso7064CheckDigits,
+  computeCheckDigits,
+  isValidNumber,
+  formatNumber
+} from '../../services/numberingService.js';
+
+describe('numbering check digits', () => {
+  it('should compute Luhn check digits for numeric bodies', () => {
+    // Standard Luhn examples
+    expect(luhnCheckDigit('7992739871')).toBe('3');
+    expect(luhnCheckDigit('4539148803436467'.slice(0, -1))).toBe('7');
+  });
+
+  it('should compute ISO 7064 MOD 97-10 check digits', () => {
+    const body = 'SAV01BASICSAV000001';
+    const number = body + iso7064CheckDigits(body);
+
+    expect(iso7064CheckDigits(body)).toMatch(/^\d{2}$/);
+    expect(isValidNumber(number, 'iso7064')).toBe(true);
+  });
+
+  it('should accept issued numbers and reject typing mistakes', () => {
+    ['luhn', 'iso7064'].forEach(algorithm => {
+      const body = 'SAV01BASICSAV000042';
+      const number = body + computeCheckDigits(body, algorithm);
+
+      expect(isValidNumber(number, algorithm)).toBe(true);
+      expect(isValidNumber(number.toLowerCase(), algorithm)).toBe(true);
+      // Single wrong digit
+      expect(isValidNumber(number.replace('000042', '000043'), algorithm)).toBe(false);
+      // Adjacent digits swapped
+      expect(isValidNumber(number.replace('000042', '000024'), algorithm)).toBe(false);
+    });
+  });
+
+  it('should reject empty or malformed input', () => {
+    expect(isValidNumber('')).toBe(false);
+    expect(isValidNumber('7')).toBe(false);
+    expect(isValidNumber('SAV-01-0001')).toBe(false);
+  });
+});
+
+describe('formatNumber', () => {
+  it('should fill the configured placeholders', () => {
+    const parts = { prefix: 'SAV', branch: '01', product: 'REG', date: '261019', seq: '000007' };
+
+    expect(formatNumber('{prefix}{branch}{product}{seq}', parts)).toBe('SAV01REG000007');
+    expect(formatNumber('{branch}{seq}', parts)).toBe('01000007');
+    expect(formatNumber('{prefix}{date}{seq}', parts)).toBe('SAV261019000007');
+  });
+});
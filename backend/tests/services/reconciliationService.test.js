@@ -0,0 +1,84 @@
+import { describe, it, expect } from '@jest/globals';
+import { reconcileAccount, orderForChain } from '../../services/reconciliationService.js';
+
+const at = (seconds) => new Date(Date.UTC(2026, 9, 18, 9, 0, seconds));
+
+const txn = (id, type, amount, balanceBefore, balanceAfter, createdAt, extra = {}) => ({
+  _id: id,
+  transactionId: `TXN${id}`,
+  type,
+  amount,
+  balanceBefore,
+  balanceAfter,
+  createdAt,
+  ...extra
+});
+
+describe('ReconciliationService', () => {
+  const account = { _id: 'acc1', accountNumber: 'SAV0100000011', balance: 7500 };
+
+  describe('reconcileAccount', () => {
+    it('should find nothing when the balance and chain agree', () => {
+      const history = [
+        txn('1', 'deposit', 10000, 0, 10000, at(0)),
+        txn('2', 'withdrawal', 3000, 10000, 7000, at(1)),
+        txn('3', 'interest', 600, 7000, 7600, at(2)),
+        txn('4', 'fee', 100, 7600, 7500, at(3))
+      ];
+      expect(reconcileAccount(account, history)).toEqual([]);
+    });
+
+    it('should follow the direction of reversals', () => {
+      const history = [
+        txn('1', 'deposit', 7500, 0, 7500, at(0)),
+        txn('2', 'deposit', 2000, 7500, 9500, at(1)),
+        txn('3', 'reversal', 2000, 9500, 7500, at(2), { direction: 'debit' })
+      ];
+      expect(reconcileAccount(account, history)).toEqual([]);
+    });
+
+    it('should report a balance that differs from the transaction total', () => {
+      const breaks = reconcileAccount({ ...account, balance: 8000 }, [txn('1', 'deposit', 7500, 0, 7500, at(0))]);
+      expect(breaks).toEqual([
+        expect.objectContaining({ kind: 'balance_mismatch', expected: 7500, actual: 8000, difference: 500 })
+      ]);
+    });
+
+    it('should report a gap in the balance chain and a row that does not add up', () => {
+      const breaks = reconcileAccount(account, [
+        txn('1', 'deposit', 5000, 0, 5000, at(0)),
+        txn('2', 'deposit', 2000, 5500, 7500, at(1)),
+        txn('3', 'deposit', 500, 7500, 7900, at(2))
+      ]);
+      expect(breaks.map(item => [item.kind, item.transactionId])).toEqual([
+        ['chain_break', 'TXN2'],
+        ['amount_mismatch', 'TXN3']
+      ]);
+      expect(breaks[0]).toMatchObject({ expected: 5000, actual: 5500, difference: 500 });
+    });
+
+    it('should compare fractional amounts exactly in minor units', () => {
+      const history = Array.from({ length: 10 }, (_, i) =>
+        txn(String(i), 'interest', 0.1, i / 10, (i + 1) / 10, at(i)));
+      expect(reconcileAccount({ ...account, balance: 1 }, history)).toEqual([]);
+    });
+
+    it('should prefer the stored minor units over the Number fields', () => {
+      const breaks = reconcileAccount({ ...account, balance: 100, balanceMinor: 10000 }, [
+        txn('1', 'deposit', 100, 0, 100, at(0), { amountMinor: 10000, balanceBeforeMinor: 0, balanceAfterMinor: 10001 })
+      ]);
+      expect(breaks.map(item => item.kind)).toEqual(['amount_mismatch']);
+      expect(breaks[0]).toMatchObject({ expected: 100, actual: 100.01, difference: 0.01 });
+    });
+  });
+
+  describe('orderForChain', () => {
+    it('should order rows with the same timestamp by the balance chain', () => {
+      const ordered = orderForChain([
+        txn('b', 'deposit', 2000, 1000, 3000, at(0)),
+        txn('a', 'deposit', 1000, 0, 1000, at(0))
+      ]);
+      expect(ordered.map(item => item._id)).toEqual(['a', 'b']);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from '@jest/globals';
+import { hashToken, isIdleExpired, sessionsToEvict, toSessionSummary } from '../../services/sessionService.js';
+
+const minutesAgo = (minutes, now) => new Date(now - minutes * 60 * 1000);
+
+describe('SessionService', () => {
+  const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+  describe('hashToken', () => {
+    it('should give a stable digest that is not the token', () => {
+      expect(hashToken('abc')).toBe(hashToken('abc'));
+      expect(hashToken('abc')).not.toBe(hashToken('abd'));
+      expect(hashToken('abc')).toMatch(/^[a-f0-9]{64}$/);
+    });
+  });
+
+  describe('isIdleExpired', () => {
+    const timeout = 30 * 60 * 1000;
+
+    it('should expire sessions idle for the whole timeout', () => {
+      expect(isIdleExpired({ security: { lastActivity: minutesAgo(30, now) } }, timeout, now)).toBe(true);
+      expect(isIdleExpired({ security: { lastActivity: minutesAgo(29, now) } }, timeout, now)).toBe(false);
+    });
+
+    it('should fall back to the login time', () => {
+      expect(isIdleExpired({ loginInfo: { timestamp: minutesAgo(45, now) } }, timeout, now)).toBe(true);
+    });
+  });
+
+  describe('sessionsToEvict', () => {
+    const sessions = [
+      { sessionId: 'a', security: { lastActivity: minutesAgo(5, now) } },
+      { sessionId: 'b', security: { lastActivity: minutesAgo(50, now) } },
+      { sessionId: 'c', security: { lastActivity: minutesAgo(20, now) } }
+    ];
+
+    it('should end the least recently used sessions to make room for one more', () => {
+      expect(sessionsToEvict(sessions, 3).map(s => s.sessionId)).toEqual(['b']);
+      expect(sessionsToEvict(sessions, 2).map(s => s.sessionId)).toEqual(['b', 'c']);
+      expect(sessionsToEvict(sessions, 1).map(s => s.sessionId)).toEqual(['b', 'c', 'a']);
+    });
+
+    it('should keep everything under the limit or with no limit', () => {
+      expect(sessionsToEvict(sessions, 4)).toEqual([]);
+      expect(sessionsToEvict(sessions, 0)).toEqual([]);
+    });
+  });
+
+  describe('toSessionSummary', () => {
+    it('should mark the current session and leave out the token digest', () => {
+      const summary = toSessionSummary({
+        sessionId: 'a',
+        token: 'digest',
+        status: 'active',
+        loginInfo: { ipAddress: '10.0.0.1', timestamp: minutesAgo(60, now), deviceInfo: { browser: 'Chrome' } },
+        security: { lastActivity: minutesAgo(1, now) }
+      }, 'a');
+      expect(summary).toMatchObject({ sessionId: 'a', current: true, ipAddress: '10.0.0.1', logoutReason: null });
+      expect(summary.deviceInfo.browser).toBe('Chrome');
+      expect(summary).not.toHaveProperty('token');
+    });
+  });
+});
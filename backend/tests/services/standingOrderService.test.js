@@ -0,0 +1,144 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import StandingOrder from '../../models/standingOrderModel.js';
+import TransactionLimitService from '../../services/transactionLimitService.js';
+import StandingOrderService, { dueDateFor, failedAttemptOutcome, installmentLimitViolation } from '../../services/standingOrderService.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00.000Z`);
+const iso = (date) => date.toISOString().slice(0, 10);
+
+describe('StandingOrderService', () => {
+  describe('dueDateFor', () => {
+    it('should step weekly and biweekly orders by whole days', () => {
+      expect(iso(dueDateFor(day('2026-10-05'), 'weekly', 0))).toBe('2026-10-05');
+      expect(iso(dueDateFor(day('2026-10-05'), 'weekly', 4))).toBe('2026-11-02');
+      expect(iso(dueDateFor(day('2026-10-05'), 'biweekly', 3))).toBe('2026-11-16');
+    });
+
+    it('should keep monthly orders on the start day, clamped to short months', () => {
+      const start = day('2026-01-31');
+      expect([0, 1, 2, 3].map(index => iso(dueDateFor(start, 'monthly', index))))
+        .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    it('should step quarterly orders by three months across the year end', () => {
+      expect(iso(dueDateFor(day('2026-11-15'), 'quarterly', 1))).toBe('2027-02-15');
+    });
+  });
+
+  describe('dueDateAfter', () => {
+    it('should stop once the due date passes the end date', () => {
+      const order = { startDate: day('2026-10-01'), frequency: 'monthly', endDate: day('2026-12-01') };
+      expect(iso(StandingOrderService.dueDateAfter(order, 2))).toBe('2026-12-01');
+      expect(StandingOrderService.dueDateAfter(order, 3)).toBeNull();
+    });
+  });
+
+  describe('failedAttemptOutcome', () => {
+    const date = day('2026-10-19');
+
+    it('should retry after the interval while retries are left', () => {
+      const outcome = failedAttemptOutcome(1, { maxRetries: 2, retryIntervalDays: 2 }, date);
+      expect(outcome.status).toBe('due');
+      expect(iso(outcome.nextAttemptAt)).toBe('2026-10-21');
+    });
+
+    it('should mark the installment missed once the retries are used up', () => {
+      expect(failedAttemptOutcome(3, { maxRetries: 2, retryIntervalDays: 1 }, date)).toEqual({ status: 'missed', nextAttemptAt: null });
+      expect(failedAttemptOutcome(1, { maxRetries: 0 }, date).status).toBe('missed');
+    });
+
+    it('should default to two daily retries', () => {
+      expect(failedAttemptOutcome(2, undefined, date).status).toBe('due');
+      expect(failedAttemptOutcome(3, undefined, date).status).toBe('missed');
+    });
+  });
+
+  describe('parseDates', () => {
+    it('should default the start date to today', () => {
+      const { startDate, endDate } = StandingOrderService.parseDates();
+      expect(iso(startDate)).toBe(new Date().toISOString().slice(0, 10));
+      expect(endDate).toBeNull();
+    });
+
+    it('should reject start dates in the past and end dates before the start', () => {
+      expect(() => StandingOrderService.parseDates('2020-01-01')).toThrow('Start date cannot be in the past');
+      expect(() => StandingOrderService.parseDates('2999-02-01', '2999-01-01')).toThrow('End date must be on or after the start date');
+      expect(() => StandingOrderService.parseDates('not-a-date')).toThrow('valid dates');
+    });
+  });
+
+  describe('installmentLimitViolation', () => {
+    const limits = {
+      openingDeposit: 50000,
+      minDeposit: 1000,
+      maxDeposit: null,
+      minWithdrawal: 500,
+      maxWithdrawal: 200000,
+      dailyWithdrawalLimit: 150000,
+      monthlyDepositLimit: 1000000
+    };
+
+    it('should check one installment against the per-transaction limits', () => {
+      expect(installmentLimitViolation(limits, 'withdrawal', 300000).code).toBe('ABOVE_MAX_WITHDRAWAL');
+      expect(installmentLimitViolation(limits, 'withdrawal', 100).code).toBe('BELOW_MIN_WITHDRAWAL');
+      expect(installmentLimitViolation(limits, 'deposit', 500).code).toBe('BELOW_MIN_DEPOSIT');
+    });
+
+    it('should refuse amounts larger than a daily or monthly limit', () => {
+      expect(installmentLimitViolation(limits, 'withdrawal', 180000).code).toBe('DAILY_WITHDRAWAL_LIMIT');
+      expect(installmentLimitViolation(limits, 'deposit', 1200000).code).toBe('MONTHLY_DEPOSIT_LIMIT');
+    });
+
+    it('should ignore the opening deposit and allow amounts within the limits', () => {
+      expect(installmentLimitViolation(limits, 'deposit', 20000)).toBeNull();
+      expect(installmentLimitViolation(limits, 'withdrawal', 20000)).toBeNull();
+      expect(installmentLimitViolation(null, 'withdrawal', 20000)).toBeNull();
+    });
+  });
+
+  describe('create', () => {
+    const from = { _id: 'acc-from', accountNumber: 'SAV-1', customerId: 'cust-1', status: 'active' };
+    const to = { _id: 'acc-to', accountNumber: 'SAV-2', customerId: 'cust-2', status: 'active' };
+    const params = { type: 'transfer', fromAccountId: 'acc-from', toAccountId: 'acc-to', amount: 5000, frequency: 'monthly' };
+
+    // Accounts, limits and the insert are the only database calls create makes
+    const stubDatabase = (limits = null) => {
+      jest.spyOn(StandingOrderService, 'findAccount').mockImplementation(async (id) => (id === 'acc-from' ? from : to));
+      jest.spyOn(TransactionLimitService, 'getEffectiveLimits').mockResolvedValue(limits);
+      return jest.spyOn(StandingOrder, 'create').mockImplementation(async (doc) => doc);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should create a transfer with its retry policy', async () => {
+      stubDatabase();
+      const order = await StandingOrderService.create(
+        { ...params, retryPolicy: { maxRetries: '3', retryIntervalDays: 2 } },
+        { createdBy: 'user-1' }
+      );
+      expect(order).toMatchObject({
+        customerId: 'cust-1',
+        fromAccountId: 'acc-from',
+        toAccountId: 'acc-to',
+        amount: 5000,
+        retryPolicy: { maxRetries: 3, retryIntervalDays: 2 },
+        channel: 'staff'
+      });
+    });
+
+    it('should refuse retry settings outside their range', async () => {
+      const insert = stubDatabase();
+      await expect(StandingOrderService.create({ ...params, retryPolicy: { maxRetries: 11 } }))
+        .rejects.toThrow('retryPolicy.maxRetries must be a whole number from 0 to 10');
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an amount above the product limits', async () => {
+      const insert = stubDatabase({ maxWithdrawal: 1000 });
+      await expect(StandingOrderService.create(params)).rejects.toMatchObject({ code: 'ABOVE_MAX_WITHDRAWAL' });
+      expect(insert).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from '@jest/globals';
+import StatementService, { statementToCsv } from '../../services/statementService.js';
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+const statement = {
+  account: { accountNumber: 'SAV000123', accountType: 'regular', currency: 'RWF' },
+  customer: { customerCode: 'CUS001', fullName: 'Jane Doe' },
+  period: { from: '2024-05-01', to: '2024-05-31' },
+  openingBalance: 1000,
+  closingBalance: 5500,
+  totalCredits: 5000,
+  totalDebits: 500,
+  totalsByType: {
+    deposit: { count: 1, amount: 5000 },
+    withdrawal: { count: 1, amount: 500 }
+  },
+  transactions: [
+    { date: day('2024-05-03'), transactionId: 'TXN1', reference: 'DEP-1', type: 'deposit', description: 'Cash deposit, branch', debit: 0, credit: 5000, runningBalance: 6000 },
+    { date: day('2024-05-10'), transactionId: 'TXN2', reference: null, type: 'withdrawal', description: 'Said "thanks"', debit: 500, credit: 0, runningBalance: 5500 }
+  ],
+  branding: { companyName: 'NDFIS', primaryColor: '#1e40af', secondaryColor: '#64748b', logo: null },
+  generatedAt: day('2024-06-01')
+};
+
+describe('StatementService', () => {
+  describe('parsePeriod', () => {
+    it('should treat dates as inclusive UTC business days', () => {
+      expect(StatementService.parsePeriod({ from: '2024-05-01', to: '2024-05-31' }))
+        .toEqual({ from: day('2024-05-01'), to: day('2024-05-31') });
+    });
+
+    it('should reject reversed or overly long periods', () => {
+      expect(() => StatementService.parsePeriod({ from: '2024-05-31', to: '2024-05-01' }))
+        .toThrow('Statement start date must be on or before the end date');
+      expect(() => StatementService.parsePeriod({ from: '2022-01-01', to: '2024-01-01' }))
+        .toThrow('Statement period cannot be longer than 366 days');
+    });
+  });
+
+  describe('statementToCsv', () => {
+    it('should include opening, running and closing balances', () => {
+      const lines = statementToCsv(statement).split('\r\n');
+      expect(lines).toContain('2024-05-01,,,,Opening balance,,,1000.00');
+      expect(lines).toContain('2024-05-03T00:00:00.000Z,TXN1,DEP-1,deposit,"Cash deposit, branch",,5000.00,6000.00');
+      expect(lines).toContain('2024-05-31,,,,Closing balance,,,5500.00');
+      expect(lines).toContain('deposit,1,5000.00');
+    });
+
+    it('should escape quotes in descriptions', () => {
+      expect(statementToCsv(statement)).toContain('"Said ""thanks"""');
+    });
+  });
+
+  describe('renderPdf', () => {
+    it('should produce a PDF document', async () => {
+      const pdf = await StatementService.renderPdf(statement);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from '@jest/globals';
+import { calculateVariance, summariseDrawers, isCashPosting } from '../../services/tellerService.js';
+import { calculateExpectedCash } from '../../models/tellerSessionModel.js';
+import { tellerSessionDTO } from '../../dtos/tellerSessionDTO.js';
+
+describe('TellerService', () => {
+  describe('calculateExpectedCash', () => {
+    it('should add the float, cash in and transfers in, less cash and transfers out', () => {
+      expect(calculateExpectedCash({
+        openingFloat: 100000,
+        cashIn: 45000.5,
+        cashOut: 30000,
+        transfersIn: 20000,
+        transfersOut: 50000
+      })).toBe(85000.5);
+    });
+  });
+
+  describe('calculateVariance', () => {
+    it('should classify the count against the expected cash', () => {
+      expect(calculateVariance(85000, 85000)).toEqual({ variance: 0, varianceType: 'balanced' });
+      expect(calculateVariance(85000, 85500)).toEqual({ variance: 500, varianceType: 'over' });
+      expect(calculateVariance(85000, 84000.25)).toEqual({ variance: -999.75, varianceType: 'short' });
+    });
+  });
+
+  describe('summariseDrawers', () => {
+    it('should total cash and split the variances into over and short', () => {
+      expect(summariseDrawers([
+        { cashIn: 20000, cashOut: 5000, transactionCount: 4, variance: 500 },
+        { cashIn: 10000, cashOut: 12000, transactionCount: 3, variance: -1200 },
+        { cashIn: 0, cashOut: 0, transactionCount: 0, variance: 0 }
+      ])).toEqual({
+        drawers: 3,
+        transactionCount: 7,
+        cashIn: 30000,
+        cashOut: 17000,
+        totalOver: 500,
+        totalShort: 1200,
+        netVariance: -700
+      });
+    });
+  });
+
+  describe('tellerSessionDTO', () => {
+    const drawer = { _id: 'd1', status: 'open', openingFloat: 50000, cashIn: 10000, cashOut: 0, transfersIn: 0, transfersOut: 0 };
+
+    it('should hide the running totals of an open drawer from its teller', () => {
+      const view = tellerSessionDTO(drawer, { blind: true });
+      expect(view.openingFloat).toBe(50000);
+      expect(view).not.toHaveProperty('cashIn');
+      expect(view).not.toHaveProperty('expectedCash');
+    });
+
+    it('should show the expected cash to supervisors', () => {
+      expect(tellerSessionDTO(drawer).expectedCash).toBe(60000);
+    });
+  });
+
+  describe('isCashPosting', () => {
+    it('should always treat front-line staff postings as cash', () => {
+      expect(isCashPosting('accountant')).toBe(true);
+      expect(isCashPosting('support', 'non_cash')).toBe(true);
+    });
+
+    it('should treat back-office postings as non-cash unless marked cash', () => {
+      expect(isCashPosting('admin')).toBe(false);
+      expect(isCashPosting('manager', 'non_cash')).toBe(false);
+      expect(isCashPosting('branch-manager', 'cash')).toBe(true);
+    });
+  });
+});
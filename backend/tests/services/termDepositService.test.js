@@ -0,0 +1,60 @@
+import { describe, it, expect } from '@jest/globals';
+import TermDepositService from '../../services/termDepositService.js';
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+describe('TermDepositService', () => {
+  describe('addMonths', () => {
+    it('should keep the day of month', () => {
+      expect(TermDepositService.addMonths(day('2024-01-15'), 6)).toEqual(day('2024-07-15'));
+      expect(TermDepositService.addMonths(day('2024-11-10'), 3)).toEqual(day('2025-02-10'));
+    });
+
+    it('should clamp to the last day of shorter months', () => {
+      expect(TermDepositService.addMonths(day('2024-01-31'), 1)).toEqual(day('2024-02-29'));
+      expect(TermDepositService.addMonths(day('2023-08-31'), 6)).toEqual(day('2024-02-29'));
+      expect(TermDepositService.addMonths(day('2024-03-31'), 1)).toEqual(day('2024-04-30'));
+    });
+  });
+
+  describe('getEarlyWithdrawalPenalty', () => {
+    const account = { termDeposit: { principal: 200000 } };
+    const product = (type, value) => ({ termSettings: { earlyWithdrawalPenalty: { type, value } } });
+
+    it('should forfeit accrued interest by default', () => {
+      expect(TermDepositService.getEarlyWithdrawalPenalty(account, null))
+        .toEqual({ type: 'forfeit_interest', amount: 0, forfeitInterest: true });
+    });
+
+    it('should charge a percentage of the principal', () => {
+      expect(TermDepositService.getEarlyWithdrawalPenalty(account, product('percentage_of_principal', 1.5)))
+        .toEqual({ type: 'percentage_of_principal', amount: 3000, forfeitInterest: false });
+    });
+
+    it('should charge a flat amount or nothing', () => {
+      expect(TermDepositService.getEarlyWithdrawalPenalty(account, product('flat', 5000)).amount).toBe(5000);
+      expect(TermDepositService.getEarlyWithdrawalPenalty(account, product('none', 0)).amount).toBe(0);
+    });
+  });
+
+  describe('buildTerms', () => {
+    const product = { termSettings: { tenorOptions: [3, 6, 12] } };
+
+    it('should reject tenors the product does not offer', async () => {
+      await expect(TermDepositService.buildTerms(product, { principal: 100000, tenorMonths: 9 }))
+        .rejects.toThrow('Tenor must be one of 3, 6, 12 months for this product');
+    });
+
+    it('should require a payout account for the payout instruction', async () => {
+      await expect(TermDepositService.buildTerms(product, { principal: 100000, tenorMonths: 6, maturityInstruction: 'payout' }))
+        .rejects.toThrow('A payout account is required');
+    });
+
+    it('should set the maturity date from the tenor', async () => {
+      const terms = await TermDepositService.buildTerms(product, { principal: 100000, tenorMonths: 6 });
+      expect(terms.status).toBe('active');
+      expect(terms.interestPayout).toBe('at_maturity');
+      expect(terms.maturityDate).toEqual(TermDepositService.addMonths(terms.startDate, 6));
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { evaluateLimits } from '../../services/transactionLimitService.js';
+
+const limits = {
+  channel: 'customer',
+  openingDeposit: 5000,
+  minDeposit: 500,
+  maxDeposit: 1000000,
+  minWithdrawal: 1000,
+  maxWithdrawal: 500000,
+  dailyDepositLimit: 2000000,
+  monthlyDepositLimit: null,
+  dailyWithdrawalLimit: 300000,
+  monthlyWithdrawalLimit: 1000000,
+  channelMaxDeposit: null,
+  channelMaxWithdrawal: 200000
+};
+
+const usage = {
+  depositsToday: 0,
+  depositsThisMonth: 0,
+  withdrawalsToday: 0,
+  withdrawalsThisMonth: 0,
+  hasDeposits: true
+};
+
+describe('evaluateLimits', () => {
+  it('should allow amounts inside every limit', () => {
+    expect(evaluateLimits(limits, usage, 'deposit', 10000)).toBeNull();
+    expect(evaluateLimits(limits, usage, 'withdrawal', 10000)).toBeNull();
+    expect(evaluateLimits(null, usage, 'withdrawal', 10000)).toBeNull();
+  });
+
+  it('should apply the opening deposit only to the first deposit', () => {
+    expect(evaluateLimits(limits, { ...usage, hasDeposits: false }, 'deposit', 1000).code).toBe('BELOW_OPENING_DEPOSIT');
+    expect(evaluateLimits(limits, usage, 'deposit', 1000)).toBeNull();
+  });
+
+  it('should report per-transaction and channel limits', () => {
+    expect(evaluateLimits(limits, usage, 'deposit', 100).code).toBe('BELOW_MIN_DEPOSIT');
+    expect(evaluateLimits(limits, usage, 'deposit', 1500000).code).toBe('ABOVE_MAX_DEPOSIT');
+    expect(evaluateLimits(limits, usage, 'withdrawal', 500).code).toBe('BELOW_MIN_WITHDRAWAL');
+    expect(evaluateLimits(limits, usage, 'withdrawal', 250000).code).toBe('CHANNEL_WITHDRAWAL_LIMIT');
+  });
+
+  it('should include earlier postings in cumulative limits', () => {
+    expect(evaluateLimits(limits, { ...usage, depositsToday: 1500000 }, 'deposit', 600000).code).toBe('DAILY_DEPOSIT_LIMIT');
+    expect(evaluateLimits(limits, { ...usage, withdrawalsToday: 150000 }, 'withdrawal', 160000).code).toBe('DAILY_WITHDRAWAL_LIMIT');
+    expect(evaluateLimits(limits, { ...usage, withdrawalsThisMonth: 900000 }, 'withdrawal', 150000).code).toBe('MONTHLY_WITHDRAWAL_LIMIT');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  toMinor,
+  fromMinor,
+  roundMoney,
+  sumMoney,
+  subtractMoney,
+  moneyEquals,
+  hasValidPrecision,
+  formatMoney,
+  getPrecision
+} from '../../utils/money.js';
+
+describe('money utilities', () => {
+  describe('toMinor', () => {
+    it('should convert major units to integer minor units', () => {
+      expect(toMinor(1250.5)).toBe(125050);
+      expect(toMinor('99.99')).toBe(9999);
+      expect(toMinor(0)).toBe(0);
+    });
+
+    it('should round half away from zero without binary noise', () => {
+      expect(toMinor(1.005)).toBe(101);
+      expect(toMinor(2.675)).toBe(268);
+      expect(toMinor(-1.005)).toBe(-101);
+      expect(toMinor(0.004)).toBe(0);
+    });
+
+    it('should use the precision of the currency', () => {
+      expect(getPrecision('UGX')).toBe(0);
+      expect(toMinor(1500.5, 'UGX')).toBe(1501);
+      expect(getPrecision('XYZ')).toBe(2);
+    });
+
+    it('should reject values that are not amounts', () => {
+      expect(() => toMinor('abc')).toThrow(TypeError);
+      expect(() => toMinor(Infinity)).toThrow(TypeError);
+      expect(() => toMinor(1e17)).toThrow(RangeError);
+    });
+  });
+
+  describe('fromMinor', () => {
+    it('should convert minor units back to major units', () => {
+      expect(fromMinor(125050)).toBe(1250.5);
+      expect(fromMinor(1)).toBe(0.01);
+      expect(fromMinor(1501, 'UGX')).toBe(1501);
+    });
+
+    it('should reject fractional minor units', () => {
+      expect(() => fromMinor(10.5)).toThrow(TypeError);
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('should not drift over many fractional postings', () => {
+      const postings = Array.from({ length: 1000 }, () => 0.1);
+      expect(postings.reduce((sum, amount) => sum + amount, 0)).not.toBe(100);
+      expect(sumMoney(postings)).toBe(100);
+    });
+
+    it('should subtract and compare exactly', () => {
+      expect(subtractMoney(0.3, 0.1)).toBe(0.2);
+      expect(moneyEquals(0.1 + 0.2, 0.3)).toBe(true);
+      expect(moneyEquals(10, 10.01)).toBe(false);
+    });
+
+    it('should round to the currency precision and pass NaN through', () => {
+      expect(roundMoney(12.345)).toBe(12.35);
+      expect(roundMoney(undefined)).toBeNaN();
+    });
+  });
+
+  describe('hasValidPrecision', () => {
+    it('should accept amounts within the currency precision', () => {
+      expect(hasValidPrecision(100)).toBe(true);
+      expect(hasValidPrecision(100.25)).toBe(true);
+      expect(hasValidPrecision(0.1 + 0.2)).toBe(true);
+    });
+
+    it('should reject extra decimals', () => {
+      expect(hasValidPrecision(100.255)).toBe(false);
+      expect(hasValidPrecision(100.5, 'UGX')).toBe(false);
+      expect(hasValidPrecision('abc')).toBe(false);
+    });
+  });
+
+  describe('formatMoney', () => {
+    it('should show decimals only when there is a fraction', () => {
+      expect(formatMoney(1250)).toBe('1,250 RWF');
+      expect(formatMoney(1250.5)).toBe('1,250.50 RWF');
+      expect(formatMoney(undefined, 'USD')).toBe('0 USD');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { describe, it, expect } from '@jest/globals';
+import {
+  getScheme,
+  isCurrentHash,
+  hashPassword,
+  needsRehash,
+  verifyPassword,
+  CURRENT_VERSION,
+  LEGACY_SCHEME
+} from '../../utils/passwordHash.js';
+
+// Low work factor keeps the tests fast; the format is the same
+const ROUNDS = 4;
+
+const legacyHash = (password) => crypto.createHash('sha512').update(password).digest('hex');
+
+describe('passwordHash', () => {
+  describe('hashPassword', () => {
+    it('should produce salted, versioned hashes', async () => {
+      const first = await hashPassword('Secret123!', ROUNDS);
+      const second = await hashPassword('Secret123!', ROUNDS);
+      expect(first.startsWith(`${CURRENT_VERSION}$$2`)).toBe(true);
+      expect(first).not.toBe(second);
+      expect(getScheme(first)).toBe(CURRENT_VERSION);
+      expect(isCurrentHash(first)).toBe(true);
+    });
+
+    it('should reject empty passwords', async () => {
+      await expect(hashPassword('')).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe('getScheme', () => {
+    it('should recognise legacy SHA-512 digests and nothing else', () => {
+      expect(getScheme(legacyHash('Secret123!'))).toBe(LEGACY_SCHEME);
+      expect(getScheme('plain-text')).toBeNull();
+      expect(getScheme(undefined)).toBeNull();
+      expect(isCurrentHash(legacyHash('Secret123!'))).toBe(false);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('should check current hashes', async () => {
+      const stored = await hashPassword('Secret123!', ROUNDS);
+      await expect(verifyPassword('Secret123!', stored)).resolves.toBe(true);
+      await expect(verifyPassword('secret123!', stored)).resolves.toBe(false);
+    });
+
+    it('should still accept legacy hashes', async () => {
+      const stored = legacyHash('Secret123!');
+      await expect(verifyPassword('Secret123!', stored)).resolves.toBe(true);
+      await expect(verifyPassword('Wrong', stored)).resolves.toBe(false);
+    });
+
+    it('should refuse unknown formats and empty passwords', async () => {
+      await expect(verifyPassword('Secret123!', 'Secret123!')).resolves.toBe(false);
+      await expect(verifyPassword('', legacyHash(''))).resolves.toBe(false);
+    });
+  });
+
+  describe('needsRehash', () => {
+    it('should upgrade legacy hashes and hashes with too few rounds', async () => {
+      const weak = await hashPassword('Secret123!', ROUNDS);
+      expect(needsRehash(legacyHash('Secret123!'))).toBe(true);
+      expect(needsRehash(weak, ROUNDS + 1)).toBe(true);
+      expect(needsRehash(weak, ROUNDS)).toBe(false);
+    });
+  });
+});
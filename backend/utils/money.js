@@ -0,0 +1,151 @@
+/**
+ * Money utilities
+ * Amounts are kept as integers in the currency's minor unit (cents for a
+ * two-decimal currency) so adding and subtracting never drifts. Major-unit
+ * Numbers are only produced for display and for the legacy Number fields.
+ */
+
+export const DEFAULT_CURRENCY = 'RWF';
+
+// Decimal places booked per currency. RWF has no coins below one franc, but
+// interest and fees accrue in fractions, so balances carry two decimals.
+export const CURRENCY_PRECISION = {
+  RWF: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  KES: 2,
+  UGX: 0,
+  TZS: 2,
+  BIF: 0,
+  CDF: 2
+};
+
+/**
+ * Decimal places used for a currency
+ * @param {string} currency - ISO code, defaults to RWF
+ * @returns {number}
+ */
+export const getPrecision = (currency = DEFAULT_CURRENCY) => CURRENCY_PRECISION[currency] ?? 2;
+
+/**
+ * Convert a major-unit amount to integer minor units, rounding half away from zero.
+ * The product is trimmed to 15 significant digits first so that binary noise
+ * (1.005 * 100 = 100.49999...) does not decide the rounding.
+ * @param {number|string} amount - Amount in major units
+ * @param {string} currency
+ * @returns {number} Integer minor units
+ */
+export const toMinor = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) {
+    throw new TypeError(`Invalid money amount: ${amount}`);
+  }
+  const shifted = Number((Math.abs(value) * 10 ** getPrecision(currency)).toPrecision(15));
+  const minor = Math.sign(value) * Math.round(shifted);
+  if (!Number.isSafeInteger(minor)) {
+    throw new RangeError(`Money amount out of range: ${amount}`);
+  }
+  return minor || 0;
+};
+
+/**
+ * Convert integer minor units back to a major-unit Number
+ * @param {number} minor - Integer minor units
+ * @param {string} currency
+ * @returns {number}
+ */
+export const fromMinor = (minor, currency = DEFAULT_CURRENCY) => {
+  if (!Number.isSafeInteger(minor)) {
+    throw new TypeError(`Minor units must be an integer: ${minor}`);
+  }
+  const precision = getPrecision(currency);
+  return precision === 0 ? minor : Number((minor / 10 ** precision).toFixed(precision));
+};
+
+/**
+ * Round a major-unit amount to the currency's precision (half away from zero).
+ * Non-numeric input gives NaN, like Math.round, so callers can validate the result.
+ * @param {number|string} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+export const roundMoney = (amount, currency = DEFAULT_CURRENCY) =>
+  Number.isFinite(Number(amount)) ? fromMinor(toMinor(amount, currency), currency) : NaN;
+
+/**
+ * Sum major-unit amounts exactly
+ * @param {Array<number>} amounts
+ * @param {string} currency
+ * @returns {number} Rounded major-unit total
+ */
+export const sumMoney = (amounts, currency = DEFAULT_CURRENCY) =>
+  fromMinor(amounts.reduce((total, amount) => total + toMinor(amount || 0, currency), 0), currency);
+
+/**
+ * a - b, exactly
+ * @param {number} a
+ * @param {number} b
+ * @param {string} currency
+ * @returns {number}
+ */
+export const subtractMoney = (a, b, currency = DEFAULT_CURRENCY) =>
+  fromMinor(toMinor(a || 0, currency) - toMinor(b || 0, currency), currency);
+
+/**
+ * Whether two major-unit amounts are equal once rounded to the currency's precision
+ * @param {number} a
+ * @param {number} b
+ * @param {string} currency
+ * @returns {boolean}
+ */
+export const moneyEquals = (a, b, currency = DEFAULT_CURRENCY) =>
+  toMinor(a || 0, currency) === toMinor(b || 0, currency);
+
+/**
+ * Whether an amount has no more decimals than the currency allows
+ * @param {number|string} amount
+ * @param {string} currency
+ * @returns {boolean}
+ */
+export const hasValidPrecision = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return false;
+  return Number((value * 10 ** getPrecision(currency)).toPrecision(15)) % 1 === 0;
+};
+
+/**
+ * Format a major-unit amount for display, e.g. "1,250.50 RWF".
+ * Whole amounts are shown without decimals.
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const rounded = roundMoney(amount || 0, currency);
+  const formatted = new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: Number.isInteger(rounded) ? 0 : getPrecision(currency),
+    maximumFractionDigits: getPrecision(currency)
+  }).format(rounded);
+  return `${formatted} ${currency}`;
+};
+
+/**
+ * Keep a document's minor-unit fields and their major-unit mirrors in step.
+ * A write to the minor field wins; otherwise the major field is converted,
+ * which also fills the minor field on documents saved before it existed.
+ * Call from a schema's pre('validate') hook.
+ * @param {Object} doc - Mongoose document
+ * @param {Array<Array<string>>} pairs - [majorField, minorField] pairs
+ * @param {string} currency
+ */
+export const syncMinorFields = (doc, pairs, currency = DEFAULT_CURRENCY) => {
+  for (const [major, minor] of pairs) {
+    if (doc[minor] != null && (doc.isModified(minor) || !doc.isModified(major))) {
+      doc[major] = fromMinor(doc[minor], currency);
+    } else if (doc[major] != null) {
+      doc[minor] = toMinor(doc[major], currency);
+      doc[major] = fromMinor(doc[minor], currency);
+    }
+  }
+};
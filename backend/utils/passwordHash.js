@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+
+/**
+ * Customer password hashes.
+ *
+ * Stored hashes carry their scheme version as a prefix, `<version>$<hash>`, so the
+ * scheme can change again without guessing from the hash's shape:
+ * - v2: bcrypt, salted, BCRYPT_ROUNDS rounds. Everything new is stored this way.
+ * - legacy: a bare, unsalted SHA-512 hex digest with no prefix, from before versioning.
+ *   Rehashed to v2 on the next successful login.
+ */
+
+export const CURRENT_VERSION = 'v2';
+export const LEGACY_SCHEME = 'legacy-sha512';
+
+// Work factor for new hashes; hashes with fewer rounds are upgraded on login
+export const BCRYPT_ROUNDS = 12;
+
+const LEGACY_PATTERN = /^[a-f0-9]{128}$/i;
+
+/**
+ * Which scheme a stored hash uses
+ * @param {string} stored
+ * @returns {string|null} 'v2', 'legacy-sha512', or null when it is not a known hash
+ */
+export const getScheme = (stored) => {
+  if (typeof stored !== 'string') return null;
+  if (stored.startsWith(`${CURRENT_VERSION}$`)) return CURRENT_VERSION;
+  if (LEGACY_PATTERN.test(stored)) return LEGACY_SCHEME;
+  return null;
+};
+
+/**
+ * Whether a value is already a current-version hash (so it must not be hashed again)
+ */
+export const isCurrentHash = (value) => getScheme(value) === CURRENT_VERSION;
+
+/**
+ * Hash a plain-text password with the current scheme
+ * @param {string} password
+ * @param {number} rounds - bcrypt work factor
+ * @returns {Promise<string>} `v2$<bcrypt hash>`
+ */
+export const hashPassword = async (password, rounds = BCRYPT_ROUNDS) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new TypeError('Password must be a non-empty string');
+  }
+  return `${CURRENT_VERSION}$${await bcrypt.hash(password, rounds)}`;
+};
+
+/**
+ * Whether a stored hash should be replaced with a fresh current-version hash
+ * @param {string} stored
+ * @param {number} rounds - Work factor new hashes use
+ * @returns {boolean}
+ */
+export const needsRehash = (stored, rounds = BCRYPT_ROUNDS) => {
+  if (!isCurrentHash(stored)) return true;
+  return bcrypt.getRounds(stored.slice(CURRENT_VERSION.length + 1)) < rounds;
+};
+
+/**
+ * Check a plain-text password against a stored hash of any known scheme
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || password.length === 0) return false;
+
+  switch (getScheme(stored)) {
+    case CURRENT_VERSION:
+      return bcrypt.compare(password, stored.slice(CURRENT_VERSION.length + 1));
+    case LEGACY_SCHEME: {
+      const digest = crypto.createHash('sha512').update(password).digest();
+      return crypto.timingSafeEqual(digest, Buffer.from(stored, 'hex'));
+    }
+    default:
+      return false;
+  }
+};
@@ -37,6 +37,12 @@ const Transactions = lazy(() => import('./pages/Transactions'));
 const TransactionDetails = lazy(() => import('./pages/TransactionDetails'));
 const DepositFunds = lazy(() => import('./pages/DepositFunds'));
 const WithdrawFunds = lazy(() => import('./pages/WithdrawFunds'));
+const TransferFunds = lazy(() => import('./pages/TransferFunds'));
+const PendingApprovals = lazy(() => import('./pages/PendingApprovals'));
+const CashDrawer = lazy(() => import('./pages/CashDrawer'));
+const BulkDeposits = lazy(() => import('./pages/BulkDeposits'));
+const Profile = lazy(() => import('./pages/Profile'));
+const Sessions = lazy(() => import('./pages/Sessions'));
 const DeviceVerifications = lazy(() => import('./pages/DeviceVerifications'));
 const DeviceVerificationDetails = lazy(() => import('./pages/DeviceVerificationDetails'));
 const AccountProducts = lazy(() => import('./pages/AccountProducts'));
@@ -90,6 +96,8 @@ const App = () => {
         >
           <Route index element={<Navigate to="dashboard" replace />} />
           <Route path="dashboard" element={<Dashboard />} />
+          <Route path="profile" element={<Profile />} />
+          <Route path="profile/sessions" element={<Sessions />} />
           
           {/* Customer Management Routes */}
           <Route path="customers" element={<CustomerList />} />
@@ -105,9 +113,13 @@ const App = () => {
           
           {/* Transaction Management Routes */}
           <Route path="transactions" element={<Transactions />} />
+          <Route path="transactions/approvals" element={<PendingApprovals />} />
+          <Route path="transactions/cash-drawer" element={<CashDrawer />} />
+          <Route path="transactions/bulk-deposits" element={<BulkDeposits />} />
           <Route path="transactions/:id" element={<TransactionDetails />} />
           <Route path="deposit-funds" element={<DepositFunds />} />
           <Route path="withdraw-funds" element={<WithdrawFunds />} />
+          <Route path="transfer-funds" element={<TransferFunds />} />
           
           {/* Device Verification Routes */}
           <Route path="device-verifications" element={<DeviceVerifications />} />
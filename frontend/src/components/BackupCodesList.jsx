@@ -0,0 +1,43 @@
+import PropTypes from 'prop-types';
+import { FaDownload } from 'react-icons/fa';
+
+// Save backup codes as a text file the user can keep somewhere safe
+const downloadBackupCodes = (codes) => {
+  const text = [
+    'Credit Jambo - two-factor backup codes',
+    'Each code can be used once if your authenticator app is not available.',
+    '',
+    ...codes
+  ].join('\n');
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'credit-jambo-backup-codes.txt';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// One-time backup codes, shown once after enrolment or regeneration
+const BackupCodesList = ({ codes }) => (
+  <div className="space-y-3">
+    <p className="text-sm text-gray-600">
+      Save these backup codes now. Each works once if you lose your phone, and they will not be shown again.
+    </p>
+    <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded-md p-3">
+      {codes.map(code => <li key={code}>{code}</li>)}
+    </ul>
+    <button
+      type="button"
+      onClick={() => downloadBackupCodes(codes)}
+      className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium text-white bg-gray-700 hover:bg-gray-800"
+    >
+      <FaDownload className="mr-1 h-3 w-3" /> Download Codes
+    </button>
+  </div>
+);
+
+BackupCodesList.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired
+};
+
+export default BackupCodesList;
@@ -2,12 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useAppContext } from '../context/AppContext';
 import { getResponsiveModalClasses, MODAL_SIZES, MODAL_POSITIONS } from '../utils/modalUtils';
 
+const WARNING_TIME = 5 * 60; // 5 minutes in seconds
+
 const InactivityWarning = () => {
-  const { user, updateActivity } = useAppContext();
+  const { user, updateActivity, idleTimeoutMinutes } = useAppContext();
   const [showWarning, setShowWarning] = useState(false);
-  const [timeLeft, setTimeLeft] = useState(300); // 5 minutes warning
-  const WARNING_TIME = 5 * 60; // 5 minutes in seconds
-  const INACTIVITY_TIMEOUT = 6 * 60 * 60; // 6 hours in seconds
+  const [timeLeft, setTimeLeft] = useState(WARNING_TIME);
+  const INACTIVITY_TIMEOUT = idleTimeoutMinutes * 60; // server session idle timeout, in seconds
 
   useEffect(() => {
     if (!user) return;
@@ -51,7 +52,7 @@ const InactivityWarning = () => {
       clearInterval(warningTimer);
       clearInterval(countdownTimer);
     };
-  }, [user]);
+  }, [user, INACTIVITY_TIMEOUT]);
 
   const handleStayActive = () => {
     updateActivity();
@@ -109,6 +109,13 @@ const Navbar = () => {
             >
               Profile
             </NavLink>
+            <NavLink
+              to="/profile/sessions"
+              className="block px-4 py-3 text-gray-700 dark:text-gray-300 rounded-lg transition-all duration-200 hover:bg-gray-100 dark:hover:bg-gray-700/50 hover:shadow-sm font-medium"
+              onClick={() => setIsOpen(false)}
+            >
+              My Sessions
+            </NavLink>
             <button
               onClick={handleLogout}
               className="block w-full text-left px-4 py-2.5 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
@@ -0,0 +1,88 @@
+import PropTypes from 'prop-types';
+
+const REASON_LABELS = {
+  user_logout: 'Logged out',
+  user_terminated: 'Signed out from another device',
+  admin_terminated: 'Ended by an admin',
+  session_limit: 'Replaced by a newer sign-in',
+  inactivity: 'Inactive too long',
+  session_expired: 'Expired'
+};
+
+const describeDevice = ({ browser, os, device } = {}) =>
+  `${browser || 'Unknown browser'} on ${os || 'unknown system'}${device ? ` (${device})` : ''}`;
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Staff sessions with device, activity and, for ended ones, why they ended
+const SessionList = ({ sessions, onTerminate, busy }) => {
+  if (!sessions.length) {
+    return <p className="px-4 py-4 text-sm text-gray-500">No sessions</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Device</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">IP Address</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Signed In</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last Active</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            {onTerminate && <th className="px-4 py-2"></th>}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {sessions.map(session => (
+            <tr key={session.sessionId}>
+              <td className="px-4 py-2 text-sm text-gray-900">
+                {describeDevice(session.deviceInfo)}
+                {session.current && (
+                  <span className="ml-2 inline-flex px-2 text-xs font-semibold rounded-full bg-green-100 text-green-800">This device</span>
+                )}
+              </td>
+              <td className="px-4 py-2 text-sm text-gray-500">{session.ipAddress || '-'}</td>
+              <td className="px-4 py-2 text-sm text-gray-500">{formatTime(session.loginAt)}</td>
+              <td className="px-4 py-2 text-sm text-gray-500">{formatTime(session.lastActivity)}</td>
+              <td className="px-4 py-2 text-sm text-gray-500 capitalize">
+                {session.status === 'active' ? 'Active' : REASON_LABELS[session.logoutReason] || session.status}
+              </td>
+              {onTerminate && (
+                <td className="px-4 py-2 text-right">
+                  {session.status === 'active' && !session.current && (
+                    <button
+                      type="button"
+                      onClick={() => onTerminate(session)}
+                      disabled={busy}
+                      className="text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Sign Out
+                    </button>
+                  )}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+SessionList.propTypes = {
+  sessions: PropTypes.arrayOf(PropTypes.shape({
+    sessionId: PropTypes.string.isRequired,
+    status: PropTypes.string,
+    current: PropTypes.bool,
+    ipAddress: PropTypes.string,
+    deviceInfo: PropTypes.object,
+    loginAt: PropTypes.string,
+    lastActivity: PropTypes.string,
+    logoutReason: PropTypes.string
+  })).isRequired,
+  onTerminate: PropTypes.func,
+  busy: PropTypes.bool
+};
+
+export default SessionList;
@@ -50,7 +50,7 @@ const Sidebar = ({ isCollapsed = false, onToggle }) => {
     else if (pathname.startsWith('/savings-accounts')) {
       setActiveMenu('Savings Accounts');
     }
-    else if (pathname.startsWith('/transactions') || pathname.startsWith('/deposit-funds') || pathname.startsWith('/withdraw-funds')) {
+    else if (pathname.startsWith('/transactions') || pathname.startsWith('/deposit-funds') || pathname.startsWith('/withdraw-funds') || pathname.startsWith('/transfer-funds')) {
       setActiveMenu('Transactions');
     }
     else if (pathname.startsWith('/device-verifications')) {
@@ -109,7 +109,11 @@ const Sidebar = ({ isCollapsed = false, onToggle }) => {
       submenus: [
         { name: "All Transactions", path: "/transactions" },
         { name: "Deposit Funds", path: "/deposit-funds" },
-        { name: "Withdraw Funds", path: "/withdraw-funds" }
+        { name: "Withdraw Funds", path: "/withdraw-funds" },
+        { name: "Transfer Funds", path: "/transfer-funds" },
+        { name: "Cash Drawer", path: "/transactions/cash-drawer" },
+        { name: "Bulk Deposits", path: "/transactions/bulk-deposits" },
+        ...(isAdminOrManager ? [{ name: "Pending Approvals", path: "/transactions/approvals" }] : [])
       ]
     },
     {
@@ -29,7 +29,11 @@ export const AppProvider = ({ children }) => {
 
   // Auto-logout functionality
   const [lastActivity, setLastActivity] = useState(Date.now());
-  const INACTIVITY_TIMEOUT = (Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) || 15) * 60 * 1000; // default 15 minutes
+  // The server's session idle timeout (sent at login and by /user/me) wins over the build-time default
+  const [idleTimeoutMinutes, setIdleTimeoutMinutes] = useState(() =>
+    Number(localStorage.getItem('idleTimeoutMinutes')) || Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) || 15
+  );
+  const INACTIVITY_TIMEOUT = idleTimeoutMinutes * 60 * 1000;
   const [tokenExpiry, setTokenExpiry] = useState(null);
   
 
@@ -118,12 +122,15 @@ export const AppProvider = ({ children }) => {
         if (status === 401) {
           // Check if this is a customer API call - don't interfere with customer authentication
           const isCustomerAPI = url.includes('/customer-auth/') || url.includes('/customer-portal/');
+          // Wrong passwords and codes while signing in are shown by the login screen,
+          // and logging out of a session that has already ended is not an error
+          const isLoginStep = url.startsWith('/user/login') || url === '/user/logout';
           
-          if (!isCustomerAPI) {
-            // Force logout on admin auth errors
+          if (!isCustomerAPI && !isLoginStep) {
+            // Force logout on admin auth errors (the session may have been signed out elsewhere)
             localStorage.removeItem("token");
             setUser(null);
-            toast.error("Session expired. Please log in again.");
+            toast.error(error.response?.data?.message || "Session expired. Please log in again.");
             try { window.location.href = '/login'; } catch (_) {}
           }
           // For customer API calls, let the customer components handle the error
@@ -145,6 +152,29 @@ export const AppProvider = ({ children }) => {
 
 
 
+  const logout = useCallback(() => {
+    // End the server session too, so the token stops working; the header is set here
+    // because the token is cleared before the request interceptor runs
+    const token = localStorage.getItem("token");
+    if (token) {
+      api.post("/user/logout", {}, { headers: { Authorization: `Bearer ${token}` } }).catch(() => {});
+    }
+    localStorage.removeItem("token");
+    setUser(null);
+    setLastActivity(Date.now()); // Reset activity time on logout
+    // Clear notifications and other data on logout
+    setNotifications([]);
+    setError(null);
+    toast.info("You have been logged out successfully.");
+  }, [api]);
+
+  // Keep the idle timeout in step with the server session policy
+  const applySessionPolicy = (session) => {
+    if (!session?.idleTimeoutMinutes) return;
+    setIdleTimeoutMinutes(session.idleTimeoutMinutes);
+    localStorage.setItem('idleTimeoutMinutes', String(session.idleTimeoutMinutes));
+  };
+
   // Activity tracking functions
   const updateActivity = () => {
     const now = Date.now();
@@ -163,7 +193,7 @@ export const AppProvider = ({ children }) => {
       logout();
       toast.warning("Logged out due to inactivity. Please log in again.");
     }
-  }, [INACTIVITY_TIMEOUT, lastActivity, user]);
+  }, [INACTIVITY_TIMEOUT, lastActivity, user, logout]);
 
   // Set up activity listeners
   useEffect(() => {
@@ -198,6 +228,7 @@ export const AppProvider = ({ children }) => {
     try {
       const { data } = await api.get("/user/me");
       setUser(data.user);
+      applySessionPolicy(data.session);
       setError(null); // Clear any previous errors
       const now = Date.now();
       setLastActivity(now);
@@ -224,6 +255,7 @@ export const AppProvider = ({ children }) => {
           try {
             const { data } = await api.get("/user/me");
             setUser(data.user);
+            applySessionPolicy(data.session);
             const now = Date.now();
             setLastActivity(now); // Set initial activity time
             localStorage.setItem('lastActivity', now.toString());
@@ -281,7 +313,7 @@ export const AppProvider = ({ children }) => {
     }, 15000);
 
     return () => clearInterval(interval);
-  }, [tokenExpiry, user]);
+  }, [tokenExpiry, user, logout]);
 
   const sendNotification = async ({ customerId, types, message, purpose, loanId }) => {
     try {
@@ -375,21 +407,39 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  // Store the session token once every login step has passed
+  const startSession = (data) => {
+    localStorage.setItem("token", data.token);
+    setUser(data.user);
+    applySessionPolicy(data.session);
+    const now = Date.now();
+    setLastActivity(now); // Set initial activity time on login
+    localStorage.setItem('lastActivity', now.toString());
+    // Capture token expiry
+    try {
+      const [, payloadBase64] = data.token.split('.');
+      const payload = JSON.parse(atob(payloadBase64));
+      if (payload?.exp) setTokenExpiry(payload.exp * 1000);
+    } catch (_) {}
+    toast.success("Login successful! Welcome back.");
+    if (data.session?.endedSessions) {
+      toast.info(`You were signed out of your oldest session${data.session.endedSessions === 1 ? '' : 's'} to stay within the session limit.`);
+    }
+  };
+
+  // Returns { mfaRequired, mfaSetupRequired, mfaToken } when a second factor is needed
   const login = async (email, password) => {
     try {
       const { data } = await api.post("/user/login", { email, password });
-      localStorage.setItem("token", data.token);
-      setUser(data.user);
-      const now = Date.now();
-      setLastActivity(now); // Set initial activity time on login
-      localStorage.setItem('lastActivity', now.toString());
-      // Capture token expiry
-      try {
-        const [, payloadBase64] = data.token.split('.');
-        const payload = JSON.parse(atob(payloadBase64));
-        if (payload?.exp) setTokenExpiry(payload.exp * 1000);
-      } catch (_) {}
-      toast.success("Login successful! Welcome back.");
+      if (data.mfaRequired) {
+        return {
+          success: false,
+          mfaRequired: true,
+          mfaSetupRequired: data.mfaSetupRequired,
+          mfaToken: data.mfaToken
+        };
+      }
+      startSession(data);
       return { success: true };
     } catch (error) {
       const errorMessage = error.response?.data?.message || "Login failed";
@@ -398,17 +448,47 @@ export const AppProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem("token");
-    setUser(null);
-    setLastActivity(Date.now()); // Reset activity time on logout
-    // Clear notifications and other data on logout
-    setNotifications([]);
-    setError(null);
-    toast.info("You have been logged out successfully.");
+  // Second login step: authenticator or backup code
+  const verifyMfaLogin = async (mfaToken, code) => {
+    try {
+      const { data } = await api.post("/user/login/mfa", { mfaToken, code });
+      startSession(data);
+      if (data.mfaMethod === 'backup_code') {
+        toast.warning(`Backup code used. ${data.backupCodesRemaining} left.`);
+      }
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || "Verification failed";
+      toast.error(errorMessage);
+      return { success: false, code: error.response?.data?.code, message: errorMessage };
+    }
   };
 
-  const fetchUsers = async (forceRefresh = false) => {
+  // Enrolment during login, for roles that must use MFA: QR code first...
+  const startMfaLoginSetup = async (mfaToken) => {
+    try {
+      const { data } = await api.post("/user/login/mfa/setup", { mfaToken });
+      return { success: true, data: data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || "Two-factor setup failed";
+      toast.error(errorMessage);
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // ...then a code from the app, which signs in and returns the backup codes
+  const confirmMfaLoginSetup = async (mfaToken, code) => {
+    try {
+      const { data } = await api.post("/user/login/mfa/setup/confirm", { mfaToken, code });
+      return { success: true, backupCodes: data.backupCodes, finish: () => startSession(data) };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || "Two-factor setup failed";
+      toast.error(errorMessage);
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  const fetchUsers = useCallback(async (forceRefresh = false) => {
     try {
       setUsersLoading(true);
       // Add cache-busting parameter when force refresh is requested
@@ -421,7 +501,7 @@ export const AppProvider = ({ children }) => {
     } finally {
       setUsersLoading(false);
     }
-  };
+  }, [api]);
 
   const fetchStaff = async () => {
     try {
@@ -783,9 +863,13 @@ export const AppProvider = ({ children }) => {
         api,
         register,
         login,
+        verifyMfaLogin,
+        startMfaLoginSetup,
+        confirmMfaLoginSetup,
         logout,
         retryAuth, // Add retry authentication function
         updateActivity, // Add activity tracking function
+        idleTimeoutMinutes,
         fetchUsers,
         fetchStaff,
         fetchCustomers,
@@ -341,6 +341,9 @@ const AccountProductDetails = () => {
                 {product.interestRate}% 
                 <span className="text-sm font-normal text-gray-600 ml-2">{product.interestFrequency}</span>
               </p>
+              <p className="text-xs text-gray-500 mt-1">
+                Accrued daily ({product.dayCountConvention || 'actual/365'}), capitalised {product.interestFrequency}
+              </p>
             </div>
             <div>
               <label className="text-sm font-medium text-gray-600">Minimum Deposit</label>
@@ -355,6 +358,47 @@ const AccountProductDetails = () => {
               <p className="text-gray-900 mt-1 text-lg">
                 {product.monthlyFee > 0 ? formatCurrency(product.monthlyFee) : 'Free'}
               </p>
+              {product.monthlyFee > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Short balance: {product.feePolicy?.insufficientBalanceAction || 'skip'}
+                  {product.feePolicy?.waiverMinBalance != null && ` · waived from ${formatCurrency(product.feePolicy.waiverMinBalance)}`}
+                  {product.feePolicy?.waivedAccountTypes?.length > 0 && ` · free for ${product.feePolicy.waivedAccountTypes.join(', ')}`}
+                </p>
+              )}
+            </div>
+            {product.termSettings?.tenorOptions?.length > 0 && (
+              <div>
+                <label className="text-sm font-medium text-gray-600">Term Tenors</label>
+                <p className="text-gray-900 mt-1 text-lg">
+                  {product.termSettings.tenorOptions.join(', ')} months
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Early withdrawal: {(product.termSettings.earlyWithdrawalPenalty?.type || 'forfeit_interest').replace(/_/g, ' ')}
+                  {product.termSettings.earlyWithdrawalPenalty?.type === 'percentage_of_principal' && ` (${product.termSettings.earlyWithdrawalPenalty.value}%)`}
+                  {product.termSettings.earlyWithdrawalPenalty?.type === 'flat' && ` (${formatCurrency(product.termSettings.earlyWithdrawalPenalty.value)})`}
+                </p>
+              </div>
+            )}
+            <div>
+              <label className="text-sm font-medium text-gray-600">Dormancy</label>
+              <p className="text-gray-900 mt-1 text-lg">
+                After {product.dormancySettings?.dormantAfterDays ?? 365} days inactive
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                Unclaimed after {product.dormancySettings?.unclaimedAfterDays ?? 1825} days
+                {(product.dormancySettings?.noticeDaysBefore ?? 30) > 0 && ` · notice ${product.dormancySettings?.noticeDaysBefore ?? 30} days before`}
+              </p>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-600">Closure Fee</label>
+              <p className="text-gray-900 mt-1 text-lg">
+                {formatCurrency(product.closureSettings?.closureFee || 0)}
+              </p>
+              {product.closureSettings?.earlyClosureFee > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  +{formatCurrency(product.closureSettings.earlyClosureFee)} if closed within {product.closureSettings.earlyClosureDays} days of opening
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -387,6 +431,43 @@ const AccountProductDetails = () => {
                   : 'No limit'}
               </p>
             </div>
+            <div>
+              <label className="text-sm font-medium text-gray-600">Daily Deposit Limit</label>
+              <p className="text-gray-900 mt-1">
+                {product.depositLimits?.dailyDepositLimit ? formatCurrency(product.depositLimits?.dailyDepositLimit) : 'No limit'}
+              </p>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-600">Monthly Deposit Limit</label>
+              <p className="text-gray-900 mt-1">
+                {product.depositLimits?.monthlyDepositLimit ? formatCurrency(product.depositLimits?.monthlyDepositLimit) : 'No limit'}
+              </p>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-600">Daily Withdrawal Limit</label>
+              <p className="text-gray-900 mt-1">
+                {product.depositLimits?.dailyWithdrawalLimit ? formatCurrency(product.depositLimits?.dailyWithdrawalLimit) : 'No limit'}
+              </p>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-600">Monthly Withdrawal Limit</label>
+              <p className="text-gray-900 mt-1">
+                {product.depositLimits?.monthlyWithdrawalLimit ? formatCurrency(product.depositLimits?.monthlyWithdrawalLimit) : 'No limit'}
+              </p>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-600">Per-Channel Max (Deposit / Withdrawal)</label>
+              <p className="text-gray-900 mt-1">
+                Teller: {product.channelLimits?.teller?.maxDeposit ? formatCurrency(product.channelLimits.teller.maxDeposit) : 'No limit'}
+                {' / '}
+                {product.channelLimits?.teller?.maxWithdrawal ? formatCurrency(product.channelLimits.teller.maxWithdrawal) : 'No limit'}
+              </p>
+              <p className="text-gray-900">
+                Customer app: {product.channelLimits?.customer?.maxDeposit ? formatCurrency(product.channelLimits.customer.maxDeposit) : 'No limit'}
+                {' / '}
+                {product.channelLimits?.customer?.maxWithdrawal ? formatCurrency(product.channelLimits.customer.maxWithdrawal) : 'No limit'}
+              </p>
+            </div>
           </div>
         </div>
 
@@ -24,6 +24,14 @@ const AddSavingsAccount = () => {
     minimumBalance: 0,
     interestRate: 0,
   });
+  const [termDeposit, setTermDeposit] = useState({
+    principal: "",
+    tenorMonths: "",
+    interestPayout: "at_maturity",
+    maturityInstruction: "manual",
+    payoutAccountId: "",
+  });
+  const [customerAccounts, setCustomerAccounts] = useState([]);
 
   // Fetch customers and products once on mount
   useEffect(() => {
@@ -43,6 +51,21 @@ const AddSavingsAccount = () => {
     }
   }, [customers]);
 
+  // Regular accounts of the selected customer, for term deposit payouts
+  useEffect(() => {
+    setCustomerAccounts([]);
+    if (!accountData.customerId || accountData.accountType !== "fixed") return;
+
+    api.get(`/savings-accounts/customer/${accountData.customerId}`)
+      .then(({ data }) => setCustomerAccounts((data.data || []).filter(a => a.accountType !== "fixed")))
+      .catch(() => setCustomerAccounts([]));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [accountData.customerId, accountData.accountType]);
+
+  const handleTermChange = (e) => {
+    setTermDeposit({ ...termDeposit, [e.target.name]: e.target.value });
+  };
+
   const fetchAccountProducts = async () => {
     try {
       setProductsLoading(true);
@@ -97,7 +120,19 @@ const AddSavingsAccount = () => {
     setLoading(true);
 
     try {
-      const result = await createSavingsAccount(accountData);
+      const result = await createSavingsAccount(
+        accountData.accountType === "fixed"
+          ? {
+              ...accountData,
+              termDeposit: {
+                ...termDeposit,
+                principal: parseFloat(termDeposit.principal),
+                tenorMonths: parseInt(termDeposit.tenorMonths),
+                payoutAccountId: termDeposit.payoutAccountId || undefined,
+              },
+            }
+          : accountData
+      );
       
       if (result.success) {
         // Small delay to show completion
@@ -249,6 +284,79 @@ const AddSavingsAccount = () => {
           </div>
         </section>
 
+        {accountData.accountType === "fixed" && (
+          <section className="form-section">
+            <div className="form-section-header">
+              <h2 className="form-section-title">Term Deposit</h2>
+              <p className="form-section-subtitle">Principal is locked until maturity; fund it with a single deposit of this amount</p>
+            </div>
+            <div className="form-section-divider"></div>
+            <div className="form-grid">
+              <InputField
+                label="Principal (RWF)"
+                name="principal"
+                type="number"
+                value={termDeposit.principal}
+                onChange={handleTermChange}
+                min={1}
+                required
+              />
+              {(() => {
+                const tenorOptions = accountProducts.find(p => p._id === accountData.productId)?.termSettings?.tenorOptions || [];
+                return tenorOptions.length > 0 ? (
+                  <SelectField
+                    label="Tenor"
+                    name="tenorMonths"
+                    value={termDeposit.tenorMonths}
+                    onChange={handleTermChange}
+                    options={tenorOptions.map(months => ({ value: months, label: `${months} months` }))}
+                    required
+                  />
+                ) : (
+                  <InputField
+                    label="Tenor (months)"
+                    name="tenorMonths"
+                    type="number"
+                    value={termDeposit.tenorMonths}
+                    onChange={handleTermChange}
+                    min={1}
+                    required
+                  />
+                );
+              })()}
+              <SelectField
+                label="Interest Payout"
+                name="interestPayout"
+                value={termDeposit.interestPayout}
+                onChange={handleTermChange}
+                options={[
+                  { value: "at_maturity", label: "At maturity" },
+                  { value: "periodic", label: "Periodic (per product frequency)" }
+                ]}
+              />
+              <SelectField
+                label="At Maturity"
+                name="maturityInstruction"
+                value={termDeposit.maturityInstruction}
+                onChange={handleTermChange}
+                options={[
+                  { value: "manual", label: "Flag for staff action" },
+                  { value: "rollover", label: "Roll over for the same tenor" },
+                  { value: "payout", label: "Pay out to linked account" }
+                ]}
+              />
+              <SelectField
+                label="Payout Account"
+                name="payoutAccountId"
+                value={termDeposit.payoutAccountId}
+                onChange={handleTermChange}
+                options={customerAccounts.map(account => ({ value: account.id, label: account.accountNumber }))}
+                required={termDeposit.maturityInstruction === "payout"}
+              />
+            </div>
+          </section>
+        )}
+
         <section className="form-section">
           <div className="form-section-header">
             <h2 className="form-section-title">Account Information</h2>
@@ -0,0 +1,348 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import * as XLSX from 'xlsx';
+import { useAppContext } from '../context/AppContext';
+import { generateIdempotencyKey } from '../utils/apiUtils';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { FaFileUpload, FaDownload, FaUndo, FaCheck, FaTrash } from 'react-icons/fa';
+
+const SUPERVISOR_ROLES = ['admin', 'manager', 'branch-manager'];
+
+// Staff who may approve a rollback posted by someone else
+const APPROVER_ROLES = ['admin', 'manager'];
+
+const REVERSAL_REASONS = [
+  { value: 'posting_error', label: 'Posting error' },
+  { value: 'duplicate', label: 'Duplicate' },
+  { value: 'customer_dispute', label: 'Customer dispute' },
+  { value: 'fraud', label: 'Fraud' },
+  { value: 'other', label: 'Other' }
+];
+
+const STATUS_CLASSES = {
+  valid: 'bg-green-100 text-green-800',
+  posted: 'bg-green-100 text-green-800',
+  invalid: 'bg-red-100 text-red-800',
+  failed: 'bg-red-100 text-red-800',
+  reversed: 'bg-gray-100 text-gray-800'
+};
+
+// First sheet of a CSV or Excel file as one object per row, keyed by the header row
+const readRows = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { defval: '' });
+};
+
+const BulkDeposits = () => {
+  const { api, user } = useAppContext();
+  const [batches, setBatches] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [upload, setUpload] = useState({ file: null, source: '', fundingReference: '' });
+  const [approvers, setApprovers] = useState([]);
+  const [rollback, setRollback] = useState({ rowNumbers: [], reasonCode: 'posting_error', reason: '', approverId: '' });
+
+  const isSupervisor = SUPERVISOR_ROLES.includes(user?.role);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const { data } = await api.get('/bulk-deposits');
+      setBatches(data.success ? data.data || [] : []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load deposit batches');
+    }
+  }, [api]);
+
+  const fetchApprovers = useCallback(async () => {
+    try {
+      const { data } = await api.get('/user/list');
+      setApprovers((data.data || []).filter(staff =>
+        APPROVER_ROLES.includes(staff.role) && staff.isActive !== false && staff._id !== user?._id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load approvers');
+    }
+  }, [api, user?._id]);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [fetchBatches]);
+
+  useEffect(() => {
+    if (isSupervisor) {
+      fetchApprovers();
+    }
+  }, [isSupervisor, fetchApprovers]);
+
+  const openBatch = async (id) => {
+    try {
+      const { data } = await api.get(`/bulk-deposits/${id}`);
+      setBatch(data.data);
+      setRollback({ rowNumbers: [], reasonCode: 'posting_error', reason: '', approverId: '' });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load deposit batch');
+    }
+  };
+
+  const uploadFile = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const rows = await readRows(upload.file);
+      if (rows.length === 0) {
+        throw new Error('The file has no rows');
+      }
+      const { data } = await api.post('/bulk-deposits', {
+        rows,
+        fileName: upload.file.name,
+        source: upload.source,
+        fundingReference: upload.fundingReference
+      }, { headers: { 'Idempotency-Key': generateIdempotencyKey() } });
+      toast.success(data.message || 'File validated');
+      setBatch(data.data);
+      setUpload({ file: null, source: '', fundingReference: '' });
+      e.target.reset();
+      fetchBatches();
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message || 'Failed to upload file');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (action, body, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    try {
+      setSubmitting(true);
+      const { data } = await api.post(`/bulk-deposits/${batch.batchId}/${action}`, body);
+      toast.success(data.message);
+      if (data.data?.failures?.length > 0) {
+        toast.warning(data.data.failures.map(item => `Row ${item.rowNumber}: ${item.message}`).join('\n'));
+      }
+      await openBatch(batch.batchId);
+      fetchBatches();
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Failed to ${action} batch`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const postBatch = () => runAction('post', {},
+    `Post ${batch.validCount} deposits totalling ${formatCurrency(batch.totalAmount)}? Invalid rows are skipped.`);
+
+  const discardBatch = () => runAction('discard', {}, 'Discard this upload without posting it?');
+
+  const rollbackBatch = (e) => {
+    e.preventDefault();
+    const count = rollback.rowNumbers.length || batch.postedCount - batch.reversedCount;
+    runAction('rollback', rollback, `Reverse ${count} posted deposits?`);
+  };
+
+  const toggleRow = (rowNumber) => {
+    setRollback(prev => ({
+      ...prev,
+      rowNumbers: prev.rowNumbers.includes(rowNumber)
+        ? prev.rowNumbers.filter(item => item !== rowNumber)
+        : [...prev.rowNumbers, rowNumber]
+    }));
+  };
+
+  const downloadResult = async () => {
+    try {
+      const { data } = await api.get(`/bulk-deposits/${batch.batchId}/result`, { responseType: 'blob' });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `deposit-batch-${batch.batchId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message || 'Failed to download result file');
+    }
+  };
+
+  const canRollback = isSupervisor && batch && ['posted', 'partially_posted'].includes(batch.status);
+
+  const inputClass = 'mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+  const buttonClass = 'inline-flex items-center justify-center px-3 py-2 rounded-md text-sm font-medium text-white disabled:opacity-50';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="md:flex md:items-center md:justify-between">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate">
+            Bulk Deposits
+          </h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Upload a CSV or Excel contribution list with Account Number, Amount and Reference columns, check the preview, then post it as one batch
+          </p>
+        </div>
+      </div>
+
+      {/* Upload */}
+      <div className="bg-white shadow sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+            <FaFileUpload className="mr-2 text-gray-400" /> Upload List
+          </h3>
+        </div>
+        <form onSubmit={uploadFile} className="px-4 pb-5 sm:px-6 grid grid-cols-1 gap-3 sm:grid-cols-4 items-end">
+          <div>
+            <label className="block text-xs font-medium text-gray-700">File (.csv, .xlsx)</label>
+            <input type="file" required accept=".csv,.xls,.xlsx" onChange={(e) => setUpload({ ...upload, file: e.target.files[0] || null })} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700">Employer / cooperative</label>
+            <input type="text" value={upload.source} onChange={(e) => setUpload({ ...upload, source: e.target.value })} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700">Funding reference</label>
+            <input type="text" value={upload.fundingReference} onChange={(e) => setUpload({ ...upload, fundingReference: e.target.value })} className={inputClass} />
+          </div>
+          <button type="submit" disabled={submitting || !upload.file} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+            Validate
+          </button>
+        </form>
+      </div>
+
+      {/* Selected batch */}
+      {batch && (
+        <div className="bg-white shadow overflow-hidden sm:rounded-md">
+          <div className="px-4 py-5 sm:px-6 flex flex-wrap justify-between items-center gap-3">
+            <div>
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Batch {batch.batchId}</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                {batch.fileName} · <span className="capitalize">{batch.status.replace('_', ' ')}</span> ·{' '}
+                {batch.validCount} of {batch.rowCount} rows valid ({formatCurrency(batch.totalAmount)})
+                {batch.postedCount > 0 && ` · ${batch.postedCount} posted (${formatCurrency(batch.postedAmount)})`}
+                {batch.reversedCount > 0 && ` · ${batch.reversedCount} reversed`}
+              </p>
+            </div>
+            <div className="flex space-x-2">
+              {batch.status === 'draft' && isSupervisor && (
+                <button onClick={postBatch} disabled={submitting || batch.validCount === 0} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+                  <FaCheck className="mr-1 h-3 w-3" /> Post Valid Rows
+                </button>
+              )}
+              {batch.status === 'draft' && (
+                <button onClick={discardBatch} disabled={submitting} className={`${buttonClass} bg-gray-600 hover:bg-gray-700`}>
+                  <FaTrash className="mr-1 h-3 w-3" /> Discard
+                </button>
+              )}
+              <button onClick={downloadResult} className={`${buttonClass} bg-gray-700 hover:bg-gray-800`}>
+                <FaDownload className="mr-1 h-3 w-3" /> Result File
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto max-h-[32rem]">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {canRollback && <th className="px-4 py-2"></th>}
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Account</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Issues</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {batch.rows.map((row) => (
+                  <tr key={row.rowNumber}>
+                    {canRollback && (
+                      <td className="px-4 py-2">
+                        {row.status === 'posted' && (
+                          <input type="checkbox" checked={rollback.rowNumbers.includes(row.rowNumber)} onChange={() => toggleRow(row.rowNumber)} />
+                        )}
+                      </td>
+                    )}
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.rowNumber}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{row.accountNumber || '-'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{row.customerName || '-'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{row.amount !== undefined ? formatCurrency(row.amount) : '-'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{row.reference || '-'}</td>
+                    <td className="px-4 py-2 text-sm">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_CLASSES[row.status]}`}>
+                        {row.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-red-600">{(row.issues || []).join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {canRollback && (
+            <form onSubmit={rollbackBatch} className="px-4 py-4 border-t border-gray-200 grid grid-cols-1 gap-3 sm:grid-cols-4 items-end">
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Reason code</label>
+                <select value={rollback.reasonCode} onChange={(e) => setRollback({ ...rollback, reasonCode: e.target.value })} className={inputClass}>
+                  {REVERSAL_REASONS.map(reason => <option key={reason.value} value={reason.value}>{reason.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Reason</label>
+                <input type="text" required value={rollback.reason} onChange={(e) => setRollback({ ...rollback, reason: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Approved by</label>
+                <select required value={rollback.approverId} onChange={(e) => setRollback({ ...rollback, approverId: e.target.value })} className={inputClass}>
+                  <option value="">Select an admin or manager</option>
+                  {approvers.map(staff => <option key={staff._id} value={staff._id}>{staff.fullName} ({staff.role})</option>)}
+                </select>
+              </div>
+              <button type="submit" disabled={submitting} className={`${buttonClass} bg-red-600 hover:bg-red-700`}>
+                <FaUndo className="mr-1 h-3 w-3" /> {rollback.rowNumbers.length > 0 ? `Reverse ${rollback.rowNumbers.length} Rows` : 'Reverse Whole Batch'}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+
+      {/* Recent batches */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Recent Batches</h3>
+        </div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rows</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Posted</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Uploaded</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {batches.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="px-4 py-4 text-sm text-gray-500 text-center">No uploads yet.</td>
+              </tr>
+            ) : batches.map((item) => (
+              <tr key={item._id} onClick={() => openBatch(item.batchId)} className="cursor-pointer hover:bg-gray-50">
+                <td className="px-4 py-2 text-sm text-gray-900">{item.batchId}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{item.fileName || '-'}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{item.source || '-'}</td>
+                <td className="px-4 py-2 text-sm text-gray-500 capitalize">{item.status.replace('_', ' ')}</td>
+                <td className="px-4 py-2 text-sm text-gray-900 text-right">{item.validCount}/{item.rowCount}</td>
+                <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatCurrency(item.postedAmount)}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{new Date(item.createdAt).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default BulkDeposits;
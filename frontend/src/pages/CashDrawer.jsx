@@ -0,0 +1,359 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { useAppContext } from '../context/AppContext';
+import { generateIdempotencyKey } from '../utils/apiUtils';
+import { FaCashRegister, FaLock, FaExchangeAlt } from 'react-icons/fa';
+
+const SUPERVISOR_ROLES = ['admin', 'manager', 'branch-manager'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const CashDrawer = () => {
+  const { api, user } = useAppContext();
+  const [drawer, setDrawer] = useState(null);
+  const [closedDrawer, setClosedDrawer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [openForm, setOpenForm] = useState({ openingFloat: '', branchCode: '' });
+  const [closeForm, setCloseForm] = useState({ countedCash: '', note: '' });
+
+  // Supervisor view
+  const [branchCode, setBranchCode] = useState('01');
+  const [vault, setVault] = useState(null);
+  const [drawers, setDrawers] = useState([]);
+  const [vaultForm, setVaultForm] = useState({ direction: 'in', amount: '', note: '' });
+  const [transferForm, setTransferForm] = useState({ from: 'vault', to: '', amount: '', note: '' });
+
+  const isSupervisor = SUPERVISOR_ROLES.includes(user?.role);
+
+  const post = (url, body) => api.post(url, body, { headers: { 'Idempotency-Key': generateIdempotencyKey() } });
+
+  const fetchMyDrawer = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get('/teller/drawers/current');
+      setDrawer(data.success ? data.data : null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load cash drawer');
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  const fetchBranch = useCallback(async () => {
+    try {
+      const [{ data: vaultData }, { data: drawersData }] = await Promise.all([
+        api.get(`/teller/vaults/${branchCode}`),
+        api.get('/teller/drawers', { params: { branchCode, date: today() } })
+      ]);
+      setVault(vaultData.success ? vaultData.data : null);
+      setDrawers(drawersData.success ? drawersData.data || [] : []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load branch cash');
+    }
+  }, [api, branchCode]);
+
+  useEffect(() => {
+    fetchMyDrawer();
+  }, [fetchMyDrawer]);
+
+  useEffect(() => {
+    if (isSupervisor && branchCode) {
+      fetchBranch();
+    }
+  }, [isSupervisor, branchCode, fetchBranch]);
+
+  const refresh = () => {
+    fetchMyDrawer();
+    if (isSupervisor) fetchBranch();
+  };
+
+  const openDrawer = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const { data } = await post('/teller/drawers/open', {
+        openingFloat: parseFloat(openForm.openingFloat) || 0,
+        branchCode: openForm.branchCode || undefined
+      });
+      toast.success(data.message || 'Cash drawer opened');
+      setClosedDrawer(null);
+      setOpenForm({ openingFloat: '', branchCode: '' });
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to open cash drawer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const closeDrawer = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Close your drawer with this count? The count cannot be changed afterwards.')) return;
+    try {
+      setSubmitting(true);
+      const { data } = await post(`/teller/drawers/${drawer.id}/close`, {
+        countedCash: parseFloat(closeForm.countedCash),
+        note: closeForm.note
+      });
+      toast.success(data.message || 'Cash drawer closed');
+      setClosedDrawer(data.data);
+      setCloseForm({ countedCash: '', note: '' });
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to close cash drawer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const adjustVault = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await post(`/teller/vaults/${branchCode}/movements`, { ...vaultForm, amount: parseFloat(vaultForm.amount) });
+      toast.success('Vault updated');
+      setVaultForm({ direction: 'in', amount: '', note: '' });
+      fetchBranch();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update vault');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const transferCash = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await post('/teller/cash-transfers', { ...transferForm, amount: parseFloat(transferForm.amount) });
+      toast.success('Cash transferred');
+      setTransferForm({ from: 'vault', to: '', amount: '', note: '' });
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to transfer cash');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const closeBusinessDay = async () => {
+    if (!window.confirm(`Close business date ${today()} for branch ${branchCode}? No more cash can be posted for it.`)) return;
+    try {
+      setSubmitting(true);
+      const { data } = await post('/teller/business-days/close', { branchCode, date: today() });
+      toast.success(data.message || 'Business day closed');
+      fetchBranch();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to close business day');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatAmount = (amount) => `${(amount || 0).toLocaleString()} RWF`;
+
+  const varianceClass = (type) => (type === 'short' ? 'text-red-600' : type === 'over' ? 'text-yellow-600' : 'text-green-600');
+
+  const openDrawers = drawers.filter(item => item.status === 'open');
+
+  const inputClass = 'mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+  const buttonClass = 'inline-flex items-center justify-center px-3 py-2 rounded-md text-sm font-medium text-white disabled:opacity-50';
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{borderColor: '#00b050'}}></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="md:flex md:items-center md:justify-between">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate">
+            Cash Drawer
+          </h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Open a drawer before posting cash deposits and withdrawals, and count it blind at the end of the day
+          </p>
+        </div>
+      </div>
+
+      {/* My drawer */}
+      <div className="bg-white shadow sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+            <FaCashRegister className="mr-2 text-gray-400" /> My Drawer
+          </h3>
+        </div>
+
+        {drawer ? (
+          <div className="px-4 pb-5 sm:px-6 space-y-4">
+            <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4 text-sm">
+              <div><dt className="text-gray-500">Branch</dt><dd className="text-gray-900">{drawer.branchCode}</dd></div>
+              <div><dt className="text-gray-500">Business date</dt><dd className="text-gray-900">{new Date(drawer.businessDate).toLocaleDateString()}</dd></div>
+              <div><dt className="text-gray-500">Opening float</dt><dd className="text-gray-900">{formatAmount(drawer.openingFloat)}</dd></div>
+              <div><dt className="text-gray-500">Cash transactions</dt><dd className="text-gray-900">{drawer.transactionCount}</dd></div>
+            </dl>
+
+            <form onSubmit={closeDrawer} className="grid grid-cols-1 gap-3 sm:grid-cols-4 items-end border-t border-gray-200 pt-4">
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Counted cash (RWF)</label>
+                <input type="number" min="0" step="0.01" required value={closeForm.countedCash} onChange={(e) => setCloseForm({ ...closeForm, countedCash: e.target.value })} className={inputClass} />
+              </div>
+              <div className="sm:col-span-2">
+                <label className="block text-xs font-medium text-gray-700">Note</label>
+                <input type="text" value={closeForm.note} onChange={(e) => setCloseForm({ ...closeForm, note: e.target.value })} className={inputClass} />
+              </div>
+              <button type="submit" disabled={submitting} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+                Close Drawer
+              </button>
+            </form>
+          </div>
+        ) : (
+          <form onSubmit={openDrawer} className="px-4 pb-5 sm:px-6 grid grid-cols-1 gap-3 sm:grid-cols-4 items-end">
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Opening float (RWF)</label>
+              <input type="number" min="0" step="0.01" value={openForm.openingFloat} onChange={(e) => setOpenForm({ ...openForm, openingFloat: e.target.value })} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Branch code (optional)</label>
+              <input type="text" value={openForm.branchCode} onChange={(e) => setOpenForm({ ...openForm, branchCode: e.target.value })} className={inputClass} />
+            </div>
+            <button type="submit" disabled={submitting} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+              Open Drawer
+            </button>
+          </form>
+        )}
+
+        {closedDrawer && (
+          <div className="px-4 py-4 sm:px-6 border-t border-gray-200 text-sm">
+            <p className="text-gray-900">
+              Expected {formatAmount(closedDrawer.expectedCash)}, counted {formatAmount(closedDrawer.countedCash)}:{' '}
+              <span className={`font-medium ${varianceClass(closedDrawer.varianceType)}`}>
+                {closedDrawer.varianceType === 'balanced' ? 'balanced' : `${closedDrawer.varianceType} by ${formatAmount(Math.abs(closedDrawer.variance))}`}
+              </span>
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isSupervisor && (
+        <>
+          {/* Branch vault */}
+          <div className="bg-white shadow sm:rounded-md">
+            <div className="px-4 py-5 sm:px-6 flex justify-between items-center">
+              <div>
+                <h3 className="text-lg leading-6 font-medium text-gray-900">Branch Vault</h3>
+                <p className="mt-1 text-sm text-gray-500">Balance: {formatAmount(vault?.balance)}</p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <label className="text-xs text-gray-500">Branch</label>
+                <input type="text" value={branchCode} onChange={(e) => setBranchCode(e.target.value.toUpperCase())} className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm" />
+              </div>
+            </div>
+
+            <form onSubmit={adjustVault} className="px-4 pb-5 sm:px-6 grid grid-cols-1 gap-3 sm:grid-cols-4 items-end">
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Movement</label>
+                <select value={vaultForm.direction} onChange={(e) => setVaultForm({ ...vaultForm, direction: e.target.value })} className={inputClass}>
+                  <option value="in">Cash received</option>
+                  <option value="out">Cash sent out</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Amount (RWF)</label>
+                <input type="number" min="0" step="0.01" required value={vaultForm.amount} onChange={(e) => setVaultForm({ ...vaultForm, amount: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Note</label>
+                <input type="text" required value={vaultForm.note} onChange={(e) => setVaultForm({ ...vaultForm, note: e.target.value })} className={inputClass} />
+              </div>
+              <button type="submit" disabled={submitting} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+                Record
+              </button>
+            </form>
+          </div>
+
+          {/* Drawers and transfers */}
+          <div className="bg-white shadow overflow-hidden sm:rounded-md">
+            <div className="px-4 py-5 sm:px-6 flex justify-between items-center">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Today&apos;s Drawers</h3>
+              <button
+                onClick={closeBusinessDay}
+                disabled={submitting || openDrawers.length > 0}
+                title={openDrawers.length > 0 ? 'Close every drawer first' : undefined}
+                className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium text-white bg-gray-700 hover:bg-gray-800 disabled:opacity-50"
+              >
+                <FaLock className="mr-1 h-3 w-3" /> Close Business Day
+              </button>
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Teller</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Over/Short</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {drawers.length === 0 ? (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-4 text-sm text-gray-500 text-center">No drawers opened today.</td>
+                  </tr>
+                ) : drawers.map((item) => (
+                  <tr key={item.id}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{item.teller?.fullName || 'Unknown'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500 capitalize">{item.status}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(item.expectedCash)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{item.status === 'closed' ? formatAmount(item.countedCash) : '-'}</td>
+                    <td className={`px-4 py-2 text-sm text-right ${varianceClass(item.varianceType)}`}>
+                      {item.status === 'closed' ? formatAmount(item.variance) : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <form onSubmit={transferCash} className="px-4 py-4 border-t border-gray-200 grid grid-cols-1 gap-3 sm:grid-cols-5 items-end">
+              <div>
+                <label className="block text-xs font-medium text-gray-700">From</label>
+                <select value={transferForm.from} onChange={(e) => setTransferForm({ ...transferForm, from: e.target.value })} className={inputClass}>
+                  <option value="vault">Vault</option>
+                  {openDrawers.map(item => <option key={item.id} value={item.id}>{item.teller?.fullName || item.id}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">To</label>
+                <select required value={transferForm.to} onChange={(e) => setTransferForm({ ...transferForm, to: e.target.value })} className={inputClass}>
+                  <option value="">Select</option>
+                  <option value="vault">Vault</option>
+                  {openDrawers.map(item => <option key={item.id} value={item.id}>{item.teller?.fullName || item.id}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Amount (RWF)</label>
+                <input type="number" min="0" step="0.01" required value={transferForm.amount} onChange={(e) => setTransferForm({ ...transferForm, amount: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Note</label>
+                <input type="text" value={transferForm.note} onChange={(e) => setTransferForm({ ...transferForm, note: e.target.value })} className={inputClass} />
+              </div>
+              <button type="submit" disabled={submitting} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+                <FaExchangeAlt className="mr-1 h-3 w-3" /> Transfer
+              </button>
+            </form>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CashDrawer;
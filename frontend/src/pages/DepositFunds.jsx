@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAppContext } from '../context/AppContext';
+import { generateIdempotencyKey } from '../utils/apiUtils';
+import { checkTransactionLimits } from '../utils/transactionLimits';
+import { isValidAccountNumber } from '../utils/accountNumber';
+import { useSystemSettings } from '../context/SystemSettingsContext';
 import { 
   FaArrowDown,
   FaCheckCircle,
@@ -9,23 +13,41 @@ import {
 import { toast } from 'react-toastify';
 
 const DepositFunds = () => {
-  const { api } = useAppContext();
+  const { api, user } = useAppContext();
+  const { settings } = useSystemSettings();
   const navigate = useNavigate();
   const [formData, setFormData] = useState({
     accountId: '',
     amount: '',
-    description: ''
+    description: '',
+    channel: ''
   });
   const [accounts, setAccounts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [pendingApproval, setPendingApproval] = useState(false);
+  const [limitStatus, setLimitStatus] = useState(null);
+  const [accountNumber, setAccountNumber] = useState('');
+  // One key per submission so double-clicks and retries post only once
+  const [idempotencyKey, setIdempotencyKey] = useState(generateIdempotencyKey);
 
   useEffect(() => {
     fetchAccounts();
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Product limits for the selected account, so violations show before submitting
+  useEffect(() => {
+    setLimitStatus(null);
+    if (!formData.accountId) return;
+
+    api.get(`/savings-accounts/${formData.accountId}/limits`, { params: { channel: 'teller' } })
+      .then(({ data }) => setLimitStatus(data.success ? data.data : null))
+      .catch(err => console.error('Error fetching account limits:', err));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [formData.accountId]);
+
   const fetchAccounts = async () => {
     try {
       const { data } = await api.get('/savings-accounts');
@@ -39,17 +61,23 @@ const DepositFunds = () => {
     }
   };
 
+  const isBackOffice = ['admin', 'manager', 'branch-manager'].includes(user?.role);
+  const limitViolation = checkTransactionLimits(limitStatus, 'deposit', parseFloat(formData.amount));
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
 
     try {
-      const { data } = await api.post('/transactions/deposit', formData);
+      const { data } = await api.post('/transactions/deposit', formData, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      });
 
       // Handle successful deposit - the backend returns the transaction data
       if (data && data.success !== false) {
-        toast.success('Deposit processed successfully');
+        toast.success(data.data?.pendingApproval ? 'Deposit submitted for approval' : 'Deposit processed successfully');
+        setPendingApproval(Boolean(data.data?.pendingApproval));
         setSuccess(true);
         setTimeout(() => {
           navigate('/transactions');
@@ -73,6 +101,25 @@ const DepositFunds = () => {
       ...formData,
       [e.target.name]: e.target.value
     });
+    setIdempotencyKey(generateIdempotencyKey());
+  };
+
+  // Check digit validation as the teller types; a known number selects its account
+  const typedNumber = accountNumber.trim().toUpperCase();
+  const matchedAccount = typedNumber
+    ? (accounts || []).find(account => account.accountNumber?.toUpperCase() === typedNumber)
+    : null;
+  const checkDigitValid = isValidAccountNumber(typedNumber, settings?.numbering?.checkDigitAlgorithm);
+
+  const handleAccountNumberChange = (e) => {
+    const value = e.target.value;
+    setAccountNumber(value);
+
+    const match = (accounts || []).find(account => account.accountNumber?.toUpperCase() === value.trim().toUpperCase());
+    if (match) {
+      setFormData({ ...formData, accountId: match.id });
+      setIdempotencyKey(generateIdempotencyKey());
+    }
   };
 
   if (success) {
@@ -82,10 +129,12 @@ const DepositFunds = () => {
           <div className="text-center">
             <FaCheckCircle className="mx-auto h-16 w-16 text-green-500" />
             <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
-              Deposit Successful!
+              {pendingApproval ? 'Deposit Submitted for Approval' : 'Deposit Successful!'}
             </h2>
             <p className="mt-2 text-sm text-gray-600">
-              Your deposit has been processed successfully.
+              {pendingApproval
+                ? 'The amount is above the approval threshold. A manager must approve it before it is posted.'
+                : 'Your deposit has been processed successfully.'}
             </p>
             <p className="mt-1 text-sm text-gray-500">
               Redirecting to transactions...
@@ -117,6 +166,33 @@ const DepositFunds = () => {
           <form className="space-y-6" onSubmit={handleSubmit}>
             {/* Errors are shown via toast to reduce on-page noise */}
 
+            <div>
+              <label htmlFor="accountNumber" className="block text-sm font-medium text-gray-700">
+                Account Number
+              </label>
+              <input
+                id="accountNumber"
+                name="accountNumber"
+                type="text"
+                autoComplete="off"
+                value={accountNumber}
+                onChange={handleAccountNumberChange}
+                className="mt-1 appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 sm:text-sm uppercase"
+                placeholder="Type the account number"
+              />
+              {typedNumber && (
+                matchedAccount ? (
+                  <p className="mt-1 text-xs text-green-600">
+                    {matchedAccount.customer?.fullName || matchedAccount.customerId?.fullName || 'Account found'}
+                  </p>
+                ) : checkDigitValid ? (
+                  <p className="mt-1 text-xs text-gray-500">Valid number, but no matching account in the list</p>
+                ) : (
+                  <p className="mt-1 text-xs text-red-600">Invalid check digit. Check the number for typing mistakes</p>
+                )
+              )}
+            </div>
+
             <div>
               <label htmlFor="accountId" className="block text-sm font-medium text-gray-700">
                 Select Account
@@ -156,8 +232,32 @@ const DepositFunds = () => {
                 className="mt-1 appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 sm:text-sm"
                 placeholder="Enter amount to deposit"
               />
+              {limitViolation && (
+                <p className="mt-1 text-xs text-red-600">
+                  {limitViolation.message} ({limitViolation.code})
+                </p>
+              )}
             </div>
 
+            {/* Back-office postings are non-cash unless the money goes through the user's drawer */}
+            {isBackOffice && (
+              <div>
+                <label htmlFor="channel" className="block text-sm font-medium text-gray-700">
+                  Posting Type
+                </label>
+                <select
+                  id="channel"
+                  name="channel"
+                  value={formData.channel}
+                  onChange={handleChange}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-2 focus:ring-offset-2 focus:ring-green-500 sm:text-sm"
+                >
+                  <option value="">Non-cash (back office)</option>
+                  <option value="cash">Cash through my drawer</option>
+                </select>
+              </div>
+            )}
+
             <div>
               <label htmlFor="description" className="block text-sm font-medium text-gray-700">
                 Description (Optional)
@@ -183,7 +283,7 @@ const DepositFunds = () => {
               </button>
               <button
                 type="submit"
-                disabled={loading}
+                disabled={loading || Boolean(limitViolation)}
                 className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50"
                 style={{backgroundColor: '#00b050'}}
               >
@@ -22,6 +22,7 @@ const EditAccountProduct = () => {
     monthlyFee: 0,
     interestRate: 0,
     interestFrequency: 'monthly',
+    dayCountConvention: 'actual/365',
     features: '',
     eligibility: {
       minAge: 18,
@@ -32,7 +33,37 @@ const EditAccountProduct = () => {
       minDeposit: 0,
       maxDeposit: '',
       minWithdrawal: 0,
-      maxWithdrawal: ''
+      maxWithdrawal: '',
+      dailyDepositLimit: '',
+      monthlyDepositLimit: '',
+      dailyWithdrawalLimit: '',
+      monthlyWithdrawalLimit: ''
+    },
+    channelLimits: {
+      tellerMaxDeposit: '',
+      tellerMaxWithdrawal: '',
+      customerMaxDeposit: '',
+      customerMaxWithdrawal: ''
+    },
+    feePolicy: {
+      insufficientBalanceAction: 'skip',
+      waiverMinBalance: '',
+      waivedAccountTypes: ''
+    },
+    termSettings: {
+      tenorOptions: '',
+      penaltyType: 'forfeit_interest',
+      penaltyValue: ''
+    },
+    dormancySettings: {
+      dormantAfterDays: 365,
+      unclaimedAfterDays: 1825,
+      noticeDaysBefore: 30
+    },
+    closureSettings: {
+      closureFee: '',
+      earlyClosureFee: '',
+      earlyClosureDays: ''
     },
     displayOrder: 0
   });
@@ -67,6 +98,7 @@ const EditAccountProduct = () => {
           monthlyFee: product.monthlyFee || 0,
           interestRate: product.interestRate || 0,
           interestFrequency: product.interestFrequency || 'monthly',
+          dayCountConvention: product.dayCountConvention || 'actual/365',
           features: product.features ? product.features.join(', ') : '',
           eligibility: {
             minAge: product.eligibility?.minAge || 18,
@@ -77,7 +109,37 @@ const EditAccountProduct = () => {
             minDeposit: product.depositLimits?.minDeposit || 0,
             maxDeposit: product.depositLimits?.maxDeposit || '',
             minWithdrawal: product.depositLimits?.minWithdrawal || 0,
-            maxWithdrawal: product.depositLimits?.maxWithdrawal || ''
+            maxWithdrawal: product.depositLimits?.maxWithdrawal || '',
+            dailyDepositLimit: product.depositLimits?.dailyDepositLimit ?? '',
+            monthlyDepositLimit: product.depositLimits?.monthlyDepositLimit ?? '',
+            dailyWithdrawalLimit: product.depositLimits?.dailyWithdrawalLimit ?? '',
+            monthlyWithdrawalLimit: product.depositLimits?.monthlyWithdrawalLimit ?? ''
+          },
+          channelLimits: {
+            tellerMaxDeposit: product.channelLimits?.teller?.maxDeposit ?? '',
+            tellerMaxWithdrawal: product.channelLimits?.teller?.maxWithdrawal ?? '',
+            customerMaxDeposit: product.channelLimits?.customer?.maxDeposit ?? '',
+            customerMaxWithdrawal: product.channelLimits?.customer?.maxWithdrawal ?? ''
+          },
+          feePolicy: {
+            insufficientBalanceAction: product.feePolicy?.insufficientBalanceAction || 'skip',
+            waiverMinBalance: product.feePolicy?.waiverMinBalance ?? '',
+            waivedAccountTypes: (product.feePolicy?.waivedAccountTypes || []).join(', ')
+          },
+          termSettings: {
+            tenorOptions: (product.termSettings?.tenorOptions || []).join(', '),
+            penaltyType: product.termSettings?.earlyWithdrawalPenalty?.type || 'forfeit_interest',
+            penaltyValue: product.termSettings?.earlyWithdrawalPenalty?.value ?? ''
+          },
+          dormancySettings: {
+            dormantAfterDays: product.dormancySettings?.dormantAfterDays ?? 365,
+            unclaimedAfterDays: product.dormancySettings?.unclaimedAfterDays ?? 1825,
+            noticeDaysBefore: product.dormancySettings?.noticeDaysBefore ?? 30
+          },
+          closureSettings: {
+            closureFee: product.closureSettings?.closureFee ?? '',
+            earlyClosureFee: product.closureSettings?.earlyClosureFee ?? '',
+            earlyClosureDays: product.closureSettings?.earlyClosureDays ?? ''
           },
           displayOrder: product.displayOrder || 0
         });
@@ -95,7 +157,7 @@ const EditAccountProduct = () => {
     const { name, value } = e.target;
     
     // Handle nested fields
-    if (name.startsWith('eligibility.') || name.startsWith('depositLimits.')) {
+    if (name.startsWith('eligibility.') || name.startsWith('depositLimits.') || name.startsWith('feePolicy.') || name.startsWith('channelLimits.') || name.startsWith('termSettings.') || name.startsWith('dormancySettings.') || name.startsWith('closureSettings.')) {
       const [parent, child] = name.split('.');
       setFormData(prev => ({
         ...prev,
@@ -156,7 +218,45 @@ const EditAccountProduct = () => {
             minDeposit: parseFloat(formData.depositLimits.minDeposit) || 0,
             maxDeposit: formData.depositLimits.maxDeposit ? parseFloat(formData.depositLimits.maxDeposit) : null,
             minWithdrawal: parseFloat(formData.depositLimits.minWithdrawal) || 0,
-            maxWithdrawal: formData.depositLimits.maxWithdrawal ? parseFloat(formData.depositLimits.maxWithdrawal) : null
+            maxWithdrawal: formData.depositLimits.maxWithdrawal ? parseFloat(formData.depositLimits.maxWithdrawal) : null,
+            dailyDepositLimit: formData.depositLimits.dailyDepositLimit ? parseFloat(formData.depositLimits.dailyDepositLimit) : null,
+            monthlyDepositLimit: formData.depositLimits.monthlyDepositLimit ? parseFloat(formData.depositLimits.monthlyDepositLimit) : null,
+            dailyWithdrawalLimit: formData.depositLimits.dailyWithdrawalLimit ? parseFloat(formData.depositLimits.dailyWithdrawalLimit) : null,
+            monthlyWithdrawalLimit: formData.depositLimits.monthlyWithdrawalLimit ? parseFloat(formData.depositLimits.monthlyWithdrawalLimit) : null
+          },
+          channelLimits: {
+            teller: {
+              maxDeposit: formData.channelLimits.tellerMaxDeposit ? parseFloat(formData.channelLimits.tellerMaxDeposit) : null,
+              maxWithdrawal: formData.channelLimits.tellerMaxWithdrawal ? parseFloat(formData.channelLimits.tellerMaxWithdrawal) : null
+            },
+            customer: {
+              maxDeposit: formData.channelLimits.customerMaxDeposit ? parseFloat(formData.channelLimits.customerMaxDeposit) : null,
+              maxWithdrawal: formData.channelLimits.customerMaxWithdrawal ? parseFloat(formData.channelLimits.customerMaxWithdrawal) : null
+            }
+          },
+          feePolicy: {
+            insufficientBalanceAction: formData.feePolicy.insufficientBalanceAction,
+            waiverMinBalance: formData.feePolicy.waiverMinBalance !== '' ? parseFloat(formData.feePolicy.waiverMinBalance) : null,
+            waivedAccountTypes: formData.feePolicy.waivedAccountTypes
+              .split(',').map(t => t.trim().toLowerCase()).filter(t => t)
+          },
+          termSettings: {
+            tenorOptions: formData.termSettings.tenorOptions
+              .split(',').map(t => parseInt(t.trim())).filter(t => t > 0),
+            earlyWithdrawalPenalty: {
+              type: formData.termSettings.penaltyType,
+              value: parseFloat(formData.termSettings.penaltyValue) || 0
+            }
+          },
+          dormancySettings: {
+            dormantAfterDays: parseInt(formData.dormancySettings.dormantAfterDays) || 365,
+            unclaimedAfterDays: parseInt(formData.dormancySettings.unclaimedAfterDays) || 1825,
+            noticeDaysBefore: parseInt(formData.dormancySettings.noticeDaysBefore) || 0
+          },
+          closureSettings: {
+            closureFee: parseFloat(formData.closureSettings.closureFee) || 0,
+            earlyClosureFee: parseFloat(formData.closureSettings.earlyClosureFee) || 0,
+            earlyClosureDays: parseInt(formData.closureSettings.earlyClosureDays) || 0
           },
           displayOrder: parseInt(formData.displayOrder) || 0
         })
@@ -289,6 +389,126 @@ const EditAccountProduct = () => {
               placeholder="0"
             />
 
+            <SelectField
+              label="When Balance Cannot Cover Fee"
+              name="feePolicy.insufficientBalanceAction"
+              value={formData.feePolicy.insufficientBalanceAction}
+              onChange={handleChange}
+              options={[
+                { value: 'skip', label: 'Skip this month' },
+                { value: 'partial', label: 'Charge what is available' },
+                { value: 'arrears', label: 'Charge available, carry rest as arrears' }
+              ]}
+            />
+
+            <InputField
+              label="Waive Fee at Balance (RWF)"
+              name="feePolicy.waiverMinBalance"
+              type="number"
+              value={formData.feePolicy.waiverMinBalance}
+              onChange={handleChange}
+              min={0}
+              placeholder="No balance waiver"
+            />
+
+            <InputField
+              label="Fee-Free Account Types"
+              name="feePolicy.waivedAccountTypes"
+              value={formData.feePolicy.waivedAccountTypes}
+              onChange={handleChange}
+              placeholder="e.g. youth, senior"
+            />
+
+            <InputField
+              label="Term Tenors (months)"
+              name="termSettings.tenorOptions"
+              value={formData.termSettings.tenorOptions}
+              onChange={handleChange}
+              placeholder="e.g. 3, 6, 12 (fixed deposits only)"
+            />
+
+            <SelectField
+              label="Early Withdrawal Penalty"
+              name="termSettings.penaltyType"
+              value={formData.termSettings.penaltyType}
+              onChange={handleChange}
+              options={[
+                { value: 'forfeit_interest', label: 'Forfeit accrued interest' },
+                { value: 'percentage_of_principal', label: 'Percentage of principal' },
+                { value: 'flat', label: 'Flat amount' },
+                { value: 'none', label: 'No penalty' }
+              ]}
+            />
+
+            {['percentage_of_principal', 'flat'].includes(formData.termSettings.penaltyType) && (
+              <InputField
+                label={formData.termSettings.penaltyType === 'flat' ? 'Penalty Amount (RWF)' : 'Penalty (% of principal)'}
+                name="termSettings.penaltyValue"
+                type="number"
+                value={formData.termSettings.penaltyValue}
+                onChange={handleChange}
+                min={0}
+              />
+            )}
+
+            <InputField
+              label="Dormant After (days inactive)"
+              name="dormancySettings.dormantAfterDays"
+              type="number"
+              value={formData.dormancySettings.dormantAfterDays}
+              onChange={handleChange}
+              min={1}
+            />
+
+            <InputField
+              label="Unclaimed After (days inactive)"
+              name="dormancySettings.unclaimedAfterDays"
+              type="number"
+              value={formData.dormancySettings.unclaimedAfterDays}
+              onChange={handleChange}
+              min={1}
+            />
+
+            <InputField
+              label="Dormancy Notice (days before)"
+              name="dormancySettings.noticeDaysBefore"
+              type="number"
+              value={formData.dormancySettings.noticeDaysBefore}
+              onChange={handleChange}
+              min={0}
+              placeholder="0 disables the notice"
+            />
+
+            <InputField
+              label="Closure Fee (RWF)"
+              name="closureSettings.closureFee"
+              type="number"
+              value={formData.closureSettings.closureFee}
+              onChange={handleChange}
+              min={0}
+              placeholder="0"
+            />
+
+            <InputField
+              label="Early Closure Fee (RWF)"
+              name="closureSettings.earlyClosureFee"
+              type="number"
+              value={formData.closureSettings.earlyClosureFee}
+              onChange={handleChange}
+              min={0}
+              placeholder="0"
+            />
+
+            <InputField
+              label="Early Closure Period (days after opening)"
+              name="closureSettings.earlyClosureDays"
+              type="number"
+              value={formData.closureSettings.earlyClosureDays}
+              onChange={handleChange}
+              min={0}
+              placeholder="0"
+            />
+
             <InputField
               label="Interest Rate (%)"
               name="interestRate"
@@ -313,6 +533,18 @@ const EditAccountProduct = () => {
                 { value: 'annually', label: 'Annually' }
               ]}
             />
+
+            <SelectField
+              label="Day-Count Convention"
+              name="dayCountConvention"
+              value={formData.dayCountConvention}
+              onChange={handleChange}
+              options={[
+                { value: 'actual/365', label: 'Actual/365' },
+                { value: 'actual/360', label: 'Actual/360' },
+                { value: '30/360', label: '30/360' }
+              ]}
+            />
           </div>
         </section>
 
@@ -400,6 +632,86 @@ const EditAccountProduct = () => {
               onChange={handleChange}
               placeholder=""
             />
+
+            <InputField
+              label="Daily Deposit Limit (RWF, leave empty for no limit)"
+              name="depositLimits.dailyDepositLimit"
+              type="number"
+              value={formData.depositLimits.dailyDepositLimit}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
+
+            <InputField
+              label="Monthly Deposit Limit (RWF, leave empty for no limit)"
+              name="depositLimits.monthlyDepositLimit"
+              type="number"
+              value={formData.depositLimits.monthlyDepositLimit}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
+
+            <InputField
+              label="Daily Withdrawal Limit (RWF, leave empty for no limit)"
+              name="depositLimits.dailyWithdrawalLimit"
+              type="number"
+              value={formData.depositLimits.dailyWithdrawalLimit}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
+
+            <InputField
+              label="Monthly Withdrawal Limit (RWF, leave empty for no limit)"
+              name="depositLimits.monthlyWithdrawalLimit"
+              type="number"
+              value={formData.depositLimits.monthlyWithdrawalLimit}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
+
+            <InputField
+              label="Teller Max Deposit (RWF, leave empty for no limit)"
+              name="channelLimits.tellerMaxDeposit"
+              type="number"
+              value={formData.channelLimits.tellerMaxDeposit}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
+
+            <InputField
+              label="Teller Max Withdrawal (RWF, leave empty for no limit)"
+              name="channelLimits.tellerMaxWithdrawal"
+              type="number"
+              value={formData.channelLimits.tellerMaxWithdrawal}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
+
+            <InputField
+              label="Customer App Max Deposit (RWF, leave empty for no limit)"
+              name="channelLimits.customerMaxDeposit"
+              type="number"
+              value={formData.channelLimits.customerMaxDeposit}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
+
+            <InputField
+              label="Customer App Max Withdrawal (RWF, leave empty for no limit)"
+              name="channelLimits.customerMaxWithdrawal"
+              type="number"
+              value={formData.channelLimits.customerMaxWithdrawal}
+              onChange={handleChange}
+              min={0}
+              placeholder=""
+            />
           </div>
         </section>
 
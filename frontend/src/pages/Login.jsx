@@ -6,9 +6,10 @@ import { useSystemSettings } from "../context/SystemSettingsContext";
 import logo from "../assets/logo.png";
 import login_background from "../assets/login-background.png";
 import Loader from "../components/Loader";
+import BackupCodesList from "../components/BackupCodesList";
 
 const Login = () => {
-  const { user, login, loading, error, retryAuth } = useAppContext();
+  const { user, login, verifyMfaLogin, startMfaLoginSetup, confirmMfaLoginSetup, loading, error, retryAuth } = useAppContext();
   const { settings } = useSystemSettings();
   const navigate = useNavigate();
 
@@ -16,6 +17,15 @@ const Login = () => {
   const [password, setPassword] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Second factor: 'password', then 'mfa' (enter a code) or 'setup' (enrol first),
+  // and 'backup-codes' after enrolling
+  const [step, setStep] = useState("password");
+  const [mfaToken, setMfaToken] = useState(null);
+  const [code, setCode] = useState("");
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [finishLogin, setFinishLogin] = useState(null);
+
   // Get colors from settings with fallback
   const getColors = () => {
     if (settings) {
@@ -44,6 +54,13 @@ const Login = () => {
     return <Navigate to="/dashboard" replace />;
   }
 
+  const restart = () => {
+    setStep("password");
+    setMfaToken(null);
+    setCode("");
+    setEnrollment(null);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
@@ -55,6 +72,17 @@ const Login = () => {
       const result = await login(email, password);
       if (result.success) {
         navigate("/dashboard");
+      } else if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        setCode("");
+        if (result.mfaSetupRequired) {
+          const setup = await startMfaLoginSetup(result.mfaToken);
+          if (!setup.success) return;
+          setEnrollment(setup.data);
+          setStep("setup");
+        } else {
+          setStep("mfa");
+        }
       }
     } catch (err) {
       console.error("Login error:", err);
@@ -63,6 +91,68 @@ const Login = () => {
     }
   };
   
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const result = await verifyMfaLogin(mfaToken, code);
+      if (result.success) {
+        navigate("/dashboard");
+      } else if (result.code === "MFA_TOKEN_INVALID") {
+        restart();
+      } else {
+        setCode("");
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleConfirmSetup = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const result = await confirmMfaLoginSetup(mfaToken, code);
+      if (result.success) {
+        setBackupCodes(result.backupCodes);
+        setFinishLogin(() => result.finish);
+        setStep("backup-codes");
+      } else {
+        setCode("");
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleFinish = () => {
+    finishLogin?.();
+    navigate("/dashboard");
+  };
+
+  const inputStyle = { borderColor: currentColors.primary, outline: 'none' };
+  const buttonStyle = { backgroundColor: currentColors.primary, borderColor: currentColors.primary };
+  const codeInput = (
+    <div className="flex flex-col gap-2">
+      <label htmlFor="code">
+        Verification code <span className="text-red-500">*</span>
+      </label>
+      <input
+        className="border border-gray-300 rounded-md h-10 w-full p-2 outline-none placeholder:text-sm tracking-widest"
+        style={inputStyle}
+        type="text"
+        id="code"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        autoFocus
+        value={code}
+        onChange={(e) => setCode(e.target.value.trim())}
+        placeholder="6-digit code"
+        required
+      />
+    </div>
+  );
+
   if (loading) return <Loader />;
   return (
     <div className="p-4 lg:h-screen lg:w-full lg:flex lg:justify-between lg:p-0">
@@ -82,81 +172,141 @@ const Login = () => {
           </p>
         </div>
 
-        <form onSubmit={handleSubmit} className="flex flex-col gap-4 w-full max-w-xs">
-          {/* Error Display */}
-          {error && (
-            <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4">
-              <div className="flex items-center justify-between">
-                <p className="text-red-700 text-sm">{error}</p>
-                {error.includes("Authentication check failed") && (
-                  <button
-                    type="button"
-                    onClick={retryAuth}
-                    className="text-red-600 hover:text-red-800 text-sm font-medium underline ml-2"
-                  >
-                    Retry
-                  </button>
-                )}
+        {step === "password" && (
+          <form onSubmit={handleSubmit} className="flex flex-col gap-4 w-full max-w-xs">
+            {/* Error Display */}
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4">
+                <div className="flex items-center justify-between">
+                  <p className="text-red-700 text-sm">{error}</p>
+                  {error.includes("Authentication check failed") && (
+                    <button
+                      type="button"
+                      onClick={retryAuth}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium underline ml-2"
+                    >
+                      Retry
+                    </button>
+                  )}
+                </div>
               </div>
+            )}
+
+            <div className="flex flex-col gap-2">
+              <label htmlFor="email">
+                Email <span className="text-red-500">*</span>
+              </label>
+              <input
+                className="border border-gray-300 rounded-md h-10 w-full p-2 outline-none placeholder:text-sm"
+                style={{ 
+                  borderColor: currentColors.primary,
+                  outline: 'none'
+                }}
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your Email address"
+                required
+              />
+            </div>
+
+            <div className="flex flex-col gap-2">
+              <label htmlFor="password">
+                Password <span className="text-red-500">*</span>
+              </label>
+              <input
+                className="border border-gray-300 rounded-md h-10 w-full p-2 outline-none placeholder:text-sm"
+                style={{ 
+                  borderColor: currentColors.primary,
+                  outline: 'none'
+                }}
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter your Password"
+                required
+              />
             </div>
-          )}
-
-          <div className="flex flex-col gap-2">
-            <label htmlFor="email">
-              Email <span className="text-red-500">*</span>
-            </label>
-            <input
-              className="border border-gray-300 rounded-md h-10 w-full p-2 outline-none placeholder:text-sm"
-              style={{ 
-                borderColor: currentColors.primary,
-                outline: 'none'
-              }}
-              type="email"
-              id="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              placeholder="Enter your Email address"
-              required
-            />
-          </div>
 
-          <div className="flex flex-col gap-2">
-            <label htmlFor="password">
-              Password <span className="text-red-500">*</span>
-            </label>
-            <input
-              className="border border-gray-300 rounded-md h-10 w-full p-2 outline-none placeholder:text-sm"
+            <button 
+              type="submit"
+              className="h-10 w-full p-2 rounded text-white font-semibold focus:outline-none transition disabled:opacity-50"
               style={{ 
-                borderColor: currentColors.primary,
-                outline: 'none'
+                backgroundColor: currentColors.primary,
+                borderColor: currentColors.primary
               }}
-              type="password"
-              id="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter your Password"
-              required
-            />
-          </div>
+              disabled={isSubmitting || loading}
+            >
+              {isSubmitting || loading ? "Logging in..." : "Login"}
+            </button>
+
+            <div className="text-center text-sm mt-2">
+              <p className="text-gray-600">
+                Credit Jambo Ltd - Savings Management System
+              </p>
+            </div>
+          </form>
+        )}
+
+        {step === "mfa" && (
+          <form onSubmit={handleVerify} className="flex flex-col gap-4 w-full max-w-xs">
+            <p className="text-sm text-gray-600">
+              Enter the code from your authenticator app, or one of your backup codes.
+            </p>
+            {codeInput}
+            <button
+              type="submit"
+              className="h-10 w-full p-2 rounded text-white font-semibold focus:outline-none transition disabled:opacity-50"
+              style={buttonStyle}
+              disabled={isSubmitting || !code}
+            >
+              {isSubmitting ? "Verifying..." : "Verify"}
+            </button>
+            <button type="button" onClick={restart} className="text-sm text-gray-600 underline">
+              Back to login
+            </button>
+          </form>
+        )}
 
-          <button 
-            type="submit"
-            className="h-10 w-full p-2 rounded text-white font-semibold focus:outline-none transition disabled:opacity-50"
-            style={{ 
-              backgroundColor: currentColors.primary,
-              borderColor: currentColors.primary
-            }}
-            disabled={isSubmitting || loading}
-          >
-            {isSubmitting || loading ? "Logging in..." : "Login"}
-          </button>
-
-          <div className="text-center text-sm mt-2">
-            <p className="text-gray-600">
-              Credit Jambo Ltd - Savings Management System
+        {step === "setup" && enrollment && (
+          <form onSubmit={handleConfirmSetup} className="flex flex-col gap-4 w-full max-w-xs">
+            <p className="text-sm text-gray-600">
+              Your role requires two-factor authentication. Scan this QR code with an authenticator app, then enter the code it shows.
             </p>
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="w-48 h-48 self-center" />
+            <p className="text-xs text-gray-500 break-all">
+              Can&apos;t scan it? Enter this key: <span className="font-mono">{enrollment.secret}</span>
+            </p>
+            {codeInput}
+            <button
+              type="submit"
+              className="h-10 w-full p-2 rounded text-white font-semibold focus:outline-none transition disabled:opacity-50"
+              style={buttonStyle}
+              disabled={isSubmitting || !code}
+            >
+              {isSubmitting ? "Verifying..." : "Turn On and Sign In"}
+            </button>
+            <button type="button" onClick={restart} className="text-sm text-gray-600 underline">
+              Back to login
+            </button>
+          </form>
+        )}
+
+        {step === "backup-codes" && backupCodes && (
+          <div className="flex flex-col gap-4 w-full max-w-xs">
+            <BackupCodesList codes={backupCodes} />
+            <button
+              type="button"
+              onClick={handleFinish}
+              className="h-10 w-full p-2 rounded text-white font-semibold focus:outline-none transition"
+              style={buttonStyle}
+            >
+              I&apos;ve Saved My Codes
+            </button>
           </div>
-        </form>
+        )}
       </div>
 
       <div className="hidden lg:block lg:flex-1" style={{ backgroundColor: currentColors.primary }}>
@@ -0,0 +1,313 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAppContext } from '../context/AppContext';
+import { generateIdempotencyKey } from '../utils/apiUtils';
+import {
+  FaCheckCircle,
+  FaTimesCircle,
+  FaClock,
+  FaEye,
+  FaTrash,
+  FaPlus
+} from 'react-icons/fa';
+
+const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'transfer'];
+const ROLES = ['admin', 'manager', 'branch-manager', 'accountant', 'support'];
+
+const emptyRule = { transactionType: 'withdrawal', role: '', productId: '', threshold: '', description: '' };
+
+const PendingApprovals = () => {
+  const { api, user } = useAppContext();
+  const [transactions, setTransactions] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [notes, setNotes] = useState({});
+  const [processingId, setProcessingId] = useState(null);
+  const [ruleForm, setRuleForm] = useState(emptyRule);
+  const [savingRule, setSavingRule] = useState(false);
+
+  const isAdmin = user?.role === 'admin';
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get('/approvals/pending');
+      setTransactions(data.success ? data.data?.transactions || [] : []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load pending approvals');
+      setTransactions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const [{ data: rulesData }, { data: productsData }] = await Promise.all([
+        api.get('/approvals/rules'),
+        api.get('/account-products')
+      ]);
+      setRules(rulesData.success ? rulesData.data || [] : []);
+      setProducts(productsData.success ? productsData.data || [] : []);
+    } catch (err) {
+      console.error('Error fetching approval rules:', err);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchQueue();
+    fetchRules();
+  }, [fetchQueue, fetchRules]);
+
+  const decide = async (transaction, action) => {
+    const note = notes[transaction._id] || '';
+    if (action === 'reject' && !note.trim()) {
+      toast.error('Enter a note explaining the rejection');
+      return;
+    }
+
+    try {
+      setProcessingId(transaction._id);
+      const { data } = await api.post(`/approvals/${transaction._id}/${action}`, { note }, {
+        headers: { 'Idempotency-Key': generateIdempotencyKey() }
+      });
+      toast.success(data.message || (action === 'approve' ? 'Transaction approved' : 'Transaction rejected'));
+      setNotes(prev => ({ ...prev, [transaction._id]: '' }));
+      fetchQueue();
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Failed to ${action} transaction`);
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleRuleChange = (e) => {
+    setRuleForm({ ...ruleForm, [e.target.name]: e.target.value });
+  };
+
+  const createRule = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingRule(true);
+      await api.post('/approvals/rules', { ...ruleForm, threshold: parseFloat(ruleForm.threshold) });
+      toast.success('Approval rule created');
+      setRuleForm(emptyRule);
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create approval rule');
+    } finally {
+      setSavingRule(false);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm('Delete this approval rule?')) return;
+    try {
+      await api.delete(`/approvals/rules/${rule._id}`);
+      toast.success('Approval rule deleted');
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete approval rule');
+    }
+  };
+
+  const formatAmount = (amount) => `${(amount || 0).toLocaleString()} RWF`;
+
+  const formatType = (type) => (type === 'transfer_out' ? 'Transfer' : type.charAt(0).toUpperCase() + type.slice(1));
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{borderColor: '#00b050'}}></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="md:flex md:items-center md:justify-between">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate">
+            Pending Approvals
+          </h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Transactions above the approval threshold wait here until a second user approves them
+          </p>
+        </div>
+      </div>
+
+      {/* Queue */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6 flex justify-between items-center">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900">Approval Queue</h3>
+            <p className="mt-1 max-w-2xl text-sm text-gray-500">
+              Oldest requests first. You cannot approve a transaction you entered yourself.
+            </p>
+          </div>
+          <button
+            onClick={fetchQueue}
+            className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 text-xs text-gray-500"
+          >
+            Refresh
+          </button>
+        </div>
+
+        {transactions.length === 0 ? (
+          <div className="text-center py-12">
+            <FaClock className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">Nothing to approve</h3>
+            <p className="mt-1 text-sm text-gray-500">No transactions are waiting for approval.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {transactions.map((transaction) => (
+              <li key={transaction._id} className="px-4 py-4 hover:bg-gray-50">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {formatType(transaction.type)} of {formatAmount(transaction.amount)}
+                      <span className="ml-2 text-xs text-gray-500">{transaction.transactionId}</span>
+                    </p>
+                    <p className="mt-1 text-sm text-gray-500">
+                      {transaction.accountId?.accountNumber}
+                      {transaction.counterpartyAccountId && ` → ${transaction.counterpartyAccountId.accountNumber}`}
+                      {' • '}
+                      {transaction.customerId?.personalInfo?.fullName || 'Unknown Customer'}
+                    </p>
+                    <p className="mt-1 text-xs text-gray-400">
+                      Requested by {transaction.approval?.requestedBy?.name || 'Unknown'} on{' '}
+                      {new Date(transaction.approval?.requestedAt).toLocaleString()}
+                      {transaction.description && ` • ${transaction.description}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      placeholder="Note"
+                      value={notes[transaction._id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [transaction._id]: e.target.value }))}
+                      className="block w-48 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                    />
+                    <Link to={`/transactions/${transaction._id}`} className="text-gray-400 hover:text-gray-600" title="View">
+                      <FaEye className="h-5 w-5" />
+                    </Link>
+                    <button
+                      onClick={() => decide(transaction, 'approve')}
+                      disabled={processingId === transaction._id}
+                      className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                      title="Approve"
+                    >
+                      <FaCheckCircle className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => decide(transaction, 'reject')}
+                      disabled={processingId === transaction._id}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                      title="Reject"
+                    >
+                      <FaTimesCircle className="h-5 w-5" />
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Rules */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Approval Thresholds</h3>
+          <p className="mt-1 max-w-2xl text-sm text-gray-500">
+            The most specific matching rule applies: product and role, then product, then role, then any.
+          </p>
+        </div>
+
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Threshold</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              {isAdmin && <th className="px-4 py-2" />}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rules.length === 0 ? (
+              <tr>
+                <td colSpan={isAdmin ? 6 : 5} className="px-4 py-4 text-sm text-gray-500 text-center">
+                  No approval rules. All transactions post immediately.
+                </td>
+              </tr>
+            ) : rules.map((rule) => (
+              <tr key={rule._id}>
+                <td className="px-4 py-2 text-sm text-gray-900 capitalize">{rule.transactionType}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{rule.role || 'Any'}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{rule.productId?.productName || 'Any'}</td>
+                <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(rule.threshold)}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{rule.isActive ? 'Active' : 'Inactive'}</td>
+                {isAdmin && (
+                  <td className="px-4 py-2 text-right">
+                    <button onClick={() => deleteRule(rule)} className="text-red-600 hover:text-red-800" title="Delete">
+                      <FaTrash className="h-4 w-4" />
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {isAdmin && (
+          <form onSubmit={createRule} className="px-4 py-4 border-t border-gray-200 grid grid-cols-1 gap-3 sm:grid-cols-6 items-end">
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Type</label>
+              <select name="transactionType" value={ruleForm.transactionType} onChange={handleRuleChange} className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm">
+                {TRANSACTION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Role</label>
+              <select name="role" value={ruleForm.role} onChange={handleRuleChange} className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm">
+                <option value="">Any</option>
+                {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Product</label>
+              <select name="productId" value={ruleForm.productId} onChange={handleRuleChange} className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm">
+                <option value="">Any</option>
+                {products.map(product => <option key={product._id} value={product._id}>{product.productName}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Threshold (RWF)</label>
+              <input type="number" name="threshold" min="0" required value={ruleForm.threshold} onChange={handleRuleChange} className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm" />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Description</label>
+              <input type="text" name="description" value={ruleForm.description} onChange={handleRuleChange} className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm" />
+            </div>
+            <button
+              type="submit"
+              disabled={savingRule}
+              className="inline-flex items-center justify-center px-3 py-2 rounded-md text-sm font-medium text-white disabled:opacity-50"
+              style={{backgroundColor: '#00b050'}}
+            >
+              <FaPlus className="mr-1 h-3 w-3" /> Add Rule
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PendingApprovals;
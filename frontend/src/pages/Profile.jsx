@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { useAppContext } from '../context/AppContext';
+import BackupCodesList from '../components/BackupCodesList';
+import { FaUserCircle, FaShieldAlt, FaUsersCog } from 'react-icons/fa';
+
+const STAFF_ROLES = ['admin', 'manager', 'branch-manager', 'loan-officer', 'collections-officer', 'accountant', 'hr-officer', 'reporting', 'support', 'auditor'];
+
+const Profile = () => {
+  const { api, user } = useAppContext();
+  const [mfa, setMfa] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [policy, setPolicy] = useState(null);
+
+  const isAdmin = user?.role === 'admin';
+
+  const fetchMfa = useCallback(async () => {
+    try {
+      const { data } = await api.get('/user/mfa');
+      setMfa(data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load two-factor status');
+    }
+  }, [api]);
+
+  const fetchPolicy = useCallback(async () => {
+    try {
+      const { data } = await api.get('/user/mfa/policy');
+      setPolicy(data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load two-factor policy');
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchMfa();
+    if (isAdmin) fetchPolicy();
+  }, [isAdmin, fetchMfa, fetchPolicy]);
+
+  // Runs a two-factor action; `onDone` gets the response body
+  const submit = async (request, onDone, fallbackMessage) => {
+    try {
+      setSubmitting(true);
+      const { data } = await request();
+      if (data.message) toast.success(data.message);
+      onDone?.(data);
+      setCode('');
+      fetchMfa();
+    } catch (err) {
+      toast.error(err.response?.data?.message || fallbackMessage);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startSetup = () => submit(
+    () => api.post('/user/mfa/setup'),
+    (data) => { setEnrollment(data.data); setBackupCodes(null); },
+    'Failed to start two-factor setup'
+  );
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post('/user/mfa/confirm', { code }),
+      (data) => { setEnrollment(null); setBackupCodes(data.data.backupCodes); },
+      'Failed to confirm two-factor setup'
+    );
+  };
+
+  const regenerateCodes = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post('/user/mfa/backup-codes', { code }),
+      (data) => setBackupCodes(data.data.backupCodes),
+      'Failed to generate backup codes'
+    );
+  };
+
+  const disable = () => {
+    if (!window.confirm('Turn off two-factor authentication? Your account will be protected by your password only.')) return;
+    submit(
+      () => api.post('/user/mfa/disable', { code }),
+      () => setBackupCodes(null),
+      'Failed to turn off two-factor authentication'
+    );
+  };
+
+  const toggleRole = (role) => {
+    setPolicy(prev => ({
+      ...prev,
+      mfaRequiredRoles: prev.mfaRequiredRoles.includes(role)
+        ? prev.mfaRequiredRoles.filter(item => item !== role)
+        : [...prev.mfaRequiredRoles, role]
+    }));
+  };
+
+  const savePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const { data } = await api.put('/user/mfa/policy', policy);
+      setPolicy(data.data);
+      toast.success(data.message || 'Two-factor policy updated');
+      fetchMfa();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update two-factor policy');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = 'mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+  const buttonClass = 'inline-flex items-center justify-center px-3 py-2 rounded-md text-sm font-medium text-white disabled:opacity-50';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="md:flex md:items-center md:justify-between">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate flex items-center">
+            <FaUserCircle className="mr-2 text-gray-400" /> {user?.fullName}
+          </h2>
+          <p className="mt-1 text-sm text-gray-500 capitalize">{user?.role?.replace('-', ' ')}</p>
+        </div>
+      </div>
+
+      {/* Two-factor authentication */}
+      <div className="bg-white shadow sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+            <FaShieldAlt className="mr-2 text-gray-400" /> Two-Factor Authentication
+          </h3>
+          {mfa && (
+            <p className="mt-1 text-sm text-gray-500">
+              {mfa.enabled
+                ? `On. ${mfa.backupCodesRemaining} backup codes left.`
+                : 'Off. Sign-in needs your password only.'}
+              {mfa.required && ' Required for your role.'}
+            </p>
+          )}
+        </div>
+
+        <div className="px-4 pb-5 sm:px-6 space-y-4">
+          {mfa && !mfa.enabled && !enrollment && (
+            <button onClick={startSetup} disabled={submitting} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+              Set Up Authenticator App
+            </button>
+          )}
+
+          {enrollment && (
+            <form onSubmit={confirmSetup} className="space-y-3 max-w-sm">
+              <p className="text-sm text-gray-600">Scan this QR code with an authenticator app, then enter the code it shows.</p>
+              <img src={enrollment.qrCode} alt="Authenticator QR code" className="w-48 h-48" />
+              <p className="text-xs text-gray-500 break-all">
+                Can&apos;t scan it? Enter this key: <span className="font-mono">{enrollment.secret}</span>
+              </p>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Code from the app</label>
+                <input type="text" inputMode="numeric" autoComplete="one-time-code" required value={code} onChange={(e) => setCode(e.target.value.trim())} className={inputClass} />
+              </div>
+              <button type="submit" disabled={submitting || !code} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+                Turn On
+              </button>
+            </form>
+          )}
+
+          {backupCodes && <BackupCodesList codes={backupCodes} />}
+
+          {mfa?.enabled && (
+            <form onSubmit={regenerateCodes} className="grid grid-cols-1 gap-3 sm:grid-cols-4 items-end border-t border-gray-200 pt-4">
+              <div>
+                <label className="block text-xs font-medium text-gray-700">Current code</label>
+                <input type="text" autoComplete="one-time-code" required value={code} onChange={(e) => setCode(e.target.value.trim())} className={inputClass} />
+              </div>
+              <button type="submit" disabled={submitting || !code} className={`${buttonClass} bg-gray-700 hover:bg-gray-800`}>
+                New Backup Codes
+              </button>
+              {!mfa.required && (
+                <button type="button" onClick={disable} disabled={submitting || !code} className={`${buttonClass} bg-red-600 hover:bg-red-700`}>
+                  Turn Off
+                </button>
+              )}
+            </form>
+          )}
+        </div>
+      </div>
+
+      {/* Policy (admin) */}
+      {isAdmin && policy && (
+        <div className="bg-white shadow sm:rounded-md">
+          <div className="px-4 py-5 sm:px-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+              <FaUsersCog className="mr-2 text-gray-400" /> Two-Factor Policy
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Staff in these roles must set up two-factor authentication at their next sign-in
+            </p>
+          </div>
+          <form onSubmit={savePolicy} className="px-4 pb-5 sm:px-6 space-y-4">
+            <label className="flex items-center text-sm text-gray-900">
+              <input type="checkbox" className="mr-2" checked={policy.requireTwoFactor} onChange={(e) => setPolicy({ ...policy, requireTwoFactor: e.target.checked })} />
+              Require for all staff
+            </label>
+            <div className="grid grid-cols-2 gap-2 sm:grid-cols-5">
+              {STAFF_ROLES.map(role => (
+                <label key={role} className="flex items-center text-sm text-gray-700 capitalize">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    disabled={policy.requireTwoFactor}
+                    checked={policy.requireTwoFactor || policy.mfaRequiredRoles.includes(role)}
+                    onChange={() => toggleRole(role)}
+                  />
+                  {role.replace('-', ' ')}
+                </label>
+              ))}
+            </div>
+            <button type="submit" disabled={submitting} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+              Save Policy
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Profile;
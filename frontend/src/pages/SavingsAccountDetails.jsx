@@ -16,17 +16,34 @@ import {
   FaMoneyBill,
   FaPercentage,
   FaClock,
-  FaEye
+  FaEye,
+  FaDownload,
+  FaLock,
+  FaSyncAlt
 } from 'react-icons/fa';
 import Loader from '../components/Loader';
 import Button from '../components/Button';
 import Table from '../components/Table';
+import { generateIdempotencyKey } from '../utils/apiUtils';
 
 const SavingsAccountDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [account, setAccount] = useState(null);
   const [transactions, setTransactions] = useState([]);
+  const [pendingInterest, setPendingInterest] = useState(null);
+  const [termAction, setTermAction] = useState({ open: false, reason: '', payoutMethod: 'transfer', submitting: false });
+  const [holds, setHolds] = useState([]);
+  const [holdForm, setHoldForm] = useState({ open: false, amount: '', reasonCode: 'court_order', description: '', reference: '', expiresAt: '', submitting: false });
+  const [releasing, setReleasing] = useState({ holdId: null, note: '' });
+  const [standingOrders, setStandingOrders] = useState([]);
+  const [orderForm, setOrderForm] = useState({ open: false, type: 'transfer', toAccountNumber: '', amount: '', frequency: 'monthly', startDate: '', endDate: '', description: '', submitting: false });
+  const [closure, setClosure] = useState({ open: false, quote: null, reason: 'customer_request', note: '', payoutMethod: 'cash', payoutAccountId: '', payoutAccounts: [], submitting: false });
+  const [reactivation, setReactivation] = useState({ idNumber: '', documentType: 'national_id', contactConfirmed: false, note: '', submitting: false });
+  const [statement, setStatement] = useState(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    return { from: `${today.slice(0, 8)}01`, to: today, format: 'pdf', downloading: false };
+  });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -75,6 +92,23 @@ const SavingsAccountDetails = () => {
           setTransactions(transactionsData.data?.transactions || []);
         }
       }
+
+      // Interest accrued since the last capitalisation
+      const accrualsResponse = await fetch(`/api/savings-accounts/${id}/interest-accruals?limit=1`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (accrualsResponse.ok) {
+        const accrualsData = await accrualsResponse.json();
+        if (accrualsData.success) {
+          setPendingInterest(accrualsData.data?.pendingInterest ?? null);
+        }
+      }
+
+      await fetchHolds();
+      await fetchStandingOrders();
     } catch (err) {
       setError(err.message);
       toast.error(err.message);
@@ -83,6 +117,315 @@ const SavingsAccountDetails = () => {
     }
   };
 
+  const fetchHolds = async () => {
+    const response = await fetch(`/api/savings-accounts/${id}/holds`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      if (data.success) {
+        setHolds(data.data?.holds || []);
+      }
+    }
+  };
+
+  const fetchStandingOrders = async () => {
+    const response = await fetch(`/api/standing-orders?accountId=${id}`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      if (data.success) {
+        setStandingOrders(data.data || []);
+      }
+    }
+  };
+
+  // Transfers leave this account; recurring deposits are saved into it
+  const submitStandingOrder = async (e) => {
+    e.preventDefault();
+    setOrderForm(prev => ({ ...prev, submitting: true }));
+    try {
+      const isTransfer = orderForm.type === 'transfer';
+      const response = await fetch('/api/standing-orders', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json',
+          'Idempotency-Key': generateIdempotencyKey()
+        },
+        body: JSON.stringify({
+          type: orderForm.type,
+          fromAccountId: isTransfer ? id : undefined,
+          toAccountId: isTransfer ? undefined : id,
+          toAccountNumber: isTransfer ? orderForm.toAccountNumber : undefined,
+          amount: parseFloat(orderForm.amount),
+          frequency: orderForm.frequency,
+          startDate: orderForm.startDate || undefined,
+          endDate: orderForm.endDate || undefined,
+          description: orderForm.description || undefined
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to create standing order');
+      }
+      toast.success(data.message);
+      setOrderForm({ open: false, type: 'transfer', toAccountNumber: '', amount: '', frequency: 'monthly', startDate: '', endDate: '', description: '', submitting: false });
+      fetchStandingOrders();
+    } catch (err) {
+      toast.error(err.message);
+      setOrderForm(prev => ({ ...prev, submitting: false }));
+    }
+  };
+
+  const changeStandingOrderStatus = async (orderId, action) => {
+    if (action === 'cancel' && !window.confirm('Cancel this standing order? This cannot be undone.')) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/standing-orders/${orderId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || `Failed to ${action} standing order`);
+      }
+      toast.success(data.message);
+      fetchStandingOrders();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const submitHold = async (e) => {
+    e.preventDefault();
+    setHoldForm(prev => ({ ...prev, submitting: true }));
+    try {
+      const response = await fetch(`/api/savings-accounts/${id}/holds`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          amount: parseFloat(holdForm.amount),
+          reasonCode: holdForm.reasonCode,
+          description: holdForm.description,
+          reference: holdForm.reference || undefined,
+          expiresAt: holdForm.expiresAt ? new Date(holdForm.expiresAt).toISOString() : undefined
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to place hold');
+      }
+      toast.success(data.message);
+      setHoldForm({ open: false, amount: '', reasonCode: 'court_order', description: '', reference: '', expiresAt: '', submitting: false });
+      fetchAccountDetails();
+    } catch (err) {
+      toast.error(err.message);
+      setHoldForm(prev => ({ ...prev, submitting: false }));
+    }
+  };
+
+  const releaseHold = async () => {
+    try {
+      const response = await fetch(`/api/savings-accounts/${id}/holds/${releasing.holdId}/release`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ note: releasing.note })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to release hold');
+      }
+      toast.success(data.message);
+      setReleasing({ holdId: null, note: '' });
+      fetchAccountDetails();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  // Dormant and unclaimed accounts need the holder's KYC re-confirmed before they can be used again
+  const submitReactivation = async (e) => {
+    e.preventDefault();
+    setReactivation(prev => ({ ...prev, submitting: true }));
+    try {
+      const response = await fetch(`/api/savings-accounts/${id}/reactivate`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          note: reactivation.note,
+          kyc: {
+            idNumber: reactivation.idNumber,
+            documentType: reactivation.documentType,
+            contactConfirmed: reactivation.contactConfirmed
+          }
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to reactivate account');
+      }
+      toast.success(data.message);
+      setReactivation({ idNumber: '', documentType: 'national_id', contactConfirmed: false, note: '', submitting: false });
+      fetchAccountDetails();
+    } catch (err) {
+      toast.error(err.message);
+      setReactivation(prev => ({ ...prev, submitting: false }));
+    }
+  };
+
+  const downloadStatement = async () => {
+    setStatement(prev => ({ ...prev, downloading: true }));
+    try {
+      const params = new URLSearchParams({ from: statement.from, to: statement.to, format: statement.format });
+      const response = await fetch(`/api/savings-accounts/${id}/statement?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to generate statement');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `statement-${account.accountNumber}-${statement.from}-${statement.to}.${statement.format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setStatement(prev => ({ ...prev, downloading: false }));
+    }
+  };
+
+  // Early withdrawal ('early-withdrawal') or a decision on a matured term ('maturity-action')
+  const submitTermAction = async (endpoint, body) => {
+    setTermAction(prev => ({ ...prev, submitting: true }));
+    try {
+      const response = await fetch(`/api/savings-accounts/${id}/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json',
+          'Idempotency-Key': generateIdempotencyKey()
+        },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Term deposit action failed');
+      }
+      toast.success(data.message);
+      setTermAction({ open: false, reason: '', payoutMethod: 'transfer', submitting: false });
+      fetchAccountDetails();
+    } catch (err) {
+      toast.error(err.message);
+      setTermAction(prev => ({ ...prev, submitting: false }));
+    }
+  };
+
+  // Load the settlement preview and the customer's other accounts for a transfer payout
+  const openClosure = async () => {
+    const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+    try {
+      const response = await fetch(`/api/savings-accounts/${id}/closure-quote`, { headers });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to calculate closure settlement');
+      }
+
+      let payoutAccounts = [];
+      const customerId = account.customerId?._id || account.customer?.id;
+      if (customerId) {
+        const accountsResponse = await fetch(`/api/savings-accounts/customer/${customerId}`, { headers });
+        const accountsData = await accountsResponse.json().catch(() => ({}));
+        payoutAccounts = (accountsData.data || []).filter(other => other.id !== account.id && other.status === 'active');
+      }
+
+      setClosure(prev => ({ ...prev, open: true, quote: data.data, payoutAccounts }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const submitClosure = async (e) => {
+    e.preventDefault();
+    setClosure(prev => ({ ...prev, submitting: true }));
+    try {
+      const response = await fetch(`/api/savings-accounts/${id}/close`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json',
+          'Idempotency-Key': generateIdempotencyKey()
+        },
+        body: JSON.stringify({
+          reason: closure.reason,
+          note: closure.note,
+          payoutMethod: closure.payoutMethod,
+          payoutAccountId: closure.payoutMethod === 'transfer' ? closure.payoutAccountId : undefined
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to close account');
+      }
+      toast.success(data.message);
+      setClosure(prev => ({ ...prev, open: false, quote: null, submitting: false }));
+      fetchAccountDetails();
+    } catch (err) {
+      toast.error(err.message);
+      setClosure(prev => ({ ...prev, submitting: false }));
+    }
+  };
+
+  const downloadClosureCertificate = async () => {
+    try {
+      const response = await fetch(`/api/savings-accounts/${id}/closure-certificate`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to generate closure certificate');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `closure-certificate-${account.closure?.certificateNumber || account.accountNumber}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   const formatCurrency = (amount) => {
     if (!amount) return 'RWF 0';
     return new Intl.NumberFormat('en-RW', {
@@ -136,7 +479,7 @@ const SavingsAccountDetails = () => {
       header: 'Type',
       render: (item) => (
         <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-          item.type === 'deposit' 
+          item.direction === 'credit' 
             ? 'bg-green-100 text-green-800' 
             : 'bg-red-100 text-red-800'
         }`}>
@@ -149,9 +492,9 @@ const SavingsAccountDetails = () => {
       header: 'Amount',
       render: (item) => (
         <span className={`font-semibold ${
-          item.type === 'deposit' ? 'text-green-600' : 'text-red-600'
+          item.direction === 'credit' ? 'text-green-600' : 'text-red-600'
         }`}>
-          {item.type === 'deposit' ? '+' : '-'}{formatCurrency(item.amount)}
+          {item.direction === 'credit' ? '+' : '-'}{formatCurrency(item.amount)}
         </span>
       )
     },
@@ -242,6 +585,11 @@ const SavingsAccountDetails = () => {
           <p className="text-3xl font-bold text-gray-900 dark:text-white">
             {formatCurrency(account.balance)}
           </p>
+          {account.heldAmount > 0 && (
+            <p className="text-sm text-amber-600 dark:text-amber-400 mt-1">
+              Available: {formatCurrency(account.availableBalance)} ({formatCurrency(account.heldAmount)} on hold)
+            </p>
+          )}
         </div>
 
         <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
@@ -254,6 +602,11 @@ const SavingsAccountDetails = () => {
           <p className="text-3xl font-bold text-gray-900 dark:text-white">
             {account.interestRate}%
           </p>
+          {pendingInterest !== null && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Accrued, not yet paid: {formatCurrency(pendingInterest)}
+            </p>
+          )}
         </div>
 
         <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
@@ -266,6 +619,11 @@ const SavingsAccountDetails = () => {
           <p className="text-3xl font-bold text-gray-900 dark:text-white">
             {formatCurrency(account.minimumBalance)}
           </p>
+          {account.feeArrears > 0 && (
+            <p className="text-sm text-red-600 dark:text-red-400 mt-1">
+              Fee arrears: {formatCurrency(account.feeArrears)}
+            </p>
+          )}
         </div>
 
         <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
@@ -284,6 +642,634 @@ const SavingsAccountDetails = () => {
         </div>
       </div>
 
+      {/* Dormancy */}
+      {['dormant', 'unclaimed'].includes(account.status) && (
+        <div className="bg-amber-50 dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-amber-200 dark:border-gray-700">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">
+            {account.status === 'dormant' ? 'Dormant Account' : 'Unclaimed Account'}
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            {account.status === 'dormant' ? 'Dormant' : 'Unclaimed'} since{' '}
+            {new Date(account.status === 'dormant' ? account.dormancy?.dormantSince : account.dormancy?.unclaimedSince).toLocaleDateString()}.
+            Withdrawals are blocked until the holder&apos;s identity and contact details are re-confirmed.
+          </p>
+          <form onSubmit={submitReactivation} className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              value={reactivation.documentType}
+              onChange={(e) => setReactivation(prev => ({ ...prev, documentType: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="national_id">National ID</option>
+              <option value="passport">Passport</option>
+              <option value="driving_licence">Driving licence</option>
+              <option value="other">Other</option>
+            </select>
+            <input
+              type="text"
+              required
+              value={reactivation.idNumber}
+              onChange={(e) => setReactivation(prev => ({ ...prev, idNumber: e.target.value }))}
+              placeholder="ID number as shown on the document"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="text"
+              required
+              value={reactivation.note}
+              onChange={(e) => setReactivation(prev => ({ ...prev, note: e.target.value }))}
+              placeholder="Note"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 md:col-span-3">
+              <input
+                type="checkbox"
+                checked={reactivation.contactConfirmed}
+                onChange={(e) => setReactivation(prev => ({ ...prev, contactConfirmed: e.target.checked }))}
+              />
+              Phone number and address confirmed with the customer
+            </label>
+            <div className="md:col-span-3">
+              <Button type="submit" variant="primary" loading={reactivation.submitting} disabled={!reactivation.contactConfirmed}>
+                Reactivate Account
+              </Button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Holds */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <FaLock className="text-amber-500" />
+            Holds
+          </h2>
+          {!holdForm.open && (
+            <Button variant="secondary" onClick={() => setHoldForm(prev => ({ ...prev, open: true }))}>
+              Place Hold
+            </Button>
+          )}
+        </div>
+
+        {holdForm.open && (
+          <form onSubmit={submitHold} className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              max={account.availableBalance}
+              required
+              value={holdForm.amount}
+              onChange={(e) => setHoldForm(prev => ({ ...prev, amount: e.target.value }))}
+              placeholder="Amount (RWF)"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <select
+              value={holdForm.reasonCode}
+              onChange={(e) => setHoldForm(prev => ({ ...prev, reasonCode: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="court_order">Court order</option>
+              <option value="collateral">Collateral</option>
+              <option value="fraud_investigation">Fraud investigation</option>
+              <option value="other">Other</option>
+            </select>
+            <input
+              type="text"
+              value={holdForm.reference}
+              onChange={(e) => setHoldForm(prev => ({ ...prev, reference: e.target.value }))}
+              placeholder="Reference (e.g. order number)"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="text"
+              required
+              value={holdForm.description}
+              onChange={(e) => setHoldForm(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm md:col-span-2"
+            />
+            <input
+              type="datetime-local"
+              value={holdForm.expiresAt}
+              onChange={(e) => setHoldForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+              title="Expiry (leave empty for no expiry)"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <div className="flex gap-2 md:col-span-3">
+              <Button type="submit" variant="primary" loading={holdForm.submitting}>
+                Place Hold
+              </Button>
+              <Button variant="secondary" onClick={() => setHoldForm(prev => ({ ...prev, open: false }))}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {holds.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No holds on this account</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-2 pr-4">Amount</th>
+                  <th className="py-2 pr-4">Reason</th>
+                  <th className="py-2 pr-4">Placed</th>
+                  <th className="py-2 pr-4">Expires</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {holds.map(hold => (
+                  <tr key={hold._id} className="border-b border-gray-100 dark:border-gray-700 text-gray-900 dark:text-white">
+                    <td className="py-2 pr-4 font-semibold">{formatCurrency(hold.amount)}</td>
+                    <td className="py-2 pr-4">
+                      <span className="capitalize">{hold.reasonCode.replace(/_/g, ' ')}</span>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {hold.description}{hold.reference && ` · ${hold.reference}`}
+                      </p>
+                    </td>
+                    <td className="py-2 pr-4">
+                      {new Date(hold.createdAt).toLocaleString()}
+                      <p className="text-xs text-gray-500 dark:text-gray-400">{hold.createdBy?.name || 'System'}</p>
+                    </td>
+                    <td className="py-2 pr-4">{hold.expiresAt ? new Date(hold.expiresAt).toLocaleString() : 'No expiry'}</td>
+                    <td className="py-2 pr-4 capitalize">
+                      {hold.status}
+                      {hold.releaseNote && hold.status === 'released' && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 normal-case">{hold.releaseNote}</p>
+                      )}
+                    </td>
+                    <td className="py-2">
+                      {hold.status === 'active' && releasing.holdId !== hold._id && (
+                        <Button variant="secondary" onClick={() => setReleasing({ holdId: hold._id, note: '' })}>
+                          Release
+                        </Button>
+                      )}
+                      {releasing.holdId === hold._id && (
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={releasing.note}
+                            onChange={(e) => setReleasing(prev => ({ ...prev, note: e.target.value }))}
+                            placeholder="Release note"
+                            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          />
+                          <Button variant="primary" disabled={!releasing.note} onClick={releaseHold}>
+                            Confirm
+                          </Button>
+                          <Button variant="secondary" onClick={() => setReleasing({ holdId: null, note: '' })}>
+                            Cancel
+                          </Button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Standing Orders */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <FaSyncAlt className="text-blue-500" />
+            Standing Orders
+          </h2>
+          {!orderForm.open && account.status !== 'closed' && (
+            <Button variant="secondary" onClick={() => setOrderForm(prev => ({ ...prev, open: true }))}>
+              New Standing Order
+            </Button>
+          )}
+        </div>
+
+        {orderForm.open && (
+          <form onSubmit={submitStandingOrder} className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+            <select
+              value={orderForm.type}
+              onChange={(e) => setOrderForm(prev => ({ ...prev, type: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="transfer">Recurring transfer from this account</option>
+              <option value="recurring_deposit">Recurring deposit into this account</option>
+            </select>
+            {orderForm.type === 'transfer' && (
+              <input
+                type="text"
+                required
+                value={orderForm.toAccountNumber}
+                onChange={(e) => setOrderForm(prev => ({ ...prev, toAccountNumber: e.target.value }))}
+                placeholder="Destination account number"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            )}
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              required
+              value={orderForm.amount}
+              onChange={(e) => setOrderForm(prev => ({ ...prev, amount: e.target.value }))}
+              placeholder="Amount (RWF)"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <select
+              value={orderForm.frequency}
+              onChange={(e) => setOrderForm(prev => ({ ...prev, frequency: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="weekly">Weekly</option>
+              <option value="biweekly">Every two weeks</option>
+              <option value="monthly">Monthly</option>
+              <option value="quarterly">Quarterly</option>
+            </select>
+            <input
+              type="date"
+              value={orderForm.startDate}
+              onChange={(e) => setOrderForm(prev => ({ ...prev, startDate: e.target.value }))}
+              title="Start date (defaults to today)"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="date"
+              value={orderForm.endDate}
+              onChange={(e) => setOrderForm(prev => ({ ...prev, endDate: e.target.value }))}
+              title="End date (leave empty to run until cancelled)"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="text"
+              value={orderForm.description}
+              onChange={(e) => setOrderForm(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm md:col-span-3"
+            />
+            <div className="flex gap-2 md:col-span-3">
+              <Button type="submit" variant="primary" loading={orderForm.submitting}>
+                Create Standing Order
+              </Button>
+              <Button variant="secondary" onClick={() => setOrderForm(prev => ({ ...prev, open: false }))}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {standingOrders.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No standing orders on this account</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-2 pr-4">Order</th>
+                  <th className="py-2 pr-4">Amount</th>
+                  <th className="py-2 pr-4">Schedule</th>
+                  <th className="py-2 pr-4">Next Due</th>
+                  <th className="py-2 pr-4">Paid / Missed</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {standingOrders.map(order => (
+                  <tr key={order._id} className="border-b border-gray-100 dark:border-gray-700 text-gray-900 dark:text-white">
+                    <td className="py-2 pr-4">
+                      <span className="font-mono">{order.reference}</span>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {order.type === 'transfer'
+                          ? `Transfer ${order.fromAccountId?.accountNumber} → ${order.toAccountId?.accountNumber}`
+                          : `Deposit into ${order.toAccountId?.accountNumber}`}
+                        {order.description && ` · ${order.description}`}
+                      </p>
+                    </td>
+                    <td className="py-2 pr-4 font-semibold">{formatCurrency(order.amount)}</td>
+                    <td className="py-2 pr-4">
+                      <span className="capitalize">{order.frequency}</span>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {new Date(order.startDate).toLocaleDateString()} – {order.endDate ? new Date(order.endDate).toLocaleDateString() : 'until cancelled'}
+                      </p>
+                    </td>
+                    <td className="py-2 pr-4">{order.nextDueDate && order.status === 'active' ? new Date(order.nextDueDate).toLocaleDateString() : '—'}</td>
+                    <td className="py-2 pr-4">
+                      {order.installmentsPaid} / <span className={order.installmentsMissed > 0 ? 'text-red-600 font-semibold' : ''}>{order.installmentsMissed}</span>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">{formatCurrency(order.totalPaid)} paid</p>
+                    </td>
+                    <td className="py-2 pr-4 capitalize">
+                      {order.status}
+                      {order.statusReason && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 normal-case">{order.statusReason}</p>
+                      )}
+                    </td>
+                    <td className="py-2">
+                      <div className="flex gap-2">
+                        {order.status === 'active' && (
+                          <Button variant="secondary" onClick={() => changeStandingOrderStatus(order._id, 'pause')}>
+                            Pause
+                          </Button>
+                        )}
+                        {order.status === 'paused' && (
+                          <Button variant="secondary" onClick={() => changeStandingOrderStatus(order._id, 'resume')}>
+                            Resume
+                          </Button>
+                        )}
+                        {['active', 'paused'].includes(order.status) && (
+                          <Button variant="secondary" onClick={() => changeStandingOrderStatus(order._id, 'cancel')}>
+                            Cancel
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Statement */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Statement</h2>
+        <div className="flex flex-col md:flex-row md:items-end gap-3">
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            From
+            <input
+              type="date"
+              value={statement.from}
+              max={statement.to}
+              onChange={(e) => setStatement(prev => ({ ...prev, from: e.target.value }))}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            To
+            <input
+              type="date"
+              value={statement.to}
+              min={statement.from}
+              onChange={(e) => setStatement(prev => ({ ...prev, to: e.target.value }))}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            Format
+            <select
+              value={statement.format}
+              onChange={(e) => setStatement(prev => ({ ...prev, format: e.target.value }))}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="pdf">PDF</option>
+              <option value="csv">CSV</option>
+            </select>
+          </label>
+          <Button
+            variant="primary"
+            onClick={downloadStatement}
+            loading={statement.downloading}
+            disabled={!statement.from || !statement.to}
+          >
+            <FaDownload className="inline mr-2" />
+            Download statement
+          </Button>
+        </div>
+      </div>
+
+      {/* Term Deposit */}
+      {account.termDeposit?.status && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Term Deposit</h2>
+            <span className="px-3 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-300 capitalize">
+              {account.termDeposit.status.replace('_', ' ')}
+            </span>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Principal</p>
+              <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(account.termDeposit.principal)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Tenor</p>
+              <p className="font-semibold text-gray-900 dark:text-white">{account.termDeposit.tenorMonths} months</p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Maturity Date</p>
+              <p className="font-semibold text-gray-900 dark:text-white">{new Date(account.termDeposit.maturityDate).toLocaleDateString()}</p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">At Maturity</p>
+              <p className="font-semibold text-gray-900 dark:text-white capitalize">
+                {account.termDeposit.maturityInstruction} · interest {account.termDeposit.interestPayout.replace('_', ' ')}
+              </p>
+            </div>
+          </div>
+
+          {account.termDeposit.status === 'active' && !termAction.open && (
+            <div className="mt-4">
+              <Button variant="secondary" onClick={() => setTermAction(prev => ({ ...prev, open: true }))}>
+                Early Withdrawal
+              </Button>
+            </div>
+          )}
+
+          {account.termDeposit.status === 'active' && termAction.open && (
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+              <input
+                type="text"
+                value={termAction.reason}
+                onChange={(e) => setTermAction(prev => ({ ...prev, reason: e.target.value }))}
+                placeholder="Reason for breaking the term"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <select
+                value={termAction.payoutMethod}
+                onChange={(e) => setTermAction(prev => ({ ...prev, payoutMethod: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="transfer">Pay to linked account</option>
+                <option value="cash">Pay in cash</option>
+              </select>
+              <div className="flex gap-2">
+                <Button
+                  variant="primary"
+                  disabled={!termAction.reason || termAction.submitting}
+                  onClick={() => submitTermAction('early-withdrawal', { reason: termAction.reason, payoutMethod: termAction.payoutMethod })}
+                >
+                  Confirm (penalty applies)
+                </Button>
+                <Button variant="secondary" onClick={() => setTermAction(prev => ({ ...prev, open: false }))}>
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {account.termDeposit.status === 'awaiting_action' && (
+            <div className="mt-4 flex flex-wrap gap-2">
+              <Button
+                variant="primary"
+                disabled={termAction.submitting}
+                onClick={() => submitTermAction('maturity-action', { action: 'rollover' })}
+              >
+                Roll Over
+              </Button>
+              <Button
+                variant="secondary"
+                disabled={termAction.submitting || !account.termDeposit.payoutAccountId}
+                onClick={() => submitTermAction('maturity-action', { action: 'payout', payoutMethod: 'transfer' })}
+              >
+                Pay Out to Linked Account
+              </Button>
+              <Button
+                variant="secondary"
+                disabled={termAction.submitting}
+                onClick={() => submitTermAction('maturity-action', { action: 'payout', payoutMethod: 'cash' })}
+              >
+                Pay Out in Cash
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Closure */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg dark:shadow-gray-900/50 p-6 border border-gray-200 dark:border-gray-700">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Account Closure</h2>
+
+        {account.status === 'closed' ? (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Closed On</p>
+                <p className="font-semibold text-gray-900 dark:text-white">
+                  {account.closure?.closedAt ? new Date(account.closure.closedAt).toLocaleDateString() : 'N/A'}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Reason</p>
+                <p className="font-semibold text-gray-900 dark:text-white capitalize">{account.closure?.reason?.replace(/_/g, ' ') || 'N/A'}</p>
+              </div>
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Interest Paid</p>
+                <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(account.closure?.interestPaid)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Paid Out ({account.closure?.payoutMethod || 'N/A'})</p>
+                <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(account.closure?.payoutAmount)}</p>
+              </div>
+            </div>
+            {account.closure?.closedAt && (
+              <Button variant="secondary" onClick={downloadClosureCertificate}>
+                <FaDownload className="inline mr-2" />
+                Closure Certificate
+              </Button>
+            )}
+          </div>
+        ) : !closure.open ? (
+          <Button variant="secondary" onClick={openClosure}>
+            Close Account
+          </Button>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Balance</p>
+                <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(closure.quote.balance)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Interest to Date</p>
+                <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(closure.quote.interest)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Closure Fee</p>
+                <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(closure.quote.closureFee)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Fee Arrears</p>
+                <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(closure.quote.arrearsCollected)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500 dark:text-gray-400">Payout</p>
+                <p className="font-semibold text-green-600">{formatCurrency(closure.quote.payout)}</p>
+              </div>
+            </div>
+
+            {closure.quote.blockers.length > 0 ? (
+              <ul className="text-sm text-red-600 list-disc pl-5">
+                {closure.quote.blockers.map(blocker => (
+                  <li key={blocker.code}>{blocker.message}</li>
+                ))}
+              </ul>
+            ) : (
+              <form onSubmit={submitClosure} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <select
+                  value={closure.reason}
+                  onChange={(e) => setClosure(prev => ({ ...prev, reason: e.target.value }))}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="customer_request">Customer request</option>
+                  <option value="account_consolidation">Account consolidation</option>
+                  <option value="deceased">Deceased</option>
+                  <option value="bank_decision">Bank decision</option>
+                  <option value="kyc_failure">KYC failure</option>
+                  <option value="other">Other</option>
+                </select>
+                <input
+                  type="text"
+                  required={closure.reason === 'other'}
+                  value={closure.note}
+                  onChange={(e) => setClosure(prev => ({ ...prev, note: e.target.value }))}
+                  placeholder="Note"
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                <select
+                  value={closure.payoutMethod}
+                  onChange={(e) => setClosure(prev => ({ ...prev, payoutMethod: e.target.value }))}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="cash">Pay in cash</option>
+                  <option value="transfer" disabled={closure.payoutAccounts.length === 0}>Transfer to another account</option>
+                </select>
+                {closure.payoutMethod === 'transfer' && (
+                  <select
+                    required
+                    value={closure.payoutAccountId}
+                    onChange={(e) => setClosure(prev => ({ ...prev, payoutAccountId: e.target.value }))}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">Select account</option>
+                    {closure.payoutAccounts.map(other => (
+                      <option key={other.id} value={other.id}>{other.accountNumber}</option>
+                    ))}
+                  </select>
+                )}
+                <div className="md:col-span-4 flex gap-2">
+                  <Button type="submit" variant="primary" loading={closure.submitting}>
+                    Confirm Closure
+                  </Button>
+                  <Button variant="secondary" onClick={() => setClosure(prev => ({ ...prev, open: false, quote: null }))}>
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {closure.quote.blockers.length > 0 && (
+              <Button variant="secondary" onClick={() => setClosure(prev => ({ ...prev, open: false, quote: null }))}>
+                Cancel
+              </Button>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Account Information */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
         {/* Account Details */}
@@ -427,7 +1413,7 @@ const SavingsAccountDetails = () => {
                 case 'Type':
                   return (
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                      row.type === 'deposit' 
+                      row.direction === 'credit' 
                         ? 'bg-green-100 text-green-800' 
                         : 'bg-red-100 text-red-800'
                     }`}>
@@ -437,9 +1423,9 @@ const SavingsAccountDetails = () => {
                 case 'Amount':
                   return (
                     <span className={`font-semibold ${
-                      row.type === 'deposit' ? 'text-green-600' : 'text-red-600'
+                      row.direction === 'credit' ? 'text-green-600' : 'text-red-600'
                     }`}>
-                      {row.type === 'deposit' ? '+' : '-'}{formatCurrency(row.amount)}
+                      {row.direction === 'credit' ? '+' : '-'}{formatCurrency(row.amount)}
                     </span>
                   );
                 case 'Balance After':
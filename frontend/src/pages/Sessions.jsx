@@ -0,0 +1,194 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { useAppContext } from '../context/AppContext';
+import SessionList from '../components/SessionList';
+import { FaDesktop, FaUsersCog, FaSlidersH } from 'react-icons/fa';
+
+const Sessions = () => {
+  const { api, user, users, fetchUsers } = useAppContext();
+  const [sessions, setSessions] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [staffId, setStaffId] = useState('');
+  const [staffSessions, setStaffSessions] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isAdmin = user?.role === 'admin';
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const { data } = await api.get('/user/sessions');
+      setSessions(data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load sessions');
+    }
+  }, [api]);
+
+  const fetchPolicy = useCallback(async () => {
+    try {
+      const { data } = await api.get('/user/sessions/policy');
+      setPolicy(data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load session policy');
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchSessions();
+    if (isAdmin) {
+      fetchPolicy();
+      fetchUsers();
+    }
+  }, [isAdmin, fetchSessions, fetchPolicy, fetchUsers]);
+
+  const fetchStaffSessions = async (userId) => {
+    setStaffId(userId);
+    setStaffSessions(null);
+    if (!userId) return;
+    try {
+      const { data } = await api.get(`/user/${userId}/sessions`);
+      setStaffSessions(data.data.sessions);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load sessions');
+    }
+  };
+
+  // Runs a session action, then reloads the lists it may have changed
+  const submit = async (request, fallbackMessage) => {
+    try {
+      setSubmitting(true);
+      const { data } = await request();
+      toast.success(data.message);
+      fetchSessions();
+      if (staffId) fetchStaffSessions(staffId);
+    } catch (err) {
+      toast.error(err.response?.data?.message || fallbackMessage);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const terminateSession = (session) => submit(
+    () => api.post(`/user/sessions/${session.sessionId}/terminate`),
+    'Failed to sign out session'
+  );
+
+  const terminateOthers = () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+    submit(() => api.post('/user/sessions/terminate-others'), 'Failed to sign out other sessions');
+  };
+
+  const terminateStaffSession = (session) => submit(
+    () => api.post(`/user/${staffId}/sessions/terminate`, { sessionId: session.sessionId }),
+    'Failed to end session'
+  );
+
+  const terminateAllStaff = () => {
+    if (!window.confirm('End every session for this staff member? They will need to sign in again.')) return;
+    submit(() => api.post(`/user/${staffId}/sessions/terminate`), 'Failed to end sessions');
+  };
+
+  const savePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const { data } = await api.put('/user/sessions/policy', {
+        idleTimeoutMinutes: Number(policy.idleTimeoutMinutes),
+        maxConcurrentSessions: Number(policy.maxConcurrentSessions)
+      });
+      setPolicy(data.data);
+      toast.success(data.message || 'Session policy updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update session policy');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = 'mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+  const buttonClass = 'inline-flex items-center justify-center px-3 py-2 rounded-md text-sm font-medium text-white disabled:opacity-50';
+  const otherSessions = sessions.filter(session => !session.current).length;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="md:flex md:items-center md:justify-between">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate">My Sessions</h2>
+          <p className="mt-1 text-sm text-gray-500">Devices signed in to your account</p>
+        </div>
+      </div>
+
+      {/* Own sessions */}
+      <div className="bg-white shadow sm:rounded-md">
+        <div className="px-4 py-5 sm:px-6 flex items-center justify-between">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+            <FaDesktop className="mr-2 text-gray-400" /> Active Sessions
+          </h3>
+          {otherSessions > 0 && (
+            <button onClick={terminateOthers} disabled={submitting} className={`${buttonClass} bg-red-600 hover:bg-red-700`}>
+              Sign Out Other Devices
+            </button>
+          )}
+        </div>
+        <SessionList sessions={sessions} onTerminate={terminateSession} busy={submitting} />
+      </div>
+
+      {/* Session policy (admin) */}
+      {isAdmin && policy && (
+        <div className="bg-white shadow sm:rounded-md">
+          <div className="px-4 py-5 sm:px-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+              <FaSlidersH className="mr-2 text-gray-400" /> Session Policy
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Staff are signed out after the idle timeout, with a warning five minutes before
+            </p>
+          </div>
+          <form onSubmit={savePolicy} className="px-4 pb-5 sm:px-6 grid grid-cols-1 gap-3 sm:grid-cols-3 items-end">
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Idle timeout (minutes)</label>
+              <input type="number" min="15" required value={policy.idleTimeoutMinutes} onChange={(e) => setPolicy({ ...policy, idleTimeoutMinutes: e.target.value })} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">Sessions per user (0 = no limit)</label>
+              <input type="number" min="0" step="1" required value={policy.maxConcurrentSessions} onChange={(e) => setPolicy({ ...policy, maxConcurrentSessions: e.target.value })} className={inputClass} />
+            </div>
+            <button type="submit" disabled={submitting} className={buttonClass} style={{backgroundColor: '#00b050'}}>
+              Save Policy
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Staff sessions (admin) */}
+      {isAdmin && (
+        <div className="bg-white shadow sm:rounded-md">
+          <div className="px-4 py-5 sm:px-6 space-y-3">
+            <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+              <FaUsersCog className="mr-2 text-gray-400" /> Staff Sessions
+            </h3>
+            <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+              <div className="sm:w-80">
+                <label className="block text-xs font-medium text-gray-700">Staff member</label>
+                <select value={staffId} onChange={(e) => fetchStaffSessions(e.target.value)} className={inputClass}>
+                  <option value="">Select staff member</option>
+                  {users.map(staff => (
+                    <option key={staff._id} value={staff._id}>{staff.fullName} ({staff.email})</option>
+                  ))}
+                </select>
+              </div>
+              {staffSessions?.some(session => session.status === 'active') && (
+                <button onClick={terminateAllStaff} disabled={submitting} className={`${buttonClass} bg-red-600 hover:bg-red-700`}>
+                  End All Sessions
+                </button>
+              )}
+            </div>
+          </div>
+          {staffSessions && <SessionList sessions={staffSessions} onTerminate={terminateStaffSession} busy={submitting} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Sessions;
@@ -149,9 +149,9 @@ const TransactionDetails = () => {
                   <div className="flex items-center gap-4 mt-2">
                     {getStatusBadge(transaction.status)}
                     <span className={`text-2xl font-bold ${
-                      transaction.type === 'deposit' ? 'text-green-600' : 'text-red-600'
+                      transaction.direction === 'credit' ? 'text-green-600' : 'text-red-600'
                     }`}>
-                      {transaction.type === 'deposit' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                      {transaction.direction === 'credit' ? '+' : '-'}{formatCurrency(transaction.amount)}
                     </span>
                   </div>
                 </div>
@@ -171,9 +171,9 @@ const TransactionDetails = () => {
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Transaction Amount</h3>
           </div>
           <p className={`text-3xl font-bold ${
-            transaction.type === 'deposit' ? 'text-green-600' : 'text-red-600'
+            transaction.direction === 'credit' ? 'text-green-600' : 'text-red-600'
           }`}>
-            {transaction.type === 'deposit' ? '+' : '-'}{formatCurrency(transaction.amount)}
+            {transaction.direction === 'credit' ? '+' : '-'}{formatCurrency(transaction.amount)}
           </p>
         </div>
 
@@ -241,7 +241,7 @@ const TransactionDetails = () => {
               <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
                 <span className="text-gray-600 dark:text-gray-300 font-medium block mb-1">Type</span>
                 <span className={`px-2 py-1 rounded-full text-sm font-medium ${
-                  transaction.type === 'deposit' 
+                  transaction.direction === 'credit' 
                     ? 'bg-green-100 text-green-800' 
                     : 'bg-red-100 text-red-800'
                 }`}>
@@ -252,9 +252,9 @@ const TransactionDetails = () => {
               <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
                 <span className="text-gray-600 dark:text-gray-300 font-medium block mb-1">Amount</span>
                 <span className={`text-lg font-bold ${
-                  transaction.type === 'deposit' ? 'text-green-600' : 'text-red-600'
+                  transaction.direction === 'credit' ? 'text-green-600' : 'text-red-600'
                 }`}>
-                  {transaction.type === 'deposit' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                  {transaction.direction === 'credit' ? '+' : '-'}{formatCurrency(transaction.amount)}
                 </span>
               </div>
               
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import { 
   FaArrowDown, 
   FaArrowUp,
+  FaExchangeAlt,
   FaEye,
   FaPlus,
   FaFilter
@@ -49,6 +50,8 @@ const Transactions = () => {
       return <FaArrowDown className="h-5 w-5 text-green-500" />;
     } else if (type === 'withdrawal') {
       return <FaArrowUp className="h-5 w-5 text-red-500" />;
+    } else if (type === 'transfer_in' || type === 'transfer_out') {
+      return <FaExchangeAlt className="h-5 w-5 text-blue-500" />;
     }
     return <div className="h-5 w-5 rounded-full bg-gray-300" />;
   };
@@ -68,6 +71,18 @@ const Transactions = () => {
           Withdrawal
         </span>
       );
+    } else if (type === 'transfer_in' || type === 'transfer_out') {
+      return (
+        <span className={`${baseClasses} bg-blue-100 text-blue-800`}>
+          {type === 'transfer_in' ? 'Transfer In' : 'Transfer Out'}
+        </span>
+      );
+    } else if (type === 'reversal') {
+      return (
+        <span className={`${baseClasses} bg-yellow-100 text-yellow-800`}>
+          Reversal
+        </span>
+      );
     }
     
     return (
@@ -305,9 +320,9 @@ const Transactions = () => {
                   <div className="flex items-center space-x-4">
                     <div className="text-right">
                       <p className={`text-sm font-medium ${
-                        transaction.type === 'deposit' ? 'text-green-600' : 'text-red-600'
+                        transaction.direction === 'credit' ? 'text-green-600' : 'text-red-600'
                       }`}>
-                        {transaction.type === 'deposit' ? '+' : '-'}
+                        {transaction.direction === 'credit' ? '+' : '-'}
                         {transaction.amount?.toLocaleString() || 0} RWF
                       </p>
                       <p className="text-xs text-gray-500">
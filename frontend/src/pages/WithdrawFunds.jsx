@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAppContext } from '../context/AppContext';
+import { generateIdempotencyKey } from '../utils/apiUtils';
+import { checkTransactionLimits } from '../utils/transactionLimits';
 import { 
   FaArrowUp,
   FaCheckCircle,
@@ -9,24 +11,39 @@ import {
 } from 'react-icons/fa';
 
 const WithdrawFunds = () => {
-  const { api } = useAppContext();
+  const { api, user } = useAppContext();
   const navigate = useNavigate();
   const [formData, setFormData] = useState({
     accountId: '',
     amount: '',
-    description: ''
+    description: '',
+    channel: ''
   });
   const [accounts, setAccounts] = useState([]);
   const [selectedAccount, setSelectedAccount] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [pendingApproval, setPendingApproval] = useState(false);
+  const [limitStatus, setLimitStatus] = useState(null);
+  const [idempotencyKey, setIdempotencyKey] = useState(generateIdempotencyKey);
 
   useEffect(() => {
     fetchAccounts();
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Product limits for the selected account, so violations show before submitting
+  useEffect(() => {
+    setLimitStatus(null);
+    if (!formData.accountId) return;
+
+    api.get(`/savings-accounts/${formData.accountId}/limits`, { params: { channel: 'teller' } })
+      .then(({ data }) => setLimitStatus(data.success ? data.data : null))
+      .catch(err => console.error('Error fetching account limits:', err));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [formData.accountId]);
+
   const fetchAccounts = async () => {
     try {
       const { data } = await api.get('/savings-accounts');
@@ -49,25 +66,39 @@ const WithdrawFunds = () => {
     
     const account = accounts.find(acc => acc.id === accountId);
     setSelectedAccount(account);
+    setIdempotencyKey(generateIdempotencyKey());
   };
 
+  const availableBalance = selectedAccount?.availableBalance ?? selectedAccount?.balance ?? 0;
+  const isBackOffice = ['admin', 'manager', 'branch-manager'].includes(user?.role);
+  const limitViolation = checkTransactionLimits(limitStatus, 'withdrawal', parseFloat(formData.amount));
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
 
-    // Check if withdrawal amount exceeds balance
-    if (parseFloat(formData.amount) > (selectedAccount?.balance || 0)) {
-      setError('Withdrawal amount cannot exceed account balance');
+    // Check if withdrawal amount exceeds the balance not on hold
+    if (parseFloat(formData.amount) > availableBalance) {
+      setError('Withdrawal amount cannot exceed the available balance');
+      setLoading(false);
+      return;
+    }
+
+    if (limitViolation) {
+      setError(limitViolation.message);
       setLoading(false);
       return;
     }
 
     try {
-      const { data } = await api.post('/transactions/withdrawal', formData);
+      const { data } = await api.post('/transactions/withdrawal', formData, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      });
 
       // Handle successful withdrawal - the backend returns the transaction data
       if (data && data.success !== false) {
+        setPendingApproval(Boolean(data.data?.pendingApproval));
         setSuccess(true);
         setTimeout(() => {
           navigate('/transactions');
@@ -89,6 +120,7 @@ const WithdrawFunds = () => {
       ...formData,
       [e.target.name]: e.target.value
     });
+    setIdempotencyKey(generateIdempotencyKey());
   };
 
   if (success) {
@@ -98,10 +130,12 @@ const WithdrawFunds = () => {
           <div className="text-center">
             <FaCheckCircle className="mx-auto h-16 w-16 text-green-500" />
             <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
-              Withdrawal Successful!
+              {pendingApproval ? 'Withdrawal Submitted for Approval' : 'Withdrawal Successful!'}
             </h2>
             <p className="mt-2 text-sm text-gray-600">
-              Your withdrawal has been processed successfully.
+              {pendingApproval
+                ? 'The amount is above the approval threshold. A manager must approve it before it is posted.'
+                : 'Your withdrawal has been processed successfully.'}
             </p>
             <p className="mt-1 text-sm text-gray-500">
               Redirecting to transactions...
@@ -175,6 +209,9 @@ const WithdrawFunds = () => {
                     <h3 className="text-sm font-medium text-blue-800">Account Information</h3>
                     <div className="mt-2 text-sm text-blue-700">
                       <p><strong>Current Balance:</strong> {selectedAccount.balance?.toLocaleString() || 0} RWF</p>
+                      {availableBalance < selectedAccount.balance && (
+                        <p><strong>Available Balance:</strong> {availableBalance.toLocaleString()} RWF (rest on hold)</p>
+                      )}
                       <p><strong>Account Type:</strong> {selectedAccount.accountType}</p>
                       <p><strong>Status:</strong> {selectedAccount.isVerified ? 'Verified' : 'Pending Verification'}</p>
                     </div>
@@ -192,7 +229,7 @@ const WithdrawFunds = () => {
                 name="amount"
                 type="number"
                 min="1"
-                max={selectedAccount?.balance || 0}
+                max={availableBalance}
                 step="0.01"
                 value={formData.amount}
                 onChange={handleChange}
@@ -202,11 +239,35 @@ const WithdrawFunds = () => {
               />
               {selectedAccount && (
                 <p className="mt-1 text-xs text-gray-500">
-                  Maximum withdrawal: {selectedAccount.balance?.toLocaleString() || 0} RWF
+                  Maximum withdrawal: {availableBalance.toLocaleString()} RWF
+                </p>
+              )}
+              {limitViolation && (
+                <p className="mt-1 text-xs text-red-600">
+                  {limitViolation.message} ({limitViolation.code})
                 </p>
               )}
             </div>
 
+            {/* Back-office postings are non-cash unless the money goes through the user's drawer */}
+            {isBackOffice && (
+              <div>
+                <label htmlFor="channel" className="block text-sm font-medium text-gray-700">
+                  Posting Type
+                </label>
+                <select
+                  id="channel"
+                  name="channel"
+                  value={formData.channel}
+                  onChange={handleChange}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-2 focus:ring-offset-2 focus:ring-green-500 sm:text-sm"
+                >
+                  <option value="">Non-cash (back office)</option>
+                  <option value="cash">Cash through my drawer</option>
+                </select>
+              </div>
+            )}
+
             <div>
               <label htmlFor="description" className="block text-sm font-medium text-gray-700">
                 Description (Optional)
@@ -232,7 +293,7 @@ const WithdrawFunds = () => {
               </button>
               <button
                 type="submit"
-                disabled={loading || !selectedAccount || parseFloat(formData.amount) > (selectedAccount?.balance || 0)}
+                disabled={loading || !selectedAccount || parseFloat(formData.amount) > availableBalance || Boolean(limitViolation)}
                 className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50"
                 style={{backgroundColor: '#dc2626'}}
               >
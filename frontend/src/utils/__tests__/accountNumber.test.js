@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { isValidAccountNumber } from '../accountNumber'
+
+describe('isValidAccountNumber', () => {
+  it('accepts numbers with a valid Luhn check digit', () => {
+    expect(isValidAccountNumber('79927398713')).toBe(true)
+    expect(isValidAccountNumber('79927398710')).toBe(false)
+  })
+
+  it('accepts numbers with valid ISO 7064 check digits', () => {
+    // 98 - (1234 * 100 mod 97) = 82
+    expect(isValidAccountNumber('123482', 'iso7064')).toBe(true)
+    expect(isValidAccountNumber('123483', 'iso7064')).toBe(false)
+  })
+
+  it('ignores case and surrounding spaces', () => {
+    const body = 'SAV01REG000001'
+    const valid = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']
+      .map(digit => body + digit)
+      .find(number => isValidAccountNumber(number))
+
+    expect(valid).toBeDefined()
+    expect(isValidAccountNumber(`  ${valid.toLowerCase()} `)).toBe(true)
+  })
+
+  it('rejects empty or malformed input', () => {
+    expect(isValidAccountNumber('')).toBe(false)
+    expect(isValidAccountNumber('SAV-01-0001')).toBe(false)
+  })
+})
@@ -0,0 +1,52 @@
+// Client-side mirror of the backend check digit rules (services/numberingService.js)
+// so tellers see a mistyped account number before submitting.
+
+const toCode = (value) => String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+// Letters become two digits (A=10 ... Z=35), as in IBAN check digits
+const toDigits = (value) => toCode(value)
+  .split('')
+  .map(char => (char >= 'A' ? String(char.charCodeAt(0) - 55) : char))
+  .join('');
+
+const luhnCheckDigit = (body) => {
+  const digits = toDigits(body);
+  let sum = 0;
+  let double = true;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+const iso7064CheckDigits = (body) => {
+  let remainder = 0;
+  for (const digit of `${toDigits(body)}00`) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return String(98 - remainder).padStart(2, '0');
+};
+
+const CHECK_DIGITS = {
+  luhn: { length: 1, compute: luhnCheckDigit },
+  iso7064: { length: 2, compute: iso7064CheckDigits }
+};
+
+/**
+ * Whether an account number ends in the right check digit(s)
+ * @param {string} number - Account number as typed
+ * @param {string} algorithm - 'luhn' | 'iso7064' (from system settings numbering)
+ * @returns {boolean}
+ */
+export const isValidAccountNumber = (number, algorithm = 'luhn') => {
+  const value = String(number || '').trim().toUpperCase();
+  const { length, compute } = CHECK_DIGITS[algorithm] || CHECK_DIGITS.luhn;
+  if (value.length <= length || !/^[0-9A-Z]+$/.test(value)) return false;
+  return compute(value.slice(0, -length)) === value.slice(-length);
+};
@@ -61,3 +61,14 @@ export const getApiUrl = (endpoint) => {
   const baseUrl = getApiBaseUrl();
   return `${baseUrl}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
 };
+
+/**
+ * Generate a fresh Idempotency-Key for a money-moving request.
+ * Keep the same key for retries of one submission; generate a new one when the form changes.
+ */
+export const generateIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
@@ -1,22 +1,80 @@
 /**
  * Currency Formatter Utility
  * Formats amounts in Rwandan Francs (RWF)
+ *
+ * The API stores money as integer minor units (see backend/utils/money.js) and
+ * returns major-unit amounts rounded to the currency precision. Keep the
+ * precision table and rounding rule here in step with the backend.
  */
 
+// Decimal places booked per currency; RWF balances carry interest and fee fractions
+export const CURRENCY_PRECISION = {
+  RWF: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  KES: 2,
+  UGX: 0,
+  TZS: 2,
+  BIF: 0,
+  CDF: 2
+};
+
+/**
+ * Decimal places used for a currency
+ * @param {string} currency - ISO code (default: RWF)
+ * @returns {number}
+ */
+export const getCurrencyPrecision = (currency = 'RWF') => CURRENCY_PRECISION[currency] ?? 2;
+
 /**
- * Format amount in RWF currency
+ * Convert a major-unit amount to integer minor units, rounding half away from zero
+ * @param {number|string} amount - Amount in major units
+ * @param {string} currency - ISO code (default: RWF)
+ * @returns {number} Integer minor units
+ */
+export const toMinorUnits = (amount, currency = 'RWF') => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return 0;
+  const shifted = Number((Math.abs(value) * 10 ** getCurrencyPrecision(currency)).toPrecision(15));
+  return Math.sign(value) * Math.round(shifted) || 0;
+};
+
+/**
+ * Convert integer minor units to a major-unit amount
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO code (default: RWF)
+ * @returns {number}
+ */
+export const fromMinorUnits = (minor, currency = 'RWF') => {
+  const precision = getCurrencyPrecision(currency);
+  return Number(((Number(minor) || 0) / 10 ** precision).toFixed(precision));
+};
+
+/**
+ * Round an amount to the currency precision the same way the API does
+ * @param {number|string} amount - The amount to round
+ * @param {string} currency - ISO code (default: RWF)
+ * @returns {number}
+ */
+export const roundCurrency = (amount, currency = 'RWF') => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+/**
+ * Format amount in RWF currency. Whole amounts show no decimals; fractions
+ * from interest or fees show the full currency precision (Frw 1,250.50).
  * @param {number} amount - The amount to format
  * @param {boolean} showSymbol - Whether to show "Frw" symbol (default: true)
  * @returns {string} Formatted currency string
  */
 export const formatCurrency = (amount, showSymbol = true) => {
   if (amount === null || amount === undefined) return showSymbol ? 'Frw 0' : '0';
-  
+
+  const rounded = roundCurrency(amount);
   const formattedNumber = new Intl.NumberFormat('en-RW', {
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(amount);
-  
+    minimumFractionDigits: Number.isInteger(rounded) ? 0 : getCurrencyPrecision('RWF'),
+    maximumFractionDigits: getCurrencyPrecision('RWF')
+  }).format(rounded);
+
   return showSymbol ? `Frw ${formattedNumber}` : formattedNumber;
 };
 
@@ -27,13 +85,15 @@ export const formatCurrency = (amount, showSymbol = true) => {
  */
 export const formatCurrencyIntl = (amount) => {
   if (amount === null || amount === undefined) return 'Frw 0';
-  
+
+  const rounded = roundCurrency(amount);
+
   return new Intl.NumberFormat('en-RW', {
     style: 'currency',
     currency: 'RWF',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(amount);
+    minimumFractionDigits: Number.isInteger(rounded) ? 0 : getCurrencyPrecision('RWF'),
+    maximumFractionDigits: getCurrencyPrecision('RWF')
+  }).format(rounded);
 };
 
 /**
@@ -43,33 +103,32 @@ export const formatCurrencyIntl = (amount) => {
  */
 export const formatCurrencyCompact = (amount) => {
   if (amount === null || amount === undefined) return 'Frw 0';
-  
+
   const formattedNumber = new Intl.NumberFormat('en-RW', {
     notation: 'compact',
     minimumFractionDigits: 0,
     maximumFractionDigits: 1
   }).format(amount);
-  
+
   return `Frw ${formattedNumber}`;
 };
 
 /**
- * Parse currency string to number
+ * Parse currency string to number, rounded to the currency precision
  * @param {string} currencyString - Currency string to parse
  * @returns {number} Parsed number
  */
 export const parseCurrency = (currencyString) => {
   if (!currencyString) return 0;
-  
+
   // Remove "Frw", "RWF", commas, and spaces
   const cleanedString = currencyString
     .replace(/Frw/gi, '')
     .replace(/RWF/gi, '')
     .replace(/,/g, '')
     .trim();
-  
-  return parseFloat(cleanedString) || 0;
+
+  return roundCurrency(parseFloat(cleanedString) || 0);
 };
 
 export default formatCurrency;
-
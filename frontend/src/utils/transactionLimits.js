@@ -0,0 +1,58 @@
+// Client-side mirror of the backend product limit rules (services/transactionLimitService.js)
+// so tellers see the same error code before submitting.
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const formatAmount = (amount) => `${Number(amount).toLocaleString()} RWF`;
+
+/**
+ * Check an amount against the status returned by GET /savings-accounts/:id/limits
+ * @param {Object} status - { limits, usage } from the limits endpoint
+ * @param {string} kind - 'deposit' | 'withdrawal'
+ * @param {number} amount
+ * @returns {Object|null} { code, message } for the first limit broken, or null
+ */
+export const checkTransactionLimits = (status, kind, amount) => {
+  const limits = status?.limits;
+  const usage = status?.usage || {};
+  if (!limits || !amount || Number.isNaN(amount)) return null;
+
+  if (kind === 'deposit') {
+    if (!usage.hasDeposits && isSet(limits.openingDeposit) && amount < limits.openingDeposit) {
+      return { code: 'BELOW_OPENING_DEPOSIT', message: `The first deposit must be at least ${formatAmount(limits.openingDeposit)}` };
+    }
+    if (isSet(limits.minDeposit) && amount < limits.minDeposit) {
+      return { code: 'BELOW_MIN_DEPOSIT', message: `Minimum deposit is ${formatAmount(limits.minDeposit)}` };
+    }
+    if (isSet(limits.maxDeposit) && amount > limits.maxDeposit) {
+      return { code: 'ABOVE_MAX_DEPOSIT', message: `Maximum deposit is ${formatAmount(limits.maxDeposit)}` };
+    }
+    if (isSet(limits.channelMaxDeposit) && amount > limits.channelMaxDeposit) {
+      return { code: 'CHANNEL_DEPOSIT_LIMIT', message: `Maximum deposit through this channel is ${formatAmount(limits.channelMaxDeposit)}` };
+    }
+    if (isSet(limits.dailyDepositLimit) && (usage.depositsToday || 0) + amount > limits.dailyDepositLimit) {
+      return { code: 'DAILY_DEPOSIT_LIMIT', message: `Daily deposit limit of ${formatAmount(limits.dailyDepositLimit)} would be exceeded` };
+    }
+    if (isSet(limits.monthlyDepositLimit) && (usage.depositsThisMonth || 0) + amount > limits.monthlyDepositLimit) {
+      return { code: 'MONTHLY_DEPOSIT_LIMIT', message: `Monthly deposit limit of ${formatAmount(limits.monthlyDepositLimit)} would be exceeded` };
+    }
+    return null;
+  }
+
+  if (isSet(limits.minWithdrawal) && amount < limits.minWithdrawal) {
+    return { code: 'BELOW_MIN_WITHDRAWAL', message: `Minimum withdrawal is ${formatAmount(limits.minWithdrawal)}` };
+  }
+  if (isSet(limits.maxWithdrawal) && amount > limits.maxWithdrawal) {
+    return { code: 'ABOVE_MAX_WITHDRAWAL', message: `Maximum withdrawal is ${formatAmount(limits.maxWithdrawal)}` };
+  }
+  if (isSet(limits.channelMaxWithdrawal) && amount > limits.channelMaxWithdrawal) {
+    return { code: 'CHANNEL_WITHDRAWAL_LIMIT', message: `Maximum withdrawal through this channel is ${formatAmount(limits.channelMaxWithdrawal)}` };
+  }
+  if (isSet(limits.dailyWithdrawalLimit) && (usage.withdrawalsToday || 0) + amount > limits.dailyWithdrawalLimit) {
+    return { code: 'DAILY_WITHDRAWAL_LIMIT', message: `Daily withdrawal limit of ${formatAmount(limits.dailyWithdrawalLimit)} would be exceeded` };
+  }
+  if (isSet(limits.monthlyWithdrawalLimit) && (usage.withdrawalsThisMonth || 0) + amount > limits.monthlyWithdrawalLimit) {
+    return { code: 'MONTHLY_WITHDRAWAL_LIMIT', message: `Monthly withdrawal limit of ${formatAmount(limits.monthlyWithdrawalLimit)} would be exceeded` };
+  }
+  return null;
+};